@@ -3,5 +3,131 @@
  */
 export {CameraScanner} from './lib/camera-scanner.js';
 export {OpticalScanner} from './lib/optical-scanner.js';
+export {
+  overlayGuides,
+  overlayMessages,
+  ScanOverlay
+} from './lib/scan-overlay.js';
+export {
+  CameraError,
+  errorCodes,
+  isLicenseError,
+  LicenseError,
+  NoResultsError,
+  PluginError,
+  ScanAbortedError,
+  ScannerError,
+  ScanTimeoutError,
+  toScannerError,
+  UnsupportedSourceError
+} from './lib/errors.js';
+export {createScanWorker, WorkerPool} from './lib/worker-pool.js';
+export {startScanWorker} from './lib/scan-worker.js';
 export * from './lib/plugins/index.js';
 export * as cameraUtils from './lib/utils/camera.js';
+export {
+  CodeCollection,
+  getCodeKey,
+  hashPayload
+} from './lib/utils/code-collection.js';
+export {
+  detectDocument,
+  documentSizes,
+  localizeDocument,
+  rectifyDocument
+} from './lib/utils/document.js';
+export {EnginePool} from './lib/utils/engine-pool.js';
+export {
+  FrameQualityAnalyzer,
+  qualityHints
+} from './lib/utils/frame-quality.js';
+export {FrameScheduler} from './lib/utils/frame-scheduler.js';
+export {
+  centerRegion,
+  getDisplayBox,
+  getGuideRegion,
+  getSourceRegion,
+  resolveRegion
+} from './lib/utils/roi.js';
+export {
+  getPreprocessSteps,
+  preprocessImage
+} from './lib/utils/preprocess.js';
+export {
+  MultipartAssembler,
+  parseMultipartPart
+} from './lib/utils/multipart.js';
+export {
+  getMissingSegments,
+  mergeSequences,
+  readSequencedSymbols
+} from './lib/utils/structured-append.js';
+export {
+  isEngineLoaded,
+  loadEngine,
+  preloadEngines,
+  preloadPlugins,
+  registerEngine
+} from './lib/utils/engines.js';
+export {
+  configureLogging,
+  getLogger,
+  Logger,
+  logLevels,
+  piiKeys,
+  redactLogValue
+} from './lib/utils/logger.js';
+export {
+  applyPrivacyPolicy,
+  deriveValues,
+  payloadFields,
+  personalFields,
+  privacyActions,
+  privacyPolicies,
+  resolvePrivacyPolicy,
+  wipe
+} from './lib/utils/privacy.js';
+export {
+  aamvaIssuers,
+  lookupIssuer,
+  parseAAMVA
+} from './lib/utils/aamva.js';
+export {
+  eyeColors,
+  hairColors,
+  normalizeDLInfo,
+  parseAAMVADate,
+  weightRanges
+} from './lib/utils/dl-normalize.js';
+export {
+  decodeZSubfiles,
+  getZSubfileDecoder,
+  registerZSubfileDecoder,
+  unregisterZSubfileDecoder
+} from './lib/utils/z-subfiles.js';
+export {
+  analyzeMRZValidation,
+  computeCheckDigit,
+  detectMRZFormat,
+  mrzFormats,
+  parseMRZ,
+  verifyCheckDigit
+} from './lib/utils/mrz.js';
+export {
+  computeGS1CheckDigit,
+  expandUPCE,
+  gs1ApplicationIdentifiers,
+  isGS1,
+  parseGS1,
+  verifyGS1CheckDigit
+} from './lib/utils/gs1.js';
+export {isBCBP, parseBCBP} from './lib/utils/bcbp.js';
+export {decodeCBOR} from './lib/utils/cbor.js';
+export {
+  decodePayload,
+  getPayloadDecoder,
+  registerPayloadDecoder,
+  unregisterPayloadDecoder
+} from './lib/utils/qr-payloads.js';
+export {ocrbModel} from './lib/utils/ocrb-model.js';
+export {recognizeMRZ} from './lib/utils/mrz-ocr.js';
@@ -3,14 +3,30 @@
  */
 
 import * as cameraUtils from './utils/camera.js';
+import {
+  applyPrivacyPolicy,
+  resolvePrivacyPolicy,
+  wipe
+} from './utils/privacy.js';
 import {
   enhancedPdf417Plugin,
+  localMrzPlugin,
   mrzPlugin,
   pdf417Plugin,
   qrCodePlugin
 } from './plugins/index.js';
+import {
+  errorCodes,
+  NoResultsError,
+  ScanAbortedError,
+  toScannerError
+} from './errors.js';
 import {EventEmitter} from 'events';
+import {getGuideRegion} from './utils/roi.js';
+import {getLogger} from './utils/logger.js';
 import {OpticalScanner} from './optical-scanner.js';
+import {ScanOverlay} from './scan-overlay.js';
+import {WorkerPool} from './worker-pool.js';
 
 /**
 * High-level camera scanner that provides a simple API for framework
@@ -24,9 +40,42 @@ export class CameraScanner extends EventEmitter {
     // Extract configuration options
     const {
       scanType = options.scanType || 'barcode', // 'mrz' | 'barcode' | 'auto'
-      mrzMode = options.mrzMode || (scanType === 'mrz' ? 'camera' : 'element'),
+      mrzEngine = options.mrzEngine || 'dynamsoft', // 'dynamsoft' | 'local'
+      mrzMode = options.mrzMode ||
+        (scanType === 'mrz' && mrzEngine === 'dynamsoft' ?
+          'camera' : 'element'),
       licenseKey = '', // Dynamsoft license key
-      scanMode = options.scanMode || 'first' // 'first' | 'all' | 'exhaustive'
+      // 'first' | 'all' | 'exhaustive' | 'collect'
+      scanMode = options.scanMode || 'first',
+      // how long 'collect' mode gathers codes
+      collectWindowMs = options.collectWindowMs || 10000,
+      // video frame pacing: {targetFps, minFps, idleAfterMs, batteryFps}
+      scheduler = options.scheduler || {},
+      // decode in a WorkerPool: false | true | {size, createWorker}
+      workers = options.workers || false,
+      // `Logger` (see `configureLogging()`); silent by default
+      logger,
+      // result privacy policy: 'full' | 'redacted' | 'minimal' | {...}
+      privacy = options.privacy || 'full',
+      // reassemble animated multi-part QR codes in continuous scans:
+      // false | true | MultipartAssembler options ({allowUnverified})
+      multipart = options.multipart || false,
+      // join QR Structured Append and Macro PDF417 segments
+      structuredAppend = options.structuredAppend || false,
+      // warp ID cards and passport pages upright before MRZ and
+      // pdf417_enhanced decoding: false | true | {size, width, ...}
+      document = options.document || false,
+      // decode only good frames: false | true | FrameQualityAnalyzer options
+      quality = options.quality || false,
+      // decode the best frame of a short window: false | true | {windowMs}
+      autoCapture = options.autoCapture || false,
+      // decode only a region of interest (see `resolveRegion()`), or the
+      // part of the video under a guide element or, with 'guide', under
+      // the guide frame of the overlay
+      region = options.region || null,
+      // guide frame, code outlines and status over the preview:
+      // false | true | {guide, messages, highlightMs} (see `ScanOverlay`)
+      overlay = options.overlay || false
     } = options;
 
     // Validate scanType
@@ -34,36 +83,72 @@ export class CameraScanner extends EventEmitter {
       throw new Error('scanType must be "mrz" or "barcode" or "auto"');
     }
 
+    // Validate mrzEngine
+    if(!['dynamsoft', 'local'].includes(mrzEngine)) {
+      throw new Error('mrzEngine must be "dynamsoft" or "local"');
+    }
+
     // Validate mrzMode
     if(!['camera', 'element', 'file'].includes(mrzMode)) {
       throw new Error('mrzMode must be "camera", "element", or "file"');
     }
 
+    // Camera mode is the Dynamsoft scanner UI
+    if(mrzEngine === 'local' && mrzMode === 'camera') {
+      throw new Error('mrzMode "camera" requires mrzEngine "dynamsoft"');
+    }
+
     // Validate scanMode
-    if(!['first', 'all', 'exhaustive'].includes(scanMode)) {
-      throw new Error('scanMode must be "first", "all", or "exhaustive"');
+    if(!['first', 'all', 'exhaustive', 'collect'].includes(scanMode)) {
+      throw new Error(
+        'scanMode must be "first", "all", "exhaustive", or "collect"');
     }
 
+    // Validate privacy policy
+    resolvePrivacyPolicy(privacy);
+
     // Store configuration
     this.config = {
       scanType,
+      mrzEngine,
       mrzMode,
       licenseKey,
-      scanMode
+      scanMode,
+      collectWindowMs,
+      scheduler,
+      workers,
+      privacy,
+      multipart,
+      structuredAppend,
+      document,
+      quality,
+      autoCapture,
+      region,
+      overlay
     };
 
+    this.logger = logger ? logger.child('camera') : getLogger('camera');
+
     // ===== INTERNAL STATE =====
     this._stream = null;
     this._videoElement = null;
     this._container = null; // Store container for plugin options
+    this._overlay = null;
+    // removes the overlay and its event listeners
+    this._detachOverlay = null;
     this._opticalScanner = null;
+    this._workerPool = null;
     this._isScanning = false;
+    // aborts the scan in progress when the scanner stops
+    this._scanController = null;
+    // results and captured frames handed out, wiped by dispose()
+    this._issued = new Set();
     this._torchState = false;
     this._zoomLevel = 1;
 
     // ===== INITIALIZE SCANNER =====
     this._initializeScanner();
-    console.log('CameraScanner initialized with config:', this.config);
+    this.logger.debug('Initialized with config:', this.config);
   }
 
   /**
@@ -73,20 +158,27 @@ export class CameraScanner extends EventEmitter {
   * @private
   */
   _initializeScanner() {
-    // console.log('_initializeScanner entry...');
 
     try {
       // ===== GET PLUGINS FOR SCAN TYPE =====
       const plugins = this._getPluginsForScanType();
 
-      // ===== CREATE OPTICAL SCANNER =====
-      this._opticalScanner = new OpticalScanner({plugins});
+      // ===== CREATE WORKER POOL =====
+      const {workers} = this.config;
+      if(workers) {
+        this._workerPool =
+          new WorkerPool(typeof workers === 'object' ? workers : {});
+      }
 
-      // console.log('Available formats:',
-      //   this._opticalScanner.getSupportedFormats());
+      // ===== CREATE OPTICAL SCANNER =====
+      this._opticalScanner = new OpticalScanner({
+        plugins,
+        workerPool: this._workerPool,
+        logger: this.logger
+      });
 
     } catch(error) {
-      console.error('CameraScanner initialization error:', error);
+      this.logger.error('Initialization failed:', error);
       throw error;
     }
   }
@@ -116,6 +208,25 @@ export class CameraScanner extends EventEmitter {
     }
   }
 
+  /**
+  * Get the overlay guide frame of a scan type (see `overlayGuides`):
+  * card shaped for documents with an MRZ, wide for PDF417 codes alone and
+  * square otherwise; a wide code still fits across a square guide, while a
+  * QR code would be cut by a wide one.
+  *
+  * @private
+  * @param {string} scanType - Scan type.
+  * @returns {string} Guide name.
+  */
+  _getDefaultGuide(scanType) {
+    const formats = this._getFormats(scanType);
+    if(formats.includes('mrz')) {
+      return 'id-card';
+    }
+    return formats.every(format => format.startsWith('pdf417')) ?
+      'pdf417' : 'qr';
+  }
+
   /**
   * Build plugin options based on formats array.
   *
@@ -130,19 +241,31 @@ export class CameraScanner extends EventEmitter {
   _buildPluginOptions(formats, licenseKey, container, mrzMode) {
     const pluginOptions = {};
 
+    // Structured append needs no license
+    if(this.config.structuredAppend) {
+      for(const format of ['qr_code', 'pdf417']) {
+        if(formats.includes(format)) {
+          pluginOptions[format] = {structuredAppend: true};
+        }
+      }
+    }
+
     // Only build options if license key is provided
     if(!licenseKey) {
-      console.log('No license key provided');
-      return pluginOptions;
+      this.logger.debug('No license key provided');
+      return this._addDocumentOptions(pluginOptions, formats, mrzMode);
     }
 
     // Build plugin options for each format
     formats.forEach(format => {
       switch(format) {
         case 'mrz':
+          // the local engine needs no license or container
+          if(this.config.mrzEngine === 'local') {
+            break;
+          }
           pluginOptions.mrz =
             this._buildMrzPluginOptions(licenseKey, container, mrzMode);
-          // console.log('MRZ plugin configured');
           break;
 
         case 'pdf417_enhanced':
@@ -151,7 +274,6 @@ export class CameraScanner extends EventEmitter {
             useDynamsoft: true,
             parseDL: true // Parse driver license data
           };
-          // console.log('Enhanced PDF417 plugin configured');
           break;
 
         // Standard plugins don't need special options
@@ -161,11 +283,40 @@ export class CameraScanner extends EventEmitter {
           break;
 
         default:
-          console.log(`No special plugin options needed for format: ${format}`);
+          this.logger.debug(
+            `No special plugin options needed for format: ${format}`);
       }
     });
 
-    // console.log('Built plugin options for formats:', formats.join(', '));
+    return this._addDocumentOptions(pluginOptions, formats, mrzMode);
+  }
+
+  /**
+  * Add the `document` option to the plugins that read documents.
+  *
+  * @private
+  * @param {object} pluginOptions - Plugin options to add to.
+  * @param {string[]} formats - Formats to scan.
+  * @param {string} mrzMode - MRZ mode.
+  * @returns {object} Plugin options object.
+  */
+  _addDocumentOptions(pluginOptions, formats, mrzMode) {
+    const {document, mrzEngine} = this.config;
+    if(!document) {
+      return pluginOptions;
+    }
+    for(const format of ['mrz', 'pdf417_enhanced']) {
+      if(!formats.includes(format)) {
+        continue;
+      }
+      // Dynamsoft camera and file modes read their own input
+      if(format === 'mrz' && mrzEngine === 'dynamsoft' &&
+        mrzMode !== 'element') {
+        this.logger.debug(`No document localization in ${mrzMode} mode`);
+        continue;
+      }
+      pluginOptions[format] = {...pluginOptions[format], document};
+    }
     return pluginOptions;
   }
 
@@ -229,6 +380,37 @@ export class CameraScanner extends EventEmitter {
     }
   }
 
+  /**
+  * Build the frame quality options of video scans from the `quality` and
+  * `autoCapture` config; reports are emitted as 'quality' events and
+  * auto-captured frames as 'capture' events. Captured frames show the
+  * whole document, so they are only emitted with the 'full' privacy policy
+  * and are wiped by `dispose()`.
+  *
+  * @private
+  * @returns {object} `{quality, onQuality, onCapture}`, or no options when
+  *  frames are not gated.
+  */
+  _getQualityOptions() {
+    const {quality, autoCapture, privacy} = this.config;
+    if(!quality && !autoCapture) {
+      return {};
+    }
+    return {
+      quality: {
+        ...(typeof quality === 'object' && quality),
+        ...(autoCapture && {windowMs: autoCapture.windowMs ?? 1000})
+      },
+      onQuality: report => this.emit('quality', report),
+      ...(privacy === 'full' && {
+        onCapture: capture => {
+          this._issued.add(capture);
+          this.emit('capture', capture);
+        }
+      })
+    };
+  }
+
   /**
   * Get timeout configuration based on scan type, mode, and formats.
   *
@@ -273,9 +455,10 @@ export class CameraScanner extends EventEmitter {
   * @returns {boolean} True for continuous scanning, false for single.
   */
   _determineScanningMode(scanType) {
-    // MRZ > single scan (both camera & element)
+    // MRZ > single scan (both camera & element); the local engine reads
+    // video frames continuously like barcodes
     if(scanType === 'mrz') {
-      return false;
+      return this.config.mrzEngine === 'local';
     }
 
     // Barcode > continuous scan
@@ -299,17 +482,19 @@ export class CameraScanner extends EventEmitter {
   * @returns {Array} Array of plugin objects.
   */
   _getPluginsForScanType() {
+    // both MRZ engines register the 'mrz' format
+    const mrz = this.config.mrzEngine === 'local' ? localMrzPlugin : mrzPlugin;
     const allPlugins = [
       qrCodePlugin,
       pdf417Plugin,
       enhancedPdf417Plugin,
-      mrzPlugin
+      mrz
     ].filter(plugin => plugin); // Filter out undefined
 
     // Filter plugins based on scanType
     switch(this.config.scanType) {
       case 'mrz':
-        return [mrzPlugin].filter(plugin => plugin);
+        return [mrz].filter(plugin => plugin);
 
       case 'barcode':
         return [qrCodePlugin, pdf417Plugin, enhancedPdf417Plugin]
@@ -323,6 +508,26 @@ export class CameraScanner extends EventEmitter {
     }
   }
 
+  /**
+  * Load the engines of the plugins for this scanner's `scanType` ahead of
+  * the first scan. `start()` calls it in the background; engines of other
+  * scan types are never loaded.
+  *
+  * @returns {Promise} Settles once the engines are loaded.
+  */
+  async preload() {
+    if(!this._opticalScanner) {
+      throw new Error('Scanner has been disposed.');
+    }
+    const {scanType, licenseKey, mrzMode} = this.config;
+    const formats = this._opticalScanner.getSupportedFormats();
+    await this._opticalScanner.preload({
+      formats,
+      pluginOptions: this._buildPluginOptions(
+        this._getFormats(scanType), licenseKey, this._container, mrzMode)
+    });
+  }
+
   /**
   * Start camera and handle complete container management.
   *
@@ -335,11 +540,12 @@ export class CameraScanner extends EventEmitter {
   async start(container, options = {}) {
     const {autoScan = false} = options;
 
-    console.log('=== CAMERA SCANNER START ===');
-    console.log('Scan type:', this.config.scanType);
-    console.log('MRZ mode:', this.config.mrzMode);
-    console.log('Container provided:', !!container);
-    console.log('Auto-scan requested:', autoScan);
+    this.logger.debug('Starting:', {
+      scanType: this.config.scanType,
+      mrzMode: this.config.mrzMode,
+      hasContainer: !!container,
+      autoScan
+    });
 
     // ===== VALIDATION =====
     if(!container) {
@@ -352,7 +558,7 @@ export class CameraScanner extends EventEmitter {
 
     // Return existing setup if already started
     if(this._stream && this._container) {
-      console.log('Camera already started, returning existing setup');
+      this.logger.debug('Camera already started, returning existing setup');
       return {
         success: true,
         videoReady: !!this._videoElement,
@@ -365,18 +571,22 @@ export class CameraScanner extends EventEmitter {
     try {
       // ===== EXISTING SETUP LOGIC =====
       this._container = container;
-      // console.log('Container stored for plugin configuration');
 
       const formats = this._getFormats(this.config.scanType);
-      // console.log('Formats determined:', formats);
+
+      // download engines while the camera starts; scans wait for them anyway
+      this.preload().catch(error => {
+        this.logger.warn('Preloading engines failed:', error);
+      });
 
       // ===== CONTAINER SETUP =====
       if(this.config.scanType === 'mrz' && this.config.mrzMode === 'camera') {
-        console.log('MRZ camera mode - Dynamsoft will manage container');
+        this.logger.debug('MRZ camera mode - Dynamsoft will manage container');
       } else {
-        console.log(`Setting up video element for` +
+        this.logger.debug(`Setting up video element for` +
           `${this.config.scanType} scanning`);
         await this._setupVideoElement(container);
+        this._setupOverlay(container);
       }
 
       this._pluginOptions = this._buildPluginOptions(
@@ -385,18 +595,17 @@ export class CameraScanner extends EventEmitter {
         container,
         this.config.mrzMode
       );
-      // console.log('Plugin options built with container reference');
 
       // ===== AUTO-START LOGIC =====
       let autoScanStarted = false;
       if(autoScan) {
-        console.log('Auto-starting scanning based on scanType:',
+        this.logger.debug('Auto-starting scanning based on scanType:',
           this.config.scanType);
 
         // Start scanning in the background (non-blocking)
         setTimeout(() => {
           this.scan(options).catch(error => {
-            console.log('Auto-scan completed or failed:', error.message);
+            this.logger.debug('Auto-scan completed or failed:', error.message);
             // let the scan method handle errors through events
           });
         }, 100); // Small delay to ensure start() completes first
@@ -414,12 +623,11 @@ export class CameraScanner extends EventEmitter {
         autoScanStarted // indicates if auto-scan was initiated
       };
 
-      // console.log('=== CAMERA SCANNER START COMPLETED ===');
       return result;
 
     } catch(error) {
       // ===== ERROR HANDLING ===== (unchanged)
-      console.error('CameraScanner.start() failed:', error);
+      this.logger.error('start() failed:', error);
       this.stop();
 
       return {
@@ -427,6 +635,7 @@ export class CameraScanner extends EventEmitter {
         scanType: this.config.scanType,
         mrzMode: this.config.mrzMode,
         error: this._formatStartError(error),
+        code: toScannerError(error).code,
         autoScanStarted: false
       };
     }
@@ -445,7 +654,7 @@ export class CameraScanner extends EventEmitter {
         ' before starting scanning.');
     }
 
-    console.log('Manual scanning initiated');
+    this.logger.debug('Manual scanning initiated');
     return this.scan(options);
   }
 
@@ -475,7 +684,67 @@ export class CameraScanner extends EventEmitter {
     // Insert video element into container
     container.appendChild(this._videoElement);
 
-    console.log('Video element created and inserted into container');
+    this.logger.debug('Video element created and inserted into container');
+  }
+
+  /**
+  * Add the scanning overlay over the video, if configured. Its status
+  * follows the scan events.
+  *
+  * @private
+  * @param {HTMLElement} container - Container element.
+  */
+  _setupOverlay(container) {
+    const {overlay: options, scanType} = this.config;
+    if(!options) {
+      return;
+    }
+    const overlay = this._overlay = new ScanOverlay(container, {
+      video: this._videoElement,
+      guide: this._getDefaultGuide(scanType),
+      ...(options === true ? {} : options)
+    });
+    overlay.setStatus('ready');
+
+    const listeners = {
+      quality: ({hints}) => overlay.setStatus(hints[0] ?? 'scanning'),
+      // Macro PDF417 segment counts are optional
+      progress: progress => overlay.setStatus(
+        progress.total === null ? 'progressUnknown' : 'progress', progress),
+      document: ({corners}) =>
+        overlay.showCodes([{cornerPoints: corners}], {kind: 'document'}),
+      result: () => overlay.setStatus('found'),
+      error: () => overlay.setStatus('error')
+    };
+    for(const [event, listener] of Object.entries(listeners)) {
+      this.on(event, listener);
+    }
+    this._detachOverlay = () => {
+      for(const [event, listener] of Object.entries(listeners)) {
+        this.removeListener(event, listener);
+      }
+      overlay.destroy();
+    };
+  }
+
+  /**
+  * Create the signal of a scan, aborted by `stop()` or `signal`.
+  *
+  * @param {AbortSignal} [signal] - Caller's abort signal.
+  *
+  * @returns {AbortSignal} Scan signal.
+  * @private
+  */
+  _createScanSignal(signal) {
+    const controller = new AbortController();
+    this._scanController = controller;
+    if(signal?.aborted) {
+      controller.abort(signal.reason);
+    } else {
+      signal?.addEventListener('abort', () => controller.abort(signal.reason),
+        {once: true});
+    }
+    return controller.signal;
   }
 
   /**
@@ -486,10 +755,11 @@ export class CameraScanner extends EventEmitter {
   * @returns {string} User-friendly error message.
   */
   _formatStartError(error) {
-    if(error.name === 'NotAllowedError') {
+    const {code} = toScannerError(error);
+    if(code === errorCodes.CAMERA_PERMISSION_DENIED) {
       return 'Camera permission denied. Please allow camera access' +
         ' and try again.';
-    } else if(error.name === 'NotFoundError') {
+    } else if(code === errorCodes.CAMERA_NOT_FOUND) {
       return 'No camera found. Please connect a camera and try again.';
     } else if(error.message.includes('timeout')) {
       return 'Camera initialization timed out. Please try again.';
@@ -504,13 +774,24 @@ export class CameraScanner extends EventEmitter {
   * Scan for specific formats based on scanType configuration.
   * Uses targeted format selection for faster, focused scanning.
   *
+  * In 'collect' scan mode, every distinct code seen during the collection
+  * window is gathered: `code-added` and `code-updated` events fire as codes
+  * appear and move, and the result lists them all under `codes`.
+  *
   * @param {object} [options] - Scan options (e.g., {signal} for aborting).
+  * @param {number} [options.collectWindowMs] - Overrides the configured
+  *  collection window in 'collect' mode.
+  * @param {number} [options.maxCodes] - In 'collect' mode, resolve early
+  *  once this many distinct codes were seen.
+  * @param {object} [options.scheduler] - Overrides the configured frame
+  *  scheduler options for video scans.
+  * @param {boolean} [options.multipart] - Overrides the configured
+  *  `multipart` option: gather the parts of animated multi-part codes,
+  *  emitting `progress` events, and resolve with the reassembled message.
   * @returns {Promise<object>} Formatted scan result.
   */
   async scan(options = {}) {
-    console.log('=== CAMERA SCANNER SCAN ENTRY ===');
-    // console.log('Scan type:', this.config.scanType);
-    // console.log('MRZ mode:', this.config.mrzMode);
+    this.logger.debug('Scan requested:', {scanType: this.config.scanType});
 
     // ===== EXTRACT SIGNAL FROM OPTIONS =====
     const {signal} = options;
@@ -534,6 +815,8 @@ export class CameraScanner extends EventEmitter {
     }
 
     this._isScanning = true;
+    const scanSignal = this._createScanSignal(signal);
+    this._overlay?.setStatus('scanning');
 
     try {
       // ===== GET CONFIGURATION USING PRIVATE METHODS =====
@@ -544,8 +827,14 @@ export class CameraScanner extends EventEmitter {
       const useContinuous =
         this._determineScanningMode(this.config.scanType);
       const scanSource = this._getScanSource();
+      // video scans report per-frame timing as 'frame-stats' events
+      const scheduler = {
+        ...this.config.scheduler,
+        ...options.scheduler,
+        onStats: stats => this.emit('frame-stats', stats)
+      };
 
-      console.log('Scan configuration:', {
+      this.logger.debug('Scan configuration:', {
         formats,
         timeoutMs: timeoutMs + 'ms',
         useContinuous,
@@ -555,6 +844,28 @@ export class CameraScanner extends EventEmitter {
       // ===== DIRECT DELEGATION TO OPTICAL SCANNER =====
       let results;
 
+      if(this.config.scanMode === 'collect') {
+        const codes = await this._opticalScanner.scanCollect(scanSource, {
+          formats,
+          pluginOptions: this._pluginOptions,
+          durationMs: options.collectWindowMs ?? this.config.collectWindowMs,
+          maxCodes: options.maxCodes,
+          scheduler,
+          region: this._getRegion(scanSource, options),
+          ...this._getQualityOptions(),
+          signal: scanSignal,
+          onCode: async ({type, code}) => {
+            this._overlay?.showCodes([code]);
+            this.emit(`code-${type}`,
+              await this._protectResult(this._formatCode(code)));
+          }
+        });
+        const result =
+          await this._protectResult(this._formatCollectedCodes(codes));
+        this.emit('result', result);
+        return result;
+      }
+
       // TODO: scanContinuous and scan functions -- pass options directly
       // from CameraScanner.scan(options) > OpticalScanner.scan(options)
       // and CameraScanner.scan(options) >
@@ -563,47 +874,61 @@ export class CameraScanner extends EventEmitter {
 
       if(useContinuous) {
         // BARCODE > Continuous scanning
-        console.log('Delegating to OpticalScanner.scanContinuous()');
+        this.logger.debug('Delegating to OpticalScanner.scanContinuous()');
         results = await this._opticalScanner.scanContinuous(scanSource, {
           formats,
           mode: this.config.scanMode,
           pluginOptions: this._pluginOptions,
           timeoutMs,
-          signal
+          scheduler,
+          multipart: options.multipart ?? this.config.multipart,
+          onProgress: progress => this.emit('progress', progress),
+          onDocument: document => this.emit('document', document),
+          region: this._getRegion(scanSource, options),
+          ...this._getQualityOptions(),
+          signal: scanSignal
         });
       } else {
         // MRZ > Single scan
-        console.log('Delegating to OpticalScanner.scan()');
+        this.logger.debug('Delegating to OpticalScanner.scan()');
         results = await this._opticalScanner.scan(scanSource, {
           formats,
           mode: this.config.scanMode,
           pluginOptions: this._pluginOptions,
           timeoutMs,
-          signal
+          onDocument: document => this.emit('document', document),
+          region: this._getRegion(scanSource, options),
+          signal: scanSignal
         });
       }
 
       // ===== FORMAT AND RETURN RESULTS =====
-      const result = this._formatScanResults(results);
+      this._overlay?.showCodes((results || []).flatMap(({data}) => data || []));
+      const result =
+        await this._protectResult(this._formatScanResults(results));
 
       // === Emit result event ===
       this.emit('result', result);
       return result;
 
     } catch(error) {
-      console.error('Specific format scan failed:', error);
+      this.logger.error('Specific format scan failed:', error);
 
       const formattedError = this._formatScanError(error);
 
       // === Emit error event ===
       this.emit('error', {
         message: formattedError.message,
-        code: formattedError.code || 'SCAN_ERROR'
+        code: formattedError.code
       });
       throw formattedError;
 
     } finally {
       this._isScanning = false;
+      // unless stop() let another scan start meanwhile
+      if(this._scanController?.signal === scanSignal) {
+        this._scanController = null;
+      }
     }
   }
 
@@ -620,7 +945,7 @@ export class CameraScanner extends EventEmitter {
   * @returns {Promise<object>} Formatted scan result.
   */
   async scanAny(options = {}) {
-    console.log('=== CAMERA SCANNER SCAN ANY (AUTO-DETECT) ===');
+    this.logger.debug('Auto-detect scan requested');
 
     // ===== EXTRACT SIGNAL FROM OPTIONS =====
     const {signal} = options;
@@ -644,6 +969,7 @@ export class CameraScanner extends EventEmitter {
     }
 
     this._isScanning = true;
+    const scanSignal = this._createScanSignal(signal);
 
     try {
       // ===== GET CONFIGURATION FOR AUTO-DETECT =====
@@ -655,14 +981,14 @@ export class CameraScanner extends EventEmitter {
       const timeoutMs =
         this._getTimeout(this.config.scanType, this.config.mrzMode, allFormats);
 
-      console.log('Auto-detect configuration:', {
+      this.logger.debug('Auto-detect configuration:', {
         allFormats,
         timeoutMs: timeoutMs + 'ms',
         scanSource: scanSource?.constructor?.name || 'undefined'
       });
 
       // ===== DIRECT DELEGATION TO OPTICAL SCANNER =====
-      console.log('Delegating to OpticalScanner.scanAny()');
+      this.logger.debug('Delegating to OpticalScanner.scanAny()');
 
       // TODO: scanAny functions -- pass options directly
       // from CameraScanner.scanAny(options) > OpticalScanner.scanAny(options)
@@ -672,27 +998,55 @@ export class CameraScanner extends EventEmitter {
         mode: 'first', // First successful format wins
         pluginOptions: this._pluginOptions,
         timeoutMs,
-        signal
+        signal: scanSignal
       });
 
       // ===== AUTO-STOP CAMERA AFTER SUCCESSFUL SCAN =====
       if(results && results.length > 0) {
-        console.log('CameraScanner: Auto-stopping camera after ' +
-          'successful');
+        this.logger.debug('Auto-stopping camera after successful scan');
         this.stop();
       }
 
       // ===== FORMAT AND RETURN RESULTS =====
-      return this._formatScanResults(results);
+      return this._protectResult(this._formatScanResults(results));
 
     } catch(error) {
-      console.error('Auto-detect scan failed:', error);
+      this.logger.error('Auto-detect scan failed:', error);
       throw this._formatScanError(error);
     } finally {
       this._isScanning = false;
+      // unless stop() let another scan start meanwhile
+      if(this._scanController?.signal === scanSignal) {
+        this._scanController = null;
+      }
     }
   }
 
+  /**
+  * Get the region of interest of a scan. A guide element is measured
+  * against the video when the scan starts.
+  *
+  * @private
+  * @param {*} scanSource - Source of the scan.
+  * @param {object} options - Scan options.
+  * @returns {object|null} Region, or null to scan whole frames.
+  */
+  _getRegion(scanSource, options) {
+    let region = options.region ?? this.config.region;
+    if(region === 'guide') {
+      region = this._overlay?.guide.hidden === false ?
+        this._overlay.guide : null;
+    }
+    // the Dynamsoft camera UI reads its own frames
+    if(!region || scanSource !== this._videoElement) {
+      return null;
+    }
+    if(typeof region.getBoundingClientRect === 'function') {
+      return getGuideRegion(region, scanSource);
+    }
+    return region;
+  }
+
   /**
   * Get scan source based on scan type and mode.
   *
@@ -742,8 +1096,29 @@ export class CameraScanner extends EventEmitter {
       throw new Error('No valid result in results array');
     }
 
-    console.log('Formatting scan result:', result.format);
+    this.logger.debug('Formatting scan result:', result.format);
+
+    const formatted = this._formatResult(result);
 
+    // 'all' and 'exhaustive' modes can find several codes
+    if(Array.isArray(results)) {
+      const codes = results.flatMap(({format, data}) =>
+        (data || []).map(code => this._formatResult({format, data: [code]})));
+      if(codes.length > 1) {
+        formatted.codes = codes;
+      }
+    }
+    return formatted;
+  }
+
+  /**
+  * Format one `{format, data}` scan result.
+  *
+  * @private
+  * @param {object} result - Scan result of one format.
+  * @returns {object} Formatted result.
+  */
+  _formatResult(result) {
     // Base result object with CameraScanner context
     const baseResult = {
       success: true,
@@ -752,6 +1127,11 @@ export class CameraScanner extends EventEmitter {
       format: result.format,
       timestamp: new Date().toISOString()
     };
+    // where the document was found, to outline it
+    const document = result.data?.[0]?.document;
+    if(document) {
+      baseResult.document = document;
+    }
 
     // Format-specific processing
     switch(result.format) {
@@ -772,6 +1152,45 @@ export class CameraScanner extends EventEmitter {
     }
   }
 
+  /**
+  * Format a code collected in 'collect' mode.
+  *
+  * @private
+  * @param {object} code - Code from `OpticalScanner.scanCollect()`.
+  * @returns {object} Formatted result with the code's key, location and
+  *  sighting statistics.
+  */
+  _formatCode(code) {
+    const {key, boundingBox, cornerPoints, count, firstSeen, lastSeen} = code;
+    return {
+      ...this._formatResult({format: code.format, data: [code.result]}),
+      key,
+      boundingBox,
+      cornerPoints,
+      count,
+      firstSeen,
+      lastSeen
+    };
+  }
+
+  /**
+  * Format the codes collected in 'collect' mode.
+  *
+  * @private
+  * @param {object[]} codes - Codes from `OpticalScanner.scanCollect()`.
+  * @returns {object} Result with every formatted code under `codes`.
+  */
+  _formatCollectedCodes(codes) {
+    return {
+      success: codes.length > 0,
+      scanType: this.config.scanType,
+      mrzMode: this.config.mrzMode,
+      scanMode: 'collect',
+      codes: codes.map(code => this._formatCode(code)),
+      timestamp: new Date().toISOString()
+    };
+  }
+
   /**
    * Format MRZ scan result.
    *
@@ -884,10 +1303,12 @@ export class CameraScanner extends EventEmitter {
       }
     }
 
+    const multipart = result.data?.[0]?.multipart;
     return {
       ...baseResult,
       type: 'QR_CODE',
       text: qrText || 'No QR code text found',
+      ...(multipart && {multipart}),
       rawData: result.data
     };
   }
@@ -897,37 +1318,89 @@ export class CameraScanner extends EventEmitter {
   *
   * @private
   * @param {Error} error - Original error.
-  * @returns {Error} Formatted error.
+  * @returns {Error} Formatted error with the code of `error`.
   */
   _formatScanError(error) {
+    const {code} = toScannerError(error);
     let userMessage;
-    let errorCode;
-
-    if(error.message === 'SCAN_TIMEOUT' || error.message.includes('timeout')) {
-      userMessage = 'Scan timed out. Try repositioning or improving lighting.';
-      errorCode = 'SCAN_TIMEOUT';
-    } else if(error.message.includes('No results') ||
-        error.message.includes('not found')) {
-      userMessage = 'No optical codes detected. Try repositioning' +
-        ' the document.';
-      errorCode = 'NO_RESULTS';
-    } else if(error.name === 'AbortError') {
-      userMessage = 'Scan was cancelled.';
-      errorCode = 'SCAN_CANCELLED';
-    } else {
-      userMessage = error.message || 'Scanning failed. Please try again.';
-      errorCode = 'SCAN_ERROR';
+
+    switch(code) {
+      case errorCodes.SCAN_TIMEOUT:
+        userMessage =
+          'Scan timed out. Try repositioning or improving lighting.';
+        break;
+      case errorCodes.NO_RESULTS:
+        userMessage = 'No optical codes detected. Try repositioning' +
+          ' the document.';
+        break;
+      case errorCodes.ABORTED:
+        userMessage = 'Scan was cancelled.';
+        break;
+      case errorCodes.LICENSE_MISSING:
+      case errorCodes.LICENSE_INVALID:
+        userMessage = 'Scanner license is missing or invalid.';
+        break;
+      default:
+        userMessage = error.message || 'Scanning failed. Please try again.';
     }
 
-    const formattedError = new Error(userMessage);
-    formattedError.code = errorCode;
+    const formattedError = toScannerError(error, {message: userMessage});
+    // kept for compatibility; same as `cause`
     formattedError.originalError = error;
     return formattedError;
   }
 
+  /**
+  * Apply the configured privacy policy to a formatted result and remember
+  * it for `dispose()`.
+  *
+  * @private
+  * @param {object} result - Formatted result.
+  * @returns {Promise<object>} Result to hand out.
+  */
+  async _protectResult(result) {
+    const protectedResult =
+      await applyPrivacyPolicy(result, this.config.privacy);
+    this._issued.add(protectedResult);
+    return protectedResult;
+  }
+
+  /**
+  * Stop the camera and wipe everything this scanner retains: the results
+  * and captured frames it returned or emitted (emptied in place, see
+  * `wipe()`) and its plugin options, which hold the license key. Event
+  * listeners are removed and the scanner cannot scan afterwards.
+  */
+  dispose() {
+    this.stop();
+    for(const result of this._issued) {
+      wipe(result);
+    }
+    this._issued.clear();
+    if(this._pluginOptions) {
+      wipe(this._pluginOptions);
+      this._pluginOptions = null;
+    }
+    this._opticalScanner = null;
+    this.removeAllListeners();
+    this.logger.info('Disposed');
+  }
+
+  /**
+  * Stop the camera and tear down scanning: the scan in progress is aborted
+  * with a `ScanAbortedError`, workers are terminated and the plugins'
+  * engine instances are released. `start()` sets everything up again.
+  */
   stop() {
     // Clean up resources
     this._isScanning = false;
+    this._scanController?.abort(new ScanAbortedError('Scanner was stopped.'));
+    this._scanController = null;
+
+    // workers are created again on the next scan
+    this._workerPool?.terminate();
+    // engine instances are created again on the next scan
+    this._opticalScanner?.dispose();
 
     if(this._stream) {
       this._stream.getTracks().forEach(track => track.stop());
@@ -939,8 +1412,12 @@ export class CameraScanner extends EventEmitter {
       this._videoElement = null;
     }
 
+    this._detachOverlay?.();
+    this._detachOverlay = null;
+    this._overlay = null;
+
     this._container = null;
-    console.log('CameraScanner stopped and cleaned up');
+    this.logger.info('Stopped and cleaned up');
   }
 
   // ===== OVER ENGINEERING SECTION =====
@@ -970,7 +1447,7 @@ export class CameraScanner extends EventEmitter {
     try {
       return cameraUtils.getCameraCapabilities(this._stream);
     } catch(error) {
-      console.error('Error getting camera capabilities:', error);
+      this.logger.error('Error getting camera capabilities:', error);
       return {
         zoom: false,
         torch: false,
@@ -995,7 +1472,7 @@ export class CameraScanner extends EventEmitter {
     try {
       return await cameraUtils.getCameraList();
     } catch(error) {
-      console.error('Error getting camera list:', error);
+      this.logger.error('Error getting camera list:', error);
       return [];
     }
   }
@@ -1026,7 +1503,7 @@ export class CameraScanner extends EventEmitter {
     const targetState = enabled !== undefined ? enabled : !currentState;
 
     try {
-      console.log(`Setting torch: ${currentState} -> ${targetState}`);
+      this.logger.debug(`Setting torch: ${currentState} -> ${targetState}`);
 
       // Apply torch constraint using camera utilities
       await cameraUtils.applyCameraConstraints(this._stream, {
@@ -1036,11 +1513,11 @@ export class CameraScanner extends EventEmitter {
       // Update internal state
       this._torchState = targetState;
 
-      console.log(`Torch ${targetState ? 'enabled' : 'disabled'} successfully`);
+      this.logger.info(`Torch ${targetState ? 'enabled' : 'disabled'}`);
       return targetState;
 
     } catch(error) {
-      console.error('Torch control error:', error);
+      this.logger.error('Torch control error:', error);
       throw new Error(
         `Failed to ${targetState ? 'enable' : 'disable'} torch: ` +
         error.message
@@ -1078,7 +1555,7 @@ export class CameraScanner extends EventEmitter {
 
     try {
       const currentLevel = this._zoomLevel || 1;
-      console.log(`Setting zoom: ${currentLevel} -> ${level}`);
+      this.logger.debug(`Setting zoom: ${currentLevel} -> ${level}`);
 
       // Apply zoom constraint using camera utilities
       await cameraUtils.applyCameraConstraints(this._stream, {
@@ -1088,11 +1565,11 @@ export class CameraScanner extends EventEmitter {
       // Update internal state
       this._zoomLevel = level;
 
-      console.log(`Zoom set to ${level} successfully`);
+      this.logger.info(`Zoom set to ${level}`);
       return level;
 
     } catch(error) {
-      console.error('Zoom control error:', error);
+      this.logger.error('Zoom control error:', error);
       throw new Error(`Failed to set zoom to ${level}: ${error.message}`);
     }
   }
@@ -1124,7 +1601,8 @@ export class CameraScanner extends EventEmitter {
     }
 
     try {
-      console.log(`Switching camera to: ${targetCamera.label || deviceId}`);
+      this.logger.info(
+        `Switching camera to: ${targetCamera.label || deviceId}`);
 
       // Stop current camera
       if(this._stream) {
@@ -1142,7 +1620,7 @@ export class CameraScanner extends EventEmitter {
       // Override with specific device ID
       constraints.video.deviceId = {exact: deviceId};
 
-      console.log('Starting new camera with constraints:', constraints);
+      this.logger.debug('Starting new camera with constraints:', constraints);
 
       // Start new camera stream
       this._stream = await cameraUtils.startCameraStream(constraints);
@@ -1166,7 +1644,7 @@ export class CameraScanner extends EventEmitter {
       this._torchState = false;
       this._zoomLevel = 1;
 
-      console.log(
+      this.logger.debug(
         `Successfully switched to camera: ${
           targetCamera.label || deviceId
         }`
@@ -1174,14 +1652,14 @@ export class CameraScanner extends EventEmitter {
       return this._videoElement;
 
     } catch(error) {
-      console.error('Camera switch error:', error);
+      this.logger.error('Camera switch error:', error);
 
       // Try to recover by restarting original camera
       try {
-        console.log('Attempting to recover original camera...');
+        this.logger.debug('Attempting to recover original camera...');
         await this.start(this._container); // Restart with default camera
       } catch(recoveryError) {
-        console.error('Failed to recover camera:', recoveryError);
+        this.logger.error('Failed to recover camera:', recoveryError);
       }
 
       throw new Error(`Failed to switch camera: ${error.message}`);
@@ -1215,7 +1693,7 @@ export class CameraScanner extends EventEmitter {
       // Convert single file to array for consistent processing
       const fileArray = Array.isArray(files) ? files : [files];
 
-      console.log(
+      this.logger.debug(
         `Starting file scan - Files: ${fileArray.length}, ` +
         `Type: ${this.config.scanType}`
       );
@@ -1235,26 +1713,31 @@ export class CameraScanner extends EventEmitter {
       const file = fileArray[0];
       const results = await this._opticalScanner.scan(file, {
         formats,
-        mode: this.config.scanMode,
+        // a single image holds every code at once: exhaustive finds them all
+        mode: this.config.scanMode === 'collect' ?
+          'exhaustive' : this.config.scanMode,
         pluginOptions: filePluginOptions
       });
 
       if(results && results.length > 0) {
         // Format the result using existing formatting methods
-        const result = this._formatScanResults(results);
+        const result =
+          await this._protectResult(this._formatScanResults(results));
         this.emit('result', result);
         return result;
       } else {
-        throw new Error('No optical codes found in uploaded file');
+        throw new NoResultsError('No optical codes found in uploaded file');
       }
     } catch(error) {
-      console.error('File scan error:', error);
-      const errorMessage = `File scanning failed: ${error.message}`;
+      this.logger.error('File scan error:', error);
+      const formattedError = toScannerError(error, {
+        message: `File scanning failed: ${error.message}`
+      });
       this.emit('error', {
-        message: errorMessage,
-        code: 'FILE_SCAN_ERROR'
+        message: formattedError.message,
+        code: formattedError.code
       });
-      throw new Error(errorMessage);
+      throw formattedError;
     }
   }
 }
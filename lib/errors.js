@@ -0,0 +1,212 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Errors thrown by `OpticalScanner`, `CameraScanner` and the plugins. Every
+ * error has a stable `code` from `errorCodes`; the original error, if any,
+ * is kept as `cause`.
+ */
+
+export const errorCodes = Object.freeze({
+  SCAN_TIMEOUT: 'SCAN_TIMEOUT',
+  NO_RESULTS: 'NO_RESULTS',
+  LICENSE_MISSING: 'LICENSE_MISSING',
+  LICENSE_INVALID: 'LICENSE_INVALID',
+  CAMERA_PERMISSION_DENIED: 'CAMERA_PERMISSION_DENIED',
+  CAMERA_NOT_FOUND: 'CAMERA_NOT_FOUND',
+  UNSUPPORTED_SOURCE: 'UNSUPPORTED_SOURCE',
+  PLUGIN_FAILED: 'PLUGIN_FAILED',
+  ABORTED: 'ABORTED',
+  // anything else
+  SCAN_ERROR: 'SCAN_ERROR'
+});
+
+/**
+* Base class of all scanner errors.
+*/
+export class ScannerError extends Error {
+  /**
+  * @param {string} message - Message.
+  * @param {object} [options] - Options.
+  * @param {string} [options.code='SCAN_ERROR'] - Error code.
+  * @param {Error} [options.cause] - Underlying error.
+  * @param {string} [options.format] - Format of the plugin involved.
+  */
+  constructor(message, {code = errorCodes.SCAN_ERROR, cause, format} = {}) {
+    super(message, cause === undefined ? undefined : {cause});
+    this.name = 'ScannerError';
+    this.code = code;
+    if(format) {
+      this.format = format;
+    }
+  }
+}
+
+/**
+* The scan did not finish within `timeoutMs`.
+*/
+export class ScanTimeoutError extends ScannerError {
+  constructor(message = 'Scan timed out.', options = {}) {
+    super(message, {...options, code: errorCodes.SCAN_TIMEOUT});
+    this.name = 'ScanTimeoutError';
+  }
+}
+
+/**
+* No plugin found anything. `errors` holds the `PluginError`s of the plugins
+* that failed rather than finding nothing.
+*/
+export class NoResultsError extends ScannerError {
+  /**
+  * @param {string} [message] - Message.
+  * @param {object} [options] - `ScannerError` options, plus the following.
+  * @param {PluginError[]} [options.errors=[]] - Per-plugin failures.
+  */
+  constructor(message = 'No results found.', {errors = [], ...options} = {}) {
+    super(message, {...options, code: errorCodes.NO_RESULTS});
+    this.name = 'NoResultsError';
+    this.errors = errors;
+  }
+}
+
+/**
+* A license key is missing (`LICENSE_MISSING`) or was rejected
+* (`LICENSE_INVALID`).
+*/
+export class LicenseError extends ScannerError {
+  constructor(message, {code = errorCodes.LICENSE_MISSING, ...options} = {}) {
+    super(message, {...options, code});
+    this.name = 'LicenseError';
+  }
+}
+
+/**
+* The camera could not be used: `CAMERA_PERMISSION_DENIED` or
+* `CAMERA_NOT_FOUND`.
+*/
+export class CameraError extends ScannerError {
+  constructor(message, {code = errorCodes.CAMERA_NOT_FOUND, ...options} = {}) {
+    super(message, {...options, code});
+    this.name = 'CameraError';
+  }
+}
+
+/**
+* The source cannot be scanned (wrong type, or no pixels yet).
+*/
+export class UnsupportedSourceError extends ScannerError {
+  constructor(message, options = {}) {
+    super(message, {...options, code: errorCodes.UNSUPPORTED_SOURCE});
+    this.name = 'UnsupportedSourceError';
+  }
+}
+
+/**
+* A plugin failed; `format` names the plugin and `cause` holds its error.
+*/
+export class PluginError extends ScannerError {
+  constructor(message, options = {}) {
+    super(message, {...options, code: errorCodes.PLUGIN_FAILED});
+    this.name = 'PluginError';
+  }
+}
+
+/**
+* The scan was cancelled. Named `AbortError` like the `DOMException` raised
+* by `AbortSignal`, so existing `error.name === 'AbortError'` checks match.
+*/
+export class ScanAbortedError extends ScannerError {
+  constructor(message = 'Scan was cancelled.', options = {}) {
+    super(message, {...options, code: errorCodes.ABORTED});
+    this.name = 'AbortError';
+  }
+}
+
+/**
+* Wrap any error in the matching `ScannerError`. Scanner errors are returned
+* unchanged unless a new message is given, in which case they are wrapped in
+* a copy of their own class.
+*
+* @param {Error} error - Error to classify.
+* @param {object} [options] - Options.
+* @param {string} [options.format] - Plugin format; unclassified errors
+*  become `PluginError`s when given.
+* @param {string} [options.message] - Message of the new error; defaults to
+*  the message of `error`.
+*
+* @returns {ScannerError} Scanner error with `error` as `cause`.
+*/
+export function toScannerError(error, {format, message} = {}) {
+  if(error instanceof ScannerError) {
+    if(message === undefined) {
+      if(format && !error.format) {
+        error.format = format;
+      }
+      return error;
+    }
+    const wrapped = new error.constructor(message, {
+      code: error.code,
+      cause: error,
+      format: format || error.format
+    });
+    if(error.errors) {
+      wrapped.errors = error.errors;
+    }
+    return wrapped;
+  }
+
+  message = message ?? (error?.message || String(error));
+  const options = {cause: error, format};
+  if(error?.name === 'AbortError') {
+    return new ScanAbortedError(message, options);
+  }
+  if(format) {
+    // detectors reject sources without decodable pixels (video not ready)
+    if(error?.name === 'InvalidStateError') {
+      return new UnsupportedSourceError(message, options);
+    }
+  } else {
+    // `getUserMedia()` failures
+    switch(error?.name) {
+      case 'NotAllowedError':
+      case 'SecurityError':
+        return new CameraError(message, {
+          ...options, code: errorCodes.CAMERA_PERMISSION_DENIED
+        });
+      case 'NotFoundError':
+      case 'OverconstrainedError':
+        return new CameraError(message, {
+          ...options, code: errorCodes.CAMERA_NOT_FOUND
+        });
+    }
+  }
+  if(isLicenseError(error)) {
+    return new LicenseError(message, {
+      ...options, code: errorCodes.LICENSE_INVALID
+    });
+  }
+  return format ?
+    new PluginError(message, options) : new ScannerError(message, options);
+}
+
+/**
+* Check whether an error is about a license, such as a Dynamsoft license
+* that is invalid or expired. Scanner errors are told by their class and
+* code; raw engine errors, which have neither, by their message.
+*
+* @param {Error} error - Scanner or engine error.
+*
+* @returns {boolean} True for license errors.
+*/
+export function isLicenseError(error) {
+  if(error instanceof LicenseError ||
+    error?.code === errorCodes.LICENSE_MISSING ||
+    error?.code === errorCodes.LICENSE_INVALID) {
+    return true;
+  }
+  if(error instanceof ScannerError) {
+    return false;
+  }
+  return /licen[cs]e/i.test(error?.message || '');
+}
@@ -1,6 +1,26 @@
 /*!
  * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
  */
+import {
+  crop,
+  getCropRegions,
+  invert,
+  mapLocation,
+  rotate,
+  scale,
+  stretchContrast
+} from './utils/image-transforms.js';
+import {NoResultsError, ScanTimeoutError, toScannerError} from './errors.js';
+import {CodeCollection} from './utils/code-collection.js';
+import {FrameQualityAnalyzer} from './utils/frame-quality.js';
+import {FrameScheduler} from './utils/frame-scheduler.js';
+import {getLogger} from './utils/logger.js';
+import {getSourceRegion} from './utils/roi.js';
+import {localizeDocument} from './utils/document.js';
+import {MultipartAssembler} from './utils/multipart.js';
+import {preloadPlugins} from './utils/engines.js';
+import {preprocessImage} from './utils/preprocess.js';
+import {toImageData} from './utils/image.js';
 
 /**
  * Core optical scanner that provides async API for scanning various formats
@@ -8,8 +28,18 @@
  */
 
 export class OpticalScanner {
-  constructor({plugins = []} = {}) {
+  /**
+  * @param {object} [options] - Options.
+  * @param {object[]} [options.plugins] - Plugins to register.
+  * @param {object} [options.workerPool] - `WorkerPool` that runs plugins
+  *  declaring `workerSafe: true` off the main thread.
+  * @param {object} [options.logger] - `Logger` to use; defaults to the
+  *  shared 'scanner' logger. Plugins get its `plugin:<format>` children.
+  */
+  constructor({plugins = [], workerPool = null, logger} = {}) {
     this.plugins = new Map();
+    this.workerPool = workerPool;
+    this.logger = logger ? logger.child('scanner') : getLogger('scanner');
 
     // Register provided plugins
     plugins.forEach(plugin => this.registerPlugin(plugin));
@@ -23,6 +53,23 @@ export class OpticalScanner {
   *  (e.g., 'qr_code', 'pdf417').
   * @param {Function} plugin.scan - Scan function:
   *  (source, options) => Promise<results>.
+  * @param {boolean} [plugin.workerSafe] - True if the plugin needs no DOM
+  *  and can run in the scanner's worker pool.
+  * @param {string[]} [plugin.engines] - Engines (see `loadEngine()`) the
+  *  plugin loads on its first scan.
+  * @param {Function} [plugin.preload] - Loads the plugin's engines:
+  *  (pluginOptions) => Promise; replaces loading `engines`.
+  * @param {Function} [plugin.init] - Creates the plugin's engine instances
+  *  ahead of the first scan: (pluginOptions) => Promise.
+  * @param {Function} [plugin.dispose] - Releases the plugin's engine
+  *  instances: () => Promise. Scans after it create new ones.
+  * @param {object} [plugin.batch] - Plugin decoding several formats in one
+  *  pass, given them as the `formats` option; formats naming the same
+  *  `batch` are scanned together.
+  * @param {string[]} [plugin.batchFormats] - Formats the plugin needs the
+  *  `batch` to decode; defaults to its own `format`.
+  * @param {Function} [plugin.fromBatch] - Converts the results a `batch`
+  *  pass found for the plugin's `batchFormats`: (results) => results.
   */
   registerPlugin(plugin) {
     if(!plugin.format || !plugin.scan) {
@@ -45,7 +92,19 @@ export class OpticalScanner {
   * @param {AbortSignal} options.signal -
   *  Abort signal for cancellation.
   * @param {object} options.pluginOptions -
-  *  Options passed to individual plugins.
+  *  Options passed to individual plugins. Two are handled before the
+  *  plugin runs: `document` (true, or `localizeDocument()` options) warps
+  *  the ID card or passport page in view upright, and `preprocess` runs a
+  *  pipeline (see `preprocessImage()`). Result locations are mapped back
+  *  to the source, and results read from a document get `document:
+  *  {corners, size, confidence}`.
+  * @param {object} [options.exhaustive] - Passes run in 'exhaustive' mode
+  *  (see `_getExhaustivePasses`).
+  * @param {Function} [options.onDocument] - Called with `{corners, size,
+  *  confidence}` when a document is localized, so it can be outlined.
+  * @param {object} [options.region] - Region of interest (see
+  *  `resolveRegion()`): only this part of the source is decoded, by every
+  *  plugin. Result locations stay in full-frame coordinates.
   *
   * @returns {Promise<object[]>} Array of scan results with format and data.
   */
@@ -55,9 +114,16 @@ export class OpticalScanner {
       mode = 'first',
       signal,
       pluginOptions = {},
-      timeoutMs = 0
+      timeoutMs = 0,
+      exhaustive = {},
+      onDocument,
+      region
     } = options;
 
+    if(region) {
+      return this._scanRegion(source, region, options);
+    }
+
     // Create timeout-aware signal
     const controller = this._createTimeoutController(signal, timeoutMs);
     const effectiveSignal = controller?.signal || signal;
@@ -71,34 +137,38 @@ export class OpticalScanner {
     // Check for abort
     effectiveSignal?.throwIfAborted();
 
+    // Exhaustive mode rescans transformed copies of the source per format
+    if(mode === 'exhaustive') {
+      return this._scanExhaustive(source, {
+        formats,
+        pluginOptions,
+        signal: effectiveSignal,
+        exhaustive
+      });
+    }
+
     const results = [];
     const promises = [];
+    const scans = this._startScans(source, formats, {
+      pluginOptions,
+      signal: effectiveSignal,
+      onDocument
+    });
 
-    for(const format of formats) {
-      const plugin = this.plugins.get(format);
-
-      // Debug Logs
-      console.log('=== OPTICAL SCANNER LAYER - PLUGIN OPTIONS EXTRACTION ===');
-      console.log('Format:', format);
-      console.log('pluginOptions object:', pluginOptions);
-      console.log('About to pass to plugin:',
-        {...pluginOptions[format], signal});
-      console.log('==========================================================');
-
-      const scanPromise = this._scanWithPlugin(plugin, source, {
-        ...pluginOptions[format],
-        signal: effectiveSignal
-      });
-
+    for(const {format, promise: scanPromise} of scans) {
       promises.push(scanPromise.then(result => ({
         format,
         success: result && result.length > 0, // Only success if has data
         data: result
-      })).catch(error => ({
-        format,
-        success: false,
-        error: error.message
-      })));
+      })).catch(error => {
+        const pluginError = toScannerError(error, {format});
+        return {
+          format,
+          success: false,
+          error: pluginError.message,
+          cause: pluginError
+        };
+      }));
 
       // For 'first' mode, resolve as soon as any plugin succeeds
       if(mode === 'first') {
@@ -107,9 +177,8 @@ export class OpticalScanner {
             results.push({format, data: result});
           }
         }).catch(() => {
-          // Ignore individual plugin errors in 'first' mode
-          console.log('=== OPTICAL SCANNER LAYER ===');
-          console.log('Ignore individual plugin errors in first mode');
+          // Ignore individual plugin errors in 'first' mode; they are
+          // reported through `NoResultsError` when nothing is found
         });
       }
     }
@@ -120,8 +189,6 @@ export class OpticalScanner {
         return this._waitForFirst(promises, effectiveSignal);
       case 'all':
         return this._waitForAll(promises, effectiveSignal);
-      case 'exhaustive':
-        return this._waitExhaustive(promises, effectiveSignal);
       default:
         throw new Error(`Unknown mode: ${mode}`);
     }
@@ -129,69 +196,177 @@ export class OpticalScanner {
 
   /**
   * Scan continuously from a video stream until results found or cancelled.
+  * Frames are scheduled by a `FrameScheduler`: one decode per new video
+  * frame up to the target rate, never more than one in flight, slower while
+  * idle or on battery.
   *
   * @param {HTMLVideoElement} video - Video element to scan from.
-  * @param {object} options - Same as scan() options.
+  * @param {object} options - Same as scan() options, plus the following.
+  * @param {object} [options.scheduler] - `FrameScheduler` options
+  *  (`targetFps`, `minFps`, `idleAfterMs`, `batteryFps`, `onStats`).
+  * @param {boolean|object} [options.multipart=false] - Reassemble animated
+  *  multi-part codes (UR fountain codes, `n/m/crc32:` chunks or, with the
+  *  `structuredAppend` plugin option, QR Structured Append and Macro PDF417
+  *  segments): parts are gathered across frames and the scan resolves with
+  *  the message as `text`, its details under `multipart`. An object is
+  *  passed to the `MultipartAssembler` as options.
+  * @param {Function} [options.onProgress] - Called with the assembly
+  *  progress `{protocol, type, received, total, percent, missing}` for each
+  *  new part.
+  * @param {boolean|object} [options.quality] - Decode only frames that pass
+  *  a `FrameQualityAnalyzer` (see `_createQualityGate`).
+  * @param {Function} [options.onQuality] - Called with the quality report
+  *  of every frame.
+  * @param {Function} [options.onCapture] - Called with `{imageData,
+  *  quality}` for the best frame of each auto-capture window.
   *
   * @returns {Promise<object[]>} Results when found.
   */
   async scanContinuous(video, options = {}) {
-    const {signal, timeoutMs = 0} = options;
+    const {
+      signal,
+      timeoutMs = 0,
+      scheduler: schedulerOptions,
+      multipart = false,
+      onProgress,
+      quality,
+      onQuality,
+      onCapture
+    } = options;
+    const assembler = multipart ?
+      new MultipartAssembler(multipart === true ? {} : multipart) : null;
+    const gate = quality ?
+      this._createQualityGate(quality, {onQuality, onCapture}) : null;
 
-    // Debug Logs
-    console.log('=== OPTICAL SCANNER LAYER - CONTINUOUS SCANNING ===');
-    console.log('timeoutMs:', timeoutMs);
-    console.log('signal provided:', !!signal);
-    console.log('signal aborted:', signal?.aborted);
-    console.log('===================================================');
+    this.logger.debug('Continuous scan started:', {
+      timeoutMs,
+      hasSignal: !!signal
+    });
 
     // Create timeout-aware signal for continuous scanning
     const controller = this._createTimeoutController(signal, timeoutMs);
     const effectiveSignal = controller?.signal || signal;
 
-    // Debug Logs
-    // console.log('effectiveSignal created:', !!effectiveSignal);
-    // console.log('effectiveSignal aborted:', effectiveSignal?.aborted);
-
-    let attempt = 0;
-
-    while(!effectiveSignal?.aborted) {
-      attempt++;
-      console.log('=== OPTICAL SCANNER LAYER - CONTINUOUS SCANNING ===');
-      console.log(`CONTINUOUS SCAN ATTEMPT: #${attempt}`);
-      console.log('===================================================');
-
+    const scheduler = new FrameScheduler(video, schedulerOptions);
+    const results = await scheduler.run(async ({frame}) => {
       try {
-        effectiveSignal?.throwIfAborted();
-        const results = await this.scan(video, {
+        const source = gate ? await gate(video) : video;
+        if(!source) {
+          return;
+        }
+        const results = await this.scan(source, {
           ...options,
+          region: this._getFrameRegion(options.region, video, source),
           signal: effectiveSignal,
           // Disable timeout in individual scan (handled at this level)
           timeoutMs: 0,
           mode: 'first' // For continuous scanning, stop at first result
         });
-
         if(results && results.length > 0) {
-          console.log(`Continuous scan found results in attempt #${attempt}!`,
-            results);
-          return results; // Success - return immediately
+          return assembler ?
+            await this._assembleParts(assembler, results, onProgress) :
+            results;
         }
-
-        // console.log('No results, scheduling next attempt...');
-        // No results - wait before next attempt
-        console.log('No results found, waiting 2.5s before next attempt...');
-        await new Promise(resolve => setTimeout(resolve, 2500));
-
       } catch(error) {
         if(error.name === 'AbortError') {
           throw error; // User cancelled - exit loop
         }
-        // Other errors - log and retry after delay
-        console.log('Scan attempt failed, retrying in 2.5s...', error.message);
-        await new Promise(resolve => setTimeout(resolve, 2500));
+        // Other errors (incl. no results) - try the next frame
+        if(frame % 30 === 0) {
+          this.logger.debug(`Continuous scan frame #${frame}:`, error.message);
+        }
       }
+    }, {signal: effectiveSignal});
+
+    this.logger.debug('Continuous scan found results:', results);
+    return results;
+  }
+
+  /**
+  * Scan a video stream for a window of time and collect every distinct code
+  * seen, deduplicated by format plus payload hash across frames.
+  *
+  * @param {HTMLVideoElement} video - Video element to scan from.
+  * @param {object} options - Same as scan() options, plus the following.
+  * @param {number} [options.durationMs=10000] - Collection window; the
+  *  promise resolves with every code seen when it ends.
+  * @param {number} [options.maxCodes=Infinity] - Resolve early once this
+  *  many distinct codes were seen.
+  * @param {Function} [options.onCode] - Called with `{type, code}` when a
+  *  code is first seen (`type` 'added') and on every later sighting
+  *  ('updated').
+  * @param {object} [options.scheduler] - `FrameScheduler` options.
+  * @param {boolean|object} [options.quality] - Decode only frames that pass
+  *  a `FrameQualityAnalyzer`, as in `scanContinuous()`.
+  * @param {Function} [options.onQuality] - Called with the quality report
+  *  of every frame.
+  * @param {Function} [options.onCapture] - Called with the best frame of
+  *  each auto-capture window.
+  *
+  * @returns {Promise<object[]>} Distinct codes `{key, format, text,
+  *  boundingBox, cornerPoints, count, firstSeen, lastSeen, result}`.
+  */
+  async scanCollect(video, options = {}) {
+    const {
+      signal,
+      durationMs = 10000,
+      maxCodes = Infinity,
+      onCode,
+      scheduler: schedulerOptions,
+      quality,
+      onQuality,
+      onCapture
+    } = options;
+    const gate = quality ?
+      this._createQualityGate(quality, {onQuality, onCapture}) : null;
+
+    const collection = new CodeCollection();
+    const scheduler = new FrameScheduler(video, schedulerOptions);
+    // the window ends even when no frames arrive (paused video)
+    const timer = setTimeout(
+      () => scheduler.stop(collection.values()), durationMs);
+
+    try {
+      return await scheduler.run(async () => {
+        let results = [];
+        try {
+          const source = gate ? await gate(video) : video;
+          if(!source) {
+            return;
+          }
+          results = await this.scan(source, {
+            ...options,
+            region: this._getFrameRegion(options.region, video, source),
+            signal,
+            timeoutMs: 0,
+            // every format must report on every frame
+            mode: 'all'
+          });
+        } catch(error) {
+          if(error.name === 'AbortError') {
+            throw error;
+          }
+          this.logger.debug('Collect scan attempt failed:', error.message);
+        }
+
+        const now = new Date();
+        for(const {format, data} of results) {
+          for(const result of data) {
+            const event = collection.add(format, result, {now});
+            onCode?.(event);
+          }
+        }
+        // codes in view keep the frame rate up
+        if(results.length > 0) {
+          scheduler.wake();
+        }
+        if(collection.size >= maxCodes) {
+          return collection.values();
+        }
+      }, {signal});
+    } finally {
+      clearTimeout(timer);
     }
-    throw new Error('Continuous scanning was cancelled.');
   }
 
   // TODO: Tested scanAny function in isolation mode it works fine
@@ -219,6 +394,47 @@ export class OpticalScanner {
     });
   }
 
+  /**
+  * Load the engines of plugins and create their instances ahead of the
+  * first scan, so it does not wait for them. Worker-safe plugins are
+  * skipped when there is a worker pool, since they run in the workers.
+  *
+  * @param {object} [options] - Options.
+  * @param {string[]} [options.formats] - Formats to preload; defaults to
+  *  all registered formats.
+  * @param {object} [options.pluginOptions] - Plugin options by format, as
+  *  passed to `scan()`.
+  *
+  * @returns {Promise} Settles once the engines are loaded.
+  */
+  async preload({formats = this.getSupportedFormats(), pluginOptions} = {}) {
+    const unsupportedFormats = formats.filter(f => !this.plugins.has(f));
+    if(unsupportedFormats.length > 0) {
+      throw new Error(`Unsupported formats: ${unsupportedFormats.join(', ')}`);
+    }
+    const plugins = formats
+      .map(format => this.plugins.get(format))
+      .filter(plugin => !(this.workerPool && plugin.workerSafe));
+    await preloadPlugins(plugins, {pluginOptions});
+  }
+
+  /**
+  * Release the engine instances of the registered plugins through their
+  * `dispose()`. A failing plugin does not keep the others from being
+  * disposed. The scanner stays usable: the next scan creates new instances.
+  * A `workerPool` is left to its owner to terminate.
+  */
+  async dispose() {
+    await Promise.all([...this.plugins.values()].map(async plugin => {
+      try {
+        await plugin.dispose?.();
+      } catch(error) {
+        this.logger.warn(`Disposing plugin "${plugin.format}" failed:`,
+          error);
+      }
+    }));
+  }
+
   /**
   * Get list of supported formats.
   *
@@ -231,7 +447,312 @@ export class OpticalScanner {
   // === Private methods ===
 
   /**
-  * Scans the provided source using the specified plugin.
+  * Start scanning a source for each format. Formats whose plugins name the
+  * same `batch` plugin are decoded with one call to it for all of their
+  * `batchFormats`, and its results are split by `format` and handed to each
+  * plugin's `fromBatch()`. Formats with plugin options of their own are
+  * scanned by their plugins, after their `document` localization and
+  * `preprocess` pipeline if any.
+  *
+  * @param {*} source - Source to scan.
+  * @param {string[]} formats - Formats to scan for.
+  * @param {object} options - Options.
+  * @param {object} options.pluginOptions - Options per plugin.
+  * @param {AbortSignal} [options.signal] - Abort signal.
+  * @param {Function} [options.onDocument] - Called with each document
+  *  localized for a plugin.
+  * @returns {object[]} `{format, promise}` per format; `promise` resolves
+  *  with the results for the format.
+  * @private
+  */
+  _startScans(source, formats, {pluginOptions, signal, onDocument}) {
+    const batches = new Map();
+    for(const format of formats) {
+      const {batch} = this.plugins.get(format);
+      const hasOptions = Object.keys(pluginOptions[format] || {}).length > 0;
+      if(batch && !hasOptions) {
+        batches.set(batch, [...(batches.get(batch) || []), format]);
+      }
+    }
+
+    const batchScans = new Map();
+    // inputs prepared for `document` and `preprocess` plugin options
+    const prepared = [];
+    for(const [batch, group] of batches) {
+      // one format alone is scanned by its own plugin
+      if(group.length < 2) {
+        continue;
+      }
+      this.logger.debug(`Scanning ${group.join(', ')} in one pass`);
+      const batchFormats = new Set(
+        group.flatMap(format => _getBatchFormats(this.plugins.get(format))));
+      const batchScan = this._scanWithPlugin(batch, source, {
+        formats: [...batchFormats],
+        signal,
+        logger: this.logger.child(`plugin:${batch.format}`)
+      });
+      for(const format of group) {
+        batchScans.set(format, batchScan);
+      }
+    }
+
+    return formats.map(format => {
+      const batchScan = batchScans.get(format);
+      if(batchScan) {
+        const plugin = this.plugins.get(format);
+        const promise = batchScan.then(
+          results => {
+            const batchFormats = _getBatchFormats(plugin);
+            const own = results.filter(
+              result => batchFormats.includes(result.format));
+            return plugin.fromBatch ? plugin.fromBatch(own) : own;
+          },
+          error => {
+            throw error.name === 'AbortError' ? error :
+              toScannerError(error, {format, message: error.message});
+          });
+        return {format, promise};
+      }
+      this.logger.debug(`Scanning ${format} with options:`,
+        pluginOptions[format] || {});
+      const {document, preprocess, ...options} = pluginOptions[format] || {};
+      const scan = input => this._scanWithPlugin(
+        this.plugins.get(format), input, {
+          ...options,
+          signal,
+          logger: this.logger.child(`plugin:${format}`)
+        });
+      if(!document && !preprocess) {
+        return {format, promise: scan(source)};
+      }
+      // formats with the same document and pipeline options share the input
+      let input = prepared.find(entry =>
+        entry.document === document && entry.preprocess === preprocess);
+      if(!input) {
+        input = {
+          document,
+          preprocess,
+          promise: this._prepareInput(source, {document, preprocess}, {
+            onDocument
+          })
+        };
+        prepared.push(input);
+      }
+      const promise = input.promise.then(async prepared => {
+        if(!prepared) {
+          return scan(source);
+        }
+        const results = await scan(prepared.imageData);
+        return results?.map(result => ({
+          ...result,
+          ...mapLocation(result, prepared.toSource),
+          ...(prepared.document && {document: prepared.document})
+        }));
+      });
+      return {format, promise};
+    });
+  }
+
+  /**
+  * Prepare the pixels of a source for a plugin: warp the document found in
+  * it upright, then run a preprocessing pipeline.
+  *
+  * @param {*} source - Source to scan.
+  * @param {object} steps - Steps.
+  * @param {boolean|object} [steps.document] - Localize a document, with
+  *  the options of `localizeDocument()` if an object.
+  * @param {Array} [steps.preprocess] - Pipeline steps (see
+  *  `preprocessImage()`).
+  * @param {object} [options] - Options.
+  * @param {Function} [options.onDocument] - Called with the document found.
+  * @returns {Promise<object|null>} `{imageData, toSource, document}`, or
+  *  null for sources without readable pixels, which are scanned as they
+  *  are. Without a document in view, `document` is null and the whole
+  *  image goes on.
+  * @private
+  */
+  async _prepareInput(source, steps, {onDocument} = {}) {
+    let imageData;
+    try {
+      imageData = await toImageData(source);
+    } catch(e) {
+      this.logger.debug('Skipping preprocessing:', e.message);
+      return null;
+    }
+    let input = {imageData, toSource: point => point, document: null};
+
+    if(steps.document) {
+      const localized = localizeDocument(
+        imageData, steps.document === true ? {} : steps.document);
+      if(localized) {
+        const {corners, size, confidence} = localized;
+        input = {...localized, document: {corners, size, confidence}};
+        onDocument?.(input.document);
+      } else {
+        this.logger.debug('No document found.');
+      }
+    }
+
+    if(steps.preprocess) {
+      const processed = preprocessImage(input.imageData, steps.preprocess);
+      const {toSource} = input;
+      input = {
+        ...input,
+        imageData: processed.imageData,
+        toSource: point => toSource(processed.toSource(point))
+      };
+    }
+    return {
+      imageData: input.imageData,
+      toSource: input.toSource,
+      document: input.document
+    };
+  }
+
+  /**
+  * Scan the region of interest of a source and map the results back to
+  * the full frame.
+  *
+  * @param {*} source - Source to scan.
+  * @param {object} region - Region of interest.
+  * @param {object} options - `scan()` options.
+  * @returns {Promise<object[]>} Scan results.
+  * @private
+  */
+  async _scanRegion(source, region, options) {
+    options.signal?.throwIfAborted();
+    const rect = getSourceRegion(region, source);
+    const {imageData, toSource} = crop(await toImageData(source), rect);
+    const toFrame = document => document && {
+      ...document,
+      corners: document.corners.map(toSource)
+    };
+    const {onDocument} = options;
+
+    const results = await this.scan(imageData, {
+      ...options,
+      region: null,
+      onDocument: onDocument && (document => onDocument(toFrame(document)))
+    });
+    return results.map(result => !Array.isArray(result.data) ? result : {
+      ...result,
+      data: result.data.map(code => ({
+        ...code,
+        ...mapLocation(code, toSource),
+        ...(code.document && {document: toFrame(code.document)})
+      }))
+    });
+  }
+
+  /**
+  * Get the region of interest to scan a video frame with. Frames read by
+  * the quality gate are pixels, so the region is resolved against the
+  * video, which knows how it is displayed.
+  *
+  * @param {object} [region] - Region of interest.
+  * @param {HTMLVideoElement} video - Video.
+  * @param {*} source - Source scanned for the frame.
+  * @returns {object|undefined} Region.
+  * @private
+  */
+  _getFrameRegion(region, video, source) {
+    return region && source !== video ?
+      getSourceRegion(region, video) : region;
+  }
+
+  /**
+  * Create the frame gate of a video scan: it reads the frame, scores it
+  * and returns its pixels to decode, or null to skip it. With a
+  * `windowMs`, frames are auto-captured: only the best acceptable frame of
+  * each window is returned, once the window ends.
+  *
+  * @param {boolean|object} quality - True, or `FrameQualityAnalyzer`
+  *  options plus `windowMs`.
+  * @param {object} [callbacks] - Callbacks.
+  * @param {Function} [callbacks.onQuality] - Called with every report.
+  * @param {Function} [callbacks.onCapture] - Called with `{imageData,
+  *  quality}` for each captured frame.
+  * @returns {Function} Async `(video) => ImageData|null`.
+  * @private
+  */
+  _createQualityGate(quality, {onQuality, onCapture} = {}) {
+    const {windowMs = 0, ...options} = quality === true ? {} : quality;
+    const analyzer = new FrameQualityAnalyzer(options);
+    let best = null;
+    return async video => {
+      const imageData = await toImageData(video);
+      const report = analyzer.analyze(imageData);
+      onQuality?.(report);
+      if(!windowMs) {
+        return report.acceptable ? imageData : null;
+      }
+      const now = Date.now();
+      if(report.acceptable && !(best?.quality.score >= report.score)) {
+        best = {start: best?.start ?? now, imageData, quality: report};
+      }
+      if(!best || now - best.start < windowMs) {
+        return null;
+      }
+      const capture = {imageData: best.imageData, quality: best.quality};
+      best = null;
+      onCapture?.(capture);
+      return capture.imageData;
+    };
+  }
+
+  /**
+  * Feed the codes of a frame to a multi-part assembler.
+  *
+  * @param {MultipartAssembler} assembler - Assembler.
+  * @param {object[]} results - Scan results of the frame.
+  * @param {Function} [onProgress] - Called with progress on new parts.
+  * @returns {Promise<object[]|undefined>} The complete message, or the
+  *  codes that are not parts unless a message is being assembled;
+  *  undefined to keep scanning.
+  * @private
+  */
+  async _assembleParts(assembler, results, onProgress) {
+    const others = [];
+    for(const {format, data} of results) {
+      const rest = [];
+      for(const result of data) {
+        let state;
+        try {
+          state = await assembler.add(result);
+        } catch(error) {
+          // corrupt parts and failed checksums: keep scanning
+          this.logger.debug('Multi-part code rejected:', error.message);
+          continue;
+        }
+        if(!state) {
+          rest.push(result);
+          continue;
+        }
+        if(state.progress && !state.duplicate) {
+          onProgress?.(state.progress);
+        }
+        if(state.message) {
+          const {message} = state;
+          return [{
+            format,
+            data: [{text: message.text, format, multipart: message}]
+          }];
+        }
+      }
+      if(rest.length > 0) {
+        others.push({format, data: rest});
+      }
+    }
+    // other codes end the scan unless parts are being gathered
+    if(others.length > 0 && !assembler.progress) {
+      return others;
+    }
+  }
+
+  /**
+  * Scans the provided source using the specified plugin. Worker-safe
+  * plugins run in the worker pool when there is one, falling back to the
+  * main thread when the pool is unavailable.
   *
   * @async
   * @param {object} plugin - The plugin object that provides a `scan` method.
@@ -240,6 +761,21 @@ export class OpticalScanner {
   * @returns {Promise<*>} The result of the plugin's scan operation.
   */
   async _scanWithPlugin(plugin, source, options) {
+    if(this.workerPool && plugin.workerSafe) {
+      // loggers stay on the main thread
+      const workerOptions = {...options};
+      delete workerOptions.logger;
+      try {
+        return await this.workerPool.scan(
+          plugin.format, source, workerOptions);
+      } catch(error) {
+        if(!String(error.code).startsWith('WORKER_')) {
+          throw error;
+        }
+        this.logger.warn(`Scanning ${plugin.format} on the main thread:`,
+          error.message);
+      }
+    }
     return plugin.scan(source, options);
   }
 
@@ -254,8 +790,8 @@ export class OpticalScanner {
   *  operation.
   * @returns {Promise<Array>} Resolves with an array containing the
   *  first successful result.
-  * @throws {Error|DOMException} If all promises fail or the operation
-  *  is aborted.
+  * @throws {NoResultsError|DOMException} If no promise succeeds, with the
+  *  per-plugin failures in `errors`, or if the operation is aborted.
   * @private
   */
   async _waitForFirst(promises, signal) {
@@ -263,10 +799,16 @@ export class OpticalScanner {
       let resolved = false;
       let completed = 0;
       const total = promises.length;
+      const errors = [];
 
-      const checkCompletion = () => {
+      const checkCompletion = result => {
+        if(result?.cause) {
+          errors.push(result.cause);
+        }
         if(++completed === total && !resolved) {
-          reject(new Error('No results found from any plugin'));
+          reject(new NoResultsError('No results found from any plugin', {
+            errors
+          }));
         }
       };
 
@@ -290,7 +832,7 @@ export class OpticalScanner {
             signal?.removeEventListener('abort', abortHandler);
             resolve([result]);
           } else {
-            checkCompletion();
+            checkCompletion(result);
           }
         }).catch(() => {
           checkCompletion();
@@ -335,22 +877,174 @@ export class OpticalScanner {
     }
   }
 
-  // FIXME: _waitExhaustive() method currently behaves the
-  // same as `_waitForAll()`.
+  /**
+  * Scan every format over several preprocessing passes (rotations, scales,
+  * contrast stretch, inversion and region crops) and collect every distinct
+  * code. Codes with the same format and text are merged unless they are at
+  * different locations, so several identical QR codes are all reported.
+  *
+  * @param {*} source - Source to scan.
+  * @param {object} options - Options.
+  * @param {string[]} options.formats - Formats to scan for.
+  * @param {object} options.pluginOptions - Options per plugin.
+  * @param {AbortSignal} [options.signal] - Abort signal.
+  * @param {object} [options.exhaustive] - Pass configuration.
+  * @returns {Promise<object[]>} One `{format, success, data}` entry per
+  *  format with results; each result has `boundingBox` and `cornerPoints`
+  *  in source coordinates and the `passes` that found it.
+  * @throws {NoResultsError} If nothing is found and plugins failed on the
+  *  original source, with those failures in `errors`; failures on
+  *  transformed passes are tolerated.
+  * @private
+  */
+  async _scanExhaustive(source, {
+    formats, pluginOptions, signal, exhaustive = {}
+  }) {
+    const passes = await this._getExhaustivePasses(source, exhaustive);
+    const found = new Map(formats.map(format => [format, []]));
+    // plugins that fail on the original source are not run on other passes
+    const errors = [];
+    let scanFormats = formats;
+
+    for(const pass of passes) {
+      signal?.throwIfAborted();
+      const input = pass.create ? pass.create() : source;
+
+      const scans = this._startScans(
+        input.imageData || input, scanFormats, {pluginOptions, signal});
+      // failures are handled below; scans left behind by an abort are not
+      scans.forEach(({promise}) => promise.catch(() => {}));
+      for(const {format, promise} of scans) {
+        let results;
+        try {
+          results = await promise;
+        } catch(error) {
+          if(signal?.aborted) {
+            throw signal.reason;
+          }
+          if(error.name === 'AbortError') {
+            throw error;
+          }
+          if(!pass.create) {
+            errors.push(toScannerError(error, {format}));
+          }
+          // a transformed pass a plugin cannot handle is not fatal
+          continue;
+        }
+        for(const result of results || []) {
+          this._addDistinctResult(
+            found.get(format), result, pass.name, input.toSource);
+        }
+      }
+      if(!pass.create) {
+        scanFormats = formats.filter(
+          format => !errors.some(error => error.format === format));
+      }
+    }
+
+    const results = formats
+      .filter(format => found.get(format).length > 0)
+      .map(format => ({format, success: true, data: found.get(format)}));
+    if(results.length === 0 && errors.length > 0) {
+      throw new NoResultsError('No results found from any plugin', {errors});
+    }
+    return results;
+  }
 
   /**
-  * Waits for all provided promises to settle, allowing all plugins to attempt
-  * execution.
+  * Build the exhaustive passes. The original source always comes first;
+  * transformed passes need the source pixels and are created lazily.
   *
-  * @param {Promise[]} promises - An array of promises to wait for.
-  * @param {AbortSignal} signal - An optional signal to abort the waiting
-  *  process.
-  * @returns {Promise<any[]>} A promise that resolves when all input
-  *  promises have settled.
+  * @param {*} source - Source to scan.
+  * @param {object} options - Pass configuration.
+  * @param {number[]} [options.rotations=[90, 180, 270]] - Clockwise
+  *  rotations.
+  * @param {number[]} [options.scales=[0.5, 2]] - Scale factors.
+  * @param {boolean} [options.contrast=true] - Add a contrast stretch pass.
+  * @param {boolean} [options.invert=true] - Add an inverted pass.
+  * @param {boolean} [options.crops=true] - Add overlapping tile and center
+  *  crop passes.
+  * @param {number} [options.maxPixels=8000000] - Skip scaled passes larger
+  *  than this.
+  * @returns {Promise<object[]>} Passes `{name, create}`; `create()` returns
+  *  `{imageData, toSource}`.
+  * @private
+  */
+  async _getExhaustivePasses(source, {
+    rotations = [90, 180, 270],
+    scales = [0.5, 2],
+    contrast = true,
+    invert: inverted = true,
+    crops = true,
+    maxPixels = 8000000
+  } = {}) {
+    const passes = [{name: 'original'}];
+    let imageData;
+    try {
+      imageData = await toImageData(source);
+    } catch(e) {
+      // sources without readable pixels (e.g. a container) get one pass
+      return passes;
+    }
+
+    for(const degrees of rotations) {
+      passes.push({
+        name: `rotate-${degrees}`,
+        create: () => rotate(imageData, degrees)
+      });
+    }
+    const pixels = imageData.width * imageData.height;
+    for(const factor of scales) {
+      if(pixels * factor * factor <= maxPixels) {
+        passes.push({
+          name: `scale-${factor}`,
+          create: () => scale(imageData, factor)
+        });
+      }
+    }
+    if(contrast) {
+      passes.push({
+        name: 'contrast',
+        create: () => stretchContrast(imageData)
+      });
+    }
+    if(inverted) {
+      passes.push({name: 'invert', create: () => invert(imageData)});
+    }
+    if(crops) {
+      for(const region of getCropRegions(imageData)) {
+        passes.push({
+          name: `crop-${region.name}`,
+          create: () => crop(imageData, region)
+        });
+      }
+    }
+    return passes;
+  }
+
+  /**
+  * Add a result unless the same code was already found.
+  *
+  * @param {object[]} list - Distinct results of one format.
+  * @param {object} result - Plugin result.
+  * @param {string} passName - Name of the pass that found it.
+  * @param {Function} [toSource] - Point mapping back to the source.
+  * @private
   */
-  async _waitExhaustive(promises, signal) {
-    // Same as 'all' for now - exhaustive means let all plugins try
-    return this._waitForAll(promises, signal);
+  _addDistinctResult(list, result, passName, toSource = point => point) {
+    const location = mapLocation(result, toSource);
+    const existing = list.find(entry => entry.text === result.text &&
+      _sameLocation(entry, location));
+    if(existing) {
+      existing.passes.push(passName);
+      return;
+    }
+    list.push({
+      ...result,
+      boundingBox: location?.boundingBox ?? result.boundingBox ?? null,
+      cornerPoints: location?.cornerPoints ?? result.cornerPoints ?? null,
+      passes: [passName]
+    });
   }
 
   /**
@@ -364,12 +1058,8 @@ export class OpticalScanner {
   *  no timeout/signal needed.
   */
   _createTimeoutController(existingSignal, timeoutMs) {
-    console.log('Creating timeout controller:',
-      {timeoutMs, hasExistingSignal: !!existingSignal});
-
     // If no timeout and no existing signal, return null
     if(timeoutMs <= 0 && !existingSignal) {
-      console.log('No timeout needed, returning null');
       return null;
     }
 
@@ -398,9 +1088,8 @@ export class OpticalScanner {
     if(timeoutMs > 0) {
       timeoutId = setTimeout(() => {
         if(!controller.signal.aborted) {
-          const timeoutError = new Error('SCAN_TIMEOUT');
-          timeoutError.code = 'SCAN_TIMEOUT';
-          controller.abort(timeoutError);
+          controller.abort(
+            new ScanTimeoutError(`Scan timed out after ${timeoutMs}ms.`));
         }
       }, timeoutMs);
     }
@@ -408,3 +1097,39 @@ export class OpticalScanner {
     return controller;
   }
 }
+
+/**
+* Check whether two locations overlap. Unknown locations match anything.
+*
+* @param {object} a - Location with `boundingBox`.
+* @param {object} b - Location with `boundingBox`.
+*
+* @returns {boolean} True if either center lies inside the other box.
+* @private
+*/
+function _sameLocation(a, b) {
+  const boxA = a?.boundingBox;
+  const boxB = b?.boundingBox;
+  if(!Number.isFinite(boxA?.x) || !Number.isFinite(boxB?.x)) {
+    return true;
+  }
+  const contains = (box, {x, y, width, height}) => {
+    const centerX = x + width / 2;
+    const centerY = y + height / 2;
+    return centerX >= box.x && centerX <= box.x + box.width &&
+      centerY >= box.y && centerY <= box.y + box.height;
+  };
+  return contains(boxA, boxB) || contains(boxB, boxA);
+}
+
+/**
+* Get the formats a plugin needs its `batch` plugin to decode.
+*
+* @param {object} plugin - Plugin with a `batch`.
+*
+* @returns {string[]} Batch formats.
+* @private
+*/
+function _getBatchFormats(plugin) {
+  return plugin.batchFormats || [plugin.format];
+}
@@ -0,0 +1,10 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import {createBarcodeDetectorPlugin} from './barcodeDetectorPlugin.js';
+
+/**
+* Aztec plugin, as used on airline boarding passes and transit tickets.
+*/
+export const aztecPlugin = createBarcodeDetectorPlugin('aztec');
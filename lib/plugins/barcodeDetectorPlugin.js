@@ -0,0 +1,155 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import {EnginePool} from '../utils/engine-pool.js';
+import {loadEngine} from '../utils/engines.js';
+import {toScannerError} from '../errors.js';
+
+// formats of the `BarcodeDetector` API
+export const barcodeDetectorFormats = Object.freeze([
+  'aztec', 'codabar', 'code_128', 'code_39', 'code_93', 'data_matrix',
+  'ean_13', 'ean_8', 'itf', 'pdf417', 'qr_code', 'upc_a', 'upc_e'
+]);
+
+// detectors reused across scans, keyed by their formats
+const detectors = new EnginePool({
+  async create({formats}) {
+    const {BarcodeDetector} = await loadEngine('barcode-detector');
+    return new BarcodeDetector({formats});
+  }
+});
+
+/**
+* Multi-format plugin decoding any `barcodeDetectorFormats` with one
+* `BarcodeDetector` pass. The per-format plugins from
+* `createBarcodeDetectorPlugin()` (and `qrCodePlugin` and `pdf417Plugin`)
+* name it as their `batch`, so `OpticalScanner` decodes a frame once for all
+* of their formats and fans the results out by `format`.
+*/
+export const barcodeDetectorPlugin = {
+  format: 'barcode_detector',
+  // needs no DOM: may run in a WorkerPool
+  workerSafe: true,
+  // loaded on first scan, see `preloadPlugins()`
+  engines: ['barcode-detector'],
+
+  /**
+  * Create the detector for some formats ahead of the first scan.
+  *
+  * @param {object} [options] - Options.
+  * @param {string[]} [options.formats] - Formats; defaults to all.
+  */
+  async init({formats = barcodeDetectorFormats} = {}) {
+    await detectors.prepare({formats: [...formats]});
+  },
+
+  /**
+  * Scan source for barcodes of several formats at once.
+  *
+  * @param {HTMLImageElement|HTMLVideoElement|
+  *  HTMLCanvasElement|ImageData} source - Source to scan.
+  * @param {object} options - Plugin-specific options.
+  * @param {string[]} [options.formats] - Formats to detect; defaults to
+  *  all `barcodeDetectorFormats`.
+  * @param {AbortSignal} options.signal - Abort signal.
+  *
+  * @returns {Promise<object[]>} Detected barcodes; `format` tells them
+  *  apart.
+  */
+  async scan(source, options = {}) {
+    const {formats = barcodeDetectorFormats, signal} = options;
+
+    const unsupported = formats.filter(
+      format => !barcodeDetectorFormats.includes(format));
+    if(unsupported.length > 0) {
+      throw new Error(
+        `Unsupported BarcodeDetector formats: ${unsupported.join(', ')}`);
+    }
+
+    try {
+      return await detectBarcodes(source, {formats, signal});
+    } catch(error) {
+      if(error.name === 'AbortError') {
+        throw error;
+      }
+
+      // Wrap other errors with more context
+      throw toScannerError(error, {
+        format: formats.length === 1 ? formats[0] : 'barcode_detector',
+        message: `Barcode detection failed: ${error.message}`
+      });
+    }
+  },
+
+  /**
+  * Release the detectors; the next scan creates new ones.
+  */
+  async dispose() {
+    await detectors.dispose();
+  }
+};
+
+/**
+* Create a plugin for one `BarcodeDetector` format, batched with the other
+* `BarcodeDetector` formats of a scan.
+*
+* @param {string} format - One of `barcodeDetectorFormats`.
+* @param {object} [options] - Options.
+* @param {Function} [options.parse] - Adds format-specific fields to each
+*  result: (result, pluginOptions) => fields.
+*
+* @returns {object} Plugin.
+*/
+export function createBarcodeDetectorPlugin(format, {parse} = {}) {
+  if(!barcodeDetectorFormats.includes(format)) {
+    throw new Error(`Unsupported BarcodeDetector format: ${format}`);
+  }
+  const process = (results, options) => parse ?
+    results.map(result => ({...result, ...parse(result, options)})) :
+    results;
+  return {
+    format,
+    workerSafe: true,
+    engines: ['barcode-detector'],
+    // decoded in one pass with other formats sharing this batch
+    batch: barcodeDetectorPlugin,
+    init: () => barcodeDetectorPlugin.init({formats: [format]}),
+    scan: async (source, options = {}) => process(
+      await barcodeDetectorPlugin.scan(source, {...options, formats: [format]}),
+      options),
+    fromBatch: results => process(results, {}),
+    dispose: () => barcodeDetectorPlugin.dispose()
+  };
+}
+
+/**
+* Detect barcodes with a pooled `BarcodeDetector`. Errors are not wrapped,
+* so plugins can add their own context.
+*
+* @param {HTMLImageElement|HTMLVideoElement|
+*  HTMLCanvasElement|ImageData} source - Source to scan.
+* @param {object} options - Options.
+* @param {string[]} options.formats - Formats to detect.
+* @param {AbortSignal} [options.signal] - Abort signal.
+*
+* @returns {Promise<object[]>} Results in the standard format.
+*/
+export async function detectBarcodes(source, {formats, signal} = {}) {
+  // Check for abort
+  signal?.throwIfAborted();
+
+  const barcodes = await detectors.use(
+    {formats: [...formats]}, detector => detector.detect(source));
+
+  // Check for abort after detection
+  signal?.throwIfAborted();
+
+  // Transform results to standard format
+  return barcodes.map(barcode => ({
+    text: barcode.rawValue,
+    format: barcode.format,
+    boundingBox: barcode.boundingBox,
+    cornerPoints: barcode.cornerPoints
+  }));
+}
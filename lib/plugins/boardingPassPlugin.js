@@ -0,0 +1,108 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import {
+  barcodeDetectorPlugin,
+  detectBarcodes
+} from './barcodeDetectorPlugin.js';
+import {isBCBP, parseBCBP} from '../utils/bcbp.js';
+import {toScannerError} from '../errors.js';
+
+// symbologies IATA Resolution 792 allows for boarding passes
+export const boardingPassSymbologies = Object.freeze([
+  'pdf417', 'aztec', 'qr_code', 'data_matrix'
+]);
+
+/**
+* IATA Bar Coded Boarding Pass plugin. Results are the PDF417, Aztec, QR and
+* DataMatrix codes carrying a BCBP, with the code's format as `symbology` and
+* the parsed pass as `boardingPass`, see `parseBCBP()`.
+*/
+export const boardingPassPlugin = {
+  format: 'boarding_pass',
+  // needs no DOM: may run in a WorkerPool
+  workerSafe: true,
+  // loaded on first scan, see `preloadPlugins()`
+  engines: ['barcode-detector'],
+  // decoded in one pass with the other `BarcodeDetector` formats of a scan
+  batch: barcodeDetectorPlugin,
+  batchFormats: boardingPassSymbologies,
+
+  /**
+  * Create the detector ahead of the first scan.
+  */
+  async init() {
+    await barcodeDetectorPlugin.init({formats: boardingPassSymbologies});
+  },
+
+  /**
+  * Scan source for boarding passes.
+  *
+  * @param {HTMLImageElement|HTMLVideoElement|
+  *  HTMLCanvasElement|ImageData} source - Source to scan.
+  * @param {object} options - Plugin-specific options.
+  * @param {AbortSignal} options.signal - Abort signal.
+  *
+  * @returns {Promise<object[]>} Detected boarding passes.
+  */
+  async scan(source, options = {}) {
+    const {signal} = options;
+
+    let barcodes;
+    try {
+      barcodes = await detectBarcodes(
+        source, {formats: boardingPassSymbologies, signal});
+    } catch(error) {
+      if(error.name === 'AbortError') {
+        throw error;
+      }
+
+      // Wrap other errors with more context
+      throw toScannerError(error, {
+        format: 'boarding_pass',
+        message: `Boarding pass detection failed: ${error.message}`
+      });
+    }
+
+    return _toBoardingPasses(barcodes);
+  },
+
+  /**
+  * Parse the boarding passes among the codes found in a batched pass.
+  *
+  * @param {object[]} results - PDF417, Aztec, QR and DataMatrix results.
+  *
+  * @returns {Promise<object[]>} Detected boarding passes.
+  */
+  async fromBatch(results) {
+    return _toBoardingPasses(results);
+  },
+
+  /**
+  * Release the `BarcodeDetector`s; the next scan creates a new one.
+  */
+  async dispose() {
+    await barcodeDetectorPlugin.dispose();
+  }
+};
+
+/**
+* Turn the barcodes carrying a BCBP into boarding pass results.
+*
+* @param {object[]} barcodes - Detected barcodes.
+*
+* @returns {object[]} Boarding pass results.
+* @private
+*/
+function _toBoardingPasses(barcodes) {
+  // other codes in view, such as bag tags, are not boarding passes
+  return barcodes
+    .filter(({text}) => isBCBP(text))
+    .map(barcode => ({
+      ...barcode,
+      format: 'boarding_pass',
+      symbology: barcode.format,
+      boardingPass: parseBCBP(barcode.text)
+    }));
+}
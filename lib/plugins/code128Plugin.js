@@ -0,0 +1,18 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import {isGS1, parseGS1} from '../utils/gs1.js';
+import {createBarcodeDetectorPlugin} from './barcodeDetectorPlugin.js';
+
+/**
+* Code 128 plugin. GS1-128 results (marked by FNC1 or the `]C1` symbology
+* identifier) include the parsed Application Identifiers as `gs1`, see
+* `parseGS1()`. Pass `gs1: true` to parse unmarked text as GS1 too, or
+* `gs1: false` to skip parsing.
+*/
+export const code128Plugin = createBarcodeDetectorPlugin('code_128', {
+  parse: ({text}, {gs1 = 'auto'} = {}) =>
+    gs1 === true || (gs1 === 'auto' && isGS1(text)) ?
+      {gs1: parseGS1(text)} : {}
+});
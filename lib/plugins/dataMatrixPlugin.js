@@ -0,0 +1,18 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import {isGS1, parseGS1} from '../utils/gs1.js';
+import {createBarcodeDetectorPlugin} from './barcodeDetectorPlugin.js';
+
+/**
+* DataMatrix plugin. GS1 DataMatrix results (marked by FNC1 or the `]d2`
+* symbology identifier) include the parsed Application Identifiers as
+* `gs1`, see `parseGS1()`. Pass `gs1: true` to parse unmarked text as GS1
+* too, or `gs1: false` to skip parsing.
+*/
+export const dataMatrixPlugin = createBarcodeDetectorPlugin('data_matrix', {
+  parse: ({text}, {gs1 = 'auto'} = {}) =>
+    gs1 === true || (gs1 === 'auto' && isGS1(text)) ?
+      {gs1: parseGS1(text)} : {}
+});
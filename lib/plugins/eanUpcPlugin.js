@@ -0,0 +1,58 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import {expandUPCE, verifyGS1CheckDigit} from '../utils/gs1.js';
+import {createBarcodeDetectorPlugin} from './barcodeDetectorPlugin.js';
+
+// digits in a code of each format, with the check digit
+const LENGTHS = {ean_13: 13, ean_8: 8, upc_a: 12, upc_e: 8};
+
+/**
+* Validate the check digit of an EAN/UPC code and normalize it to a GTIN-14.
+* Add-on digits (after a space) are ignored.
+*
+* @param {object} result - Decoded result.
+* @param {string} result.text - Decoded digits.
+* @param {string} result.format - 'ean_13', 'ean_8', 'upc_a' or 'upc_e'.
+*
+* @returns {object} `{gtin, checkDigitValid}`; `gtin` is null when the code
+*  is malformed.
+*/
+export function parseEanUpc({text, format}) {
+  const code = String(text).split(' ')[0];
+  if(!/^\d+$/.test(code) || code.length !== LENGTHS[format]) {
+    return {gtin: null, checkDigitValid: false};
+  }
+  const full = format === 'upc_e' ? expandUPCE(code) : code;
+  return {
+    gtin: full.padStart(14, '0'),
+    checkDigitValid: verifyGS1CheckDigit(full)
+  };
+}
+
+/**
+* EAN-13 plugin. Results include the `gtin` (GTIN-14) and
+* `checkDigitValid`.
+*/
+export const ean13Plugin =
+  createBarcodeDetectorPlugin('ean_13', {parse: parseEanUpc});
+
+/**
+* EAN-8 plugin. Results include the `gtin` and `checkDigitValid`.
+*/
+export const ean8Plugin =
+  createBarcodeDetectorPlugin('ean_8', {parse: parseEanUpc});
+
+/**
+* UPC-A plugin. Results include the `gtin` and `checkDigitValid`.
+*/
+export const upcAPlugin =
+  createBarcodeDetectorPlugin('upc_a', {parse: parseEanUpc});
+
+/**
+* UPC-E plugin. Results include the `gtin` of the expanded UPC-A code and
+* `checkDigitValid`.
+*/
+export const upcEPlugin =
+  createBarcodeDetectorPlugin('upc_e', {parse: parseEanUpc});
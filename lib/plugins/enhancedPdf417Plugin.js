@@ -2,200 +2,153 @@
  * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
  */
 
-import {BarcodeReader, EnumBarcodeFormat} from 'dynamsoft-javascript-barcode';
-import {BarcodeDetector} from 'barcode-detector/ponyfill';
-
-/**
-* Driver License field mappings for PDF417 data parsing.
-*/
-const driverLicenseFields = {
-  DCA: 'Jurisdiction-specific vehicle class',
-  DCB: 'Jurisdiction-specific restriction codes',
-  DCD: 'Jurisdiction-specific endorsement codes',
-  DBA: 'Document Expiration Date',
-  DCS: 'Customer Last Name',
-  DAC: 'Customer First Name',
-  DBD: 'Document Issue Date',
-  DBB: 'Date of Birth',
-  DBC: 'Physical Description - Sex',
-  DAY: 'Physical Description - Eye Color',
-  DAU: 'Physical Description - Height',
-  DAG: 'Address - Street 1',
-  DAI: 'Address - City',
-  DAJ: 'Address - Jurisdiction Code',
-  DAK: 'Address - Postal Code',
-  DAQ: 'Customer ID Number',
-  DCF: 'Document Discriminator',
-  DCG: 'Country Identification',
-  DDE: 'Family Name Truncation',
-  DDF: 'First Names Truncation',
-  DDG: 'Middle Names Truncation',
-  DAH: 'Address - Street 2',
-  DAZ: 'Hair Color',
-  DCI: 'Place of birth',
-  DCJ: 'Audit information',
-  DCK: 'Inventory Control Number',
-  DBN: 'Alias / AKA Family Name',
-  DBG: 'Alias / AKA Given Name',
-  DBS: 'Alias / AKA Suffix Name',
-  DCU: 'Name Suffix',
-  DCE: 'Physical Description Weight Range',
-  DCL: 'Race / Ethnicity',
-  DCM: 'Standard vehicle classification',
-  DCN: 'Standard endorsement code',
-  DCO: 'Standard restriction code',
-  DCP: 'Jurisdiction-specific vehicle classification description',
-  DCQ: 'Jurisdiction-specific endorsement code description',
-  DCR: 'Jurisdiction-specific restriction code description',
-  DDA: 'Compliance Type',
-  DDB: 'Card Revision Date',
-  DDC: 'HazMat Endorsement Expiration Date',
-  DDD: 'Limited Duration Document Indicator',
-  DAW: 'Weight(pounds)',
-  DAX: 'Weight(kilograms)',
-  DDH: 'Under 18 Until',
-  DDI: 'Under 19 Until',
-  DDJ: 'Under 21 Until',
-  DDK: 'Organ Donor Indicator',
-  DDL: 'Veteran Indicator',
-  // old standard
-  DAA: 'Customer Full Name',
-  DAB: 'Customer Last Name',
-  DAE: 'Name Suffix',
-  DAF: 'Name Prefix',
-  DAL: 'Residence Street Address1',
-  DAM: 'Residence Street Address2',
-  DAN: 'Residence City',
-  DAO: 'Residence Jurisdiction Code',
-  DAP: 'Residence Postal Code',
-  DAR: 'License Classification Code',
-  DAS: 'License Restriction Code',
-  DAT: 'License Endorsements Code',
-  DAV: 'Height in CM',
-  DBE: 'Issue Timestamp',
-  DBF: 'Number of Duplicates',
-  DBH: 'Organ Donor',
-  DBI: 'Non-Resident Indicator',
-  DBJ: 'Unique Customer Identifier',
-  DBK: 'Social Security Number',
-  DBL: 'Date Of Birth',
-  DBM: 'Social Security Number',
-  DCH: 'Federal Commercial Vehicle Codes',
-  DBO: 'Customer Last Name',
-  DBP: 'Customer First Name',
-  DBQ: 'Customer Middle Name(s)',
-  DBR: 'Name Suffix',
-  PAA: 'Permit Classification Code',
-  PAB: 'Permit Expiration Date',
-  PAC: 'Permit Identifier',
-  PAD: 'Permit IssueDate',
-  PAE: 'Permit Restriction Code',
-  PAF: 'Permit Endorsement Code',
-  ZVA: 'Court Restriction Code',
-  DCT: 'Customer First Name',
-  DAD: 'Customer Middle Name(s)'
-};
+import {
+  barcodeDetectorPlugin,
+  detectBarcodes
+} from './barcodeDetectorPlugin.js';
+import {driverLicenseFields, parseAAMVA} from '../utils/aamva.js';
+import {errorCodes, LicenseError, toScannerError} from '../errors.js';
+import {loadEngine, preloadEngines} from '../utils/engines.js';
+import {centerRegion} from '../utils/roi.js';
+import {decodeZSubfiles} from '../utils/z-subfiles.js';
+import {documentSizes} from '../utils/document.js';
+import {EnginePool} from '../utils/engine-pool.js';
+import {getImageSize} from '../utils/image.js';
+import {getLogger} from '../utils/logger.js';
+import {normalizeDLInfo} from '../utils/dl-normalize.js';
 
 /**
 * Parse driver license data from PDF417 text.
 *
+* Returns the full AAMVA parse (header, issuer, subfiles, raw elements and
+* typed fields) plus `normalized` values (ISO dates, measurements, decoded
+* enums, age flags) and `jurisdictionFields` decoded from `ZxX` subfiles by
+* the registered Z subfile decoders. For backwards compatibility every
+* known element code is also exposed at the top level as
+* `{description, value}`.
+*
 * @param {string} text - Raw PDF417 text from driver license.
 *
 * @returns {object} Parsed driver license information.
 */
 function parseDLInfo(text) {
-  const lines = text.split('\n');
-  const abbrs = Object.keys(driverLicenseFields);
-  const dlInfo = {raw: text};
-
-  lines.forEach((line, i) => {
-    let abbr;
-    let content;
-
-    if(i === 1) {
-      abbr = 'DAQ';
-      content = line.substring(line.indexOf(abbr) + 3);
-    } else {
-      abbr = line.substring(0, 3);
-      content = line.substring(3).trim();
-    }
+  const dlInfo = parseAAMVA(text);
+  dlInfo.normalized = normalizeDLInfo(dlInfo);
+  dlInfo.jurisdictionFields = decodeZSubfiles(dlInfo);
 
-    if(abbrs.includes(abbr)) {
+  for(const [abbr, value] of Object.entries(dlInfo.elements)) {
+    if(abbr in driverLicenseFields) {
       dlInfo[abbr] = {
         description: driverLicenseFields[abbr],
-        value: content,
+        value
       };
     }
-  });
+  }
 
   return dlInfo;
 }
 
+// whole source, in percent
+const FULL_REGION = Object.freeze({
+  regionLeft: 0,
+  regionTop: 0,
+  regionRight: 100,
+  regionBottom: 100,
+  regionMeasuredByPercentage: 1
+});
+
 /**
-* Calculate optimal scanning region based on source dimensions.
+* Calculate the scanning region: a centered box shaped like an ID-1 card,
+* as driver license barcodes fill most of the card back.
 *
-* @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement} source -
-*  Source element to calculate region for.
+* @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|
+*  ImageData} source - Source to calculate the region for.
 * @param {object} options - Region calculation options.
-* @param {number} options.regionScale - Scale factor for region size.
+* @param {number} options.regionScale - Region size relative to the largest
+*  card-shaped box that fits the source.
 *
-* @returns {object} Calculated region coordinates.
+* @returns {object} Dynamsoft region, in percent of the source.
 */
 function calculateScanRegion(source, options = {}) {
-  const {regionScale = 0.4} = options;
-
-  let width;
-  let height;
-
-  if(source instanceof HTMLVideoElement) {
-    width = source.videoWidth || source.clientWidth;
-    height = source.videoHeight || source.clientHeight;
-  } else if(source instanceof HTMLImageElement) {
-    width = source.naturalWidth || source.width;
-    height = source.naturalHeight || source.height;
-  } else if(source instanceof HTMLCanvasElement) {
-    width = source.width;
-    height = source.height;
-  } else {
-    // Default region - full area
-    return {
-      regionLeft: 0,
-      regionTop: 0,
-      regionRight: 100,
-      regionBottom: 100,
-      regionMeasuredByPercentage: 1
-    };
-  }
-
-  const regionMaskEdgeLength = regionScale * Math.min(width, height);
-  const left = (width - regionMaskEdgeLength) / 2 / width;
-  const top = (height - regionMaskEdgeLength) / 2 / height;
+  const {regionScale = 0.8} = options;
 
-  let regionLeft;
-  let regionTop;
-
-  if(width > height) {
-    regionLeft = Math.round(left * 100) - 25;
-    regionTop = Math.round(top * 100) - 5;
-  } else {
-    regionLeft = Math.round(left * 100) - 20;
-    regionTop = Math.round(top * 100) - 5;
+  const {width, height} = getImageSize(source);
+  if(!width || !height) {
+    // Default region - full area
+    return {...FULL_REGION};
   }
 
+  const card = documentSizes['id-1'];
+  const region = centerRegion({width, height}, {
+    scale: regionScale,
+    aspectRatio: card.width / card.height
+  });
   return {
-    regionLeft: Math.max(0, regionLeft),
-    regionTop: Math.max(0, regionTop),
-    regionRight: Math.min(100, 100 - regionLeft),
-    regionBottom: Math.min(100, 100 - regionTop),
+    regionLeft: Math.floor(region.x / width * 100),
+    regionTop: Math.floor(region.y / height * 100),
+    regionRight: Math.ceil((region.x + region.width) / width * 100),
+    regionBottom: Math.ceil((region.y + region.height) / height * 100),
     regionMeasuredByPercentage: 1
   };
 }
 
+const defaultLogger = getLogger('plugin:pdf417_enhanced');
+
+// Dynamsoft readers reused across scans, keyed by deblur level
+const readers = new EnginePool({
+  async create({deblurLevel}) {
+    const {BarcodeReader, EnumBarcodeFormat} =
+      await loadEngine('dynamsoft-barcode');
+    const reader = await BarcodeReader.createInstance();
+    try {
+      const settings = await reader.getRuntimeSettings();
+      settings.barcodeFormatIds = EnumBarcodeFormat.BF_PDF417;
+      settings.deblurLevel = deblurLevel;
+      settings.localizationModes = [16, 8, 2, 0, 0, 0, 0, 0];
+      await reader.updateRuntimeSettings(settings);
+    } catch(error) {
+      reader.destroyContext();
+      throw error;
+    }
+    return reader;
+  },
+  destroy: reader => reader.destroyContext()
+});
+
+// scan region last applied to each reader, as JSON
+const readerRegions = new WeakMap();
+
 /**
 * Enhanced PDF417 scanning plugin with Dynamsoft integration.
 */
 export const enhancedPdf417Plugin = {
   format: 'pdf417_enhanced',
+  // loaded on first scan, see `preloadPlugins()`
+  engines: ['dynamsoft-barcode', 'barcode-detector'],
+
+  /**
+   * Create the engine instances `scan()` uses with the same options ahead
+   * of the first scan.
+   *
+   * @param {object} [options] - `scan()` options.
+   */
+  async init(options = {}) {
+    const {
+      license,
+      useDynamsoft = true,
+      deblurLevel = 9,
+      fallbackToBarcodeDetector = true
+    } = options;
+    const prepared = [];
+    if(useDynamsoft && license) {
+      await loadDynamsoft(license);
+      prepared.push(readers.prepare({deblurLevel}));
+    }
+    if(fallbackToBarcodeDetector) {
+      prepared.push(barcodeDetectorPlugin.init({formats: ['pdf417']}));
+    }
+    await Promise.all(prepared);
+  },
 
   /**
    * Scan source for PDF417 codes using enhanced algorithms.
@@ -208,9 +161,12 @@ export const enhancedPdf417Plugin = {
    * @param {boolean} options.useDynamsoft - Use Dynamsoft engine.
    * @param {boolean} options.parseDL - Parse driver license info.
    * @param {number} options.deblurLevel - Deblur level 1-9.
-   * @param {number} options.regionScale - Region scale 0-1.
+   * @param {number} options.regionScale - Region size 0-1, relative to the
+   *  largest ID-1 card shaped box that fits the source.
    * @param {boolean} options.useRegion - Enable region-based scanning.
    * @param {boolean} options.fallbackToBarcodeDetector - Fallback enabled.
+   * @param {object} [options.logger] - `Logger`; defaults to the shared
+   *  'plugin:pdf417_enhanced' logger.
    *
    * @returns {Promise<object[]>} Array of detected PDF417 codes.
    */
@@ -221,9 +177,10 @@ export const enhancedPdf417Plugin = {
       useDynamsoft = true,
       parseDL = false,
       deblurLevel = 9,
-      regionScale = 0.4,
+      regionScale = 0.8,
       useRegion = true,
-      fallbackToBarcodeDetector = true
+      fallbackToBarcodeDetector = true,
+      logger = defaultLogger
     } = options;
 
     // Check for abort
@@ -247,10 +204,11 @@ export const enhancedPdf417Plugin = {
           return results;
         }
       } catch(error) {
-        console.warn('Dynamsoft scanning failed:', error.message);
+        logger.warn('Dynamsoft scanning failed:', error.message);
 
         if(!fallbackToBarcodeDetector) {
-          throw error;
+          // e.g. LICENSE_INVALID
+          throw toScannerError(error, {format: 'pdf417_enhanced'});
         }
       }
     }
@@ -263,14 +221,82 @@ export const enhancedPdf417Plugin = {
         if(error.name === 'AbortError') {
           throw error;
         }
-        throw new Error(`PDF417 detection failed: ${error.message}`);
+        throw toScannerError(error, {
+          format: 'pdf417_enhanced',
+          message: `PDF417 detection failed: ${error.message}`
+        });
       }
     }
 
     return results;
+  },
+
+  /**
+   * Load the engines `scan()` uses with the same options: Dynamsoft only
+   * with a license.
+   *
+   * @param {object} [options] - `scan()` options.
+   *
+   * @returns {Promise} Settles once the engines are loaded.
+   */
+  async preload(options = {}) {
+    const {
+      license,
+      useDynamsoft = true,
+      fallbackToBarcodeDetector = true
+    } = options;
+    const engines = [];
+    if(useDynamsoft && license) {
+      engines.push('dynamsoft-barcode');
+    }
+    if(fallbackToBarcodeDetector) {
+      engines.push('barcode-detector');
+    }
+    await preloadEngines(engines);
+  },
+
+  /**
+   * Release the Dynamsoft readers and detectors; the next scan creates new
+   * ones.
+   */
+  async dispose() {
+    await Promise.all([readers.dispose(), barcodeDetectorPlugin.dispose()]);
   }
 };
 
+/**
+* Load the Dynamsoft barcode engine and set its license. Dynamsoft rejects
+* license changes once a reader was created, so a different key is then
+* reported instead of being ignored.
+*
+* @param {string} license - Dynamsoft license key.
+*
+* @returns {Promise<object>} Engine module.
+* @throws {LicenseError} `LICENSE_INVALID` if the key differs from the one
+*  the engine was initialized with.
+*/
+async function loadDynamsoft(license) {
+  const engine = await loadEngine('dynamsoft-barcode');
+  const {BarcodeReader} = engine;
+  if(BarcodeReader.license === license) {
+    return engine;
+  }
+  try {
+    BarcodeReader.license = license;
+  } catch(error) {
+    throw new LicenseError(
+      'The Dynamsoft license key cannot change once the engine is ' +
+      'initialized; reload the page to use a different key.', {
+        code: errorCodes.LICENSE_INVALID,
+        cause: error,
+        format: 'pdf417_enhanced'
+      });
+  }
+  // readers created with the previous key
+  await readers.dispose();
+  return engine;
+}
+
 /**
 * Scan using Dynamsoft JavaScript Barcode SDK.
 *
@@ -290,73 +316,59 @@ async function scanWithDynamsoft(source, options) {
   const {signal, license, deblurLevel, regionScale, useRegion, parseDL} =
     options;
 
-  // Initialize Dynamsoft license
-  if(!BarcodeReader.license) {
-    BarcodeReader.license = license;
-  }
+  await loadDynamsoft(license);
 
   signal?.throwIfAborted();
 
-  let reader;
-
-  try {
-    // Create BarcodeReader instance
-    reader = await BarcodeReader.createInstance();
-
-    // Configure runtime settings
-    const settings = await reader.getRuntimeSettings();
-    settings.barcodeFormatIds = EnumBarcodeFormat.BF_PDF417;
-    settings.deblurLevel = deblurLevel;
-    settings.localizationModes = [16, 8, 2, 0, 0, 0, 0, 0];
-
+  // Perform scanning; files and video/image elements alike
+  const scanResults = await readers.use({deblurLevel}, async reader => {
     // Apply region-based scanning if enabled
-    if(useRegion) {
-      settings.region = calculateScanRegion(source, {regionScale});
-    }
-
-    await reader.updateRuntimeSettings(settings);
+    await applyRegion(reader, useRegion ?
+      calculateScanRegion(source, {regionScale}) : FULL_REGION);
 
     signal?.throwIfAborted();
 
-    // Perform scanning
-    let scanResults;
-
-    if(source instanceof File) {
-      // For file uploads, convert to appropriate format
-      scanResults = await reader.decode(source);
-    } else {
-      // For video/image elements
-      scanResults = await reader.decode(source);
-    }
+    return reader.decode(source);
+  });
 
-    signal?.throwIfAborted();
+  signal?.throwIfAborted();
 
-    // Transform results to standard format
-    return scanResults.map(result => {
-      const baseResult = {
-        text: result.barcodeText,
-        format: result.barcodeFormat,
-        boundingBox: result.localizationResult?.resultPoints ?
-          convertDynamsoftBounds(result.localizationResult.resultPoints) :
-          null,
-        cornerPoints: result.localizationResult?.resultPoints || null,
-        confidence: result.confidence || null
-      };
+  // Transform results to standard format
+  return scanResults.map(result => {
+    const baseResult = {
+      text: result.barcodeText,
+      format: result.barcodeFormat,
+      boundingBox: result.localizationResult?.resultPoints ?
+        convertDynamsoftBounds(result.localizationResult.resultPoints) :
+        null,
+      cornerPoints: result.localizationResult?.resultPoints || null,
+      confidence: result.confidence || null
+    };
 
-      // Add driver license parsing if requested
-      if(parseDL) {
-        baseResult.driverLicense = parseDLInfo(result.barcodeText);
-      }
+    // Add driver license parsing if requested
+    if(parseDL) {
+      baseResult.driverLicense = parseDLInfo(result.barcodeText);
+    }
 
-      return baseResult;
-    });
+    return baseResult;
+  });
+}
 
-  } finally {
-    // Clean up resources
-    if(reader) {
-      reader.destroyContext();
-    }
+/**
+* Set the scan region of a reader, unless it is already set.
+*
+* @param {object} reader - Dynamsoft `BarcodeReader`.
+* @param {object} region - Region from `calculateScanRegion()`.
+*/
+async function applyRegion(reader, region) {
+  const key = JSON.stringify(region);
+  if(readerRegions.get(reader) === key) {
+    return;
   }
+  const settings = await reader.getRuntimeSettings();
+  settings.region = region;
+  await reader.updateRuntimeSettings(settings);
+  readerRegions.set(reader, key);
 }
 
 /**
@@ -376,32 +388,25 @@ async function scanWithBarcodeDetector(source, options) {
   signal?.throwIfAborted();
 
   try {
-    const detector = new BarcodeDetector({formats: ['pdf417']});
-    const barcodes = await detector.detect(source);
-
-    signal?.throwIfAborted();
+    const results = await detectBarcodes(source, {formats: ['pdf417'], signal});
 
-    return barcodes.map(barcode => {
-      const baseResult = {
-        text: barcode.rawValue,
-        format: barcode.format,
-        boundingBox: barcode.boundingBox,
-        cornerPoints: barcode.cornerPoints
-      };
-
-      // Add driver license parsing if requested
-      if(parseDL) {
-        baseResult.driverLicense = parseDLInfo(barcode.rawValue);
+    // Add driver license parsing if requested
+    if(parseDL) {
+      for(const result of results) {
+        result.driverLicense = parseDLInfo(result.text);
       }
+    }
 
-      return baseResult;
-    });
+    return results;
 
   } catch(error) {
     if(error.name === 'AbortError') {
       throw error;
     }
-    throw new Error(`BarcodeDetector PDF417 scanning failed: ${error.message}`);
+    throw toScannerError(error, {
+      format: 'pdf417_enhanced',
+      message: `BarcodeDetector PDF417 scanning failed: ${error.message}`
+    });
   }
 }
 
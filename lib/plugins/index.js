@@ -3,6 +3,15 @@
  */
 
 // Import everything first
+import {
+  barcodeDetectorFormats,
+  barcodeDetectorPlugin,
+  createBarcodeDetectorPlugin
+} from './barcodeDetectorPlugin.js';
+import {
+  boardingPassPlugin,
+  boardingPassSymbologies
+} from './boardingPassPlugin.js';
 import {
   calculateScanRegion,
   // createDriverLicensePlugin,
@@ -10,6 +19,17 @@ import {
   enhancedPdf417Plugin,
   parseDLInfo
 } from './enhancedPdf417Plugin.js';
+import {
+  ean13Plugin,
+  ean8Plugin,
+  parseEanUpc,
+  upcAPlugin,
+  upcEPlugin
+} from './eanUpcPlugin.js';
+import {aztecPlugin} from './aztecPlugin.js';
+import {code128Plugin} from './code128Plugin.js';
+import {dataMatrixPlugin} from './dataMatrixPlugin.js';
+import {localMrzPlugin} from './localMrzPlugin.js';
 import {mrzPlugin} from './mrzPlugin.js';
 import {pdf417Plugin} from './pdf417Plugin.js';
 import {qrCodePlugin} from './qrCodePlugin.js';
@@ -19,13 +39,27 @@ export {
   qrCodePlugin,
   pdf417Plugin,
   enhancedPdf417Plugin,
-  mrzPlugin
+  mrzPlugin,
+  localMrzPlugin,
+  barcodeDetectorPlugin,
+  createBarcodeDetectorPlugin,
+  ean13Plugin,
+  ean8Plugin,
+  upcAPlugin,
+  upcEPlugin,
+  code128Plugin,
+  dataMatrixPlugin,
+  aztecPlugin,
+  boardingPassPlugin
   // createDriverLicensePlugin,
 };
 
 // Export utility functions
 export {
+  barcodeDetectorFormats,
+  boardingPassSymbologies,
   driverLicenseFields,
+  parseEanUpc,
   parseDLInfo,
   calculateScanRegion
 };
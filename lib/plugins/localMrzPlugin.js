@@ -0,0 +1,127 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import {ocrbModel} from '../utils/ocrb-model.js';
+import {recognizeMRZ} from '../utils/mrz-ocr.js';
+import {toImageData} from '../utils/image.js';
+import {toScannerError} from '../errors.js';
+
+/**
+* MRZ (Machine Readable Zone) scanning plugin using local OCR. Needs no
+* license and no DOM, so it runs in a window or a worker. Registers the same
+* `mrz` format and returns the same result shape as `mrzPlugin`.
+*/
+export const localMrzPlugin = {
+  format: 'mrz',
+  // needs no DOM: may run in a WorkerPool
+  workerSafe: true,
+
+  /**
+  * Scan source for MRZ data.
+  *
+  * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement|
+  *  OffscreenCanvas|ImageBitmap|ImageData|Blob} source - Source to scan.
+  * @param {object} options - Plugin-specific options.
+  * @param {AbortSignal} options.signal - Abort signal.
+  * @param {object} [options.model] - Glyph template model (defaults to the
+  *   bundled OCR-B model).
+  * @param {number} [options.minCharacters=20] - Minimum characters per MRZ
+  *   line.
+  * @param {boolean} [options.requireValid=false] - Only return results
+  *   whose check digits all pass; useful when scanning video frames until
+  *   a clean read.
+  *
+  * @returns {Promise<object[]>} Array of detected MRZ data.
+  */
+  async scan(source, options = {}) {
+    const {
+      signal,
+      model = ocrbModel,
+      minCharacters = 20,
+      requireValid = false
+    } = options;
+
+    // Check for abort
+    signal?.throwIfAborted();
+
+    try {
+      const imageData = await toImageData(source);
+      signal?.throwIfAborted();
+
+      const recognized = recognizeMRZ(imageData, {model, minCharacters});
+
+      // Check for abort after recognition
+      signal?.throwIfAborted();
+
+      if(!recognized?.parsed || (requireValid && !recognized.parsed.valid)) {
+        return [];
+      }
+      return [this._transformResult(recognized)];
+
+    } catch(error) {
+      if(error.name === 'AbortError') {
+        throw error;
+      }
+
+      // Wrap other errors with more context, keeping their code
+      throw toScannerError(error, {
+        format: 'mrz',
+        message: `MRZ detection failed: ${error.message}`
+      });
+    }
+  },
+
+  /**
+  * Transform a recognition result to the `mrzPlugin` result format.
+  *
+  * @param {object} recognized - Result of `recognizeMRZ`.
+  * @returns {object} Transformed MRZ scan result.
+  * @private
+  */
+  _transformResult(recognized) {
+    const {parsed} = recognized;
+    const {fields, validation, invalidFields} = parsed;
+
+    return {
+      text: parsed.text,
+      format: 'mrz',
+      data: {
+        // Standard MRZ fields
+        documentNumber: fields.documentNumber || '',
+        firstName: fields.firstName || '',
+        lastName: fields.lastName || '',
+        dateOfBirth: fields.dateOfBirth || '',
+        dateOfExpiry: fields.dateOfExpiry || '',
+        nationality: fields.nationality || '',
+        issuingState: fields.issuingState || '',
+        sex: fields.sex || '',
+        documentType: fields.documentType || '',
+        age: fields.age,
+
+        // Additional fields
+        confidence: recognized.confidence,
+        rawMRZ: parsed.text,
+        mrzFormat: parsed.format,
+
+        // Validation information
+        validation,
+        invalidFields,
+        // nothing to cross-check against: the parser is the only source
+        crossCheck: null
+      },
+      metadata: {
+        scanTime: new Date().toISOString(),
+        scanner: 'local-mrz',
+        validationScore: validation.statistics.overallCompleteness,
+        originalResult: {
+          lines: recognized.lines,
+          confidence: recognized.confidence,
+          characters: recognized.characters,
+          region: recognized.region,
+          checkDigits: parsed.checkDigits
+        }
+      }
+    };
+  }
+};
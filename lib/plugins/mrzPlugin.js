@@ -2,13 +2,26 @@
  * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
  */
 
-import {MRZScanner} from 'dynamsoft-mrz-scanner';
+import {analyzeMRZValidation, parseMRZ} from '../utils/mrz.js';
+import {
+  errorCodes,
+  LicenseError,
+  toScannerError,
+  UnsupportedSourceError
+} from '../errors.js';
+import {clearCanvas} from '../utils/image.js';
+import {getLogger} from '../utils/logger.js';
+import {loadEngine} from '../utils/engines.js';
+
+const defaultLogger = getLogger('plugin:mrz');
 
 /**
 * MRZ (Machine Readable Zone) scanning plugin using Dynamsoft MRZ Scanner.
 */
 export const mrzPlugin = {
   format: 'mrz',
+  // loaded on first scan, see `preloadPlugins()`
+  engines: ['dynamsoft-mrz'],
 
   /**
   * Scan source for MRZ data.
@@ -22,36 +35,35 @@ export const mrzPlugin = {
   * @param {object} options.scannerConfig - Additional scanner configuration.
   * @param {string} options.mrzMode - Scanning mode:
   *   'camera' | 'file' | 'element'.
+  * @param {object} [options.logger] - `Logger`; defaults to the shared
+  *  'plugin:mrz' logger.
   *
   * @returns {Promise<object[]>} Array of detected MRZ data.
   */
   async scan(source, options = {}) {
-    console.log('=== MRZ PLUGIN DEBUG ===');
-    // console.log('Source type:', source?.constructor?.name);
-    // console.log('Options received:', options);
-    console.log('License key:', options.licenseKey ? 'PROVIDED' : 'MISSING');
-    // console.log('MRZ Mode:', options.mrzMode);
-    // console.log('Scanner Config:', options.scannerConfig);
-    console.log('Target Container:',
-      options.scannerConfig?.targetContainer ? 'PROVIDED' : 'MISSING');
-    console.log('========================');
-
     const {
       signal,
       licenseKey,
       scannerConfig = {},
-      mrzMode = options.mrzMode || 'element'
+      mrzMode = options.mrzMode || 'element',
+      logger = defaultLogger
     } = options;
 
-    // Debug Log
-    // console.log('MRZ Plugin: About to enter switch statement');
-    // console.log('MRZ Mode resolved to:', mrzMode);
+    logger.debug('Scanning:', {
+      mrzMode,
+      hasLicenseKey: !!licenseKey,
+      hasContainer: !!scannerConfig.container
+    });
 
     // Check for abort
     signal?.throwIfAborted();
 
     if(!licenseKey) {
-      throw new Error('MRZ scanning requires a valid Dynamsoft license key');
+      throw new LicenseError(
+        'MRZ scanning requires a valid Dynamsoft license key', {
+          code: errorCodes.LICENSE_MISSING,
+          format: 'mrz'
+        });
     }
 
     try {
@@ -64,16 +76,15 @@ export const mrzPlugin = {
       // Handle different scanning modes
       switch(mrzMode) {
         case 'camera':
-          console.log('MRZ Plugin: Entering camera mode');
           result = await this._scanFromCamera(
             licenseKey, scannerConfig, signal
           );
-          console.log('MRZ Plugin: Camera scan completed:', result);
           break;
 
         case 'file':
           if(!(source instanceof File)) {
-            throw new Error('File mode requires a File object as source');
+            throw new UnsupportedSourceError(
+              'File mode requires a File object as source');
           }
           result = await this._scanFromFile(
             source,
@@ -86,7 +97,7 @@ export const mrzPlugin = {
         case 'element':
         default:
           if(!this._isValidImageSource(source)) {
-            throw new Error(
+            throw new UnsupportedSourceError(
               'Element mode requires HTMLImageElement, HTMLVideoElement, ' +
               'HTMLCanvasElement, or ImageData'
             );
@@ -102,6 +113,7 @@ export const mrzPlugin = {
 
       // Check for abort after scanning
       signal?.throwIfAborted();
+      logger.debug(`${mrzMode} scan completed:`, result);
 
       // Transform and validate result
       return this._transformResult(result);
@@ -110,9 +122,13 @@ export const mrzPlugin = {
       if(error.name === 'AbortError') {
         throw error;
       }
+      logger.debug(`${mrzMode} scan failed:`, error);
 
-      // Wrap other errors with more context
-      throw new Error(`MRZ detection failed: ${error.message}`);
+      // Wrap other errors with more context, keeping their code
+      throw toScannerError(error, {
+        format: 'mrz',
+        message: `MRZ detection failed: ${error.message}`
+      });
     }
   },
 
@@ -126,14 +142,9 @@ export const mrzPlugin = {
   * @private
   */
   async _scanFromCamera(licenseKey, scannerConfig, signal) {
-    // console.log('_scanFromCamera called with:',
-    //    {licenseKey: !!licenseKey, scannerConfig,
-    //    targetContainer: !!scannerConfig.targetContainer});
-
     const {container: targetContainer, ...dynamSoftConfig} = scannerConfig;
-    // console.log('_scanFromCamera: targetContainer >> ', targetContainer);
-    console.log('_scanFromCamera: dynamSoftConfig >> ', dynamSoftConfig);
 
+    const {MRZScanner} = await loadEngine('dynamsoft-mrz');
     const mrzScanner = new MRZScanner({
       license: licenseKey,
       container: targetContainer,
@@ -142,29 +153,22 @@ export const mrzPlugin = {
         ...dynamSoftConfig.resultViewConfig,
         onDone: result => {
           // Result will be handled in the promise resolution
-          console.log('Dynamsoft onDone callback triggered:', result);
           return result;
         }
       }
     });
 
-    console.log('MRZScanner created, about to call launch()');
-
     // Check for abort before scanning
     signal?.throwIfAborted();
 
     try {
       // Launch camera scanner UI
       const result = await mrzScanner.launch();
-      console.log('MRZScanner.launch() completed:', result);
 
       // Check for abort after scanning
       signal?.throwIfAborted();
 
       return result;
-    } catch(error) {
-      console.error('MRZScanner.launch() error:', error);
-      throw error;
     } finally {
       // Clean up resources
       if(mrzScanner.destroy) {
@@ -185,32 +189,18 @@ export const mrzPlugin = {
   * @private
   */
   async _scanFromFile(file, licenseKey, scannerConfig, signal) {
-    // console.log('=== _scanFromFile ENTRY ===');
-    // console.log('File:', file?.name, file?.size);
-    // console.log('License key provided:', !!licenseKey);
-    // console.log('Creating MRZScanner...');
+    const {MRZScanner} = await loadEngine('dynamsoft-mrz');
     const mrzScanner = new MRZScanner({
       license: licenseKey,
       ...(scannerConfig || {}) // Handle undefined scannerConfig gracefully
     });
-    console.log('_scanFromFile: MRZScanner created successfully');
 
     try {
       // Check for abort before scanning
       signal?.throwIfAborted();
-      console.log('About to call mrzScanner.launch(file)...');
-
-      const result = await mrzScanner.launch(file);
-      console.log('_scanFromFile: MRZ scan result received:', !!result);
-      // console.log('_scanFromFile: Result data:', result);
 
-      return result;
-    } catch(error) {
-      console.log('MRZ scan error caught:', error.message);
-      console.log('Error stack:', error.stack);
-      throw error;
+      return await mrzScanner.launch(file);
     } finally {
-      console.log('Cleaning up MRZ scanner...');
       // Clean up resources
       if(mrzScanner.destroy) {
         mrzScanner.destroy();
@@ -241,18 +231,15 @@ export const mrzPlugin = {
 
       // Convert image element to File for processing
       const file = await this._elementToFile(source);
-      // DEBUG LOG
-      console.log('=== ABOUT TO CALL _scanFromFile ===');
-      // console.log('File created:', !!file, file?.name, file?.size);
-      // console.log('_scanFromFile method exists:', typeof this._scanFromFile);
 
       // Use file scanning method
       return await this._scanFromFile(file, licenseKey, scannerConfig, signal);
 
     } catch(error) {
-      // console.error('=== _scanFromElement CAUGHT ERROR ===');
-      console.error('Error:', error);
-      throw new Error(`Element scanning failed: ${error.message}`);
+      throw toScannerError(error, {
+        format: 'mrz',
+        message: `Element scanning failed: ${error.message}`
+      });
     }
   },
 
@@ -267,53 +254,46 @@ export const mrzPlugin = {
   * @private
   */
   async _elementToFile(source) {
-    console.log('=== ELEMENT TO FILE DEBUG ===');
-    // console.log('Source type:', source.constructor.name);
-    // console.log('Is HTMLVideoElement:', source instanceof HTMLVideoElement);
     let canvas;
 
     if(source instanceof HTMLCanvasElement) {
-      // console.log('Using canvas directly');
       canvas = source;
     } else if(source instanceof ImageData) {
-      // console.log('Converting ImageData to canvas');
       canvas = this._imageDataToCanvas(source);
     } else if(source instanceof HTMLImageElement) {
-      // console.log('Converting HTMLImageElement to canvas');
       canvas = this._imageToCanvas(source);
     } else if(source instanceof HTMLVideoElement) {
-      // console.log('Converting HTMLVideoElement to canvas' +
-      //   ' - CAPTURING VIDEO FRAME');
       canvas = this._videoToCanvas(source);
     } else {
-      throw new Error('Unsupported element type for conversion');
+      throw new UnsupportedSourceError(
+        'Unsupported element type for conversion');
     }
 
-    // console.log('Canvas dimensions:', canvas.width, 'x', canvas.height);
-    // console.log('=== END ELEMENT TO FILE DEBUG ===');
-
     // Convert canvas to blob then to File
-    return new Promise((resolve, reject) => {
-      // console.log('=== CANVAS STATE DEBUG ===');
-      // console.log('Canvas width/height:', canvas.width, canvas.height);
-      // console.log('Canvas context exists:', !!canvas.getContext('2d'));
-
-      // Try to read a pixel to verify canvas has data
-      try {
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.getImageData(0, 0, 1, 1);
-        console.log('Canvas has pixel data:', imageData.data[0] !== undefined);
-      } catch(e) {
-        console.log('Canvas pixel read failed:', e.message);
+    try {
+      return await this._canvasToFile(canvas);
+    } finally {
+      // captured frames must not outlive the conversion
+      if(canvas !== source) {
+        clearCanvas(canvas);
       }
+    }
+  },
 
+  /**
+  * Encode a canvas as a PNG file.
+  *
+  * @param {HTMLCanvasElement} canvas - Canvas.
+  * @returns {Promise<File>} Promise that resolves to a File object.
+  * @private
+  */
+  _canvasToFile(canvas) {
+    return new Promise((resolve, reject) => {
       // ENHANCED toBlob with timeout
-      // console.log('About to call canvas.toBlob()...');
       let blobCallbackCalled = false;
 
       const timeoutId = setTimeout(() => {
         if(!blobCallbackCalled) {
-          // console.log('canvas.toBlob() TIMEOUT - callback never called');
           reject(new Error('Canvas toBlob timeout'));
         }
       }, 12000);
@@ -321,10 +301,6 @@ export const mrzPlugin = {
       canvas.toBlob(blob => {
         blobCallbackCalled = true;
         clearTimeout(timeoutId);
-        // console.log('=== BLOB CONVERSION RESULT ===');
-        // console.log('Blob created:', !!blob);
-        // console.log('Blob size:', blob?.size);
-        // console.log('Blob type:', blob?.type);
 
         if(blob) {
           const file = new File(
@@ -332,9 +308,6 @@ export const mrzPlugin = {
             'scan-image.png',
             {type: 'image/png'}
           );
-          // console.log('=== FILE CONVERSION DEBUG ===');
-          // console.log('File created:', file.name, file.size);
-          // console.log('File type:', file.type);
           resolve(file);
         } else {
           reject(new Error('Failed to convert element to file'));
@@ -367,14 +340,11 @@ export const mrzPlugin = {
   * @private
   */
   _videoToCanvas(video) {
-    // console.log('=== _videoToCanvas Entry ===');
     const canvas = document.createElement('canvas');
     canvas.width = video.videoWidth || video.width;
     canvas.height = video.videoHeight || video.height;
     const ctx = canvas.getContext('2d');
     ctx.drawImage(video, 0, 0);
-    // console.log('=== _videoToCanvas: canvas =>', canvas);
-    // console.log('=== _videoToCanvas Exit ===');
     return canvas;
   },
 
@@ -448,8 +418,15 @@ export const mrzPlugin = {
 
     const mrzData = dynamSoftResult.data;
 
+    // Cross-check Dynamsoft's fields and check digits against the MRZ text
+    const crossCheck = this._crossCheck(mrzData);
+    const invalidFields = [...new Set([
+      ...(mrzData.invalidFields || []),
+      ...(crossCheck?.invalidFields || [])
+    ])];
+
     // Analyze validation
-    const validation = this._analyzeValidation(mrzData);
+    const validation = this._analyzeValidation(mrzData, invalidFields);
 
     // Transform to standard plugin result format
     const transformedResult = {
@@ -474,7 +451,8 @@ export const mrzPlugin = {
 
         // Validation information
         validation,
-        invalidFields: mrzData.invalidFields || []
+        invalidFields,
+        crossCheck
       },
       metadata: {
         scanTime: new Date().toISOString(),
@@ -491,129 +469,73 @@ export const mrzPlugin = {
   * Analyze MRZ validation.
   *
   * @param {object} mrzData - The MRZ data object to analyze.
+  * @param {string[]} [invalidFields] - Invalid field names; defaults to
+  *   Dynamsoft's `invalidFields`.
   * @returns {object} Validation analysis result.
   * @private
   */
-  _analyzeValidation(mrzData) {
-    const invalidFields = mrzData.invalidFields || [];
-
-    // Define critical vs optional fields
-    const criticalFields = [
-      'documentNumber',
-      'firstName',
-      'lastName',
-      'dateOfBirth',
-      'dateOfExpiry'
-    ];
-    const optionalFields = [
-      'nationality',
-      'issuingState',
-      'sex',
-      'age',
-      'documentType'
-    ];
-    const allFields = [...criticalFields, ...optionalFields];
-
-    // Analyze field completeness
-    const fieldAnalysis = allFields.map(fieldKey => {
-      const hasValue = mrzData[fieldKey] && mrzData[fieldKey] !== '';
-      const isInvalid = invalidFields.includes(fieldKey);
-      const isCritical = criticalFields.includes(fieldKey);
-
-      return {
-        key: fieldKey,
-        label: this._getFieldLabel(fieldKey),
-        hasValue,
-        isInvalid,
-        isCritical,
-        status: this._determineFieldStatus(hasValue, isInvalid, isCritical)
-      };
-    });
-
-    // Calculate validation statistics
-    const validCriticalFields = fieldAnalysis
-      .filter(f => f.isCritical && f.status === 'valid')
-      .length;
-    const totalCriticalFields = criticalFields.length;
-    const validOptionalFields = fieldAnalysis
-      .filter(f => !f.isCritical && f.status === 'valid')
-      .length;
-    const totalOptionalFields = optionalFields.length;
-
-    const criticalCompleteness =
-      (validCriticalFields / totalCriticalFields) * 100;
-    const optionalCompleteness =
-      (validOptionalFields / totalOptionalFields) * 100;
-    const overallCompleteness =
-      ((validCriticalFields + validOptionalFields) / allFields.length) * 100;
-
-    const statistics = {
-      criticalCompleteness: Math.round(criticalCompleteness),
-      optionalCompleteness: Math.round(optionalCompleteness),
-      overallCompleteness: Math.round(overallCompleteness),
-      totalFields: allFields.length,
-      validFields: validCriticalFields + validOptionalFields,
-      invalidFields: fieldAnalysis.filter(f => f.status === 'invalid').length,
-      missingFields: fieldAnalysis.filter(f => f.status === 'missing').length
-    };
-
-    // Determine overall status
-    let overallStatus = 'failed';
-    if(criticalCompleteness === 100 && optionalCompleteness >= 80) {
-      overallStatus = 'complete';
-    } else if(criticalCompleteness >= 80) {
-      overallStatus = 'partial';
-    } else if(criticalCompleteness >= 50) {
-      overallStatus = 'incomplete';
-    }
-
-    return {
-      overallStatus,
-      fieldAnalysis,
-      statistics
-    };
-  },
-
-  /**
-  * Returns a human-readable label for a given MRZ field key.
-  *
-  * @param {string} key - The MRZ field key to convert to a label.
-  * @returns {string} The human-readable label for the field.
-  * @private
-  */
-  _getFieldLabel(key) {
-    const labelMap = {
-      documentNumber: 'Document Number',
-      firstName: 'First Name',
-      lastName: 'Last Name',
-      dateOfBirth: 'Date of Birth',
-      dateOfExpiry: 'Expiry Date',
-      nationality: 'Nationality',
-      issuingState: 'Issuing State',
-      sex: 'Gender',
-      age: 'Age',
-      documentType: 'Document Type'
-    };
-    return labelMap[key] || key.replace(/([A-Z])/g, ' $1').toLowerCase();
+  _analyzeValidation(mrzData, invalidFields = mrzData.invalidFields || []) {
+    return analyzeMRZValidation(mrzData, invalidFields);
   },
 
   /**
-  * Determine field validation status.
+  * Cross-check Dynamsoft's parsed fields against the pure JS MRZ parser run
+  * on the raw MRZ text.
   *
-  * @param {boolean} hasValue - Whether the field has a value.
-  * @param {boolean} isInvalid - Whether the field is invalid.
-  * @param {boolean} isCritical - Whether the field is critical.
-  * @returns {string} The validation status for the field.
+  * @param {object} mrzData - The MRZ data object from Dynamsoft.
+  * @returns {object|null} Cross-check result with the parser's format,
+  *   check digits, field `mismatches` and `invalidFields`, or null when
+  *   there is no MRZ text.
   * @private
   */
-  _determineFieldStatus(hasValue, isInvalid, isCritical) {
-    if(isInvalid) {
-      return 'invalid';
+  _crossCheck(mrzData) {
+    if(!mrzData.mrzText) {
+      return null;
     }
-    if(!hasValue) {
-      return isCritical ? 'missing' : 'optional_missing';
+
+    let parsed;
+    try {
+      parsed = parseMRZ(mrzData.mrzText);
+    } catch(error) {
+      return {
+        valid: false,
+        error: error.message,
+        mismatches: [],
+        invalidFields: []
+      };
     }
-    return 'valid';
+
+    const dynamsoftFields = {
+      documentNumber: mrzData.documentNumber,
+      lastName: mrzData.lastName,
+      firstName: mrzData.firstName,
+      dateOfBirth: this._formatDate(mrzData.dateOfBirth),
+      dateOfExpiry: this._formatDate(mrzData.dateOfExpiry),
+      nationality: mrzData.nationality,
+      issuingState: mrzData.issuingState
+    };
+    const normalize = value => String(value ?? '')
+      .toUpperCase().replace(/[<\s]+/g, ' ').trim();
+
+    const mismatches = Object.entries(dynamsoftFields)
+      .filter(([key, value]) => normalize(value) && parsed.fields[key] &&
+        normalize(value) !== normalize(parsed.fields[key]))
+      .map(([key, value]) => ({
+        field: key,
+        dynamsoft: value,
+        parsed: parsed.fields[key]
+      }));
+
+    return {
+      format: parsed.format,
+      valid: parsed.valid && mismatches.length === 0,
+      checkDigits: parsed.checkDigits,
+      mismatches,
+      invalidFields: [
+        ...parsed.invalidFields,
+        ...mismatches.map(({field}) => field)
+      ]
+    };
   },
 
   /**
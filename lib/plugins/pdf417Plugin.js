@@ -2,13 +2,56 @@
  * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
  */
 
-import {BarcodeDetector} from 'barcode-detector/ponyfill';
+import {
+  barcodeDetectorPlugin,
+  detectBarcodes
+} from './barcodeDetectorPlugin.js';
+import {
+  mergeSequences,
+  readSequencedSymbols
+} from '../utils/structured-append.js';
+import {preloadEngines} from '../utils/engines.js';
+import {toScannerError} from '../errors.js';
 
 /**
 * PDF417 scanning plugin using BarcodeDetector API.
+*
+* With `structuredAppend: true`, symbols are read with zxing-wasm instead,
+* which reports Macro PDF417 headers, and the segments of a file are joined
+* into one result (see `mergeSequences()`).
 */
 export const pdf417Plugin = {
   format: 'pdf417',
+  // needs no DOM: may run in a WorkerPool
+  workerSafe: true,
+  // loaded on first scan, see `preloadPlugins()`
+  engines: ['barcode-detector'],
+  // decoded in one pass with the other `BarcodeDetector` formats of a scan
+  batch: barcodeDetectorPlugin,
+
+  /**
+  * Create the detector ahead of the first scan.
+  *
+  * @param {object} [options] - `scan()` options.
+  */
+  async init(options = {}) {
+    if(!options.structuredAppend) {
+      await barcodeDetectorPlugin.init({formats: ['pdf417']});
+    }
+  },
+
+  /**
+  * Load the engine `scan()` uses with the same options: zxing-wasm for
+  * structured append, `BarcodeDetector` otherwise.
+  *
+  * @param {object} [options] - `scan()` options.
+  *
+  * @returns {Promise} Settles once the engine is loaded.
+  */
+  async preload(options = {}) {
+    await preloadEngines(
+      [options.structuredAppend ? 'zxing' : 'barcode-detector']);
+  },
 
   /**
   * Scan source for PDF417 codes.
@@ -17,40 +60,39 @@ export const pdf417Plugin = {
   *  HTMLCanvasElement|ImageData} source - Source to scan.
   * @param {object} options - Plugin-specific options.
   * @param {AbortSignal} options.signal - Abort signal.
+  * @param {boolean} [options.structuredAppend=false] - Join the segments of
+  *  Macro PDF417 symbols; their results get `sequence`.
   *
   * @returns {Promise<object[]>} Array of detected PDF417 codes.
   */
   async scan(source, options = {}) {
-    const {signal} = options;
-
-    // Check for abort
-    signal?.throwIfAborted();
+    const {signal, structuredAppend = false} = options;
 
     try {
-      // Create detector for PDF417 codes only
-      const detector = new BarcodeDetector({formats: ['pdf417']});
-
-      // Detect barcodes
-      const barcodes = await detector.detect(source);
-
-      // Check for abort after detection
-      signal?.throwIfAborted();
-
-      // Transform results to standard format
-      return barcodes.map(barcode => ({
-        text: barcode.rawValue,
-        format: barcode.format,
-        boundingBox: barcode.boundingBox,
-        cornerPoints: barcode.cornerPoints
-      }));
-
+      if(structuredAppend) {
+        return mergeSequences(await readSequencedSymbols(source, {
+          formats: ['pdf417'], signal
+        }));
+      }
+      // Detect barcodes with a detector for PDF417 codes only
+      return await detectBarcodes(source, {formats: ['pdf417'], signal});
     } catch(error) {
       if(error.name === 'AbortError') {
         throw error;
       }
 
       // Wrap other errors with more context
-      throw new Error(`PDF417 detection failed: ${error.message}`);
+      throw toScannerError(error, {
+        format: 'pdf417',
+        message: `PDF417 detection failed: ${error.message}`
+      });
     }
+  },
+
+  /**
+  * Release the `BarcodeDetector`s; the next scan creates a new one.
+  */
+  async dispose() {
+    await barcodeDetectorPlugin.dispose();
   }
 };
@@ -2,13 +2,60 @@
  * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
  */
 
-import {BarcodeDetector} from 'barcode-detector/ponyfill';
+import {
+  barcodeDetectorPlugin,
+  detectBarcodes
+} from './barcodeDetectorPlugin.js';
+import {
+  mergeSequences,
+  readSequencedSymbols
+} from '../utils/structured-append.js';
+import {decodePayload} from '../utils/qr-payloads.js';
+import {preloadEngines} from '../utils/engines.js';
+import {toScannerError} from '../errors.js';
 
 /**
-* QR Code scanning plugin using BarcodeDetector API.
+* QR Code scanning plugin using BarcodeDetector API. Results include the
+* typed `payload` (`{type, decoded}`) found by `decodePayload()`, such as a
+* VC-QR credential, DID or credential offer. Pass `decodePayloads: false` to
+* skip decoding.
+*
+* With `structuredAppend: true`, symbols are read with zxing-wasm instead,
+* which reports Structured Append headers, and the segments of a message are
+* joined into one result (see `mergeSequences()`).
 */
 export const qrCodePlugin = {
   format: 'qr_code',
+  // needs no DOM: may run in a WorkerPool
+  workerSafe: true,
+  // loaded on first scan, see `preloadPlugins()`
+  engines: ['barcode-detector'],
+  // decoded in one pass with the other `BarcodeDetector` formats of a scan
+  batch: barcodeDetectorPlugin,
+
+  /**
+  * Create the detector ahead of the first scan.
+  *
+  * @param {object} [options] - `scan()` options.
+  */
+  async init(options = {}) {
+    if(!options.structuredAppend) {
+      await barcodeDetectorPlugin.init({formats: ['qr_code']});
+    }
+  },
+
+  /**
+  * Load the engine `scan()` uses with the same options: zxing-wasm for
+  * structured append, `BarcodeDetector` otherwise.
+  *
+  * @param {object} [options] - `scan()` options.
+  *
+  * @returns {Promise} Settles once the engine is loaded.
+  */
+  async preload(options = {}) {
+    await preloadEngines(
+      [options.structuredAppend ? 'zxing' : 'barcode-detector']);
+  },
 
   /**
   * Scan source for QR codes.
@@ -17,40 +64,68 @@ export const qrCodePlugin = {
   *  HTMLCanvasElement|ImageData} source - Source to scan.
   * @param {object} options - Plugin-specific options.
   * @param {AbortSignal} options.signal - Abort signal.
+  * @param {boolean} [options.decodePayloads=true] - Add `payload` to
+  *  results.
+  * @param {boolean} [options.structuredAppend=false] - Join the segments of
+  *  Structured Append symbols; their results get `sequence`.
   *
   * @returns {Promise<object[]>} Array of detected QR codes.
   */
   async scan(source, options = {}) {
-    const {signal} = options;
-
-    // Check for abort
-    signal?.throwIfAborted();
+    const {signal, decodePayloads = true, structuredAppend = false} = options;
 
+    let results;
     try {
-      // Create detector for QR codes only
-      const detector = new BarcodeDetector({formats: ['qr_code']});
-
-      // Detect barcodes
-      const barcodes = await detector.detect(source);
-
-      // Check for abort after detection
-      signal?.throwIfAborted();
-
-      // Transform results to standard format
-      return barcodes.map(barcode => ({
-        text: barcode.rawValue,
-        format: barcode.format,
-        boundingBox: barcode.boundingBox,
-        cornerPoints: barcode.cornerPoints
-      }));
-
+      results = structuredAppend ?
+        mergeSequences(await readSequencedSymbols(source, {
+          formats: ['qr_code'], signal
+        })) :
+        // Detect barcodes with a detector for QR codes only
+        await detectBarcodes(source, {formats: ['qr_code'], signal});
     } catch(error) {
       if(error.name === 'AbortError') {
         throw error;
       }
 
       // Wrap other errors with more context
-      throw new Error(`QR code detection failed: ${error.message}`);
+      throw toScannerError(error, {
+        format: 'qr_code',
+        message: `QR code detection failed: ${error.message}`
+      });
     }
+    return decodePayloads ? _withPayloads(results) : results;
+  },
+
+  /**
+  * Add payloads to the QR codes found in a batched pass.
+  *
+  * @param {object[]} results - QR code results.
+  *
+  * @returns {Promise<object[]>} Results with `payload`.
+  */
+  async fromBatch(results) {
+    return _withPayloads(results);
+  },
+
+  /**
+  * Release the `BarcodeDetector`s; the next scan creates a new one.
+  */
+  async dispose() {
+    await barcodeDetectorPlugin.dispose();
   }
 };
+
+/**
+* Decode the payload of each result.
+*
+* @param {object[]} results - QR code results.
+*
+* @returns {Promise<object[]>} Results with `payload`.
+* @private
+*/
+async function _withPayloads(results) {
+  return Promise.all(results.map(async result => ({
+    ...result,
+    payload: await decodePayload(result.text)
+  })));
+}
@@ -0,0 +1,274 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {documentSizes} from './utils/document.js';
+import {mapLocation} from './utils/image-transforms.js';
+import {qualityHints} from './utils/frame-quality.js';
+
+/**
+ * Scanning overlay drawn over a camera preview: a guide frame shaped for
+ * what is scanned, animated outlines of detected codes and a status line.
+ *
+ * It is themed with CSS custom properties, set on the container or any
+ * ancestor:
+ *
+ * - `--scanner-mask-color`: shade outside the guide frame.
+ * - `--scanner-guide-color`, `--scanner-guide-width`,
+ *   `--scanner-guide-radius`: the guide frame border.
+ * - `--scanner-guide-size`: the guide frame size, as a fraction of the
+ *   preview (0.8 by default).
+ * - `--scanner-highlight-color`, `--scanner-highlight-width`: code outlines.
+ * - `--scanner-document-color`: document outlines.
+ * - `--scanner-status-color`, `--scanner-status-background`,
+ *   `--scanner-status-font`: the status line.
+ */
+
+const CLASS = 'optical-scanner-overlay';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const STYLE = `
+.${CLASS} {
+  position: absolute;
+  inset: 0;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  overflow: hidden;
+  pointer-events: none;
+  container-type: size;
+}
+.${CLASS}__guide {
+  --size: var(--scanner-guide-size, 0.8);
+  width: min(calc(var(--size) * 100cqw),
+    calc(var(--size) * 100cqh * var(--aspect-ratio)));
+  aspect-ratio: var(--aspect-ratio);
+  box-sizing: border-box;
+  border: var(--scanner-guide-width, 3px) solid
+    var(--scanner-guide-color, #fff);
+  border-radius: var(--scanner-guide-radius, 12px);
+  box-shadow: 0 0 0 100vmax var(--scanner-mask-color, rgba(0, 0, 0, 0.4));
+}
+.${CLASS}__guide[hidden] {
+  display: none;
+}
+.${CLASS}__outlines {
+  position: absolute;
+  inset: 0;
+  width: 100%;
+  height: 100%;
+}
+.${CLASS}__outline {
+  fill: none;
+  stroke: var(--scanner-highlight-color, #4caf50);
+  stroke-width: var(--scanner-highlight-width, 4px);
+  stroke-linejoin: round;
+  stroke-dasharray: 1;
+  animation: ${CLASS}-draw 300ms ease-out;
+}
+.${CLASS}__outline--document {
+  stroke: var(--scanner-document-color, #2196f3);
+}
+.${CLASS}__status {
+  position: absolute;
+  bottom: 16px;
+  max-width: 90%;
+  padding: 6px 12px;
+  border-radius: 16px;
+  color: var(--scanner-status-color, #fff);
+  background: var(--scanner-status-background, rgba(0, 0, 0, 0.6));
+  font: var(--scanner-status-font, 500 14px/1.4 sans-serif);
+  text-align: center;
+}
+.${CLASS}__status:empty {
+  display: none;
+}
+@keyframes ${CLASS}-draw {
+  from {
+    stroke-dashoffset: 1;
+  }
+  to {
+    stroke-dashoffset: 0;
+  }
+}
+@media (prefers-reduced-motion: reduce) {
+  .${CLASS}__outline {
+    animation: none;
+  }
+}`;
+
+// `preserveAspectRatio` that draws like the video's `object-fit`
+const FIT_ASPECT = {
+  cover: 'xMidYMid slice',
+  contain: 'xMidYMid meet',
+  'scale-down': 'xMidYMid meet',
+  fill: 'none'
+};
+
+const card = documentSizes['id-1'];
+
+/**
+ * Guide frame aspect ratios (width over height).
+ */
+export const overlayGuides = {
+  qr: 1,
+  pdf417: 3,
+  'id-card': card.width / card.height
+};
+
+/**
+ * Status messages; `{name}` placeholders take the values passed to
+ * `setStatus()`. Quality hints use the messages of `qualityHints`.
+ */
+export const overlayMessages = {
+  ready: 'Camera ready',
+  scanning: 'Hold the code inside the frame',
+  progress: 'Scanned {received} of {total} parts',
+  // while the part count is unknown
+  progressUnknown: 'Scanned {received} parts',
+  found: 'Code found',
+  error: 'Nothing found, try again',
+  ...qualityHints
+};
+
+/**
+ * Overlay of the camera preview of a `CameraScanner` (see its `overlay`
+ * option), usable on any video preview.
+ */
+export class ScanOverlay {
+  /**
+  * @param {HTMLElement} container - Container of the camera preview; the
+  *  overlay is added on top of it.
+  * @param {object} [options] - Options.
+  * @param {HTMLVideoElement} [options.video] - Camera preview; outlines are
+  *  drawn in its frame coordinates.
+  * @param {string|number|null} [options.guide='qr'] - Guide frame: a name
+  *  of `overlayGuides`, an aspect ratio, or null for none.
+  * @param {object} [options.messages] - Status messages replacing those of
+  *  `overlayMessages`.
+  * @param {number} [options.highlightMs=1500] - How long outlines stay.
+  */
+  constructor(container, {
+    video = null,
+    guide = 'qr',
+    messages = {},
+    highlightMs = 1500
+  } = {}) {
+    this.container = container;
+    this.video = video;
+    this.messages = {...overlayMessages, ...messages};
+    this.highlightMs = highlightMs;
+
+    this._timers = new Set();
+    this._position = null;
+    // outlines are placed relative to the container
+    const {position} = getComputedStyle(container);
+    if(!position || position === 'static') {
+      this._position = container.style.position;
+      container.style.position = 'relative';
+    }
+
+    const element = this.element = document.createElement('div');
+    element.className = CLASS;
+    const style = document.createElement('style');
+    style.textContent = STYLE;
+
+    this.guide = document.createElement('div');
+    this.guide.className = `${CLASS}__guide`;
+
+    this._outlines = document.createElementNS(SVG_NS, 'svg');
+    this._outlines.classList.add(`${CLASS}__outlines`);
+
+    this._status = document.createElement('div');
+    this._status.className = `${CLASS}__status`;
+    this._status.setAttribute('role', 'status');
+    this._status.setAttribute('aria-live', 'polite');
+
+    element.append(style, this.guide, this._outlines, this._status);
+    container.appendChild(element);
+    this.setGuide(guide);
+  }
+
+  /**
+  * Change the guide frame.
+  *
+  * @param {string|number|null} guide - A name of `overlayGuides`, an
+  *  aspect ratio, or null to hide the guide frame.
+  */
+  setGuide(guide) {
+    const ratio = typeof guide === 'number' ? guide : overlayGuides[guide];
+    if(guide !== null && !(ratio > 0)) {
+      throw new TypeError(`Unknown overlay guide: ${guide}`);
+    }
+    this.guide.hidden = guide === null;
+    if(ratio) {
+      this.guide.style.setProperty('--aspect-ratio', String(ratio));
+    }
+  }
+
+  /**
+  * Show a status message.
+  *
+  * @param {string|null} status - A key of the messages, other text to show
+  *  as it is, or null to hide the status line.
+  * @param {object} [values] - Values of the message placeholders.
+  */
+  setStatus(status, values = {}) {
+    const message = this.messages[status] ?? status ?? '';
+    this._status.textContent = message.replace(
+      /\{(\w+)\}/g, (match, name) => values[name] ?? match);
+  }
+
+  /**
+  * Outline detected codes for `highlightMs`.
+  *
+  * @param {object[]} codes - Codes with `cornerPoints` or `boundingBox` in
+  *  frame coordinates.
+  * @param {object} [options] - Options.
+  * @param {string} [options.kind='code'] - 'code' or 'document'.
+  */
+  showCodes(codes, {kind = 'code'} = {}) {
+    const {videoWidth: width, videoHeight: height} = this.video || {};
+    if(!width || !height) {
+      return;
+    }
+    this._outlines.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    this._outlines.setAttribute('preserveAspectRatio',
+      FIT_ASPECT[getComputedStyle(this.video).objectFit] ?? 'none');
+
+    for(const code of codes) {
+      const location = mapLocation(code, point => point);
+      if(!location) {
+        continue;
+      }
+      const outline = document.createElementNS(SVG_NS, 'polygon');
+      outline.classList.add(`${CLASS}__outline`, `${CLASS}__outline--${kind}`);
+      outline.setAttribute('points',
+        location.cornerPoints.map(({x, y}) => `${x},${y}`).join(' '));
+      // the stroke is drawn in over a length of 1
+      outline.setAttribute('pathLength', '1');
+      outline.setAttribute('vector-effect', 'non-scaling-stroke');
+      this._outlines.appendChild(outline);
+
+      const timer = setTimeout(() => {
+        this._timers.delete(timer);
+        outline.remove();
+      }, this.highlightMs);
+      this._timers.add(timer);
+    }
+  }
+
+  /**
+  * Remove the overlay and restore the container.
+  */
+  destroy() {
+    for(const timer of this._timers) {
+      clearTimeout(timer);
+    }
+    this._timers.clear();
+    this.element.remove();
+    if(this._position !== null) {
+      this.container.style.position = this._position;
+      this._position = null;
+    }
+  }
+}
@@ -0,0 +1,51 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+// Default dedicated worker started by `createScanWorker()`: serves every
+// built-in worker-safe plugin.
+import {
+  barcodeDetectorFormats,
+  barcodeDetectorPlugin,
+  createBarcodeDetectorPlugin
+} from './plugins/barcodeDetectorPlugin.js';
+import {
+  ean13Plugin,
+  ean8Plugin,
+  upcAPlugin,
+  upcEPlugin
+} from './plugins/eanUpcPlugin.js';
+import {aztecPlugin} from './plugins/aztecPlugin.js';
+import {boardingPassPlugin} from './plugins/boardingPassPlugin.js';
+import {code128Plugin} from './plugins/code128Plugin.js';
+import {dataMatrixPlugin} from './plugins/dataMatrixPlugin.js';
+import {localMrzPlugin} from './plugins/localMrzPlugin.js';
+import {pdf417Plugin} from './plugins/pdf417Plugin.js';
+import {qrCodePlugin} from './plugins/qrCodePlugin.js';
+import {startScanWorker} from './scan-worker.js';
+
+const plugins = [
+  qrCodePlugin,
+  pdf417Plugin,
+  localMrzPlugin,
+  ean13Plugin,
+  ean8Plugin,
+  upcAPlugin,
+  upcEPlugin,
+  code128Plugin,
+  dataMatrixPlugin,
+  aztecPlugin,
+  boardingPassPlugin,
+  // batched scans of several formats
+  barcodeDetectorPlugin
+];
+
+startScanWorker({
+  plugins: [
+    ...plugins,
+    // the other `BarcodeDetector` formats
+    ...barcodeDetectorFormats
+      .filter(format => !plugins.some(plugin => plugin.format === format))
+      .map(createBarcodeDetectorPlugin)
+  ]
+});
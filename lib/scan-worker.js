@@ -0,0 +1,104 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Worker side of the `WorkerPool` protocol. A dedicated worker module calls
+ * `startScanWorker()` with the plugins it should run; `scan-worker-entry.js`
+ * is the default worker serving the built-in worker-safe plugins.
+ *
+ * Messages from the pool are `{type: 'scan', id, format, source, options}`
+ * and `{type: 'abort', id}`; replies are `{type: 'result', id, results}` and
+ * `{type: 'error', id, error}`. Once listening, the worker posts
+ * `{type: 'ready', formats}`.
+ */
+
+/**
+* Serve scan requests in a worker.
+*
+* @param {object} options - Options.
+* @param {object[]} options.plugins - Worker-safe plugins to run.
+* @param {object} [options.scope=globalThis] - Message endpoint: the worker
+*  global scope or a `MessagePort`.
+*/
+export function startScanWorker({plugins, scope = globalThis}) {
+  const registry = new Map(plugins.map(plugin => [plugin.format, plugin]));
+  const controllers = new Map();
+
+  scope.addEventListener('message', async ({data}) => {
+    const {id, type} = data || {};
+    if(type === 'abort') {
+      controllers.get(id)?.abort();
+      return;
+    }
+    if(type !== 'scan') {
+      return;
+    }
+
+    const controller = new AbortController();
+    controllers.set(id, controller);
+    try {
+      const plugin = registry.get(data.format);
+      if(!plugin) {
+        const error = new Error(
+          `Format not available in worker: ${data.format}`);
+        error.code = 'WORKER_UNSUPPORTED_FORMAT';
+        throw error;
+      }
+      const results = await plugin.scan(data.source, {
+        ...data.options,
+        signal: controller.signal
+      });
+      scope.postMessage({
+        type: 'result',
+        id,
+        results: (results || []).map(_toCloneable)
+      });
+    } catch(error) {
+      scope.postMessage({
+        type: 'error',
+        id,
+        error: {
+          name: error.name,
+          message: error.message,
+          code: error.code,
+          format: error.format
+        }
+      });
+    } finally {
+      controllers.delete(id);
+      // transferred bitmaps belong to this worker now
+      data.source?.close?.();
+    }
+  });
+  scope.start?.();
+  scope.postMessage({type: 'ready', formats: [...registry.keys()]});
+}
+
+/**
+* Convert a plugin result to plain data that survives `postMessage`;
+* `BarcodeDetector` locations are `DOMRectReadOnly`s and may not be cloneable
+* everywhere.
+*
+* @param {object} result - Plugin result.
+*
+* @returns {object} Cloneable result.
+* @private
+*/
+function _toCloneable(result) {
+  const {boundingBox, cornerPoints} = result;
+  return {
+    ...result,
+    ...(boundingBox && {
+      boundingBox: {
+        x: boundingBox.x,
+        y: boundingBox.y,
+        width: boundingBox.width,
+        height: boundingBox.height
+      }
+    }),
+    ...(cornerPoints && {
+      cornerPoints: cornerPoints.map(({x, y}) => ({x, y}))
+    })
+  };
+}
@@ -0,0 +1,612 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {parseAAMVADate, parseHeight, parseSex} from './dl-normalize.js';
+
+/**
+ * AAMVA Card Design Standard (CDS) parser for the PDF417 barcode found on
+ * North American driver licenses and identification cards. Supports AAMVA
+ * versions 1 through 10.
+ */
+
+/**
+* Driver License field mappings for PDF417 data parsing.
+*/
+export const driverLicenseFields = {
+  DCA: 'Jurisdiction-specific vehicle class',
+  DCB: 'Jurisdiction-specific restriction codes',
+  DCD: 'Jurisdiction-specific endorsement codes',
+  DBA: 'Document Expiration Date',
+  DCS: 'Customer Last Name',
+  DAC: 'Customer First Name',
+  DBD: 'Document Issue Date',
+  DBB: 'Date of Birth',
+  DBC: 'Physical Description - Sex',
+  DAY: 'Physical Description - Eye Color',
+  DAU: 'Physical Description - Height',
+  DAG: 'Address - Street 1',
+  DAI: 'Address - City',
+  DAJ: 'Address - Jurisdiction Code',
+  DAK: 'Address - Postal Code',
+  DAQ: 'Customer ID Number',
+  DCF: 'Document Discriminator',
+  DCG: 'Country Identification',
+  DDE: 'Family Name Truncation',
+  DDF: 'First Names Truncation',
+  DDG: 'Middle Names Truncation',
+  DAH: 'Address - Street 2',
+  DAZ: 'Hair Color',
+  DCI: 'Place of birth',
+  DCJ: 'Audit information',
+  DCK: 'Inventory Control Number',
+  DBN: 'Alias / AKA Family Name',
+  DBG: 'Alias / AKA Given Name',
+  DBS: 'Alias / AKA Suffix Name',
+  DCU: 'Name Suffix',
+  DCE: 'Physical Description Weight Range',
+  DCL: 'Race / Ethnicity',
+  DCM: 'Standard vehicle classification',
+  DCN: 'Standard endorsement code',
+  DCO: 'Standard restriction code',
+  DCP: 'Jurisdiction-specific vehicle classification description',
+  DCQ: 'Jurisdiction-specific endorsement code description',
+  DCR: 'Jurisdiction-specific restriction code description',
+  DDA: 'Compliance Type',
+  DDB: 'Card Revision Date',
+  DDC: 'HazMat Endorsement Expiration Date',
+  DDD: 'Limited Duration Document Indicator',
+  DAW: 'Weight(pounds)',
+  DAX: 'Weight(kilograms)',
+  DDH: 'Under 18 Until',
+  DDI: 'Under 19 Until',
+  DDJ: 'Under 21 Until',
+  DDK: 'Organ Donor Indicator',
+  DDL: 'Veteran Indicator',
+  // old standard
+  DAA: 'Customer Full Name',
+  DAB: 'Customer Last Name',
+  DAE: 'Name Suffix',
+  DAF: 'Name Prefix',
+  DAL: 'Residence Street Address1',
+  DAM: 'Residence Street Address2',
+  DAN: 'Residence City',
+  DAO: 'Residence Jurisdiction Code',
+  DAP: 'Residence Postal Code',
+  DAR: 'License Classification Code',
+  DAS: 'License Restriction Code',
+  DAT: 'License Endorsements Code',
+  DAV: 'Height in CM',
+  DBE: 'Issue Timestamp',
+  DBF: 'Number of Duplicates',
+  DBH: 'Organ Donor',
+  DBI: 'Non-Resident Indicator',
+  DBJ: 'Unique Customer Identifier',
+  DBK: 'Social Security Number',
+  DBL: 'Date Of Birth',
+  DBM: 'Social Security Number',
+  DCH: 'Federal Commercial Vehicle Codes',
+  DBO: 'Customer Last Name',
+  DBP: 'Customer First Name',
+  DBQ: 'Customer Middle Name(s)',
+  DBR: 'Name Suffix',
+  PAA: 'Permit Classification Code',
+  PAB: 'Permit Expiration Date',
+  PAC: 'Permit Identifier',
+  PAD: 'Permit IssueDate',
+  PAE: 'Permit Restriction Code',
+  PAF: 'Permit Endorsement Code',
+  ZVA: 'Court Restriction Code',
+  DCT: 'Customer First Name',
+  DAD: 'Customer Middle Name(s)'
+};
+
+/**
+* Issuer Identification Numbers (IIN) assigned by AAMVA to each issuing
+* jurisdiction.
+*/
+export const aamvaIssuers = {
+  636000: {jurisdiction: 'VA', name: 'Virginia', country: 'USA'},
+  636001: {jurisdiction: 'NY', name: 'New York', country: 'USA'},
+  636002: {jurisdiction: 'MA', name: 'Massachusetts', country: 'USA'},
+  636003: {jurisdiction: 'MD', name: 'Maryland', country: 'USA'},
+  636004: {jurisdiction: 'NC', name: 'North Carolina', country: 'USA'},
+  636005: {jurisdiction: 'SC', name: 'South Carolina', country: 'USA'},
+  636006: {jurisdiction: 'CT', name: 'Connecticut', country: 'USA'},
+  636007: {jurisdiction: 'LA', name: 'Louisiana', country: 'USA'},
+  636008: {jurisdiction: 'MT', name: 'Montana', country: 'USA'},
+  636009: {jurisdiction: 'NM', name: 'New Mexico', country: 'USA'},
+  636010: {jurisdiction: 'FL', name: 'Florida', country: 'USA'},
+  636011: {jurisdiction: 'DE', name: 'Delaware', country: 'USA'},
+  636012: {jurisdiction: 'ON', name: 'Ontario', country: 'CAN'},
+  636013: {jurisdiction: 'NS', name: 'Nova Scotia', country: 'CAN'},
+  636014: {jurisdiction: 'CA', name: 'California', country: 'USA'},
+  636015: {jurisdiction: 'TX', name: 'Texas', country: 'USA'},
+  636016: {
+    jurisdiction: 'NL', name: 'Newfoundland and Labrador', country: 'CAN'
+  },
+  636017: {jurisdiction: 'NB', name: 'New Brunswick', country: 'CAN'},
+  636018: {jurisdiction: 'IA', name: 'Iowa', country: 'USA'},
+  636019: {jurisdiction: 'GU', name: 'Guam', country: 'USA'},
+  636020: {jurisdiction: 'CO', name: 'Colorado', country: 'USA'},
+  636021: {jurisdiction: 'AR', name: 'Arkansas', country: 'USA'},
+  636022: {jurisdiction: 'KS', name: 'Kansas', country: 'USA'},
+  636023: {jurisdiction: 'OH', name: 'Ohio', country: 'USA'},
+  636024: {jurisdiction: 'VT', name: 'Vermont', country: 'USA'},
+  636025: {jurisdiction: 'PA', name: 'Pennsylvania', country: 'USA'},
+  636026: {jurisdiction: 'AZ', name: 'Arizona', country: 'USA'},
+  636028: {jurisdiction: 'BC', name: 'British Columbia', country: 'CAN'},
+  636029: {jurisdiction: 'OR', name: 'Oregon', country: 'USA'},
+  636030: {jurisdiction: 'MO', name: 'Missouri', country: 'USA'},
+  636031: {jurisdiction: 'WI', name: 'Wisconsin', country: 'USA'},
+  636032: {jurisdiction: 'MI', name: 'Michigan', country: 'USA'},
+  636033: {jurisdiction: 'AL', name: 'Alabama', country: 'USA'},
+  636034: {jurisdiction: 'ND', name: 'North Dakota', country: 'USA'},
+  636035: {jurisdiction: 'IL', name: 'Illinois', country: 'USA'},
+  636036: {jurisdiction: 'NJ', name: 'New Jersey', country: 'USA'},
+  636037: {jurisdiction: 'IN', name: 'Indiana', country: 'USA'},
+  636038: {jurisdiction: 'MN', name: 'Minnesota', country: 'USA'},
+  636039: {jurisdiction: 'NH', name: 'New Hampshire', country: 'USA'},
+  636040: {jurisdiction: 'UT', name: 'Utah', country: 'USA'},
+  636041: {jurisdiction: 'ME', name: 'Maine', country: 'USA'},
+  636042: {jurisdiction: 'SD', name: 'South Dakota', country: 'USA'},
+  636043: {jurisdiction: 'DC', name: 'District of Columbia', country: 'USA'},
+  636044: {jurisdiction: 'SK', name: 'Saskatchewan', country: 'CAN'},
+  636045: {jurisdiction: 'WA', name: 'Washington', country: 'USA'},
+  636046: {jurisdiction: 'KY', name: 'Kentucky', country: 'USA'},
+  636047: {jurisdiction: 'HI', name: 'Hawaii', country: 'USA'},
+  636048: {jurisdiction: 'MB', name: 'Manitoba', country: 'CAN'},
+  636049: {jurisdiction: 'NV', name: 'Nevada', country: 'USA'},
+  636050: {jurisdiction: 'ID', name: 'Idaho', country: 'USA'},
+  636051: {jurisdiction: 'MS', name: 'Mississippi', country: 'USA'},
+  636052: {jurisdiction: 'RI', name: 'Rhode Island', country: 'USA'},
+  636053: {jurisdiction: 'TN', name: 'Tennessee', country: 'USA'},
+  636054: {jurisdiction: 'NE', name: 'Nebraska', country: 'USA'},
+  636055: {jurisdiction: 'GA', name: 'Georgia', country: 'USA'},
+  636056: {jurisdiction: 'CU', name: 'Coahuila', country: 'MEX'},
+  636057: {jurisdiction: 'HL', name: 'Hidalgo', country: 'MEX'},
+  636058: {jurisdiction: 'OK', name: 'Oklahoma', country: 'USA'},
+  636059: {jurisdiction: 'AK', name: 'Alaska', country: 'USA'},
+  636060: {jurisdiction: 'WY', name: 'Wyoming', country: 'USA'},
+  636061: {jurisdiction: 'WV', name: 'West Virginia', country: 'USA'},
+  636062: {jurisdiction: 'VI', name: 'US Virgin Islands', country: 'USA'},
+  604426: {
+    jurisdiction: 'PE', name: 'Prince Edward Island', country: 'CAN'
+  },
+  604427: {jurisdiction: 'AS', name: 'American Samoa', country: 'USA'},
+  604428: {jurisdiction: 'QC', name: 'Quebec', country: 'CAN'},
+  604429: {jurisdiction: 'YT', name: 'Yukon', country: 'CAN'},
+  604430: {
+    jurisdiction: 'MP', name: 'Northern Mariana Islands', country: 'USA'
+  },
+  604431: {jurisdiction: 'PR', name: 'Puerto Rico', country: 'USA'},
+  604432: {jurisdiction: 'AB', name: 'Alberta', country: 'CAN'},
+  604433: {jurisdiction: 'NU', name: 'Nunavut', country: 'CAN'},
+  604434: {jurisdiction: 'NT', name: 'Northwest Territories', country: 'CAN'}
+};
+
+// `@` + 3 separators + file type + IIN + AAMVA version
+const HEADER_REGEX = /(ANSI ?|AAMVA)(\d{6})(\d{2})/;
+const DESIGNATOR_REGEX = /^([A-Z]{2})(\d{4})(\d{4})$/;
+const ELEMENT_CODE_REGEX = /^[A-Z]{3}$/;
+// lengths of the fixed-length elements of the CDS; padded values end here
+const FIXED_LENGTHS = {
+  DBA: 8, DBB: 8, DBC: 1, DBD: 8, DAJ: 2, DAK: 11, DAU: 6, DAW: 3, DAX: 3,
+  DAY: 3, DCE: 1, DCG: 3, DDA: 1, DDB: 8, DDC: 8, DDD: 1, DDE: 1, DDF: 1,
+  DDG: 1, DDH: 8, DDI: 8, DDJ: 8, DDK: 1, DDL: 1
+};
+// version 1 heights are feet and inches without a unit ('507')
+const FIXED_LENGTHS_V1 = Object.fromEntries(
+  Object.entries(FIXED_LENGTHS).filter(([code]) => code !== 'DAU'));
+
+/**
+* Parse the raw text of an AAMVA compliant PDF417 barcode.
+*
+* The parser is lenient: offsets and lengths in the subfile directory are
+* frequently wrong in the wild, so each subfile is located by its declared
+* offset first and by searching for its type otherwise. Problems are
+* reported in `warnings` rather than thrown.
+*
+* @param {string} text - Raw PDF417 text.
+*
+* @returns {object} Parsed AAMVA data with `header`, `issuer`, `subfiles`,
+*   raw `elements`, typed `fields` and `warnings`.
+*/
+export function parseAAMVA(text) {
+  if(typeof text !== 'string') {
+    throw new TypeError('"text" must be a string.');
+  }
+
+  const warnings = [];
+  const header = _parseHeader(text, warnings);
+  const issuer = header ? lookupIssuer(header.iin) : null;
+
+  let subfiles = [];
+  if(header) {
+    subfiles = _parseSubfiles(text, header, warnings);
+  }
+  if(subfiles.length === 0) {
+    // no usable directory; treat the whole payload as one element list
+    warnings.push('Subfile directory not found; parsing elements leniently.');
+    subfiles = [{
+      type: null,
+      offset: 0,
+      length: text.length,
+      elements: parseElements(text, {version: header?.version})
+    }];
+  }
+
+  // merge elements from all subfiles, first occurrence wins
+  const elements = {};
+  for(const subfile of subfiles) {
+    for(const [code, value] of Object.entries(subfile.elements)) {
+      if(!(code in elements)) {
+        elements[code] = value;
+      }
+    }
+  }
+
+  const documentType = subfiles.find(
+    ({type}) => type === 'DL' || type === 'ID')?.type || null;
+  const version = header?.version ?? null;
+  const country = elements.DCG || issuer?.country || null;
+
+  return {
+    raw: text,
+    header,
+    issuer,
+    version,
+    documentType,
+    subfiles,
+    elements,
+    fields: _buildFields(elements, {version, country}),
+    warnings
+  };
+}
+
+/**
+* Look up the issuing jurisdiction for an AAMVA Issuer Identification Number.
+*
+* @param {string|number} iin - Six digit IIN.
+*
+* @returns {object|null} Issuer info (`iin`, `jurisdiction`, `name`,
+*   `country`) or null when the IIN is unknown.
+*/
+export function lookupIssuer(iin) {
+  const issuer = aamvaIssuers[iin];
+  return issuer ? {iin: String(iin), ...issuer} : null;
+}
+
+/**
+* Split a subfile body into its data elements.
+*
+* Some jurisdictions pack several elements onto one line. Values may
+* contain element codes ('MCDAVID', 'BROADAWAY ST'), so a line is only
+* split where a fixed-length element of the CDS (dates, sex, postal code,
+* ...) ends and a known element code follows; variable-length values run to
+* the end of their line.
+*
+* @param {string} body - Subfile body (without the two character type).
+* @param {object} [options] - Options.
+* @param {string} [options.dataElementSeparator='\n'] - Separator declared in
+*   the header; CR and LF are always accepted as well.
+* @param {number} [options.version] - AAMVA version, which defines the
+*   fixed element lengths.
+*
+* @returns {object} Map of three letter element code to trimmed value.
+*/
+export function parseElements(body, {
+  dataElementSeparator = '\n', version
+} = {}) {
+  const separators = new Set(['\n', '\r', dataElementSeparator]);
+  const fixedLengths = version === 1 ? FIXED_LENGTHS_V1 : FIXED_LENGTHS;
+  const elements = {};
+  for(const line of _splitOn(body, separators)) {
+    for(const chunk of _splitPacked(line, elements, fixedLengths)) {
+      const code = chunk.substring(0, 3);
+      if(!ELEMENT_CODE_REGEX.test(code) || code in elements) {
+        continue;
+      }
+      elements[code] = chunk.substring(3).trim();
+    }
+  }
+  return elements;
+}
+
+/**
+* Parse the AAMVA header and subfile directory.
+*
+* @param {string} text - Raw PDF417 text.
+* @param {string[]} warnings - Collected warnings.
+*
+* @returns {object|null} Header or null when no header is present.
+* @private
+*/
+function _parseHeader(text, warnings) {
+  const match = HEADER_REGEX.exec(text);
+  if(!match) {
+    warnings.push('AAMVA header not found.');
+    return null;
+  }
+
+  const fileTypeStart = match.index;
+  // the compliance indicator and separators precede the file type
+  const start = fileTypeStart - 4;
+  let complianceIndicator = null;
+  let dataElementSeparator = '\n';
+  let recordSeparator = '\x1e';
+  let segmentTerminator = '\r';
+  if(start >= 0 && text[start] === '@') {
+    complianceIndicator = '@';
+    dataElementSeparator = text[start + 1];
+    recordSeparator = text[start + 2];
+    segmentTerminator = text[start + 3];
+  } else {
+    warnings.push('Compliance indicator not found; assuming defaults.');
+  }
+
+  const [, fileType, iin, versionText] = match;
+  const version = parseInt(versionText, 10);
+  let cursor = fileTypeStart + match[0].length;
+
+  // versions prior to 2 carry no jurisdiction version number
+  let jurisdictionVersion = null;
+  if(version >= 2) {
+    jurisdictionVersion = parseInt(text.substring(cursor, cursor + 2), 10);
+    cursor += 2;
+  }
+  const numberOfEntries = parseInt(text.substring(cursor, cursor + 2), 10);
+  cursor += 2;
+
+  if(Number.isNaN(numberOfEntries)) {
+    warnings.push('Invalid number of subfile entries.');
+  }
+
+  const designators = [];
+  for(let i = 0; i < (numberOfEntries || 0); ++i) {
+    const entry = DESIGNATOR_REGEX.exec(text.substring(cursor, cursor + 10));
+    if(!entry) {
+      warnings.push(`Invalid subfile designator at position ${cursor}.`);
+      break;
+    }
+    designators.push({
+      type: entry[1],
+      offset: parseInt(entry[2], 10),
+      length: parseInt(entry[3], 10)
+    });
+    cursor += 10;
+  }
+
+  return {
+    complianceIndicator,
+    dataElementSeparator,
+    recordSeparator,
+    segmentTerminator,
+    fileType: fileType.trim(),
+    iin,
+    version,
+    jurisdictionVersion,
+    numberOfEntries,
+    designators,
+    // offsets in the directory are relative to the compliance indicator
+    start: Math.max(start, 0),
+    end: cursor
+  };
+}
+
+/**
+* Locate and parse every subfile listed in the header directory.
+*
+* @param {string} text - Raw PDF417 text.
+* @param {object} header - Parsed header.
+* @param {string[]} warnings - Collected warnings.
+*
+* @returns {object[]} Parsed subfiles ordered by position.
+* @private
+*/
+function _parseSubfiles(text, header, warnings) {
+  const {designators, segmentTerminator, dataElementSeparator} = header;
+  const located = [];
+  let searchFrom = header.end;
+
+  for(const designator of designators) {
+    const {type, offset} = designator;
+    let position = header.start + offset;
+    if(text.substring(position, position + 2) !== type) {
+      // declared offset is wrong; search after the previous subfile
+      const terminated = text.indexOf(segmentTerminator + type, searchFrom);
+      position = terminated !== -1 ?
+        terminated + 1 : text.indexOf(type, searchFrom);
+      if(position === -1) {
+        warnings.push(`Subfile "${type}" not found.`);
+        continue;
+      }
+      warnings.push(`Subfile "${type}" found at ${position - header.start}, ` +
+        `not at declared offset ${offset}.`);
+    }
+    located.push({...designator, position});
+    searchFrom = position + 2;
+  }
+
+  located.sort((a, b) => a.position - b.position);
+
+  return located.map(({type, offset, length, position}, i) => {
+    const end = i + 1 < located.length ?
+      located[i + 1].position : text.length;
+    const body = text.substring(position + 2, end);
+    return {
+      type,
+      offset,
+      length,
+      elements: parseElements(body, {
+        dataElementSeparator, version: header.version
+      })
+    };
+  });
+}
+
+/**
+* Build typed fields from raw data elements.
+*
+* @param {object} elements - Raw data elements.
+* @param {object} context - Parse context.
+* @param {number} context.version - AAMVA version.
+* @param {string} context.country - Issuing country.
+*
+* @returns {object} Typed fields.
+* @private
+*/
+function _buildFields(elements, {version, country}) {
+  const name = _parseNames(elements);
+  const date = value => parseAAMVADate(value, {version, country});
+
+  return {
+    documentNumber: elements.DAQ || null,
+    ...name,
+    dateOfBirth: date(elements.DBB || elements.DBL),
+    issueDate: date(elements.DBD),
+    expirationDate: date(elements.DBA),
+    sex: parseSex(elements.DBC)?.code || null,
+    heightCm: parseHeight(
+      elements.DAU, {cmValue: elements.DAV, version})?.cm ?? null,
+    eyeColor: elements.DAY || null,
+    hairColor: elements.DAZ || null,
+    address: {
+      street1: elements.DAG || elements.DAL || null,
+      street2: elements.DAH || elements.DAM || null,
+      city: elements.DAI || elements.DAN || null,
+      jurisdiction: elements.DAJ || elements.DAO || null,
+      postalCode: _formatPostalCode(elements.DAK || elements.DAP),
+      country: elements.DCG || country || null
+    },
+    documentDiscriminator: elements.DCF || null,
+    vehicleClass: elements.DCA || elements.DAR || null,
+    restrictions: elements.DCB || elements.DAS || null,
+    endorsements: elements.DCD || elements.DAT || null,
+    inventoryControlNumber: elements.DCK || null,
+    complianceType: elements.DDA || null,
+    cardRevisionDate: date(elements.DDB)
+  };
+}
+
+/**
+* Resolve name elements across AAMVA versions.
+*
+* @param {object} elements - Raw data elements.
+*
+* @returns {object} Name fields.
+* @private
+*/
+function _parseNames(elements) {
+  // "NONE" and "unavl" mark names that are absent or unavailable
+  const name = (...codes) => codes.map(code => elements[code])
+    .find(value => value && !/^(none|unavl)$/i.test(value)) || null;
+
+  let lastName = name('DCS', 'DAB', 'DBO');
+  let firstName = name('DAC', 'DBP');
+  let middleName = name('DAD', 'DBQ');
+  const suffix = name('DCU', 'DAE', 'DBR');
+
+  // version 2 combines given names in DCT
+  if(!firstName && elements.DCT) {
+    const [first, ...rest] = elements.DCT.split(/[,\s]+/).filter(Boolean);
+    firstName = first || null;
+    middleName = middleName || rest.join(' ') || null;
+  }
+
+  // version 1 combines the full name in DAA as LAST,FIRST,MIDDLE
+  if(!lastName && elements.DAA) {
+    const parts = elements.DAA.includes(',') ?
+      elements.DAA.split(',') : elements.DAA.split(/\s+/);
+    const [last, first, ...rest] = parts.map(p => p.trim());
+    lastName = last || null;
+    firstName = firstName || first || null;
+    middleName = middleName || rest.filter(Boolean).join(' ') || null;
+  }
+
+  const fullName = elements.DAA ||
+    [firstName, middleName, lastName, suffix].filter(Boolean).join(' ') ||
+    null;
+
+  return {firstName, middleName, lastName, suffix, fullName};
+}
+
+/**
+* Format a postal code, dropping empty ZIP+4 extensions.
+*
+* @param {string} value - Raw postal code.
+*
+* @returns {string|null} Formatted postal code.
+* @private
+*/
+function _formatPostalCode(value) {
+  if(!value) {
+    return null;
+  }
+  const code = value.trim();
+  if(/^\d{9}$/.test(code)) {
+    const plus4 = code.slice(5);
+    return plus4 === '0000' ?
+      code.slice(0, 5) : `${code.slice(0, 5)}-${plus4}`;
+  }
+  return code;
+}
+
+/**
+* Split a line into the elements packed onto it, at the end of each
+* fixed-length element followed by a known element code.
+*
+* @param {string} line - Line starting with an element code.
+* @param {object} elements - Elements parsed so far; their codes do not
+*   start new elements.
+* @param {object} fixedLengths - Value lengths of fixed-length elements.
+*
+* @returns {string[]} One chunk per element.
+* @private
+*/
+function _splitPacked(line, elements, fixedLengths) {
+  const chunks = [];
+  const codes = new Set([line.substring(0, 3)]);
+  let start = 0;
+  for(;;) {
+    const length = fixedLengths[line.substring(start, start + 3)];
+    const end = start + 3 + length;
+    const next = line.substring(end, end + 3);
+    if(!length || !(next in driverLicenseFields) || next in elements ||
+      codes.has(next)) {
+      break;
+    }
+    chunks.push(line.substring(start, end));
+    codes.add(next);
+    start = end;
+  }
+  chunks.push(line.substring(start));
+  return chunks;
+}
+
+/**
+* Split a string on any of a set of single character separators.
+*
+* @param {string} value - Value to split.
+* @param {Set<string>} separators - Separator characters.
+*
+* @returns {string[]} Non-empty chunks.
+* @private
+*/
+function _splitOn(value, separators) {
+  const chunks = [];
+  let current = '';
+  for(const char of value) {
+    if(separators.has(char)) {
+      if(current) {
+        chunks.push(current);
+      }
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if(current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
@@ -0,0 +1,295 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * IATA Bar Coded Boarding Pass (BCBP, Resolution 792) parser for the 'M'
+ * format carried by boarding pass PDF417, Aztec and QR codes.
+ *
+ * A pass has a header (passenger name, electronic ticket indicator), one
+ * mandatory block per leg (PNR, airports, flight, Julian date, seat,
+ * sequence) each followed by a variable size field with conditional items
+ * and airline data, and an optional security data section. Conditional
+ * items missing from the end of a field are simply absent.
+ */
+
+// mandatory items of each leg, with their widths
+const LEG_FIELDS = [
+  ['pnr', 7],
+  ['from', 3],
+  ['to', 3],
+  ['carrier', 3],
+  ['flightNumber', 5],
+  ['julianDate', 3],
+  ['compartment', 1],
+  ['seat', 4],
+  ['sequenceNumber', 5],
+  ['passengerStatus', 1]
+];
+const LEG_LENGTH = 35;
+
+// conditional items once per pass, after the version number
+const UNIQUE_FIELDS = [
+  ['passengerDescription', 1],
+  ['checkInSource', 1],
+  ['boardingPassIssuanceSource', 1],
+  ['issueDate', 4],
+  ['documentType', 1],
+  ['issuerDesignator', 3],
+  ['baggageTag', 13],
+  ['baggageTag2', 13],
+  ['baggageTag3', 13]
+];
+
+// conditional items of each leg
+const REPEATED_FIELDS = [
+  ['airlineNumericCode', 3],
+  ['documentNumber', 10],
+  ['selectee', 1],
+  ['internationalDocumentVerification', 1],
+  ['marketingCarrier', 3],
+  ['frequentFlyerAirline', 3],
+  ['frequentFlyerNumber', 16],
+  ['idAdIndicator', 1],
+  ['freeBaggageAllowance', 3],
+  ['fastTrack', 1]
+];
+
+const HEADER_LENGTH = 23;
+
+/**
+* Check whether decoded text is an IATA BCBP ('M' format) boarding pass.
+*
+* @param {string} text - Decoded barcode text.
+*
+* @returns {boolean} True for boarding passes.
+*/
+export function isBCBP(text) {
+  return typeof text === 'string' && /^M[1-9]/.test(text) &&
+    text.length >= HEADER_LENGTH + LEG_LENGTH;
+}
+
+/**
+* Parse an IATA BCBP boarding pass.
+*
+* @param {string} text - Decoded barcode text.
+* @param {object} [options] - Options.
+* @param {Date} [options.now=new Date()] - Reference date: Julian flight
+*   dates resolve to the nearest such date, the issue date to the latest
+*   one not after it.
+*
+* @returns {object} Pass with `passengerName`, `lastName`, `firstName`,
+*   `electronicTicket`, `version`, the unique conditional items, `legs`
+*   (each with `flightDate`, its conditional items and `airlineData`),
+*   `security` (`{type, data}` or null) and `warnings`.
+*/
+export function parseBCBP(text, {now = new Date()} = {}) {
+  if(!isBCBP(text)) {
+    throw new Error('Unrecognized boarding pass format.');
+  }
+  const warnings = [];
+  const passengerName = text.slice(2, 22).trim();
+  const [lastName, firstName = ''] = passengerName.split('/');
+  const pass = {
+    formatCode: text[0],
+    legCount: Number(text[1]),
+    passengerName,
+    lastName: lastName.trim(),
+    firstName: firstName.trim(),
+    electronicTicket: text[22] === 'E',
+    version: null,
+    legs: [],
+    security: null,
+    warnings
+  };
+
+  let position = HEADER_LENGTH;
+  for(let index = 0; index < pass.legCount; ++index) {
+    if(text.length < position + LEG_LENGTH + 2) {
+      warnings.push(`Leg ${index + 1} is truncated.`);
+      break;
+    }
+    const leg = _normalizeLeg(
+      _readFields(text.slice(position, position + LEG_LENGTH), LEG_FIELDS),
+      now);
+    position += LEG_LENGTH;
+    const size = _readSize(text, position, warnings, `leg ${index + 1}`);
+    position += 2;
+    const variable = text.slice(position, position + size);
+    if(variable.length < size) {
+      warnings.push(`Conditional items of leg ${index + 1} are truncated.`);
+    }
+    position += size;
+    _parseConditional(variable, {pass, leg, first: index === 0, now});
+    pass.legs.push(leg);
+  }
+
+  if(text[position] === '^') {
+    const size = _readSize(text, position + 2, warnings, 'security data');
+    pass.security = {
+      type: text[position + 1],
+      data: text.slice(position + 4, position + 4 + size)
+    };
+  }
+
+  return pass;
+}
+
+/**
+* Parse the variable size field of a leg: the version number and unique
+* items (first leg only), the repeated items and airline data.
+*
+* @param {string} variable - Variable size field.
+* @param {object} options - Options.
+* @param {object} options.pass - Pass being parsed.
+* @param {object} options.leg - Leg being parsed.
+* @param {boolean} options.first - True for the first leg.
+* @param {Date} options.now - Reference date.
+* @private
+*/
+function _parseConditional(variable, {pass, leg, first, now}) {
+  let position = 0;
+  if(first && variable[0] === '>') {
+    pass.version = Number(variable[1]) || null;
+    const size = _readSize(variable, 2, pass.warnings, 'unique items');
+    const unique = _readFields(variable.slice(4, 4 + size), UNIQUE_FIELDS);
+    Object.assign(pass, unique, {
+      issueDate: _issueDate(unique.issueDate, now)
+    });
+    position = 4 + size;
+  }
+  if(position + 2 <= variable.length) {
+    const size = _readSize(
+      variable, position, pass.warnings, 'repeated items');
+    Object.assign(leg, _readFields(
+      variable.slice(position + 2, position + 2 + size), REPEATED_FIELDS));
+    position += 2 + size;
+  }
+  leg.airlineData = variable.slice(position) || null;
+}
+
+/**
+* Read fixed width items; items past the end of the string are omitted and
+* blank ones are null.
+*
+* @param {string} value - Items.
+* @param {Array[]} fields - `[name, width]` pairs.
+*
+* @returns {object} Items by name.
+* @private
+*/
+function _readFields(value, fields) {
+  const items = {};
+  let position = 0;
+  for(const [name, width] of fields) {
+    if(position >= value.length) {
+      break;
+    }
+    items[name] = value.slice(position, position + width).trim() || null;
+    position += width;
+  }
+  return items;
+}
+
+/**
+* Read a two digit hexadecimal field size.
+*
+* @param {string} text - Text.
+* @param {number} position - Position of the size.
+* @param {string[]} warnings - Collected warnings.
+* @param {string} name - Name of the field, for warnings.
+*
+* @returns {number} Size; 0 when invalid.
+* @private
+*/
+function _readSize(text, position, warnings, name) {
+  const hex = text.slice(position, position + 2);
+  if(!/^[0-9A-Fa-f]{2}$/.test(hex)) {
+    warnings.push(`Invalid field size of ${name}.`);
+    return 0;
+  }
+  return parseInt(hex, 16);
+}
+
+/**
+* Normalize the mandatory items of a leg: flight number, seat and sequence
+* without padding zeros, and the Julian date as a calendar date.
+*
+* @param {object} leg - Leg items.
+* @param {Date} now - Reference date.
+*
+* @returns {object} Leg.
+* @private
+*/
+function _normalizeLeg(leg, now) {
+  const strip = value => value?.replace(/^0+(?=.)/, '') ?? null;
+  return {
+    ...leg,
+    flightNumber: strip(leg.flightNumber),
+    seat: strip(leg.seat),
+    sequenceNumber: strip(leg.sequenceNumber),
+    flightDate: _flightDate(leg.julianDate, now)
+  };
+}
+
+/**
+* Resolve a Julian day (DDD) to the nearest such date around now.
+*
+* @param {string} julian - Day of the year, 001-366.
+* @param {Date} now - Reference date.
+*
+* @returns {string|null} ISO date.
+* @private
+*/
+function _flightDate(julian, now) {
+  const day = Number(julian);
+  if(!Number.isInteger(day) || day < 1 || day > 366) {
+    return null;
+  }
+  const year = now.getUTCFullYear();
+  const candidates = [year - 1, year, year + 1]
+    .map(candidate => _dayOfYear(candidate, day))
+    .filter(date => date);
+  candidates.sort((a, b) => Math.abs(a - now) - Math.abs(b - now));
+  return candidates[0] ? candidates[0].toISOString().slice(0, 10) : null;
+}
+
+/**
+* Resolve an issue date (YDDD, the last digit of the year and the day) to
+* the latest such date not after now.
+*
+* @param {string} value - YDDD.
+* @param {Date} now - Reference date.
+*
+* @returns {string|null} ISO date.
+* @private
+*/
+function _issueDate(value, now) {
+  if(!/^\d{4}$/.test(value || '')) {
+    return null;
+  }
+  const day = Number(value.slice(1));
+  const year = now.getUTCFullYear();
+  let candidate = year - ((year - Number(value[0])) % 10 + 10) % 10;
+  for(; candidate > year - 20; candidate -= 10) {
+    const date = _dayOfYear(candidate, day);
+    if(date && date <= now) {
+      return date.toISOString().slice(0, 10);
+    }
+  }
+  return null;
+}
+
+/**
+* Get the date of a day of a year.
+*
+* @param {number} year - Year.
+* @param {number} day - Day of the year, from 1.
+*
+* @returns {Date|null} UTC date; null past the end of the year.
+* @private
+*/
+function _dayOfYear(year, day) {
+  const date = new Date(Date.UTC(year, 0, day));
+  return date.getUTCFullYear() === year && day >= 1 ? date : null;
+}
@@ -1,6 +1,7 @@
 /*!
  * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
  */
+import {toScannerError} from '../errors.js';
 
 /**
  * Camera utilities for optical scanning.
@@ -47,7 +48,10 @@ export async function startCameraStream(constraints = null) {
     const stream = await navigator.mediaDevices.getUserMedia(constraints);
     return stream;
   } catch(error) {
-    throw new Error(`Failed to access camera: ${error.message}`);
+    // keeps `CAMERA_PERMISSION_DENIED` and `CAMERA_NOT_FOUND` codes
+    throw toScannerError(error, {
+      message: `Failed to access camera: ${error.message}`
+    });
   }
 }
 
@@ -61,7 +65,9 @@ export async function getCameraList() {
     const devices = await navigator.mediaDevices.enumerateDevices();
     return devices.filter(device => device.kind === 'videoinput');
   } catch(error) {
-    throw new Error(`Failed to enumerate cameras: ${error.message}`);
+    throw toScannerError(error, {
+      message: `Failed to enumerate cameras: ${error.message}`
+    });
   }
 }
 
@@ -0,0 +1,327 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Minimal CBOR (RFC 8949) decoder for inspecting QR payloads such as
+ * CBOR-LD credentials and COSE messages. Maps become plain objects when all
+ * of their keys are strings and `Map`s otherwise (CBOR-LD compresses terms
+ * to integers), tags become `{tag, value}` and integers beyond the safe
+ * range become `BigInt`s. Semantics of tags are left to the caller.
+ */
+
+const BREAK = Symbol('break');
+const MAX_DEPTH = 64;
+const SIMPLE_VALUES = {20: false, 21: true, 22: null, 23: undefined};
+
+/**
+* Decode one CBOR data item.
+*
+* @param {Uint8Array} bytes - Encoded item.
+*
+* @returns {*} Decoded value.
+*/
+export function decodeCBOR(bytes) {
+  const reader = {
+    bytes,
+    view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+    offset: 0
+  };
+  const value = _readItem(reader, 0);
+  if(value === BREAK) {
+    throw new Error('Invalid CBOR: unexpected break.');
+  }
+  if(reader.offset !== bytes.length) {
+    throw new Error('Invalid CBOR: trailing bytes.');
+  }
+  return value;
+}
+
+/**
+* Read a data item.
+*
+* @param {object} reader - Bytes, view and offset.
+* @param {number} depth - Nesting depth.
+*
+* @returns {*} Value, or `BREAK` for the end of an indefinite length item.
+* @private
+*/
+function _readItem(reader, depth) {
+  if(depth > MAX_DEPTH) {
+    throw new Error('Invalid CBOR: nested too deeply.');
+  }
+  const initial = _readUint(reader, 1);
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if(major === 7) {
+    return _readSimple(reader, info);
+  }
+  if(info === 31) {
+    return _readIndefinite(reader, major, depth);
+  }
+  const argument = _readArgument(reader, info);
+
+  switch(major) {
+    case 0:
+      return argument;
+    case 1:
+      return typeof argument === 'bigint' ? -1n - argument : -1 - argument;
+    case 2:
+      return _readBytes(reader, _toLength(argument));
+    case 3:
+      return new TextDecoder().decode(
+        _readBytes(reader, _toLength(argument)));
+    case 4: {
+      const items = [];
+      for(let i = 0; i < _toLength(argument); ++i) {
+        items.push(_readValue(reader, depth));
+      }
+      return items;
+    }
+    case 5: {
+      const entries = [];
+      for(let i = 0; i < _toLength(argument); ++i) {
+        entries.push([_readValue(reader, depth), _readValue(reader, depth)]);
+      }
+      return _toMap(entries);
+    }
+    default:
+      return {tag: argument, value: _readValue(reader, depth)};
+  }
+}
+
+/**
+* Read a data item that must not be a break.
+*
+* @param {object} reader - Reader.
+* @param {number} depth - Depth of the enclosing item.
+*
+* @returns {*} Value.
+* @private
+*/
+function _readValue(reader, depth) {
+  const value = _readItem(reader, depth + 1);
+  if(value === BREAK) {
+    throw new Error('Invalid CBOR: unexpected break.');
+  }
+  return value;
+}
+
+/**
+* Read an indefinite length byte string, text string, array or map.
+*
+* @param {object} reader - Reader.
+* @param {number} major - Major type.
+* @param {number} depth - Nesting depth.
+*
+* @returns {*} Value.
+* @private
+*/
+function _readIndefinite(reader, major, depth) {
+  const items = [];
+  for(;;) {
+    const item = _readItem(reader, depth + 1);
+    if(item === BREAK) {
+      break;
+    }
+    items.push(item);
+  }
+  switch(major) {
+    case 2: {
+      const bytes = new Uint8Array(
+        items.reduce((length, chunk) => length + chunk.length, 0));
+      let offset = 0;
+      for(const chunk of items) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+      }
+      return bytes;
+    }
+    case 3:
+      return items.join('');
+    case 4:
+      return items;
+    case 5: {
+      if(items.length % 2 !== 0) {
+        throw new Error('Invalid CBOR: map without value.');
+      }
+      const entries = [];
+      for(let i = 0; i < items.length; i += 2) {
+        entries.push([items[i], items[i + 1]]);
+      }
+      return _toMap(entries);
+    }
+    default:
+      throw new Error('Invalid CBOR: invalid indefinite length item.');
+  }
+}
+
+/**
+* Read a simple value or float.
+*
+* @param {object} reader - Reader.
+* @param {number} info - Additional information.
+*
+* @returns {*} Value.
+* @private
+*/
+function _readSimple(reader, info) {
+  if(info in SIMPLE_VALUES) {
+    return SIMPLE_VALUES[info];
+  }
+  switch(info) {
+    case 24:
+      return {simple: _readUint(reader, 1)};
+    case 25:
+      return _halfToNumber(_readUint(reader, 2));
+    case 26:
+      return _readFloat(reader, 4);
+    case 27:
+      return _readFloat(reader, 8);
+    case 31:
+      return BREAK;
+    default:
+      if(info < 20) {
+        return {simple: info};
+      }
+      throw new Error('Invalid CBOR: reserved simple value.');
+  }
+}
+
+/**
+* Read the argument of an initial byte.
+*
+* @param {object} reader - Reader.
+* @param {number} info - Additional information.
+*
+* @returns {number|bigint} Argument.
+* @private
+*/
+function _readArgument(reader, info) {
+  if(info < 24) {
+    return info;
+  }
+  if(info > 27) {
+    throw new Error('Invalid CBOR: reserved additional information.');
+  }
+  const size = 2 ** (info - 24);
+  if(size < 8) {
+    return _readUint(reader, size);
+  }
+  _ensure(reader, 8);
+  const value = reader.view.getBigUint64(reader.offset);
+  reader.offset += 8;
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+}
+
+/**
+* Read a big-endian unsigned integer of up to 4 bytes.
+*
+* @param {object} reader - Reader.
+* @param {number} size - 1, 2 or 4.
+*
+* @returns {number} Integer.
+* @private
+*/
+function _readUint(reader, size) {
+  _ensure(reader, size);
+  const {view, offset} = reader;
+  reader.offset += size;
+  return size === 1 ? view.getUint8(offset) :
+    size === 2 ? view.getUint16(offset) : view.getUint32(offset);
+}
+
+/**
+* Read a big-endian float.
+*
+* @param {object} reader - Reader.
+* @param {number} size - 4 or 8.
+*
+* @returns {number} Float.
+* @private
+*/
+function _readFloat(reader, size) {
+  _ensure(reader, size);
+  const {view, offset} = reader;
+  reader.offset += size;
+  return size === 4 ? view.getFloat32(offset) : view.getFloat64(offset);
+}
+
+/**
+* Read bytes.
+*
+* @param {object} reader - Reader.
+* @param {number} length - Byte count.
+*
+* @returns {Uint8Array} Copy of the bytes.
+* @private
+*/
+function _readBytes(reader, length) {
+  _ensure(reader, length);
+  const bytes = reader.bytes.slice(reader.offset, reader.offset + length);
+  reader.offset += length;
+  return bytes;
+}
+
+/**
+* Throw unless enough bytes remain.
+*
+* @param {object} reader - Reader.
+* @param {number} length - Bytes needed.
+* @private
+*/
+function _ensure(reader, length) {
+  if(reader.offset + length > reader.bytes.length) {
+    throw new Error('Invalid CBOR: unexpected end of data.');
+  }
+}
+
+/**
+* Check a length argument.
+*
+* @param {number|bigint} argument - Argument.
+*
+* @returns {number} Length.
+* @private
+*/
+function _toLength(argument) {
+  if(typeof argument === 'bigint') {
+    throw new Error('Invalid CBOR: length too large.');
+  }
+  return argument;
+}
+
+/**
+* Build a map from entries.
+*
+* @param {Array[]} entries - Key-value pairs.
+*
+* @returns {object|Map} Plain object for string keys, `Map` otherwise.
+* @private
+*/
+function _toMap(entries) {
+  return entries.every(([key]) => typeof key === 'string') ?
+    Object.fromEntries(entries) : new Map(entries);
+}
+
+/**
+* Convert a half-precision float.
+*
+* @param {number} half - 16 bits.
+*
+* @returns {number} Number.
+* @private
+*/
+function _halfToNumber(half) {
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+  if(exponent === 0) {
+    return sign * mantissa * 2 ** -24;
+  }
+  if(exponent === 31) {
+    return mantissa ? NaN : sign * Infinity;
+  }
+  return sign * (1024 + mantissa) * 2 ** (exponent - 25);
+}
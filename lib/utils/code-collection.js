@@ -0,0 +1,153 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Collects the codes seen over several scans (video frames or passes) and
+ * deduplicates them by format and payload, so the same code keeps the same
+ * key for as long as it stays in view.
+ */
+export class CodeCollection {
+  constructor() {
+    this._codes = new Map();
+    // codes by `getCodeKey()`; distinct payloads may share a hash
+    this._buckets = new Map();
+  }
+
+  /**
+  * Number of distinct codes.
+  *
+  * @returns {number} Count.
+  */
+  get size() {
+    return this._codes.size;
+  }
+
+  /**
+  * Add a plugin result.
+  *
+  * @param {string} format - Format of the plugin that found the code.
+  * @param {object} result - Plugin result.
+  * @param {object} [options] - Options.
+  * @param {Date} [options.now] - Time of the sighting.
+  *
+  * @returns {object} `{type, code}`; `type` is 'added' for a new code and
+  *  'updated' for another sighting of a known one.
+  */
+  add(format, result, {now = new Date()} = {}) {
+    const hashKey = getCodeKey(format, result);
+    const text = _getPayload(result);
+    const seenAt = now.toISOString();
+    const location = {
+      boundingBox: result.boundingBox ?? null,
+      cornerPoints: result.cornerPoints ?? null
+    };
+
+    let bucket = this._buckets.get(hashKey);
+    if(!bucket) {
+      bucket = [];
+      this._buckets.set(hashKey, bucket);
+    }
+    const existing = bucket.find(code => code.text === text);
+    if(existing) {
+      existing.count++;
+      existing.lastSeen = seenAt;
+      // keep the last known location when a frame has none
+      if(location.boundingBox) {
+        Object.assign(existing, location);
+      }
+      existing.result = result;
+      return {type: 'updated', code: existing};
+    }
+
+    // a hash collision gets a key of its own
+    const key = bucket.length === 0 ? hashKey : `${hashKey}-${bucket.length}`;
+    const code = {
+      key,
+      format,
+      text,
+      ...location,
+      count: 1,
+      firstSeen: seenAt,
+      lastSeen: seenAt,
+      result
+    };
+    this._codes.set(key, code);
+    bucket.push(code);
+    return {type: 'added', code};
+  }
+
+  /**
+  * Get a code by key.
+  *
+  * @param {string} key - Code key.
+  *
+  * @returns {object|undefined} The code.
+  */
+  get(key) {
+    return this._codes.get(key);
+  }
+
+  /**
+  * Get all codes in the order they were first seen.
+  *
+  * @returns {object[]} Codes.
+  */
+  values() {
+    return [...this._codes.values()];
+  }
+
+  /**
+  * Remove all codes.
+  */
+  clear() {
+    this._codes.clear();
+    this._buckets.clear();
+  }
+}
+
+/**
+* Get the key of a plugin result: its format plus a hash of its payload.
+* `CodeCollection` compares payloads too and suffixes the key of a distinct
+* payload with the same hash (`<format>:<hash>-1`).
+*
+* @param {string} format - Format of the plugin that found the code.
+* @param {object} result - Plugin result.
+*
+* @returns {string} Key `<format>:<hash>`.
+*/
+export function getCodeKey(format, result) {
+  return `${format}:${hashPayload(_getPayload(result))}`;
+}
+
+/**
+* Hash a payload with 32-bit FNV-1a. Not cryptographic; only used to key
+* codes without keeping long payloads in keys.
+*
+* @param {string} payload - Payload text.
+*
+* @returns {string} Hash as 8 hex digits.
+*/
+export function hashPayload(payload) {
+  let hash = 0x811c9dc5;
+  for(let i = 0; i < payload.length; ++i) {
+    hash ^= payload.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+* Get the payload text of a plugin result.
+*
+* @param {object} result - Plugin result.
+*
+* @returns {string} Payload.
+* @private
+*/
+function _getPayload(result) {
+  if(typeof result === 'string') {
+    return result;
+  }
+  return result.text ?? result.rawValue ?? JSON.stringify(result.data ?? {});
+}
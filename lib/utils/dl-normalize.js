@@ -0,0 +1,359 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Normalization of AAMVA driver license values: version-aware dates,
+ * metric/imperial measurements, decoded enumerations and derived ages.
+ */
+
+const CM_PER_INCH = 2.54;
+const LB_PER_KG = 2.2046226218;
+
+/**
+* ANSI D-20 eye color codes.
+*/
+export const eyeColors = {
+  BLK: 'Black',
+  BLU: 'Blue',
+  BRO: 'Brown',
+  DIC: 'Dichromatic',
+  GRY: 'Gray',
+  GRN: 'Green',
+  HAZ: 'Hazel',
+  MAR: 'Maroon',
+  PNK: 'Pink',
+  UNK: 'Unknown'
+};
+
+/**
+* ANSI D-20 hair color codes.
+*/
+export const hairColors = {
+  BAL: 'Bald',
+  BLK: 'Black',
+  BLN: 'Blond',
+  BRO: 'Brown',
+  GRY: 'Gray',
+  RED: 'Red/Auburn',
+  SDY: 'Sandy',
+  WHI: 'White',
+  UNK: 'Unknown'
+};
+
+/**
+* AAMVA weight range codes (DCE) in kilograms and pounds. The upper bound of
+* the last range is open.
+*/
+export const weightRanges = {
+  0: {kg: [0, 31], lb: [0, 70]},
+  1: {kg: [32, 45], lb: [71, 100]},
+  2: {kg: [46, 59], lb: [101, 130]},
+  3: {kg: [60, 70], lb: [131, 160]},
+  4: {kg: [71, 86], lb: [161, 190]},
+  5: {kg: [87, 100], lb: [191, 220]},
+  6: {kg: [101, 113], lb: [221, 250]},
+  7: {kg: [114, 127], lb: [251, 280]},
+  8: {kg: [128, 145], lb: [281, 320]},
+  9: {kg: [146, null], lb: [321, null]}
+};
+
+const SEXES = {
+  M: 'Male',
+  F: 'Female',
+  X: 'Not specified'
+};
+
+/**
+* Determine the date layout used by a license.
+*
+* Version 1 (AAMVA DL/ID-2000) and Canadian licenses use CCYYMMDD; US
+* licenses from version 2 onward use MMDDCCYY.
+*
+* @param {object} context - Parse context.
+* @param {number} [context.version] - AAMVA version.
+* @param {string} [context.country] - Issuing country (e.g. 'USA', 'CAN').
+*
+* @returns {string} 'CCYYMMDD' or 'MMDDCCYY'.
+*/
+export function getDateLayout({version, country} = {}) {
+  if(country === 'CAN' || version === 0 || version === 1) {
+    return 'CCYYMMDD';
+  }
+  return 'MMDDCCYY';
+}
+
+/**
+* Convert an AAMVA date to an ISO 8601 date string.
+*
+* Only the layout implied by the version and country is used; a date that
+* is only valid in the other layout is not guessed at (`normalizeDLInfo`
+* reports those as `ambiguousDates`).
+*
+* @param {string} value - Raw date value.
+* @param {object} [context] - Parse context (see `getDateLayout`).
+* @param {string} [context.layout] - 'CCYYMMDD' or 'MMDDCCYY', overriding
+*   the layout implied by the version and country.
+*
+* @returns {string|null} ISO date (YYYY-MM-DD) or null.
+*/
+export function parseAAMVADate(value, context = {}) {
+  if(!value) {
+    return null;
+  }
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if(iso) {
+    return _isoDate(iso[1], iso[2], iso[3]);
+  }
+  const digits = value.replace(/\D/g, '');
+  if(digits.length !== 8) {
+    return null;
+  }
+  const layout = context.layout ?? getDateLayout(context);
+  if(layout === 'CCYYMMDD') {
+    return _isoDate(digits.slice(0, 4), digits.slice(4, 6), digits.slice(6, 8));
+  }
+  return _isoDate(digits.slice(4, 8), digits.slice(0, 2), digits.slice(2, 4));
+}
+
+/**
+* Parse a height value.
+*
+* @param {string} value - Raw DAU value ("070 IN", "178 cm", "5-07").
+* @param {object} [options] - Options.
+* @param {string} [options.cmValue] - Raw DAV value (version 1 height in cm).
+* @param {number} [options.version] - AAMVA version.
+*
+* @returns {object|null} `{cm, inches, feetInches}` or null.
+*/
+export function parseHeight(value, {cmValue, version} = {}) {
+  let inches = null;
+  let cm = null;
+  const trimmed = value?.trim();
+  const match = trimmed && /^(\d+)\s*(in|cm)?$/i.exec(trimmed);
+  const feet = trimmed && /^(\d)['-](\d{1,2})/.exec(trimmed);
+
+  if(match) {
+    const amount = parseInt(match[1], 10);
+    const unit = match[2]?.toLowerCase();
+    if(unit === 'cm') {
+      cm = amount;
+    } else if(!unit && Number.isInteger(version) && version <= 1 &&
+      match[1].length === 3) {
+      // version 1 encodes feet and inches, e.g. "507"
+      inches = parseInt(match[1][0], 10) * 12 +
+        parseInt(match[1].slice(1), 10);
+    } else {
+      inches = amount;
+    }
+  } else if(feet) {
+    inches = parseInt(feet[1], 10) * 12 + parseInt(feet[2], 10);
+  } else if(cmValue) {
+    cm = parseInt(cmValue, 10) || null;
+  }
+
+  if(inches === null && cm === null) {
+    return null;
+  }
+  if(inches === null) {
+    inches = Math.round(cm / CM_PER_INCH);
+  } else {
+    cm = Math.round(inches * CM_PER_INCH);
+  }
+  return {
+    cm,
+    inches,
+    feetInches: `${Math.floor(inches / 12)}'${inches % 12}"`
+  };
+}
+
+/**
+* Parse weight from the pounds (DAW), kilograms (DAX) or range (DCE)
+* elements, in that order of preference.
+*
+* @param {object} elements - Raw data elements.
+* @param {string} [elements.DAW] - Weight in pounds.
+* @param {string} [elements.DAX] - Weight in kilograms.
+* @param {string} [elements.DCE] - Weight range code.
+*
+* @returns {object|null} `{kg, lb, range, source}` or null. `range` is set
+*   when only a weight range is known.
+*/
+export function parseWeight({DAW, DAX, DCE} = {}) {
+  const lb = parseInt(DAW, 10);
+  if(lb > 0) {
+    return {kg: Math.round(lb / LB_PER_KG), lb, range: null, source: 'DAW'};
+  }
+  const kg = parseInt(DAX, 10);
+  if(kg > 0) {
+    return {kg, lb: Math.round(kg * LB_PER_KG), range: null, source: 'DAX'};
+  }
+  const range = weightRanges[DCE?.trim()];
+  if(range) {
+    return {
+      kg: null,
+      lb: null,
+      range: {code: DCE.trim(), kg: range.kg, lb: range.lb},
+      source: 'DCE'
+    };
+  }
+  return null;
+}
+
+/**
+* Decode the sex element.
+*
+* @param {string} value - Raw DBC value.
+*
+* @returns {object|null} `{code, label}` where code is 'M', 'F' or 'X'.
+*/
+export function parseSex(value) {
+  let code;
+  switch(value?.trim().toUpperCase()) {
+    case '1':
+    case 'M':
+      code = 'M';
+      break;
+    case '2':
+    case 'F':
+      code = 'F';
+      break;
+    case '9':
+    case 'X':
+      code = 'X';
+      break;
+    default:
+      return null;
+  }
+  return {code, label: SEXES[code]};
+}
+
+/**
+* Compute the age in whole years on a given date.
+*
+* @param {string} dateOfBirth - ISO date of birth.
+* @param {Date} [now=new Date()] - Reference date.
+*
+* @returns {number|null} Age in years or null.
+*/
+export function computeAge(dateOfBirth, now = new Date()) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateOfBirth || '');
+  if(!match) {
+    return null;
+  }
+  const [year, month, day] = match.slice(1).map(Number);
+  let age = now.getFullYear() - year;
+  const beforeBirthday = now.getMonth() + 1 < month ||
+    (now.getMonth() + 1 === month && now.getDate() < day);
+  if(beforeBirthday) {
+    age--;
+  }
+  return age;
+}
+
+/**
+* Normalize a parsed driver license (the result of `parseAAMVA` or
+* `parseDLInfo`).
+*
+* @param {object} dlInfo - Parsed driver license.
+* @param {object} [options] - Options.
+* @param {Date} [options.now=new Date()] - Reference date for ages and
+*   expiry.
+*
+* @returns {object} Normalized values: ISO `dates`, `ambiguousDates` (dates
+*   only valid in the other layout, left out of `dates`), `height`,
+*   `weight`, decoded `sex`, `eyeColor` and `hairColor`, and derived `age`,
+*   `isUnder18`, `isUnder21` and `isExpired`.
+*/
+export function normalizeDLInfo(dlInfo, {now = new Date()} = {}) {
+  const {elements = {}, version = null} = dlInfo || {};
+  const country = elements.DCG || dlInfo?.issuer?.country || null;
+  const context = {version, country};
+  const dateLayout = getDateLayout(context);
+  const otherLayout = dateLayout === 'CCYYMMDD' ? 'MMDDCCYY' : 'CCYYMMDD';
+  const dateCodes = {
+    dateOfBirth: elements.DBB ? 'DBB' : 'DBL',
+    issueDate: 'DBD',
+    expirationDate: 'DBA',
+    cardRevisionDate: 'DDB',
+    hazmatExpirationDate: 'DDC',
+    under18Until: 'DDH',
+    under19Until: 'DDI',
+    under21Until: 'DDJ'
+  };
+  const dates = {};
+  // dates only valid in the other layout are flagged, not guessed
+  const ambiguousDates = {};
+  for(const [name, code] of Object.entries(dateCodes)) {
+    dates[name] = parseAAMVADate(elements[code], context);
+    const other = dates[name] ? null :
+      parseAAMVADate(elements[code], {layout: otherLayout});
+    if(other) {
+      ambiguousDates[name] = other;
+    }
+  }
+
+  const today = _isoDate(
+    String(now.getFullYear()),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    String(now.getDate()).padStart(2, '0'));
+  const age = computeAge(dates.dateOfBirth, now);
+  // prefer the printed "under N until" dates over computed ages
+  const isUnder = (years, until) => {
+    if(until) {
+      return today < until;
+    }
+    return age === null ? null : age < years;
+  };
+
+  return {
+    dateLayout,
+    dates,
+    ambiguousDates,
+    height: parseHeight(elements.DAU, {cmValue: elements.DAV, version}),
+    weight: parseWeight(elements),
+    sex: parseSex(elements.DBC),
+    eyeColor: _decode(elements.DAY, eyeColors),
+    hairColor: _decode(elements.DAZ, hairColors),
+    age,
+    isUnder18: isUnder(18, dates.under18Until),
+    isUnder21: isUnder(21, dates.under21Until),
+    isExpired: dates.expirationDate ? dates.expirationDate < today : null
+  };
+}
+
+/**
+* Decode an enumerated code.
+*
+* @param {string} value - Raw code.
+* @param {object} table - Code to label map.
+*
+* @returns {object|null} `{code, label}` or null.
+* @private
+*/
+function _decode(value, table) {
+  const code = value?.trim().toUpperCase();
+  if(!code) {
+    return null;
+  }
+  return {code, label: table[code] || null};
+}
+
+/**
+* Build an ISO 8601 date string, rejecting impossible calendar dates.
+*
+* @param {string} year - Four digit year.
+* @param {string} month - Two digit month.
+* @param {string} day - Two digit day.
+*
+* @returns {string|null} ISO date (YYYY-MM-DD) or null.
+* @private
+*/
+function _isoDate(year, month, day) {
+  const date = new Date(Date.UTC(+year, +month - 1, +day));
+  if(date.getUTCFullYear() !== +year || date.getUTCMonth() !== +month - 1 ||
+    date.getUTCDate() !== +day) {
+    return null;
+  }
+  return `${year}-${month}-${day}`;
+}
@@ -0,0 +1,468 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {computeLocalMeans, toGrayscale} from './image.js';
+import {downscale, warpPerspective} from './image-transforms.js';
+
+/**
+ * Document localization: finds an ID card or passport page photographed at
+ * an angle and warps it to an upright rectangle of its ISO/IEC 7810 size,
+ * so the barcode or MRZ on it is decoded from a flat, evenly sized image.
+ *
+ * Edges are found with Sobel gradients on a downscaled copy, straight lines
+ * with a Hough transform, and the document is the pair of roughly
+ * horizontal and pair of roughly vertical lines whose quadrilateral is best
+ * supported by edges along its sides. Pure JavaScript, no DOM.
+ */
+
+/**
+ * ISO/IEC 7810 document sizes in millimeters: ID-1 for ID cards and driver
+ * licenses, ID-3 for passport data pages.
+ */
+export const documentSizes = {
+  'id-1': {width: 85.6, height: 53.98},
+  'id-3': {width: 125, height: 88}
+};
+
+// size of the copy edges are searched in
+const WORK_SIDE = 480;
+// lines kept from the Hough transform
+const MAX_LINES = 24;
+// gradient directions vote for lines within this many degrees
+const VOTE_SPREAD = 6;
+
+/**
+* Find the quadrilateral of a document.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {object} [options] - Options.
+* @param {number} [options.minArea=0.15] - Smallest document area, as a
+*   fraction of the image area.
+* @param {number} [options.minConfidence=0.5] - Least fraction of the sides
+*   that must be backed by edges.
+*
+* @returns {object|null} `{corners, confidence}` with the corners `{x, y}`
+*   (top left, top right, bottom right, bottom left) in source pixels, or
+*   null when no document is found.
+*/
+export function detectDocument(imageData, {
+  minArea = 0.15, minConfidence = 0.5
+} = {}) {
+  const {imageData: small, toSource} = downscale(
+    imageData, {maxSide: WORK_SIDE});
+  const edges = _findEdges(small);
+  const lines = _findLines(edges);
+  const horizontal = lines.filter(line => line.theta >= 45 && line.theta < 135);
+  const vertical = lines.filter(line => line.theta < 45 || line.theta >= 135);
+
+  const {width, height} = small;
+  let best = null;
+  const rows = _pairs(horizontal, line => _yAt(line, width / 2));
+  const columns = _pairs(vertical, line => _xAt(line, height / 2));
+  for(const [top, bottom] of rows) {
+    for(const [left, right] of columns) {
+      const corners = [
+        _intersect(top, left), _intersect(top, right),
+        _intersect(bottom, right), _intersect(bottom, left)
+      ];
+      if(!_isPlausible(corners, small, minArea)) {
+        continue;
+      }
+      const confidence = _support(corners, edges);
+      if(confidence >= minConfidence &&
+        (!best || confidence > best.confidence)) {
+        best = {corners, confidence};
+      }
+    }
+  }
+  if(!best) {
+    return null;
+  }
+  return {
+    corners: best.corners.map(point => {
+      const {x, y} = toSource(point);
+      return {x: Math.round(x * 10) / 10, y: Math.round(y * 10) / 10};
+    }),
+    confidence: Math.round(best.confidence * 1000) / 1000
+  };
+}
+
+/**
+* Warp a document to an upright rectangle of its standard size. Documents
+* photographed in portrait orientation are turned to landscape.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {object[]} corners - Document corners, as `detectDocument()`
+*   returns them.
+* @param {object} [options] - Options.
+* @param {string} [options.size='auto'] - 'id-1', 'id-3', or 'auto' for the
+*   size closest to the measured aspect ratio.
+* @param {number} [options.width=1000] - Output width in pixels (ID-1 at
+*   about 300 dpi).
+*
+* @returns {object} `{imageData, toSource, size}`.
+*/
+export function rectifyDocument(imageData, corners, {
+  size = 'auto', width = 1000
+} = {}) {
+  const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+  const across = (_distance(topLeft, topRight) +
+    _distance(bottomLeft, bottomRight)) / 2;
+  const down = (_distance(topLeft, bottomLeft) +
+    _distance(topRight, bottomRight)) / 2;
+  // the long side goes on top
+  const ordered = down > across ?
+    [bottomLeft, topLeft, topRight, bottomRight] : corners;
+  const ratio = Math.max(across, down) / Math.max(1, Math.min(across, down));
+
+  if(size === 'auto') {
+    size = Object.keys(documentSizes).reduce((closest, name) =>
+      Math.abs(_ratio(name) - ratio) < Math.abs(_ratio(closest) - ratio) ?
+        name : closest);
+  }
+  if(!documentSizes[size]) {
+    throw new TypeError(`Unknown document size: ${size}`);
+  }
+  const height = Math.round(width / _ratio(size));
+  return {...warpPerspective(imageData, ordered, {width, height}), size};
+}
+
+/**
+* Find a document and warp it upright.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {object} [options] - Options of `detectDocument()` and
+*   `rectifyDocument()`.
+*
+* @returns {object|null} `{imageData, toSource, corners, size,
+*   confidence}`, or null when no document is found.
+*/
+export function localizeDocument(imageData, options = {}) {
+  const found = detectDocument(imageData, options);
+  if(!found) {
+    return null;
+  }
+  return {
+    ...rectifyDocument(imageData, found.corners, options),
+    ...found
+  };
+}
+
+/**
+* Find edge pixels with their gradient directions.
+*
+* @param {ImageData} imageData - Pixels.
+*
+* @returns {object} `{width, height, strength, angles, points}`: 1 on edges
+*   in `strength` and the gradient direction in degrees (0-180) in `angles`
+*   per pixel, and the edge pixels `[x, y, angle]`.
+* @private
+*/
+function _findEdges(imageData) {
+  const {width, height} = imageData;
+  // 5x5 mean, against noise and texture
+  const blurred = computeLocalMeans(toGrayscale(imageData), width, height, 2);
+  const magnitudes = new Float32Array(width * height);
+  const angles = new Float32Array(width * height);
+  const histogram = new Uint32Array(256);
+  for(let y = 1; y < height - 1; ++y) {
+    for(let x = 1; x < width - 1; ++x) {
+      const i = y * width + x;
+      const gx = blurred[i - width + 1] + 2 * blurred[i + 1] +
+        blurred[i + width + 1] - blurred[i - width - 1] -
+        2 * blurred[i - 1] - blurred[i + width - 1];
+      const gy = blurred[i + width - 1] + 2 * blurred[i + width] +
+        blurred[i + width + 1] - blurred[i - width - 1] -
+        2 * blurred[i - width] - blurred[i - width + 1];
+      const magnitude = Math.hypot(gx, gy);
+      magnitudes[i] = magnitude;
+      angles[i] = (Math.atan2(gy, gx) * 180 / Math.PI + 180) % 180;
+      histogram[Math.min(255, Math.floor(magnitude / 4))]++;
+    }
+  }
+
+  // the strongest tenth of the gradients, unless they are all faint
+  let threshold = 255;
+  for(let count = 0; threshold > 0; --threshold) {
+    count += histogram[threshold];
+    if(count >= width * height * 0.1) {
+      break;
+    }
+  }
+  threshold = Math.max(32, threshold * 4);
+
+  const strength = new Uint8Array(width * height);
+  const points = [];
+  for(let i = 0; i < magnitudes.length; ++i) {
+    if(magnitudes[i] >= threshold) {
+      strength[i] = 1;
+      points.push([i % width, Math.floor(i / width), angles[i]]);
+    }
+  }
+  return {width, height, strength, angles, points};
+}
+
+/**
+* Find the strongest straight lines through edge pixels.
+*
+* @param {object} edges - Result of `_findEdges()`.
+*
+* @returns {object[]} Lines `{theta, rho, votes}` of
+*   `x cos(theta) + y sin(theta) = rho`, theta in degrees (0-180).
+* @private
+*/
+function _findLines(edges) {
+  const {width, height, points} = edges;
+  const diagonal = Math.ceil(Math.hypot(width, height));
+  const rhos = diagonal * 2 + 1;
+  const votes = new Uint32Array(180 * rhos);
+  const cos = Array.from({length: 180}, (_, t) => Math.cos(t * Math.PI / 180));
+  const sin = Array.from({length: 180}, (_, t) => Math.sin(t * Math.PI / 180));
+  for(const [x, y, angle] of points) {
+    const center = Math.round(angle);
+    for(let t = center - VOTE_SPREAD; t <= center + VOTE_SPREAD; ++t) {
+      // lines past 180 degrees are the same lines with negated rho
+      const theta = (t + 180) % 180;
+      const rho = Math.round(x * cos[theta] + y * sin[theta]);
+      votes[theta * rhos + rho + diagonal]++;
+    }
+  }
+
+  const minVotes = Math.min(width, height) * 0.15;
+  const peaks = [];
+  for(let theta = 0; theta < 180; ++theta) {
+    for(let r = 0; r < rhos; ++r) {
+      const count = votes[theta * rhos + r];
+      if(count >= minVotes && _isPeak(votes, rhos, theta, r)) {
+        peaks.push({theta, rho: r - diagonal, votes: count});
+      }
+    }
+  }
+  return peaks.sort((a, b) => b.votes - a.votes).slice(0, MAX_LINES);
+}
+
+/**
+* Check whether a Hough cell is the maximum of its neighborhood.
+*
+* @param {Uint32Array} votes - Accumulator.
+* @param {number} rhos - Cells per theta.
+* @param {number} theta - Theta of the cell.
+* @param {number} r - Rho index of the cell.
+*
+* @returns {boolean} True for peaks; ties go to the first cell.
+* @private
+*/
+function _isPeak(votes, rhos, theta, r) {
+  const count = votes[theta * rhos + r];
+  for(let dt = -3; dt <= 3; ++dt) {
+    const t = theta + dt;
+    if(t < 0 || t >= 180) {
+      continue;
+    }
+    for(let dr = -5; dr <= 5; ++dr) {
+      const neighbor = r + dr;
+      if(neighbor < 0 || neighbor >= rhos || (dt === 0 && dr === 0)) {
+        continue;
+      }
+      const other = votes[t * rhos + neighbor];
+      if(other > count || (other === count && (dt < 0 || (!dt && dr < 0)))) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+* List the pairs of lines, each ordered by a position.
+*
+* @param {object[]} lines - Lines.
+* @param {Function} position - Position of a line across the image.
+*
+* @returns {object[][]} `[first, second]` pairs.
+* @private
+*/
+function _pairs(lines, position) {
+  const pairs = [];
+  for(let i = 0; i < lines.length; ++i) {
+    for(let j = i + 1; j < lines.length; ++j) {
+      pairs.push(position(lines[i]) < position(lines[j]) ?
+        [lines[i], lines[j]] : [lines[j], lines[i]]);
+    }
+  }
+  return pairs;
+}
+
+/**
+* Check the shape of a candidate quadrilateral: convex, mostly inside the
+* image, large enough and not too elongated for a document in perspective.
+*
+* @param {object[]} corners - Corners in order.
+* @param {object} size - Image size `{width, height}`.
+* @param {number} minArea - Smallest area, as a fraction of the image.
+*
+* @returns {boolean} True if it may be a document.
+* @private
+*/
+function _isPlausible(corners, size, minArea) {
+  const {width, height} = size;
+  const margin = Math.max(width, height) * 0.05;
+  if(corners.some(point => !point ||
+    point.x < -margin || point.x > width + margin ||
+    point.y < -margin || point.y > height + margin)) {
+    return false;
+  }
+  // convex and clockwise (y down)
+  for(let i = 0; i < 4; ++i) {
+    const [a, b, c] = [0, 1, 2].map(k => corners[(i + k) % 4]);
+    if((b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x) <= 0) {
+      return false;
+    }
+  }
+  let area = 0;
+  for(let i = 0; i < 4; ++i) {
+    const a = corners[i];
+    const b = corners[(i + 1) % 4];
+    area += a.x * b.y - b.x * a.y;
+  }
+  if(area / 2 < minArea * width * height) {
+    return false;
+  }
+  const sides = corners.map(
+    (point, i) => _distance(point, corners[(i + 1) % 4]));
+  const ratio = (sides[0] + sides[2]) / (sides[1] + sides[3]);
+  return Math.max(ratio, 1 / ratio) <= 2.5;
+}
+
+/**
+* Measure how much of a quadrilateral's outline lies on edges running along
+* it.
+*
+* @param {object[]} corners - Corners in order.
+* @param {object} edges - Result of `_findEdges()`.
+*
+* @returns {number} Fraction of the outline (0-1), the weakest side
+*   weighing most.
+* @private
+*/
+function _support(corners, edges) {
+  const {width, height, strength, angles} = edges;
+  const fractions = corners.map((from, i) => {
+    const to = corners[(i + 1) % 4];
+    // the gradient across the side
+    const normal = (Math.atan2(to.x - from.x, -(to.y - from.y)) *
+      180 / Math.PI + 360) % 180;
+    const steps = Math.max(1, Math.round(_distance(from, to) / 2));
+    let supported = 0;
+    for(let step = 0; step <= steps; ++step) {
+      const x = Math.round(from.x + (to.x - from.x) * step / steps);
+      const y = Math.round(from.y + (to.y - from.y) * step / steps);
+      search: for(let dy = -1; dy <= 1; ++dy) {
+        for(let dx = -1; dx <= 1; ++dx) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if(nx < 0 || ny < 0 || nx >= width || ny >= height) {
+            continue;
+          }
+          const i = ny * width + nx;
+          const difference = Math.abs(angles[i] - normal);
+          if(strength[i] && Math.min(difference, 180 - difference) < 20) {
+            supported++;
+            break search;
+          }
+        }
+      }
+    }
+    return supported / (steps + 1);
+  });
+  const mean = fractions.reduce((sum, fraction) => sum + fraction, 0) / 4;
+  return (mean + Math.min(...fractions)) / 2;
+}
+
+/**
+* Intersect two lines.
+*
+* @param {object} a - Line `{theta, rho}`.
+* @param {object} b - Line `{theta, rho}`.
+*
+* @returns {object|null} Point `{x, y}`, or null for parallel lines.
+* @private
+*/
+function _intersect(a, b) {
+  const [ca, sa] = _direction(a);
+  const [cb, sb] = _direction(b);
+  const determinant = ca * sb - sa * cb;
+  if(Math.abs(determinant) < 1e-6) {
+    return null;
+  }
+  return {
+    x: (a.rho * sb - b.rho * sa) / determinant,
+    y: (ca * b.rho - cb * a.rho) / determinant
+  };
+}
+
+/**
+* Get the y of a line at some x.
+*
+* @param {object} line - Roughly horizontal line.
+* @param {number} x - X.
+*
+* @returns {number} Y.
+* @private
+*/
+function _yAt(line, x) {
+  const [cos, sin] = _direction(line);
+  return (line.rho - x * cos) / sin;
+}
+
+/**
+* Get the x of a line at some y.
+*
+* @param {object} line - Roughly vertical line.
+* @param {number} y - Y.
+*
+* @returns {number} X.
+* @private
+*/
+function _xAt(line, y) {
+  const [cos, sin] = _direction(line);
+  return (line.rho - y * sin) / cos;
+}
+
+/**
+* Get the normal of a line.
+*
+* @param {object} line - Line `{theta}`.
+*
+* @returns {number[]} `[cos, sin]` of theta.
+* @private
+*/
+function _direction(line) {
+  const radians = line.theta * Math.PI / 180;
+  return [Math.cos(radians), Math.sin(radians)];
+}
+
+/**
+* Get the aspect ratio of a document size.
+*
+* @param {string} size - Size name.
+*
+* @returns {number} Width over height.
+* @private
+*/
+function _ratio(size) {
+  return documentSizes[size].width / documentSizes[size].height;
+}
+
+/**
+* Euclidean distance.
+*
+* @param {object} a - Point `{x, y}`.
+* @param {object} b - Point `{x, y}`.
+*
+* @returns {number} Distance.
+* @private
+*/
+function _distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
@@ -0,0 +1,160 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getLogger} from './logger.js';
+
+/**
+ * Pools of engine instances keyed by their settings, so decode loops reuse
+ * `BarcodeDetector`s and Dynamsoft readers instead of creating one per
+ * frame. Each instance is used by one scan at a time; concurrent scans get
+ * instances of their own.
+ */
+
+const logger = getLogger('engines');
+
+export class EnginePool {
+  /**
+  * @param {object} options - Options.
+  * @param {Function} options.create - Creates an instance:
+  *  async (settings) => instance.
+  * @param {Function} [options.destroy] - Releases an instance:
+  *  async (instance) => void.
+  * @param {number} [options.maxIdle=4] - Idle instances kept across all
+  *  settings; the least recently used are destroyed.
+  */
+  constructor({create, destroy = () => {}, maxIdle = 4} = {}) {
+    if(typeof create !== 'function') {
+      throw new TypeError('"create" must be a function.');
+    }
+    this.maxIdle = maxIdle;
+    this._create = create;
+    this._destroy = destroy;
+    // {key, instance}, least recently used first
+    this._idle = [];
+    // instance => {key, generation}
+    this._busy = new Map();
+    // bumped by dispose(); instances of older generations are not reused
+    this._generation = 0;
+  }
+
+  /**
+  * Number of instances, idle or in use.
+  *
+  * @returns {number} Instance count.
+  */
+  get size() {
+    return this._idle.length + this._busy.size;
+  }
+
+  /**
+  * Take an idle instance created with the same settings, or create one.
+  * Hand it back with `release()`.
+  *
+  * @param {object} [settings={}] - Engine settings; plain data.
+  *
+  * @returns {Promise<*>} Instance.
+  */
+  async acquire(settings = {}) {
+    const key = _settingsKey(settings);
+    const generation = this._generation;
+    const index = this._idle.findIndex(entry => entry.key === key);
+    const instance = index === -1 ?
+      await this._create(settings) : this._idle.splice(index, 1)[0].instance;
+    this._busy.set(instance, {key, generation});
+    return instance;
+  }
+
+  /**
+  * Hand back an instance from `acquire()`. It is kept for reuse unless the
+  * pool was disposed meanwhile.
+  *
+  * @param {*} instance - Instance.
+  */
+  release(instance) {
+    const entry = this._busy.get(instance);
+    if(!entry) {
+      return;
+    }
+    this._busy.delete(instance);
+    if(entry.generation !== this._generation) {
+      this._destroyInstance(instance);
+      return;
+    }
+    this._idle.push({key: entry.key, instance});
+    while(this._idle.length > this.maxIdle) {
+      this._destroyInstance(this._idle.shift().instance);
+    }
+  }
+
+  /**
+  * Run a function with an instance, releasing it afterwards.
+  *
+  * @param {object} settings - Engine settings.
+  * @param {Function} fn - Called with the instance.
+  *
+  * @returns {Promise<*>} What `fn` returns.
+  */
+  async use(settings, fn) {
+    const instance = await this.acquire(settings);
+    try {
+      return await fn(instance);
+    } finally {
+      this.release(instance);
+    }
+  }
+
+  /**
+  * Create an instance ahead of the first scan, unless one is idle.
+  *
+  * @param {object} [settings={}] - Engine settings.
+  */
+  async prepare(settings = {}) {
+    await this.use(settings, () => {});
+  }
+
+  /**
+  * Destroy the idle instances. Instances in use are destroyed when they are
+  * released; the pool stays usable and creates new instances on demand.
+  */
+  async dispose() {
+    this._generation++;
+    const idle = this._idle;
+    this._idle = [];
+    await Promise.all(idle.map(({instance}) =>
+      this._destroyInstance(instance)));
+  }
+
+  /**
+  * Destroy an instance, logging failures; there is nothing left to release
+  * once destroying failed.
+  *
+  * @param {*} instance - Instance.
+  * @private
+  */
+  async _destroyInstance(instance) {
+    try {
+      await this._destroy(instance);
+    } catch(error) {
+      logger.warn('Destroying engine instance failed:', error);
+    }
+  }
+}
+
+/**
+* Serialize settings with sorted keys, so equal settings share instances.
+*
+* @param {*} value - Settings.
+*
+* @returns {string} Key.
+* @private
+*/
+function _settingsKey(value) {
+  if(Array.isArray(value)) {
+    return `[${value.map(_settingsKey).join(',')}]`;
+  }
+  if(value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key =>
+      `${JSON.stringify(key)}:${_settingsKey(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
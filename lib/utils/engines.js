@@ -0,0 +1,112 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Lazy loaders for the third-party engines behind the plugins. Each engine is
+ * fetched with a dynamic `import()` the first time a plugin needs it, so
+ * bundlers split it into its own chunk and apps only download the engines
+ * of the formats they scan. `preloadEngines()` fetches them ahead of time.
+ */
+
+const _loaders = new Map([
+  // BarcodeDetector ponyfill; loads the zxing WASM on first detection
+  ['barcode-detector', () => import('barcode-detector/ponyfill')],
+  ['dynamsoft-barcode', () => import('dynamsoft-javascript-barcode')],
+  ['dynamsoft-mrz', () => import('dynamsoft-mrz-scanner')],
+  // zxing-wasm reader; reports QR Structured Append and Macro PDF417 headers
+  ['zxing', () => import('zxing-wasm/reader')]
+]);
+
+// name => {promise, module}
+const _engines = new Map();
+
+/**
+* Register the loader of an engine, replacing any previous one. Custom
+* plugins use it for their own engines.
+*
+* @param {string} name - Engine name.
+* @param {Function} loader - Returns a promise for the engine module,
+*  typically `() => import('some-engine')`.
+*/
+export function registerEngine(name, loader) {
+  if(typeof loader !== 'function') {
+    throw new TypeError('"loader" must be a function.');
+  }
+  _loaders.set(name, loader);
+  _engines.delete(name);
+}
+
+/**
+* Load an engine once; later calls return the same module. A failed load is
+* retried on the next call.
+*
+* @param {string} name - Engine name.
+*
+* @returns {Promise<object>} Engine module.
+*/
+export function loadEngine(name) {
+  const loaded = _engines.get(name);
+  if(loaded) {
+    return loaded.promise;
+  }
+  const loader = _loaders.get(name);
+  if(!loader) {
+    return Promise.reject(new Error(`Unknown engine: ${name}`));
+  }
+  const entry = {module: null, promise: null};
+  entry.promise = Promise.resolve().then(loader).then(module => {
+    entry.module = module;
+    return module;
+  }, error => {
+    _engines.delete(name);
+    throw error;
+  });
+  _engines.set(name, entry);
+  return entry.promise;
+}
+
+/**
+* Check whether an engine has finished loading.
+*
+* @param {string} name - Engine name.
+*
+* @returns {boolean} True once loaded.
+*/
+export function isEngineLoaded(name) {
+  return !!_engines.get(name)?.module;
+}
+
+/**
+* Load several engines in parallel.
+*
+* @param {string[]} names - Engine names.
+*
+* @returns {Promise<object[]>} Engine modules.
+*/
+export function preloadEngines(names) {
+  return Promise.all([...new Set(names)].map(loadEngine));
+}
+
+/**
+* Load the engines of plugins ahead of their first scan, then let plugins
+* with an `init(options)` method create their engine instances. Plugins
+* with a `preload(options)` method load their own engines, so they can skip
+* those their options leave unused; others have their `engines` loaded.
+* Both methods get the plugin's options.
+*
+* @param {object[]} plugins - Plugins.
+* @param {object} [options] - Options.
+* @param {object} [options.pluginOptions={}] - Plugin options by format, as
+*  passed to `OpticalScanner.scan()`.
+*
+* @returns {Promise} Settles once all engines are loaded.
+*/
+export async function preloadPlugins(plugins, {pluginOptions = {}} = {}) {
+  await Promise.all(plugins.map(async plugin => {
+    const options = pluginOptions[plugin.format];
+    await (plugin.preload ?
+      plugin.preload(options) : preloadEngines(plugin.engines || []));
+    await plugin.init?.(options);
+  }));
+}
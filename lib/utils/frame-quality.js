@@ -0,0 +1,210 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {downscale} from './image-transforms.js';
+import {toGrayscale} from './image.js';
+
+/**
+ * Frame quality assessment for camera scans: scores how sharp, well exposed,
+ * glare free and steady a frame is, so poor frames can be skipped instead of
+ * decoded, and tells the user what to change.
+ *
+ * Each score runs from 0 (unusable) to 1 (good) and the frame score is the
+ * worst of them:
+ *
+ * - blur: variance of the Laplacian; little detail means motion blur, an
+ *   unfocused lens or a code too far away to resolve.
+ * - exposure: mean luminance within the dark and bright levels.
+ * - glare: share of saturated pixels, as reflections on laminated cards.
+ * - motion: mean luminance change since the previous frame.
+ */
+
+/**
+ * Messages for the hints of a quality report, to show to the user.
+ */
+export const qualityHints = {
+  'hold-still': 'Hold still',
+  'move-closer': 'Move closer',
+  'reduce-glare': 'Reduce glare',
+  'more-light': 'More light needed',
+  'less-light': 'Too bright'
+};
+
+/**
+ * Scores successive frames of a video.
+ */
+export class FrameQualityAnalyzer {
+  /**
+  * @param {object} [options] - Options.
+  * @param {number} [options.minScore=0.5] - Least frame score to accept.
+  * @param {number} [options.maxSide=240] - Frames are analyzed at this
+  *  size.
+  * @param {number} [options.sharpness=50] - Laplacian variance that scores
+  *  0.5 for blur; twice as much scores 1.
+  * @param {number} [options.darkLevel=50] - Mean luminance below which
+  *  exposure scores less than 1.
+  * @param {number} [options.brightLevel=210] - Mean luminance above which
+  *  exposure scores less than 1.
+  * @param {number} [options.glareArea=0.02] - Share of saturated pixels
+  *  that scores 0.5 for glare.
+  * @param {number} [options.motionLevel=10] - Mean luminance change between
+  *  frames that scores 0.5 for motion.
+  */
+  constructor({
+    minScore = 0.5,
+    maxSide = 240,
+    sharpness = 50,
+    darkLevel = 50,
+    brightLevel = 210,
+    glareArea = 0.02,
+    motionLevel = 10
+  } = {}) {
+    this.minScore = minScore;
+    this.maxSide = maxSide;
+    this.sharpness = sharpness;
+    this.darkLevel = darkLevel;
+    this.brightLevel = brightLevel;
+    this.glareArea = glareArea;
+    this.motionLevel = motionLevel;
+
+    this._previous = null;
+  }
+
+  /**
+  * Score a frame. Motion is measured against the frame analyzed before.
+  *
+  * @param {ImageData} imageData - Frame pixels.
+  *
+  * @returns {object} `{score, acceptable, scores, metrics, hints}`:
+  *  `scores` holds the `blur`, `exposure`, `glare` and `motion` scores,
+  *  `metrics` the measures behind them (`sharpness`, `brightness`, `glare`,
+  *  `motion`, null on the first frame) and `hints` the codes of
+  *  `qualityHints` for the scores below `minScore`, worst first.
+  */
+  analyze(imageData) {
+    const {imageData: small} = downscale(imageData, {maxSide: this.maxSide});
+    const {width, height} = small;
+    const gray = toGrayscale(small);
+
+    const sharpness = _laplacianVariance(gray, width, height);
+    let sum = 0;
+    let saturated = 0;
+    for(const value of gray) {
+      sum += value;
+      if(value >= 250) {
+        saturated++;
+      }
+    }
+    const brightness = sum / gray.length;
+    const glare = saturated / gray.length;
+
+    let motion = null;
+    const previous = this._previous;
+    if(previous?.length === gray.length) {
+      let change = 0;
+      for(let i = 0; i < gray.length; ++i) {
+        change += Math.abs(gray[i] - previous[i]);
+      }
+      motion = change / gray.length;
+    }
+    this._previous = gray;
+
+    const scores = {
+      blur: Math.min(1, sharpness / (2 * this.sharpness)),
+      exposure: this._scoreExposure(brightness),
+      glare: Math.max(0, 1 - glare / (2 * this.glareArea)),
+      motion: motion === null ?
+        1 : Math.max(0, 1 - motion / (2 * this.motionLevel))
+    };
+    const score = Math.min(...Object.values(scores));
+    return {
+      score,
+      acceptable: score >= this.minScore,
+      scores,
+      metrics: {sharpness, brightness, glare, motion},
+      hints: this._getHints(scores, brightness)
+    };
+  }
+
+  /**
+  * Forget the previous frame, as when the camera changes.
+  */
+  reset() {
+    this._previous = null;
+  }
+
+  /**
+  * Score the mean luminance.
+  *
+  * @param {number} brightness - Mean luminance.
+  *
+  * @returns {number} Score.
+  * @private
+  */
+  _scoreExposure(brightness) {
+    if(brightness < this.darkLevel) {
+      return brightness / this.darkLevel;
+    }
+    if(brightness > this.brightLevel) {
+      return (255 - brightness) / (255 - this.brightLevel);
+    }
+    return 1;
+  }
+
+  /**
+  * Turn the scores below `minScore` into hints, worst first.
+  *
+  * @param {object} scores - Scores.
+  * @param {number} brightness - Mean luminance.
+  *
+  * @returns {string[]} Hint codes.
+  * @private
+  */
+  _getHints(scores, brightness) {
+    const hints = new Map();
+    const add = (hint, score) => {
+      if(score < this.minScore && !hints.has(hint)) {
+        hints.set(hint, score);
+      }
+    };
+    add('hold-still', scores.motion);
+    // a steady camera that sees little detail is too far or out of focus
+    add(scores.motion < this.minScore ? 'hold-still' : 'move-closer',
+      scores.blur);
+    add('reduce-glare', scores.glare);
+    add(brightness < this.darkLevel ? 'more-light' : 'less-light',
+      scores.exposure);
+    return [...hints].sort(([, a], [, b]) => a - b).map(([hint]) => hint);
+  }
+}
+
+/**
+* Compute the variance of the 4-neighbor Laplacian.
+*
+* @param {Uint8Array} gray - Gray values, row major.
+* @param {number} width - Width.
+* @param {number} height - Height.
+*
+* @returns {number} Variance.
+* @private
+*/
+function _laplacianVariance(gray, width, height) {
+  let sum = 0;
+  let sumOfSquares = 0;
+  let count = 0;
+  for(let y = 1; y < height - 1; ++y) {
+    for(let x = 1; x < width - 1; ++x) {
+      const i = y * width + x;
+      const laplacian = 4 * gray[i] - gray[i - 1] - gray[i + 1] -
+        gray[i - width] - gray[i + width];
+      sum += laplacian;
+      sumOfSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+  if(count === 0) {
+    return 0;
+  }
+  const mean = sum / count;
+  return sumOfSquares / count - mean * mean;
+}
@@ -0,0 +1,324 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getLogger} from './logger.js';
+
+const logger = getLogger('scheduler');
+
+// accept frames this early so a 30 fps video can drive a 15 fps target
+const PACING_TOLERANCE_MS = 5;
+// effective rate multiplier applied per idle decode while backing off
+const BACKOFF_FACTOR = 0.85;
+
+/**
+ * Drives per-frame decoding from a video. Ticks come from
+ * `requestVideoFrameCallback` when the source supports it (one tick per new
+ * video frame), otherwise from `requestAnimationFrame`, otherwise from
+ * timers. Ticks are paced to a target frame rate, skipped while a decode is
+ * still in flight, and slowed down when nothing has been found for a while
+ * or the device runs on battery.
+ */
+export class FrameScheduler {
+  /**
+  * @param {HTMLVideoElement|object} source - Frame source; used for
+  *  `requestVideoFrameCallback` when available.
+  * @param {object} [options] - Options.
+  * @param {number} [options.targetFps=15] - Maximum decodes per second.
+  * @param {number} [options.minFps=2] - Floor of the idle back off.
+  * @param {number} [options.idleAfterMs=2000] - Start backing off after
+  *  this long without a result or `wake()`.
+  * @param {number|null} [options.batteryFps=5] - Rate cap while the device
+  *  is discharging; null disables the battery check.
+  * @param {Function} [options.onStats] - Called after every decode with
+  *  timing stats (see `run()`).
+  */
+  constructor(source, {
+    targetFps = 15,
+    minFps = 2,
+    idleAfterMs = 2000,
+    batteryFps = 5,
+    onStats
+  } = {}) {
+    if(!(targetFps > 0) || !(minFps > 0)) {
+      throw new Error('targetFps and minFps must be positive numbers.');
+    }
+    this.source = source;
+    this.targetFps = targetFps;
+    this.minFps = Math.min(minFps, targetFps);
+    this.idleAfterMs = idleAfterMs;
+    this.batteryFps = batteryFps;
+    this.onStats = onStats;
+
+    this._fps = targetFps;
+    this._onBattery = false;
+    this._running = null;
+  }
+
+  /**
+  * Which tick driver is used for the source.
+  *
+  * @returns {string} 'video-frame', 'animation-frame' or 'timer'.
+  */
+  get driver() {
+    if(typeof this.source?.requestVideoFrameCallback === 'function') {
+      return 'video-frame';
+    }
+    if(typeof requestAnimationFrame === 'function') {
+      return 'animation-frame';
+    }
+    return 'timer';
+  }
+
+  /**
+  * Current decode rate after idle back off and battery cap.
+  *
+  * @returns {number} Frames per second.
+  */
+  get fps() {
+    if(this._onBattery && this.batteryFps) {
+      return Math.min(this._fps, this.batteryFps);
+    }
+    return this._fps;
+  }
+
+  /**
+  * Run `onFrame` once per scheduled frame until it returns a value other
+  * than `undefined`, `stop()` is called or the signal aborts. A frame is
+  * skipped while the previous `onFrame` call is still pending.
+  *
+  * After every decode `onStats` receives `{frame, driver, timestamp,
+  * mediaTime, decodeMs, intervalMs, skipped, fps, targetFps}`: `skipped`
+  * counts the ticks dropped since the previous decode (busy or paced out),
+  * `fps` is the measured decode rate and `targetFps` the current rate.
+  *
+  * @param {Function} onFrame - Async `({frame, timestamp, mediaTime}) =>
+  *  value`; return `undefined` to keep going.
+  * @param {object} [options] - Options.
+  * @param {AbortSignal} [options.signal] - Abort signal.
+  *
+  * @returns {Promise<*>} The first value returned by `onFrame` or passed to
+  *  `stop()`.
+  */
+  run(onFrame, {signal} = {}) {
+    if(this._running) {
+      throw new Error('FrameScheduler is already running.');
+    }
+    signal?.throwIfAborted();
+
+    return new Promise((resolve, reject) => {
+      const driver = this.driver;
+      const state = this._running = {
+        driver,
+        handle: null,
+        busy: false,
+        frame: 0,
+        skipped: 0,
+        lastStart: -Infinity,
+        lastActive: _now(),
+        finish: null
+      };
+
+      const onAbort = () => state.finish(null, signal.reason);
+      state.finish = (value, error) => {
+        if(this._running !== state) {
+          return;
+        }
+        this._running = null;
+        this._cancel(state);
+        signal?.removeEventListener('abort', onAbort);
+        this._unwatchBattery?.();
+        error === undefined ? resolve(value) : reject(error);
+      };
+      signal?.addEventListener('abort', onAbort, {once: true});
+
+      this._fps = this.targetFps;
+      if(this.batteryFps) {
+        this._watchBattery();
+      }
+
+      const tick = (timestamp, metadata) => {
+        if(this._running !== state) {
+          return;
+        }
+        // keep receiving frames while decoding
+        this._request(state, tick);
+
+        const interval = 1000 / this.fps;
+        if(state.busy ||
+          timestamp - state.lastStart < interval - PACING_TOLERANCE_MS) {
+          state.skipped++;
+          return;
+        }
+        const previousStart = state.lastStart;
+        state.lastStart = timestamp;
+        state.busy = true;
+        const frame = state.frame++;
+        const mediaTime = metadata?.mediaTime ?? null;
+
+        const started = _now();
+        Promise.resolve()
+          .then(() => onFrame({frame, timestamp, mediaTime}))
+          .then(value => {
+            state.busy = false;
+            if(this._running !== state) {
+              return;
+            }
+            const decodeMs = _now() - started;
+            this._adapt(state, value !== undefined);
+            this._emitStats({
+              frame,
+              driver,
+              timestamp,
+              mediaTime,
+              decodeMs,
+              intervalMs: frame === 0 ? null : timestamp - previousStart,
+              skipped: state.skipped
+            });
+            state.skipped = 0;
+            if(value !== undefined) {
+              state.finish(value);
+            }
+          }, error => state.finish(null, error));
+      };
+      this._request(state, tick);
+    });
+  }
+
+  /**
+  * Stop a running scheduler; `run()` resolves with `value`.
+  *
+  * @param {*} [value] - Value to resolve with.
+  */
+  stop(value) {
+    this._running?.finish(value);
+  }
+
+  /**
+  * Reset the idle back off to the target rate. Call it when something
+  * happened that makes a result likely, such as a code coming into view or
+  * the user moving the camera.
+  */
+  wake() {
+    if(this._running) {
+      this._running.lastActive = _now();
+    }
+    this._fps = this.targetFps;
+  }
+
+  /**
+  * Request the next tick from the driver.
+  *
+  * @param {object} state - Run state.
+  * @param {Function} tick - Tick handler `(timestamp, metadata)`.
+  * @private
+  */
+  _request(state, tick) {
+    switch(state.driver) {
+      case 'video-frame':
+        state.handle = this.source.requestVideoFrameCallback(tick);
+        break;
+      case 'animation-frame':
+        state.handle = requestAnimationFrame(tick);
+        break;
+      default:
+        state.handle = setTimeout(() => tick(_now()), 1000 / this.fps);
+    }
+  }
+
+  /**
+  * Cancel the pending tick.
+  *
+  * @param {object} state - Run state.
+  * @private
+  */
+  _cancel(state) {
+    switch(state.driver) {
+      case 'video-frame':
+        this.source.cancelVideoFrameCallback?.(state.handle);
+        break;
+      case 'animation-frame':
+        cancelAnimationFrame(state.handle);
+        break;
+      default:
+        clearTimeout(state.handle);
+    }
+  }
+
+  /**
+  * Back off while idle, return to the target rate on activity.
+  *
+  * @param {object} state - Run state.
+  * @param {boolean} active - Whether the decode produced a result.
+  * @private
+  */
+  _adapt(state, active) {
+    if(active) {
+      this.wake();
+      return;
+    }
+    if(_now() - state.lastActive >= this.idleAfterMs) {
+      this._fps = Math.max(this.minFps, this._fps * BACKOFF_FACTOR);
+    }
+  }
+
+  /**
+  * Emit per-frame stats, including the measured decode rate.
+  *
+  * @param {object} stats - Stats of the decoded frame.
+  * @private
+  */
+  _emitStats(stats) {
+    if(!this.onStats) {
+      return;
+    }
+    try {
+      this.onStats({
+        ...stats,
+        fps: stats.intervalMs ? 1000 / stats.intervalMs : null,
+        targetFps: this.fps
+      });
+    } catch(error) {
+      logger.error('onStats handler failed:', error);
+    }
+  }
+
+  /**
+  * Track whether the device runs on battery, where supported (Battery
+  * Status API).
+  *
+  * @private
+  */
+  _watchBattery() {
+    if(typeof navigator === 'undefined' ||
+      typeof navigator.getBattery !== 'function') {
+      return;
+    }
+    const running = this._running;
+    navigator.getBattery().then(battery => {
+      if(this._running !== running) {
+        return;
+      }
+      const update = () => {
+        this._onBattery = !battery.charging;
+      };
+      update();
+      battery.addEventListener('chargingchange', update);
+      this._unwatchBattery = () => {
+        battery.removeEventListener('chargingchange', update);
+        this._unwatchBattery = null;
+      };
+    }).catch(() => {
+      // battery status is optional
+    });
+  }
+}
+
+/**
+* High resolution time in milliseconds.
+*
+* @returns {number} Time.
+* @private
+*/
+function _now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
@@ -0,0 +1,422 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * GS1 Application Identifier (AI) parser for GS1-128, GS1 DataMatrix and
+ * GS1 QR element strings, and the GS1 mod 10 check digit used by GTINs
+ * (EAN/UPC), SSCCs and GLNs.
+ *
+ * Element strings are accepted as decoded by barcode engines: prefixed with
+ * a symbology identifier (`]C1`, `]d2`, `]Q3`) or a leading FNC1, with
+ * variable length values terminated by FNC1 (`\x1d`), or in the human
+ * readable form `(01)09501101530003(17)250630`.
+ */
+
+// FNC1 as transmitted by decoders (ASCII group separator)
+const FNC1 = '\x1d';
+const SYMBOLOGY_IDENTIFIER = /^\][CdQeJ][0-9]/;
+const GS1_IDENTIFIERS = [']C1', ']d2', ']Q3', ']e0', ']J1'];
+const HRI = /^\(\d{2,4}\)/;
+
+// AI => [title, value format, kind]; formats are 'N<n>' (fixed numeric),
+// 'N..<n>' (variable numeric) and 'X..<n>' (variable alphanumeric)
+export const gs1ApplicationIdentifiers = Object.freeze({
+  '00': ['SSCC', 'N18', 'check'],
+  '01': ['GTIN', 'N14', 'check'],
+  '02': ['CONTENT', 'N14', 'check'],
+  10: ['BATCH/LOT', 'X..20'],
+  11: ['PROD DATE', 'N6', 'date'],
+  12: ['DUE DATE', 'N6', 'date'],
+  13: ['PACK DATE', 'N6', 'date'],
+  15: ['BEST BEFORE or BEST BY', 'N6', 'date'],
+  16: ['SELL BY', 'N6', 'date'],
+  17: ['USE BY OR EXPIRY', 'N6', 'date'],
+  20: ['VARIANT', 'N2'],
+  21: ['SERIAL', 'X..20'],
+  22: ['CPV', 'X..20'],
+  235: ['TPX', 'X..28'],
+  240: ['ADDITIONAL ID', 'X..30'],
+  241: ['CUST. PART No.', 'X..30'],
+  242: ['MTO VARIANT', 'N..6'],
+  243: ['PCN', 'X..20'],
+  250: ['SECONDARY SERIAL', 'X..30'],
+  251: ['REF. TO SOURCE', 'X..30'],
+  253: ['GDTI', 'X..30'],
+  254: ['GLN EXTENSION COMPONENT', 'X..20'],
+  255: ['GCN', 'N..25'],
+  30: ['VAR. COUNT', 'N..8'],
+  37: ['COUNT', 'N..8'],
+  400: ['ORDER NUMBER', 'X..30'],
+  401: ['GINC', 'X..30'],
+  402: ['GSIN', 'N17', 'check'],
+  403: ['ROUTE', 'X..30'],
+  410: ['SHIP TO LOC', 'N13', 'check'],
+  411: ['BILL TO', 'N13', 'check'],
+  412: ['PURCHASE FROM', 'N13', 'check'],
+  413: ['SHIP FOR LOC', 'N13', 'check'],
+  414: ['LOC No.', 'N13', 'check'],
+  415: ['PAY TO', 'N13', 'check'],
+  416: ['PROD/SERV LOC', 'N13', 'check'],
+  417: ['PARTY', 'N13', 'check'],
+  420: ['SHIP TO POST', 'X..20'],
+  421: ['SHIP TO POST', 'X..12'],
+  422: ['ORIGIN', 'N3'],
+  423: ['COUNTRY - INITIAL PROCESS.', 'N..15'],
+  424: ['COUNTRY - PROCESS.', 'N3'],
+  425: ['COUNTRY - DISASSEMBLY', 'N..15'],
+  426: ['COUNTRY - FULL PROCESS', 'N3'],
+  7003: ['EXPIRY TIME', 'N10'],
+  8003: ['GRAI', 'X..30'],
+  8004: ['GIAI', 'X..30'],
+  8005: ['PRICE PER UNIT', 'N6'],
+  8006: ['ITIP', 'N18'],
+  8007: ['IBAN', 'X..34'],
+  8008: ['PROD TIME', 'N..12'],
+  8017: ['GSRN - PROVIDER', 'N18', 'check'],
+  8018: ['GSRN - RECIPIENT', 'N18', 'check'],
+  8020: ['REF No.', 'X..25'],
+  90: ['INTERNAL', 'X..30'],
+  ...Object.fromEntries([91, 92, 93, 94, 95, 96, 97, 98, 99]
+    .map(ai => [ai, ['INTERNAL', 'X..90']]))
+});
+
+// measures and amounts: the 4th AI digit is the number of decimals;
+// currency AIs start with an ISO 4217 numeric code
+const DECIMAL_AIS = {
+  310: ['NET WEIGHT (kg)', 'N6'],
+  311: ['LENGTH (m)', 'N6'],
+  312: ['WIDTH (m)', 'N6'],
+  313: ['HEIGHT (m)', 'N6'],
+  314: ['AREA (m2)', 'N6'],
+  315: ['NET VOLUME (l)', 'N6'],
+  316: ['NET VOLUME (m3)', 'N6'],
+  320: ['NET WEIGHT (lb)', 'N6'],
+  330: ['GROSS WEIGHT (kg)', 'N6'],
+  331: ['LENGTH (m), log', 'N6'],
+  332: ['WIDTH (m), log', 'N6'],
+  333: ['HEIGHT (m), log', 'N6'],
+  334: ['AREA (m2), log', 'N6'],
+  335: ['VOLUME (l), log', 'N6'],
+  336: ['VOLUME (m3), log', 'N6'],
+  340: ['GROSS WEIGHT (lb)', 'N6'],
+  390: ['AMOUNT', 'N..15'],
+  391: ['AMOUNT', 'N..18', 'currency'],
+  392: ['PRICE', 'N..15'],
+  393: ['PRICE', 'N..18', 'currency']
+};
+
+/**
+* Check whether decoded text is marked as a GS1 element string.
+*
+* @param {string} text - Decoded barcode text.
+*
+* @returns {boolean} True for GS1 data.
+*/
+export function isGS1(text) {
+  if(typeof text !== 'string') {
+    return false;
+  }
+  return text.startsWith(FNC1) || HRI.test(text) ||
+    GS1_IDENTIFIERS.some(identifier => text.startsWith(identifier));
+}
+
+/**
+* Parse a GS1 element string. Problems (unknown AIs, truncated or malformed
+* values) are reported in `warnings` and stop parsing at that point.
+*
+* @param {string} text - Element string.
+* @param {object} [options] - Options.
+* @param {Date} [options.now=new Date()] - Reference date for two digit
+*   year expansion.
+*
+* @returns {object} `{elements, values, warnings, valid}`: `elements` are
+*   `{ai, title, value}` with `date` (ISO), `number`, `currency` or
+*   `checkDigitValid` where the AI defines them, and `values` maps AIs to
+*   values. `valid` is false when there are warnings or a check digit does
+*   not match.
+*/
+export function parseGS1(text, {now = new Date()} = {}) {
+  if(typeof text !== 'string') {
+    throw new TypeError('"text" must be a string.');
+  }
+  const warnings = [];
+  const raw = HRI.test(text) ?
+    _parseHRI(text, warnings) : _parseElementString(text, warnings);
+  const elements = raw.map(({ai, value}) => _toElement(ai, value, now));
+  for(const element of elements) {
+    if(element.warning) {
+      warnings.push(element.warning);
+      delete element.warning;
+    }
+  }
+  return {
+    elements,
+    values: Object.fromEntries(elements.map(({ai, value}) => [ai, value])),
+    warnings,
+    valid: warnings.length === 0 &&
+      elements.every(element => element.checkDigitValid !== false)
+  };
+}
+
+/**
+* Compute the GS1 mod 10 check digit.
+*
+* @param {string} digits - Digits covered by the check digit.
+*
+* @returns {number} Check digit (0-9).
+*/
+export function computeGS1CheckDigit(digits) {
+  let sum = 0;
+  for(let i = 0; i < digits.length; ++i) {
+    // weights 3 and 1 alternate from the rightmost digit
+    const weight = (digits.length - i) % 2 === 1 ? 3 : 1;
+    sum += Number(digits[i]) * weight;
+  }
+  return (10 - sum % 10) % 10;
+}
+
+/**
+* Verify the check digit of a GTIN, SSCC, GLN or other GS1 key.
+*
+* @param {string} code - Digits ending with the check digit.
+*
+* @returns {boolean} True if the check digit matches.
+*/
+export function verifyGS1CheckDigit(code) {
+  if(!/^\d{2,}$/.test(code)) {
+    return false;
+  }
+  return computeGS1CheckDigit(code.slice(0, -1)) === Number(code.slice(-1));
+}
+
+/**
+* Expand a UPC-E code to the UPC-A code it abbreviates.
+*
+* @param {string} code - UPC-E: 8 digits (number system, 6 digits, check
+*   digit), 7 digits without the check digit or 6 digits with number
+*   system 0.
+*
+* @returns {string} 12 digit UPC-A code; its check digit is computed when
+*   the UPC-E code has none.
+*/
+export function expandUPCE(code) {
+  if(!/^\d{6,8}$/.test(code)) {
+    throw new Error(`Invalid UPC-E code: ${code}`);
+  }
+  const system = code.length === 6 ? '0' : code[0];
+  const digits = code.length === 6 ? code : code.slice(1, 7);
+  const last = Number(digits[5]);
+  let body;
+  if(last <= 2) {
+    body = digits.slice(0, 2) + digits[5] + '0000' + digits.slice(2, 5);
+  } else if(last === 3) {
+    body = digits.slice(0, 3) + '00000' + digits.slice(3, 5);
+  } else if(last === 4) {
+    body = digits.slice(0, 4) + '00000' + digits[4];
+  } else {
+    body = digits.slice(0, 5) + '0000' + digits[5];
+  }
+  const upcA = system + body;
+  return upcA + (code.length === 8 ?
+    code[7] : String(computeGS1CheckDigit(upcA)));
+}
+
+/**
+* Parse an element string with FNC1 separators.
+*
+* @param {string} text - Element string.
+* @param {string[]} warnings - Collected warnings.
+*
+* @returns {object[]} `{ai, value}` pairs.
+* @private
+*/
+function _parseElementString(text, warnings) {
+  let data = text.replace(SYMBOLOGY_IDENTIFIER, '');
+  if(data.startsWith(FNC1)) {
+    data = data.slice(1);
+  }
+  const elements = [];
+  let position = 0;
+  while(position < data.length) {
+    if(data[position] === FNC1) {
+      position++;
+      continue;
+    }
+    const ai = _matchAI(data, position);
+    if(!ai) {
+      warnings.push(
+        `Unknown application identifier at position ${position}.`);
+      break;
+    }
+    position += ai.length;
+    const {fixed, max} = _valueLength(_definition(ai)[1]);
+    let value;
+    if(fixed) {
+      value = data.slice(position, position + fixed);
+      position += fixed;
+    } else {
+      const end = data.indexOf(FNC1, position);
+      value = data.slice(position, end === -1 ? data.length : end);
+      position += value.length;
+      if(value.length > max) {
+        warnings.push(`Value of AI (${ai}) is longer than ${max}.`);
+      }
+    }
+    elements.push({ai, value});
+  }
+  return elements;
+}
+
+/**
+* Parse the human readable form, `(AI)value(AI)value`.
+*
+* @param {string} text - Element string.
+* @param {string[]} warnings - Collected warnings.
+*
+* @returns {object[]} `{ai, value}` pairs.
+* @private
+*/
+function _parseHRI(text, warnings) {
+  const elements = [];
+  const pattern = /\((\d{2,4})\)([^(]*)/g;
+  let match;
+  while((match = pattern.exec(text)) !== null) {
+    const [, ai, value] = match;
+    if(!_definition(ai)) {
+      warnings.push(`Unknown application identifier (${ai}).`);
+      break;
+    }
+    elements.push({ai, value});
+  }
+  return elements;
+}
+
+/**
+* Find the AI starting at a position.
+*
+* @param {string} data - Element string.
+* @param {number} position - Position.
+*
+* @returns {string|null} AI.
+* @private
+*/
+function _matchAI(data, position) {
+  for(const length of [2, 3, 4]) {
+    const ai = data.slice(position, position + length);
+    if(ai.length === length && /^\d+$/.test(ai) && _definition(ai)) {
+      return ai;
+    }
+  }
+  return null;
+}
+
+/**
+* Look up the definition of an AI.
+*
+* @param {string} ai - AI.
+*
+* @returns {Array|undefined} `[title, format, kind]`.
+* @private
+*/
+function _definition(ai) {
+  if(ai.length === 4 && DECIMAL_AIS[ai.slice(0, 3)]) {
+    const [title, format, kind] = DECIMAL_AIS[ai.slice(0, 3)];
+    return [title, format, kind || 'decimal'];
+  }
+  return gs1ApplicationIdentifiers[ai];
+}
+
+/**
+* Read a value format such as 'N14' or 'X..20'.
+*
+* @param {string} format - Value format.
+*
+* @returns {object} `{fixed}` or `{max}`.
+* @private
+*/
+function _valueLength(format) {
+  const [, variable, length] = format.match(/^[NX](\.\.)?(\d+)$/);
+  return variable ? {max: Number(length)} : {fixed: Number(length)};
+}
+
+/**
+* Build an element, interpreting its value.
+*
+* @param {string} ai - AI.
+* @param {string} value - Value.
+* @param {Date} now - Reference date.
+*
+* @returns {object} Element; `warning` is set for invalid values.
+* @private
+*/
+function _toElement(ai, value, now) {
+  const [title, format, kind] = _definition(ai);
+  const element = {ai, title, value};
+  const {fixed} = _valueLength(format);
+  if(fixed && value.length !== fixed) {
+    element.warning = `Value of AI (${ai}) is truncated.`;
+    return element;
+  }
+  if(format.startsWith('N') && !/^\d*$/.test(value)) {
+    element.warning = `Value of AI (${ai}) must be numeric.`;
+    return element;
+  }
+  switch(kind) {
+    case 'check':
+      element.checkDigitValid = verifyGS1CheckDigit(value);
+      break;
+    case 'date':
+      element.date = _parseDate(value, now);
+      if(!element.date) {
+        element.warning = `Value of AI (${ai}) is not a valid date.`;
+      }
+      break;
+    case 'decimal':
+      element.number = Number(value) / 10 ** Number(ai[3]);
+      break;
+    case 'currency':
+      element.currency = value.slice(0, 3);
+      element.number = Number(value.slice(3)) / 10 ** Number(ai[3]);
+      break;
+  }
+  return element;
+}
+
+/**
+* Parse a GS1 YYMMDD date. A day of 00 means the last day of the month, and
+* the century puts the year within 49 years before and 50 years after now.
+*
+* @param {string} value - YYMMDD.
+* @param {Date} now - Reference date.
+*
+* @returns {string|null} ISO date.
+* @private
+*/
+function _parseDate(value, now) {
+  const yy = Number(value.slice(0, 2));
+  const month = Number(value.slice(2, 4));
+  let day = Number(value.slice(4, 6));
+  const currentYear = now.getFullYear();
+  let year = Math.floor(currentYear / 100) * 100 + yy;
+  if(year - currentYear > 50) {
+    year -= 100;
+  } else if(currentYear - year > 49) {
+    year += 100;
+  }
+  if(month < 1 || month > 12) {
+    return null;
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if(day === 0) {
+    day = lastDay;
+  }
+  if(day > lastDay) {
+    return null;
+  }
+  return [
+    year,
+    String(month).padStart(2, '0'),
+    String(day).padStart(2, '0')
+  ].join('-');
+}
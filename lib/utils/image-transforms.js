@@ -0,0 +1,735 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {computeLocalMeans, toGrayscale} from './image.js';
+
+/**
+ * Pure JavaScript ImageData transforms used by the exhaustive scan mode and
+ * the preprocessing pipeline (see `preprocessImage()`).
+ *
+ * Every transform returns `{imageData, toSource}` where `toSource(point)`
+ * maps a point in the transformed image back to the source image, so code
+ * locations can be reported in source coordinates.
+ */
+
+/**
+* Rotate clockwise by a multiple of 90 degrees.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {number} degrees - 90, 180 or 270.
+*
+* @returns {object} `{imageData, toSource}`.
+*/
+export function rotate(imageData, degrees) {
+  const {width, height, data} = imageData;
+  const turns = ((Math.round(degrees / 90) % 4) + 4) % 4;
+  const swap = turns % 2 === 1;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  const out = new Uint8ClampedArray(outWidth * outHeight * 4);
+
+  // maps a destination pixel to its source pixel
+  const toSource = ({x, y}) => {
+    switch(turns) {
+      case 1:
+        return {x: y, y: height - 1 - x};
+      case 2:
+        return {x: width - 1 - x, y: height - 1 - y};
+      case 3:
+        return {x: width - 1 - y, y: x};
+      default:
+        return {x, y};
+    }
+  };
+
+  for(let y = 0; y < outHeight; ++y) {
+    for(let x = 0; x < outWidth; ++x) {
+      const source = toSource({x, y});
+      _copyPixel(data, (source.y * width + source.x) * 4,
+        out, (y * outWidth + x) * 4);
+    }
+  }
+  return {
+    imageData: _createImageData(out, outWidth, outHeight),
+    toSource
+  };
+}
+
+/**
+* Scale with bilinear interpolation.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {number} factor - Scale factor (e.g. 0.5 or 2).
+*
+* @returns {object} `{imageData, toSource}`.
+*/
+export function scale(imageData, factor) {
+  const {width, height, data} = imageData;
+  const outWidth = Math.max(1, Math.round(width * factor));
+  const outHeight = Math.max(1, Math.round(height * factor));
+  const out = new Uint8ClampedArray(outWidth * outHeight * 4);
+  const scaleX = width / outWidth;
+  const scaleY = height / outHeight;
+
+  for(let y = 0; y < outHeight; ++y) {
+    const sy = Math.min(height - 1, Math.max(0, (y + 0.5) * scaleY - 0.5));
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(height - 1, y0 + 1);
+    const fy = sy - y0;
+    for(let x = 0; x < outWidth; ++x) {
+      const sx = Math.min(width - 1, Math.max(0, (x + 0.5) * scaleX - 0.5));
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(width - 1, x0 + 1);
+      const fx = sx - x0;
+      const offset = (y * outWidth + x) * 4;
+      for(let c = 0; c < 4; ++c) {
+        const top = data[(y0 * width + x0) * 4 + c] * (1 - fx) +
+          data[(y0 * width + x1) * 4 + c] * fx;
+        const bottom = data[(y1 * width + x0) * 4 + c] * (1 - fx) +
+          data[(y1 * width + x1) * 4 + c] * fx;
+        out[offset + c] = top * (1 - fy) + bottom * fy;
+      }
+    }
+  }
+  return {
+    imageData: _createImageData(out, outWidth, outHeight),
+    toSource: ({x, y}) => ({x: x * scaleX, y: y * scaleY})
+  };
+}
+
+/**
+* Stretch the luminance range to the full 0-255 range, ignoring the darkest
+* and brightest percentile.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {object} [options] - Options.
+* @param {number} [options.clip=0.01] - Fraction clipped at each end.
+*
+* @returns {object} `{imageData, toSource}`.
+*/
+export function stretchContrast(imageData, {clip = 0.01} = {}) {
+  const {width, height, data} = imageData;
+  const histogram = new Uint32Array(256);
+  for(let i = 0; i < data.length; i += 4) {
+    histogram[(data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8]++;
+  }
+  const limit = width * height * clip;
+  let low = 0;
+  let high = 255;
+  for(let sum = 0; low < 255 && (sum += histogram[low]) <= limit;) {
+    low++;
+  }
+  for(let sum = 0; high > 0 && (sum += histogram[high]) <= limit;) {
+    high--;
+  }
+  const range = Math.max(1, high - low);
+
+  const out = new Uint8ClampedArray(data.length);
+  for(let i = 0; i < data.length; i += 4) {
+    out[i] = (data[i] - low) * 255 / range;
+    out[i + 1] = (data[i + 1] - low) * 255 / range;
+    out[i + 2] = (data[i + 2] - low) * 255 / range;
+    out[i + 3] = data[i + 3];
+  }
+  return {imageData: _createImageData(out, width, height), toSource: _same};
+}
+
+/**
+* Invert colors, for light codes printed on a dark background.
+*
+* @param {ImageData} imageData - Source pixels.
+*
+* @returns {object} `{imageData, toSource}`.
+*/
+export function invert(imageData) {
+  const {width, height, data} = imageData;
+  const out = new Uint8ClampedArray(data.length);
+  for(let i = 0; i < data.length; i += 4) {
+    out[i] = 255 - data[i];
+    out[i + 1] = 255 - data[i + 1];
+    out[i + 2] = 255 - data[i + 2];
+    out[i + 3] = data[i + 3];
+  }
+  return {imageData: _createImageData(out, width, height), toSource: _same};
+}
+
+/**
+* Convert to gray.
+*
+* @param {ImageData} imageData - Source pixels.
+*
+* @returns {object} `{imageData, toSource}`.
+*/
+export function grayscale(imageData) {
+  return {
+    imageData: _fromGray(toGrayscale(imageData), imageData),
+    toSource: _same
+  };
+}
+
+/**
+* Binarize with a local mean threshold, which copes with glare and uneven
+* lighting better than a global one.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {object} [options] - Options.
+* @param {number} [options.windowSize] - Side of the averaging window in
+*   pixels; defaults to 1/16 of the smaller image side.
+* @param {number} [options.bias=0.1] - How much darker than the local mean
+*   a pixel must be to turn black.
+*
+* @returns {object} `{imageData, toSource}`.
+*/
+export function adaptiveThreshold(imageData, {windowSize, bias = 0.1} = {}) {
+  const {width, height} = imageData;
+  const gray = toGrayscale(imageData);
+  const radius = Math.max(7,
+    Math.floor((windowSize || Math.min(width, height) / 16) / 2));
+  const means = computeLocalMeans(gray, width, height, radius);
+  for(let i = 0; i < gray.length; ++i) {
+    gray[i] = gray[i] < means[i] * (1 - bias) ? 0 : 255;
+  }
+  return {imageData: _fromGray(gray, imageData), toSource: _same};
+}
+
+/**
+* Contrast limited adaptive histogram equalization (CLAHE): equalize the
+* luminance of each tile, limiting the gain so noise in flat regions is not
+* amplified, and blend neighboring tiles. Outputs gray.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {object} [options] - Options.
+* @param {number} [options.tiles=8] - Tiles per side.
+* @param {number} [options.clipLimit=2] - Maximum gain, as a multiple of an
+*   even histogram.
+*
+* @returns {object} `{imageData, toSource}`.
+*/
+export function equalize(imageData, {tiles = 8, clipLimit = 2} = {}) {
+  const {width, height} = imageData;
+  const gray = toGrayscale(imageData);
+  const columns = Math.max(1, Math.min(tiles, width));
+  const rows = Math.max(1, Math.min(tiles, height));
+  const tileWidth = width / columns;
+  const tileHeight = height / rows;
+
+  // lookup table of each tile
+  const tables = [];
+  for(let row = 0; row < rows; ++row) {
+    for(let column = 0; column < columns; ++column) {
+      const x0 = Math.floor(column * tileWidth);
+      const x1 = Math.floor((column + 1) * tileWidth);
+      const y0 = Math.floor(row * tileHeight);
+      const y1 = Math.floor((row + 1) * tileHeight);
+      const histogram = new Float64Array(256);
+      for(let y = y0; y < y1; ++y) {
+        for(let x = x0; x < x1; ++x) {
+          histogram[gray[y * width + x]]++;
+        }
+      }
+      const pixels = (x1 - x0) * (y1 - y0);
+      const limit = Math.max(1, clipLimit * pixels / 256);
+      let excess = 0;
+      for(let value = 0; value < 256; ++value) {
+        if(histogram[value] > limit) {
+          excess += histogram[value] - limit;
+          histogram[value] = limit;
+        }
+      }
+      const table = new Uint8Array(256);
+      let sum = 0;
+      for(let value = 0; value < 256; ++value) {
+        sum += histogram[value] + excess / 256;
+        table[value] = Math.min(255, Math.round(sum * 255 / pixels));
+      }
+      tables.push(table);
+    }
+  }
+
+  // blend the tables of the four nearest tile centers
+  const out = new Uint8Array(gray.length);
+  for(let y = 0; y < height; ++y) {
+    const ty = Math.min(rows - 1, Math.max(0, (y + 0.5) / tileHeight - 0.5));
+    const row0 = Math.floor(ty);
+    const row1 = Math.min(rows - 1, row0 + 1);
+    const fy = ty - row0;
+    for(let x = 0; x < width; ++x) {
+      const tx = Math.min(columns - 1,
+        Math.max(0, (x + 0.5) / tileWidth - 0.5));
+      const column0 = Math.floor(tx);
+      const column1 = Math.min(columns - 1, column0 + 1);
+      const fx = tx - column0;
+      const value = gray[y * width + x];
+      const top = tables[row0 * columns + column0][value] * (1 - fx) +
+        tables[row0 * columns + column1][value] * fx;
+      const bottom = tables[row1 * columns + column0][value] * (1 - fx) +
+        tables[row1 * columns + column1][value] * fx;
+      out[y * width + x] = Math.round(top * (1 - fy) + bottom * fy);
+    }
+  }
+  return {imageData: _fromGray(out, imageData), toSource: _same};
+}
+
+/**
+* Sharpen with an unsharp mask: add the difference between each pixel and
+* the mean of its 3x3 neighborhood.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {object} [options] - Options.
+* @param {number} [options.amount=1] - Strength.
+*
+* @returns {object} `{imageData, toSource}`.
+*/
+export function sharpen(imageData, {amount = 1} = {}) {
+  const {width, height, data} = imageData;
+  const out = new Uint8ClampedArray(data.length);
+  for(let y = 0; y < height; ++y) {
+    const y0 = Math.max(0, y - 1);
+    const y1 = Math.min(height - 1, y + 1);
+    for(let x = 0; x < width; ++x) {
+      const x0 = Math.max(0, x - 1);
+      const x1 = Math.min(width - 1, x + 1);
+      const count = (x1 - x0 + 1) * (y1 - y0 + 1);
+      const offset = (y * width + x) * 4;
+      for(let c = 0; c < 3; ++c) {
+        let sum = 0;
+        for(let ny = y0; ny <= y1; ++ny) {
+          for(let nx = x0; nx <= x1; ++nx) {
+            sum += data[(ny * width + nx) * 4 + c];
+          }
+        }
+        const value = data[offset + c];
+        out[offset + c] = value + amount * (value - sum / count);
+      }
+      out[offset + 3] = data[offset + 3];
+    }
+  }
+  return {imageData: _createImageData(out, width, height), toSource: _same};
+}
+
+/**
+* Scale down images larger than a limit, so later steps and the decoder
+* have fewer pixels to go through. Smaller images are left alone.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {object} [options] - Options.
+* @param {number} [options.maxSide=1280] - Largest side after scaling.
+*
+* @returns {object} `{imageData, toSource}`.
+*/
+export function downscale(imageData, {maxSide = 1280} = {}) {
+  const factor = maxSide / Math.max(imageData.width, imageData.height);
+  return factor < 1 ? scale(imageData, factor) :
+    {imageData, toSource: _same};
+}
+
+/**
+* Warp a quadrilateral, such as a document photographed at an angle, to an
+* upright rectangle.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {object[]} corners - Corners `{x, y}` of the quadrilateral: top
+*   left, top right, bottom right, bottom left.
+* @param {object} [size] - Output size; defaults to the longer of the
+*   opposite edges.
+* @param {number} [size.width] - Output width.
+* @param {number} [size.height] - Output height.
+*
+* @returns {object} `{imageData, toSource}`.
+*/
+export function warpPerspective(imageData, corners, size = {}) {
+  const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+  const width = Math.max(1, Math.round(size.width || Math.max(
+    _distance(topLeft, topRight), _distance(bottomLeft, bottomRight))));
+  const height = Math.max(1, Math.round(size.height || Math.max(
+    _distance(topLeft, bottomLeft), _distance(topRight, bottomRight))));
+  const [a, b, c, d, e, f, g, h] = _solveHomography([
+    {x: 0, y: 0}, {x: width, y: 0}, {x: width, y: height}, {x: 0, y: height}
+  ], corners);
+  const toSource = ({x, y}) => {
+    const w = g * x + h * y + 1;
+    return {x: (a * x + b * y + c) / w, y: (d * x + e * y + f) / w};
+  };
+  return {
+    imageData: _resample(imageData, width, height, toSource),
+    toSource
+  };
+}
+
+/**
+* Straighten a skewed image. With `corners`, the quadrilateral they outline
+* is warped upright (see `warpPerspective()`); otherwise the dominant edge
+* direction is measured and the image rotated to make it axis aligned.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {object} [options] - Options.
+* @param {object[]} [options.corners] - Corners of the region to warp.
+* @param {number} [options.maxAngle=30] - Rotations above this many degrees
+*   are taken for intended and left alone.
+* @param {number} [options.minAngle=0.5] - Rotations below this many
+*   degrees are left alone.
+*
+* @returns {object} `{imageData, toSource}`.
+*/
+export function deskew(imageData, {
+  corners, maxAngle = 30, minAngle = 0.5
+} = {}) {
+  if(corners) {
+    return warpPerspective(imageData, corners);
+  }
+  const angle = estimateSkew(imageData);
+  if(Math.abs(angle) < minAngle || Math.abs(angle) > maxAngle) {
+    return {imageData, toSource: _same};
+  }
+
+  const {width, height} = imageData;
+  const radians = angle * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const outWidth = Math.round(Math.abs(width * cos) + Math.abs(height * sin));
+  const outHeight = Math.round(
+    Math.abs(width * sin) + Math.abs(height * cos));
+  // turn the output back by the skew angle around the centers
+  const toSource = ({x, y}) => {
+    const dx = x - outWidth / 2;
+    const dy = y - outHeight / 2;
+    return {
+      x: dx * cos - dy * sin + width / 2,
+      y: dx * sin + dy * cos + height / 2
+    };
+  };
+  return {
+    imageData: _resample(imageData, outWidth, outHeight, toSource),
+    toSource
+  };
+}
+
+/**
+* Measure how far the content of an image is rotated clockwise from the
+* axes, from a histogram of its edge directions.
+*
+* @param {ImageData} imageData - Source pixels.
+*
+* @returns {number} Angle in degrees, between -45 and 45.
+*/
+export function estimateSkew(imageData) {
+  const {width, height} = imageData;
+  const gray = toGrayscale(imageData);
+  // half degree bins over [-45, 45), centered on their angles
+  const histogram = new Float64Array(180);
+  for(let y = 1; y < height - 1; ++y) {
+    for(let x = 1; x < width - 1; ++x) {
+      const i = y * width + x;
+      // Sobel gradients
+      const gx = gray[i - width + 1] + 2 * gray[i + 1] + gray[i + width + 1] -
+        gray[i - width - 1] - 2 * gray[i - 1] - gray[i + width - 1];
+      const gy = gray[i + width - 1] + 2 * gray[i + width] +
+        gray[i + width + 1] - gray[i - width - 1] - 2 * gray[i - width] -
+        gray[i - width + 1];
+      const magnitude = Math.hypot(gx, gy);
+      if(magnitude < 64) {
+        continue;
+      }
+      // edges repeat every 90 degrees
+      const degrees = Math.atan2(gy, gx) * 180 / Math.PI;
+      const folded = ((degrees + 45) % 90 + 90) % 90;
+      histogram[Math.round(folded * 2) % 180] += magnitude;
+    }
+  }
+  let peak = 0;
+  let best = -1;
+  for(let bin = 0; bin < 180; ++bin) {
+    // smooth over neighboring bins, wrapping around
+    const score = histogram[(bin + 179) % 180] + 2 * histogram[bin] +
+      histogram[(bin + 1) % 180];
+    if(score > best) {
+      best = score;
+      peak = bin;
+    }
+  }
+  return best > 0 ? peak / 2 - 45 : 0;
+}
+
+/**
+* Crop a region.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {object} region - Region in source pixels.
+* @param {number} region.x - Left edge.
+* @param {number} region.y - Top edge.
+* @param {number} region.width - Width.
+* @param {number} region.height - Height.
+*
+* @returns {object} `{imageData, toSource}`.
+*/
+export function crop(imageData, {x, y, width, height}) {
+  const left = Math.max(0, Math.round(x));
+  const top = Math.max(0, Math.round(y));
+  const outWidth = Math.min(imageData.width - left, Math.round(width));
+  const outHeight = Math.min(imageData.height - top, Math.round(height));
+  const out = new Uint8ClampedArray(outWidth * outHeight * 4);
+  for(let row = 0; row < outHeight; ++row) {
+    const start = ((top + row) * imageData.width + left) * 4;
+    out.set(imageData.data.subarray(start, start + outWidth * 4),
+      row * outWidth * 4);
+  }
+  return {
+    imageData: _createImageData(out, outWidth, outHeight),
+    toSource: point => ({x: point.x + left, y: point.y + top})
+  };
+}
+
+/**
+* Overlapping crop regions: a grid of tiles plus a centered region.
+*
+* @param {object} size - Image size.
+* @param {number} size.width - Image width.
+* @param {number} size.height - Image height.
+* @param {object} [options] - Options.
+* @param {number} [options.grid=2] - Tiles per side.
+* @param {number} [options.overlap=0.15] - Tile overlap as a fraction of the
+*   tile size.
+*
+* @returns {object[]} Regions `{name, x, y, width, height}`.
+*/
+export function getCropRegions({width, height}, {
+  grid = 2,
+  overlap = 0.15
+} = {}) {
+  const tileWidth = width / grid;
+  const tileHeight = height / grid;
+  const padX = tileWidth * overlap;
+  const padY = tileHeight * overlap;
+  const regions = [];
+  for(let row = 0; row < grid; ++row) {
+    for(let column = 0; column < grid; ++column) {
+      const x = Math.max(0, column * tileWidth - padX);
+      const y = Math.max(0, row * tileHeight - padY);
+      regions.push({
+        name: `tile-${row}-${column}`,
+        x,
+        y,
+        width: Math.min(width, (column + 1) * tileWidth + padX) - x,
+        height: Math.min(height, (row + 1) * tileHeight + padY) - y
+      });
+    }
+  }
+  regions.push({
+    name: 'center',
+    x: width / 4,
+    y: height / 4,
+    width: width / 2,
+    height: height / 2
+  });
+  return regions;
+}
+
+/**
+* Map a code location from a transformed image back to the source image.
+*
+* @param {object} location - Location in transformed coordinates.
+* @param {object[]} [location.cornerPoints] - Corner points `{x, y}`.
+* @param {object} [location.boundingBox] - Box `{x, y, width, height}`.
+* @param {Function} toSource - Point mapping of the transform.
+*
+* @returns {object|null} `{boundingBox, cornerPoints}` in source
+*   coordinates, or null without a usable location.
+*/
+export function mapLocation({cornerPoints, boundingBox} = {}, toSource) {
+  let points = Array.isArray(cornerPoints) &&
+    cornerPoints.every(p => Number.isFinite(p?.x) && Number.isFinite(p?.y)) ?
+    cornerPoints : null;
+  if(!points && Number.isFinite(boundingBox?.x)) {
+    const {x, y, width, height} = boundingBox;
+    points = [
+      {x, y},
+      {x: x + width, y},
+      {x: x + width, y: y + height},
+      {x, y: y + height}
+    ];
+  }
+  if(!points || points.length === 0) {
+    return null;
+  }
+  const mapped = points.map(point => {
+    const {x, y} = toSource(point);
+    return {x: Math.round(x), y: Math.round(y)};
+  });
+  const xs = mapped.map(p => p.x);
+  const ys = mapped.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  return {
+    boundingBox: {
+      x: minX,
+      y: minY,
+      width: Math.max(...xs) - minX,
+      height: Math.max(...ys) - minY
+    },
+    cornerPoints: mapped
+  };
+}
+
+/**
+* Identity point mapping.
+*
+* @param {object} point - Point.
+*
+* @returns {object} Same point.
+* @private
+*/
+function _same(point) {
+  return point;
+}
+
+/**
+* Sample pixels at mapped positions with bilinear interpolation; positions
+* outside the source are white, as the quiet zone around codes.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {number} width - Output width.
+* @param {number} height - Output height.
+* @param {Function} toSource - Maps an output pixel to a source position.
+*
+* @returns {ImageData} Output pixels.
+* @private
+*/
+function _resample(imageData, width, height, toSource) {
+  const {data} = imageData;
+  const out = new Uint8ClampedArray(width * height * 4).fill(255);
+  for(let y = 0; y < height; ++y) {
+    for(let x = 0; x < width; ++x) {
+      const source = toSource({x: x + 0.5, y: y + 0.5});
+      const sx = source.x - 0.5;
+      const sy = source.y - 0.5;
+      if(!(sx >= 0 && sy >= 0 &&
+        sx <= imageData.width - 1 && sy <= imageData.height - 1)) {
+        continue;
+      }
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(imageData.width - 1, x0 + 1);
+      const y1 = Math.min(imageData.height - 1, y0 + 1);
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const offset = (y * width + x) * 4;
+      for(let c = 0; c < 4; ++c) {
+        const top = data[(y0 * imageData.width + x0) * 4 + c] * (1 - fx) +
+          data[(y0 * imageData.width + x1) * 4 + c] * fx;
+        const bottom = data[(y1 * imageData.width + x0) * 4 + c] * (1 - fx) +
+          data[(y1 * imageData.width + x1) * 4 + c] * fx;
+        out[offset + c] = top * (1 - fy) + bottom * fy;
+      }
+    }
+  }
+  return _createImageData(out, width, height);
+}
+
+/**
+* Solve the perspective transform mapping four points onto four others.
+*
+* @param {object[]} from - Points `{x, y}`.
+* @param {object[]} to - Corresponding points.
+*
+* @returns {number[]} `[a, b, c, d, e, f, g, h]` of
+*   `x' = (ax + by + c) / (gx + hy + 1)`, `y' = (dx + ey + f) / (gx + hy + 1)`.
+* @private
+*/
+function _solveHomography(from, to) {
+  // 8x8 linear system, augmented
+  const rows = [];
+  for(let i = 0; i < 4; ++i) {
+    const {x, y} = from[i];
+    const {x: u, y: v} = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -x * u, -y * u, u]);
+    rows.push([0, 0, 0, x, y, 1, -x * v, -y * v, v]);
+  }
+  // Gaussian elimination with partial pivoting
+  for(let column = 0; column < 8; ++column) {
+    let pivot = column;
+    for(let row = column + 1; row < 8; ++row) {
+      if(Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+        pivot = row;
+      }
+    }
+    if(Math.abs(rows[pivot][column]) < 1e-12) {
+      throw new Error('Corners must outline a quadrilateral.');
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    for(let row = 0; row < 8; ++row) {
+      if(row !== column) {
+        const factor = rows[row][column] / rows[column][column];
+        for(let k = column; k < 9; ++k) {
+          rows[row][k] -= factor * rows[column][k];
+        }
+      }
+    }
+  }
+  return rows.map((row, i) => row[8] / row[i]);
+}
+
+/**
+* Euclidean distance.
+*
+* @param {object} a - Point `{x, y}`.
+* @param {object} b - Point `{x, y}`.
+*
+* @returns {number} Distance.
+* @private
+*/
+function _distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+* Create RGBA pixels from gray values.
+*
+* @param {Uint8Array} gray - Gray values.
+* @param {ImageData} imageData - Pixels the gray values came from, for the
+*   size and alpha.
+*
+* @returns {ImageData} Pixels.
+* @private
+*/
+function _fromGray(gray, {width, height, data}) {
+  const out = new Uint8ClampedArray(data.length);
+  for(let i = 0, j = 0; i < gray.length; ++i, j += 4) {
+    out[j] = out[j + 1] = out[j + 2] = gray[i];
+    out[j + 3] = data[j + 3];
+  }
+  return _createImageData(out, width, height);
+}
+
+/**
+* Copy one RGBA pixel.
+*
+* @param {Uint8ClampedArray} from - Source buffer.
+* @param {number} fromOffset - Source byte offset.
+* @param {Uint8ClampedArray} to - Destination buffer.
+* @param {number} toOffset - Destination byte offset.
+* @private
+*/
+function _copyPixel(from, fromOffset, to, toOffset) {
+  to[toOffset] = from[fromOffset];
+  to[toOffset + 1] = from[fromOffset + 1];
+  to[toOffset + 2] = from[fromOffset + 2];
+  to[toOffset + 3] = from[fromOffset + 3];
+}
+
+/**
+* Create ImageData, falling back to a plain object where the `ImageData`
+* constructor is unavailable.
+*
+* @param {Uint8ClampedArray} data - RGBA pixels.
+* @param {number} width - Width.
+* @param {number} height - Height.
+*
+* @returns {ImageData} Pixels.
+* @private
+*/
+function _createImageData(data, width, height) {
+  if(typeof ImageData !== 'undefined') {
+    return new ImageData(data, width, height);
+  }
+  return {data, width, height};
+}
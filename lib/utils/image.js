@@ -0,0 +1,176 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import {UnsupportedSourceError} from '../errors.js';
+
+/**
+ * Image helpers shared by the pure JavaScript engines. Only use APIs that
+ * exist in both windows and workers (`OffscreenCanvas`, `ImageBitmap`) unless
+ * the DOM is available.
+ */
+
+/**
+* Create a 2D canvas, preferring `OffscreenCanvas` so the same code runs in a
+* worker.
+*
+* @param {number} width - Canvas width.
+* @param {number} height - Canvas height.
+*
+* @returns {OffscreenCanvas|HTMLCanvasElement} Canvas.
+*/
+export function createCanvas(width, height) {
+  if(typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  if(typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  throw new Error('No canvas implementation available.');
+}
+
+/**
+* Clear the pixels of a canvas and release its backing store, so captured
+* frames do not linger in memory.
+*
+* @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas.
+*/
+export function clearCanvas(canvas) {
+  try {
+    canvas.getContext('2d')?.clearRect(0, 0, canvas.width, canvas.height);
+  } catch(e) {
+    // canvases with a different context type are only resized
+  }
+  canvas.width = 0;
+  canvas.height = 0;
+}
+
+/**
+* Read the pixels of an image source.
+*
+* @param {ImageData|ImageBitmap|HTMLImageElement|HTMLVideoElement|
+*   HTMLCanvasElement|OffscreenCanvas|Blob} source - Image source; `File`
+*   and other `Blob`s are decoded with `createImageBitmap`.
+*
+* @returns {Promise<ImageData>} RGBA pixels.
+*/
+export async function toImageData(source) {
+  if(!source) {
+    throw new UnsupportedSourceError('Image source is required.');
+  }
+  if(_isImageData(source)) {
+    return source;
+  }
+
+  let drawable = source;
+  let bitmap = null;
+  if(typeof Blob !== 'undefined' && source instanceof Blob) {
+    bitmap = await createImageBitmap(source);
+    drawable = bitmap;
+  }
+
+  try {
+    const {width, height} = getImageSize(drawable);
+    if(!width || !height) {
+      throw new UnsupportedSourceError(
+        'Image source has no pixels (not loaded yet?).');
+    }
+    const canvas = createCanvas(width, height);
+    try {
+      const ctx = canvas.getContext('2d', {willReadFrequently: true});
+      ctx.drawImage(drawable, 0, 0, width, height);
+      return ctx.getImageData(0, 0, width, height);
+    } finally {
+      clearCanvas(canvas);
+    }
+  } finally {
+    bitmap?.close();
+  }
+}
+
+/**
+* Get the intrinsic size of an image source.
+*
+* @param {object} source - Image, video, canvas, bitmap or ImageData.
+*
+* @returns {object} `{width, height}`.
+*/
+export function getImageSize(source) {
+  return {
+    width: source.videoWidth || source.naturalWidth || source.width || 0,
+    height: source.videoHeight || source.naturalHeight || source.height || 0
+  };
+}
+
+/**
+* Convert RGBA pixels to 8-bit luminance.
+*
+* @param {ImageData} imageData - RGBA pixels.
+*
+* @returns {Uint8Array} Gray values, row major.
+*/
+export function toGrayscale({data, width, height}) {
+  const gray = new Uint8Array(width * height);
+  for(let i = 0, j = 0; i < gray.length; ++i, j += 4) {
+    // ITU-R BT.601 luma in integer arithmetic
+    gray[i] = (data[j] * 77 + data[j + 1] * 150 + data[j + 2] * 29) >> 8;
+  }
+  return gray;
+}
+
+/**
+* Compute the mean of the square window around each pixel with an integral
+* image, so the cost does not depend on the window size.
+*
+* @param {Uint8Array} gray - Gray values, row major.
+* @param {number} width - Width.
+* @param {number} height - Height.
+* @param {number} radius - Half the window side; windows are clipped at the
+*   image edges.
+*
+* @returns {Float64Array} Local means, row major.
+*/
+export function computeLocalMeans(gray, width, height, radius) {
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+  for(let y = 0; y < height; ++y) {
+    let rowSum = 0;
+    for(let x = 0; x < width; ++x) {
+      rowSum += gray[y * width + x];
+      integral[(y + 1) * stride + x + 1] =
+        integral[y * stride + x + 1] + rowSum;
+    }
+  }
+
+  const means = new Float64Array(width * height);
+  for(let y = 0; y < height; ++y) {
+    const y0 = Math.max(0, y - radius);
+    const y1 = Math.min(height, y + radius + 1);
+    for(let x = 0; x < width; ++x) {
+      const x0 = Math.max(0, x - radius);
+      const x1 = Math.min(width, x + radius + 1);
+      const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] -
+        integral[y1 * stride + x0] + integral[y0 * stride + x0];
+      means[y * width + x] = sum / ((x1 - x0) * (y1 - y0));
+    }
+  }
+  return means;
+}
+
+/**
+* Check for ImageData-like objects without relying on the `ImageData`
+* global, which is missing in some environments.
+*
+* @param {object} source - Candidate.
+*
+* @returns {boolean} True for `{data, width, height}` pixel buffers.
+* @private
+*/
+function _isImageData(source) {
+  return source.data?.length !== undefined &&
+    Number.isInteger(source.width) && Number.isInteger(source.height) &&
+    source.data.length === source.width * source.height * 4;
+}
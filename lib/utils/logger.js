@@ -0,0 +1,237 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {isAamvaElement, payloadFields, personalFields} from './privacy.js';
+
+/**
+ * Leveled, namespaced logging. Scanner components log through named
+ * loggers (`scanner`, `camera`, `plugin:mrz`, ...) that are silent until
+ * configured, and every logged value passes through a redaction hook so
+ * personal data from scan results and license keys stay out of the logs
+ * unless `logPii` is enabled.
+ */
+
+export const logLevels = Object.freeze(['debug', 'info', 'warn', 'error']);
+
+// keys of scan result fields and secrets hidden in logs: the personal and
+// payload fields of the privacy policies plus secrets
+export const piiKeys = Object.freeze([
+  ...payloadFields, ...personalFields, 'driverLicense', 'licenseKey', 'salt'
+]);
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+/**
+ * Logger writing to a console-like sink. Loggers derived with `child()`
+ * share their configuration, so `configure()` on any of them applies to
+ * all.
+ */
+export class Logger {
+  /**
+  * @param {object} [options] - Options, see `configure()`.
+  * @param {string} [options.namespace=''] - Namespace of this logger.
+  */
+  constructor({namespace = '', ...options} = {}) {
+    this.namespace = namespace;
+    this._config = {
+      sink: console,
+      level: 'silent',
+      namespaces: ['*'],
+      redact: redactLogValue,
+      logPii: false
+    };
+    this.configure(options);
+  }
+
+  /**
+  * Update the configuration.
+  *
+  * @param {object} options - Options.
+  * @param {object} [options.sink=console] - Object with `debug`, `info`,
+  *  `warn` and `error` methods.
+  * @param {string} [options.level='silent'] - Lowest level written:
+  *  'debug', 'info', 'warn', 'error' or 'silent'.
+  * @param {string[]} [options.namespaces=['*']] - Namespaces written; a
+  *  trailing `*` matches any suffix, as in 'plugin:*'.
+  * @param {Function} [options.redact=redactLogValue] - Called with
+  *  `(value, {namespace, level})` for every logged value; returns what is
+  *  written.
+  * @param {boolean} [options.logPii=false] - Write values unredacted.
+  */
+  configure({sink, level, namespaces, redact, logPii} = {}) {
+    if(level !== undefined && level !== 'silent' &&
+      !logLevels.includes(level)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    const updates = {sink, level, namespaces, redact, logPii};
+    for(const [key, value] of Object.entries(updates)) {
+      if(value !== undefined) {
+        this._config[key] = value;
+      }
+    }
+  }
+
+  /**
+  * Create a logger for another namespace sharing this configuration.
+  *
+  * @param {string} namespace - Namespace, such as 'plugin:mrz'.
+  *
+  * @returns {Logger} Logger.
+  */
+  child(namespace) {
+    const logger = Object.create(Logger.prototype);
+    logger.namespace = namespace;
+    logger._config = this._config;
+    return logger;
+  }
+
+  /**
+  * Check whether a level is written for this namespace; use it to skip
+  * building expensive log details.
+  *
+  * @param {string} level - Log level.
+  *
+  * @returns {boolean} True if enabled.
+  */
+  isEnabled(level) {
+    const {level: threshold, namespaces} = this._config;
+    const index = logLevels.indexOf(level);
+    // 'silent' is not a level, so it is above all of them
+    if(index === -1 || threshold === 'silent' ||
+      index < logLevels.indexOf(threshold)) {
+      return false;
+    }
+    return namespaces.some(pattern => pattern.endsWith('*') ?
+      this.namespace.startsWith(pattern.slice(0, -1)) :
+      this.namespace === pattern);
+  }
+
+  debug(message, ...details) {
+    this._log('debug', message, details);
+  }
+
+  info(message, ...details) {
+    this._log('info', message, details);
+  }
+
+  warn(message, ...details) {
+    this._log('warn', message, details);
+  }
+
+  error(message, ...details) {
+    this._log('error', message, details);
+  }
+
+  /**
+  * Write a message with redacted details.
+  *
+  * @param {string} level - Log level.
+  * @param {string} message - Message.
+  * @param {Array} details - Values logged after the message.
+  * @private
+  */
+  _log(level, message, details) {
+    if(!this.isEnabled(level)) {
+      return;
+    }
+    const {sink, redact, logPii} = this._config;
+    const {namespace} = this;
+    if(!logPii) {
+      details = details.map(value => redact(value, {namespace, level}));
+    }
+    const write = sink[level] || sink.log;
+    write.call(sink, `[${namespace}] ${message}`, ...details);
+  }
+}
+
+// root of the loggers used by the scanner components
+const _root = new Logger();
+
+/**
+* Get the logger for a namespace. It follows `configureLogging()` even when
+* configured later.
+*
+* @param {string} namespace - Namespace, such as 'camera'.
+*
+* @returns {Logger} Logger.
+*/
+export function getLogger(namespace) {
+  return _root.child(namespace);
+}
+
+/**
+* Configure the loggers returned by `getLogger()`, which are silent by
+* default.
+*
+* @param {object} options - `Logger.configure()` options.
+*/
+export function configureLogging(options) {
+  _root.configure(options);
+}
+
+/**
+* Default redaction hook: replaces the values of `piiKeys` and AAMVA element
+* IDs (as matched by the privacy policies) in objects (including engine
+* result instances) and arrays with '[REDACTED]'. Other values, including
+* strings, errors and DOM nodes, are written as they are.
+*
+* @param {*} value - Logged value.
+*
+* @returns {*} Value safe to log.
+*/
+export function redactLogValue(value) {
+  return _redact(value, 0);
+}
+
+/**
+* Redact plain objects and arrays recursively.
+*
+* @param {*} value - Value.
+* @param {number} depth - Nesting depth.
+*
+* @returns {*} Redacted copy.
+* @private
+*/
+function _redact(value, depth) {
+  if(Array.isArray(value)) {
+    return depth >= MAX_DEPTH ?
+      REDACTED : value.map(item => _redact(item, depth + 1));
+  }
+  if(!_isRecord(value)) {
+    return value;
+  }
+  if(depth >= MAX_DEPTH) {
+    return REDACTED;
+  }
+  const redacted = {};
+  for(const [key, item] of Object.entries(value)) {
+    redacted[key] = piiKeys.includes(key) || isAamvaElement(key) ?
+      REDACTED : _redact(item, depth + 1);
+  }
+  return redacted;
+}
+
+/**
+* Check for an object holding data fields, as opposed to errors, dates, DOM
+* nodes, binary data and browser handles such as streams.
+*
+* @param {*} value - Value.
+*
+* @returns {boolean} True for data objects.
+* @private
+*/
+function _isRecord(value) {
+  if(value === null || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  if(prototype === Object.prototype || prototype === null) {
+    return true;
+  }
+  return !(value instanceof Error || value instanceof Date ||
+    ArrayBuffer.isView(value) || value instanceof ArrayBuffer ||
+    typeof value.nodeType === 'number' ||
+    (typeof Blob !== 'undefined' && value instanceof Blob) ||
+    (typeof MediaStream !== 'undefined' && value instanceof MediaStream));
+}
@@ -0,0 +1,722 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {computeLocalMeans, toGrayscale} from './image.js';
+import {mrzFormats, parseMRZ} from './mrz.js';
+import {ocrbModel} from './ocrb-model.js';
+
+/**
+ * License-free MRZ recognition.
+ *
+ * Binarizes the image with an adaptive threshold, finds the MRZ band as the
+ * lowest group of two or three evenly spaced text lines, and classifies each
+ * character against the bundled OCR-B template model. Characters are then
+ * corrected with the field layout of the detected format (digits in dates,
+ * letters in names) and with the MRZ check digits. Uses no DOM APIs, so it
+ * runs in a worker as well as in a window.
+ */
+
+const ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ<';
+const DIGITS = '0123456789<';
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ<';
+
+// width of a character frame relative to the cap height
+const FRAME_ASPECT = 0.72;
+
+// allowed characters per position: A = letters, N = digits, X = any
+const LETTER_LINE = length => 'A'.repeat(length);
+const TWO_LINE_DATA = 'XXXXXXXXXNAAANNNNNNNANNNNNNN';
+const CHARACTER_CLASSES = {
+  TD1: [
+    'AAAAA' + 'X'.repeat(9) + 'N' + 'X'.repeat(15),
+    'NNNNNNNANNNNNNNAAA' + 'X'.repeat(11) + 'N',
+    LETTER_LINE(30)
+  ],
+  TD2: [LETTER_LINE(36), TWO_LINE_DATA + 'X'.repeat(7) + 'N'],
+  TD3: [LETTER_LINE(44), TWO_LINE_DATA + 'X'.repeat(14) + 'NN'],
+  MRVA: [LETTER_LINE(44), TWO_LINE_DATA + 'X'.repeat(16)],
+  MRVB: [LETTER_LINE(36), TWO_LINE_DATA + 'X'.repeat(8)],
+  FRENCH_ID: [
+    LETTER_LINE(30) + 'X'.repeat(6),
+    'X'.repeat(12) + 'N' + 'A'.repeat(14) + 'NNNNNNNAN'
+  ]
+};
+
+// how many low-confidence characters the check digit repair may revisit
+const MAX_REPAIR_CANDIDATES = 16;
+
+const _templateCache = new WeakMap();
+
+/**
+* Recognize the MRZ in an image.
+*
+* @param {ImageData} imageData - RGBA pixels (any `{data, width, height}`).
+* @param {object} [options] - Options.
+* @param {object} [options.model=ocrbModel] - Glyph template model.
+* @param {number} [options.minCharacters=20] - Minimum characters per MRZ
+*   line.
+* @param {Date} [options.now] - Reference date passed to `parseMRZ`.
+*
+* @returns {object|null} `{format, lines, text, confidence, parsed,
+*   characters, region}` or null when no MRZ band is found. `parsed` is the
+*   `parseMRZ` result or null when the text matches no MRZ format.
+*/
+export function recognizeMRZ(imageData, {
+  model = ocrbModel,
+  minCharacters = 20,
+  now
+} = {}) {
+  const binary = binarize(imageData);
+  const region = locateMRZ(binary, {minCharacters});
+  if(!region) {
+    return null;
+  }
+
+  const templates = _getTemplates(model);
+  const characters = region.lines.map(line => line.characters.map(
+    character => ({
+      box: character.box,
+      scores: _classify(
+        binary, region.labels, character, line, model, templates)
+    })));
+
+  // first pass without layout constraints decides the format
+  let lines = characters.map(line => line
+    .map(({scores}) => _best(scores, ALPHABET).char).join(''));
+  const format = _detectFormat(lines);
+  if(format) {
+    lines = _applyLayout(characters, CHARACTER_CLASSES[format]);
+  }
+
+  let parsed = _tryParse(lines, now);
+  if(parsed && !parsed.valid) {
+    ({lines, parsed} = _repair(characters, lines, parsed, format, now));
+  }
+
+  const best = characters.flat().map(({scores}) => Math.max(...scores));
+  const confidence = best.length ?
+    best.reduce((sum, score) => sum + score, 0) / best.length : 0;
+
+  return {
+    format: parsed?.format || format,
+    lines,
+    text: lines.join('\n'),
+    confidence: Math.round(confidence * 1000) / 1000,
+    parsed,
+    characters: characters.map((line, i) => line.map(({box}, j) => ({
+      char: lines[i][j],
+      box
+    }))),
+    region: region.box
+  };
+}
+
+/**
+* Binarize an image with an adaptive (local mean) threshold.
+*
+* @param {ImageData} imageData - RGBA pixels.
+* @param {object} [options] - Options.
+* @param {number} [options.windowSize] - Side of the averaging window in
+*   pixels; defaults to 1/16 of the smaller image side.
+* @param {number} [options.bias=0.15] - How much darker than the local mean
+*   a pixel must be to count as ink.
+*
+* @returns {object} `{width, height, data}` where `data` holds 1 for ink.
+*/
+export function binarize(imageData, {windowSize, bias = 0.15} = {}) {
+  const {width, height} = imageData;
+  const gray = toGrayscale(imageData);
+  const radius = Math.max(7,
+    Math.floor((windowSize || Math.min(width, height) / 16) / 2));
+  const means = computeLocalMeans(gray, width, height, radius);
+
+  const data = new Uint8Array(width * height);
+  for(let i = 0; i < data.length; ++i) {
+    data[i] = gray[i] < means[i] * (1 - bias) ? 1 : 0;
+  }
+  return {width, height, data};
+}
+
+/**
+* Locate the MRZ lines in a binarized image.
+*
+* @param {object} binary - Result of `binarize`.
+* @param {object} [options] - Options.
+* @param {number} [options.minCharacters=20] - Minimum characters per line.
+*
+* @returns {object|null} `{lines, box, labels}` where each line has
+*   `characters` (`{box, labels}`), `capHeight`, `pitch` and a top edge fit
+*   `{top: {intercept, slope}}`; null when no MRZ band is found.
+*/
+export function locateMRZ(binary, {minCharacters = 20} = {}) {
+  const {labels, components} = _components(binary);
+  const maxHeight = binary.height / 6;
+  const candidates = components.filter(({box, area}) => {
+    const width = box.maxX - box.minX + 1;
+    const height = box.maxY - box.minY + 1;
+    return height >= 6 && height <= maxHeight && width <= height * 2 &&
+      area >= 10;
+  });
+
+  const lines = _groupLines(candidates)
+    .map(line => _measureLine(line))
+    .filter(line => line && line.characters.length >= minCharacters)
+    .sort((a, b) => a.centerY - b.centerY);
+  if(lines.length < 2) {
+    return null;
+  }
+
+  // the MRZ is the lowest block of similar, left aligned lines
+  const block = [lines[lines.length - 1]];
+  for(let i = lines.length - 2; i >= 0 && block.length < 3; --i) {
+    const [next] = block;
+    const line = lines[i];
+    const similar = line.capHeight / next.capHeight < 1.35 &&
+      next.capHeight / line.capHeight < 1.35;
+    const adjacent = next.centerY - line.centerY < next.capHeight * 3.5;
+    const aligned = Math.abs(line.left - next.left) < next.pitch * 2.5;
+    if(!(similar && adjacent && aligned)) {
+      break;
+    }
+    block.unshift(line);
+  }
+  if(block.length < 2) {
+    return null;
+  }
+
+  const boxes = block.flatMap(line => line.characters.map(c => c.box));
+  return {
+    lines: block,
+    labels,
+    box: {
+      x: Math.min(...boxes.map(b => b.minX)),
+      y: Math.min(...boxes.map(b => b.minY)),
+      width: Math.max(...boxes.map(b => b.maxX)) -
+        Math.min(...boxes.map(b => b.minX)) + 1,
+      height: Math.max(...boxes.map(b => b.maxY)) -
+        Math.min(...boxes.map(b => b.minY)) + 1
+    }
+  };
+}
+
+/**
+* Label 4-connected ink components.
+*
+* @param {object} binary - Binarized image.
+*
+* @returns {object} `{labels, components}`; `labels` maps pixels to
+*   component ids (0 = background), components hold `{id, box, area}`.
+* @private
+*/
+function _components(binary) {
+  const {width, height, data} = binary;
+  const labels = new Int32Array(width * height);
+  const components = [];
+  const stack = new Int32Array(width * height);
+
+  for(let start = 0; start < data.length; ++start) {
+    if(!data[start] || labels[start]) {
+      continue;
+    }
+    const id = components.length + 1;
+    const box = {
+      minX: start % width, maxX: start % width,
+      minY: Math.floor(start / width), maxY: Math.floor(start / width)
+    };
+    let area = 0;
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = id;
+    while(top > 0) {
+      const index = stack[--top];
+      const x = index % width;
+      const y = (index - x) / width;
+      ++area;
+      if(x < box.minX) {
+        box.minX = x;
+      } else if(x > box.maxX) {
+        box.maxX = x;
+      }
+      if(y < box.minY) {
+        box.minY = y;
+      } else if(y > box.maxY) {
+        box.maxY = y;
+      }
+      if(x > 0 && data[index - 1] && !labels[index - 1]) {
+        labels[index - 1] = id;
+        stack[top++] = index - 1;
+      }
+      if(x < width - 1 && data[index + 1] && !labels[index + 1]) {
+        labels[index + 1] = id;
+        stack[top++] = index + 1;
+      }
+      if(y > 0 && data[index - width] && !labels[index - width]) {
+        labels[index - width] = id;
+        stack[top++] = index - width;
+      }
+      if(y < height - 1 && data[index + width] && !labels[index + width]) {
+        labels[index + width] = id;
+        stack[top++] = index + width;
+      }
+    }
+    components.push({id, box, area});
+  }
+  return {labels, components};
+}
+
+/**
+* Group character sized components into text lines by vertical center.
+*
+* @param {object[]} components - Candidate components.
+*
+* @returns {object[][]} Components per line.
+* @private
+*/
+function _groupLines(components) {
+  const sorted = components
+    .map(component => ({
+      ...component,
+      centerY: (component.box.minY + component.box.maxY) / 2,
+      height: component.box.maxY - component.box.minY + 1
+    }))
+    .sort((a, b) => a.centerY - b.centerY);
+
+  const lines = [];
+  let current = [];
+  for(const component of sorted) {
+    const last = current[current.length - 1];
+    if(last && component.centerY - last.centerY >
+      Math.max(2, Math.min(last.height, component.height) * 0.2)) {
+      lines.push(current);
+      current = [];
+    }
+    current.push(component);
+  }
+  if(current.length > 0) {
+    lines.push(current);
+  }
+  return lines;
+}
+
+/**
+* Turn the components of a line into evenly spaced characters and measure
+* the line.
+*
+* @param {object[]} components - Components of one line.
+*
+* @returns {object|null} Line with `characters`, `capHeight`, `pitch`,
+*   `left`, `centerY` and `top` fit, or null if it is not a text line.
+* @private
+*/
+function _measureLine(components) {
+  if(components.length < 2) {
+    return null;
+  }
+  // merge horizontally overlapping components (broken glyphs, "i" dots)
+  const sorted = [...components].sort((a, b) => a.box.minX - b.box.minX);
+  const groups = [];
+  for(const component of sorted) {
+    const last = groups[groups.length - 1];
+    if(last && component.box.minX <= last.box.maxX) {
+      last.box = _union(last.box, component.box);
+      last.labels.push(component.id);
+    } else {
+      groups.push({box: {...component.box}, labels: [component.id]});
+    }
+  }
+  if(groups.length < 2) {
+    return null;
+  }
+
+  const centers = groups.map(({box}) => (box.minX + box.maxX) / 2);
+  const pitch = _median(centers.slice(1).map((c, i) => c - centers[i]));
+
+  // keep the longest run of regularly spaced characters
+  let run = [0, 1];
+  let start = 0;
+  for(let i = 1; i <= groups.length; ++i) {
+    if(i === groups.length || centers[i] - centers[i - 1] > pitch * 1.6) {
+      if(i - start > run[1] - run[0]) {
+        run = [start, i];
+      }
+      start = i;
+    }
+  }
+  const characters = [];
+  for(const group of groups.slice(...run)) {
+    // split touching characters
+    const width = group.box.maxX - group.box.minX + 1;
+    const count = width > pitch * 1.6 ? Math.round(width / pitch) : 1;
+    for(let i = 0; i < count; ++i) {
+      const minX = group.box.minX + Math.round(i * width / count);
+      const maxX = group.box.minX + Math.round((i + 1) * width / count) - 1;
+      characters.push({
+        box: {...group.box, minX, maxX},
+        labels: group.labels
+      });
+    }
+  }
+
+  const heights = characters.map(({box}) => box.maxY - box.minY + 1)
+    .sort((a, b) => a - b);
+  const capHeight = heights[Math.floor(heights.length * 0.75)];
+  const full = characters.filter(
+    ({box}) => box.maxY - box.minY + 1 >= capHeight * 0.85);
+  const top = _fitLine(full.map(({box}) => [
+    (box.minX + box.maxX) / 2, box.minY
+  ]));
+
+  return {
+    characters,
+    capHeight,
+    pitch,
+    top,
+    left: characters[0].box.minX,
+    centerY: _median(characters.map(({box}) => (box.minY + box.maxY) / 2))
+  };
+}
+
+/**
+* Sample a character into the model grid and score it against every
+* template.
+*
+* @param {object} binary - Binarized image.
+* @param {Int32Array} labels - Component label per pixel.
+* @param {object} character - Character `{box, labels}`.
+* @param {object} line - Measured line.
+* @param {object} model - Glyph model.
+* @param {Float32Array[][]} templates - Normalized template variants.
+*
+* @returns {Float32Array} Correlation per `ALPHABET` character.
+* @private
+*/
+function _classify(binary, labels, character, line, model, templates) {
+  const {box} = character;
+  const {width: gridWidth, height: gridHeight} = model;
+  const own = new Set(character.labels);
+  const centerX = (box.minX + box.maxX) / 2;
+  const frameHeight = line.capHeight;
+  const frameWidth = frameHeight * FRAME_ASPECT;
+  const frameTop = line.top.intercept + line.top.slope * centerX;
+  const frameLeft = centerX - frameWidth / 2;
+
+  const grid = new Float32Array(gridWidth * gridHeight);
+  for(let y = box.minY; y <= box.maxY; ++y) {
+    const gy = Math.floor((y - frameTop) / frameHeight * gridHeight);
+    const row = Math.min(gridHeight - 1, Math.max(0, gy));
+    for(let x = box.minX; x <= box.maxX; ++x) {
+      const index = y * binary.width + x;
+      if(!binary.data[index] || !own.has(labels[index])) {
+        continue;
+      }
+      const gx = Math.floor((x - frameLeft) / frameWidth * gridWidth);
+      grid[row * gridWidth + Math.min(gridWidth - 1, Math.max(0, gx))]++;
+    }
+  }
+  const cellArea = (frameWidth / gridWidth) * (frameHeight / gridHeight);
+  for(let i = 0; i < grid.length; ++i) {
+    grid[i] = Math.min(1, grid[i] / cellArea);
+  }
+
+  const features = _normalize(grid);
+  return Float32Array.from(templates, variants => Math.max(
+    ...variants.map(template => {
+      let score = 0;
+      for(let i = 0; i < features.length; ++i) {
+        score += features[i] * template[i];
+      }
+      return score;
+    })));
+}
+
+/**
+* Decode, blur and normalize the model templates once per model.
+*
+* @param {object} model - Glyph model `{width, height, glyphs}`; a glyph is
+*   one hex bitmap or an array of variants.
+*
+* @returns {Float32Array[][]} Template variants in `ALPHABET` order.
+* @private
+*/
+function _getTemplates(model) {
+  let templates = _templateCache.get(model);
+  if(templates) {
+    return templates;
+  }
+  const {width, height, glyphs} = model;
+  const digits = Math.ceil(width / 4);
+  templates = [...ALPHABET].map(char => {
+    if(!glyphs[char]) {
+      throw new Error(`OCR model has no glyph for "${char}".`);
+    }
+    return [].concat(glyphs[char]).map(rows => {
+      const bitmap = new Float32Array(width * height);
+      for(let y = 0; y < height; ++y) {
+        const bits = parseInt(rows.substr(y * digits, digits), 16);
+        for(let x = 0; x < width; ++x) {
+          bitmap[y * width + x] = (bits >> (digits * 4 - 1 - x)) & 1;
+        }
+      }
+      return _normalize(_blur(bitmap, width, height));
+    });
+  });
+  _templateCache.set(model, templates);
+  return templates;
+}
+
+/**
+* Pick the per-position characters allowed by a format layout.
+*
+* @param {object[][]} characters - Characters with scores, per line.
+* @param {string[]} classes - Character classes per line.
+*
+* @returns {string[]} Lines.
+* @private
+*/
+function _applyLayout(characters, classes) {
+  return characters.map((line, i) => line.map(({scores}, j) =>
+    _best(scores, _allowed(classes[i]?.[j])).char).join(''));
+}
+
+/**
+* Fix failing check digits by trying the runner-up characters of the least
+* certain positions, keeping changes that reduce the number of failures.
+*
+* @param {object[][]} characters - Characters with scores, per line.
+* @param {string[]} lines - Current lines.
+* @param {object} parsed - Current `parseMRZ` result.
+* @param {string|null} format - Detected format.
+* @param {Date} [now] - Reference date.
+*
+* @returns {object} `{lines, parsed}`.
+* @private
+*/
+function _repair(characters, lines, parsed, format, now) {
+  const classes = CHARACTER_CLASSES[format] || [];
+  const positions = [];
+  characters.forEach((line, i) => line.forEach(({scores}, j) => {
+    const type = classes[i]?.[j] || 'X';
+    // letters are not covered by check digits
+    if(type === 'A') {
+      return;
+    }
+    const [first, second] = _ranked(scores, _allowed(type));
+    positions.push({
+      line: i,
+      index: j,
+      margin: first.score - (second?.score ?? -1),
+      alternatives: _ranked(scores, _allowed(type)).slice(1, 3)
+    });
+  }));
+  positions.sort((a, b) => a.margin - b.margin);
+  const candidates = positions.slice(0, MAX_REPAIR_CANDIDATES);
+
+  let improved = true;
+  while(improved && !parsed.valid) {
+    improved = false;
+    for(const {line, index, alternatives} of candidates) {
+      for(const {char} of alternatives) {
+        const next = [...lines];
+        next[line] = next[line].slice(0, index) + char +
+          next[line].slice(index + 1);
+        const attempt = _tryParse(next, now);
+        if(attempt &&
+          attempt.invalidFields.length < parsed.invalidFields.length) {
+          lines = next;
+          parsed = attempt;
+          improved = true;
+          break;
+        }
+      }
+      if(improved) {
+        break;
+      }
+    }
+  }
+  return {lines, parsed};
+}
+
+/**
+* Detect the format from recognized lines, tolerating a missing or extra
+* character per line.
+*
+* @param {string[]} lines - Recognized lines.
+*
+* @returns {string|null} Format name or null.
+* @private
+*/
+function _detectFormat(lines) {
+  try {
+    return parseMRZ(lines).format;
+  } catch(e) {
+    const length = Math.max(...lines.map(line => line.length));
+    const match = Object.entries(mrzFormats).find(([, format]) =>
+      format.lines === lines.length && Math.abs(format.length - length) <= 2);
+    return match ? match[0] : null;
+  }
+}
+
+/**
+* Parse lines, returning null instead of throwing for unknown formats.
+*
+* @param {string[]} lines - MRZ lines.
+* @param {Date} [now] - Reference date.
+*
+* @returns {object|null} `parseMRZ` result or null.
+* @private
+*/
+function _tryParse(lines, now) {
+  try {
+    return parseMRZ(lines, now ? {now} : undefined);
+  } catch(e) {
+    return null;
+  }
+}
+
+/**
+* Characters allowed for a layout class.
+*
+* @param {string} type - 'A', 'N' or 'X'.
+*
+* @returns {string} Allowed characters.
+* @private
+*/
+function _allowed(type) {
+  if(type === 'A') {
+    return LETTERS;
+  }
+  if(type === 'N') {
+    return DIGITS;
+  }
+  return ALPHABET;
+}
+
+/**
+* Rank allowed characters by score.
+*
+* @param {Float32Array} scores - Scores in `ALPHABET` order.
+* @param {string} allowed - Allowed characters.
+*
+* @returns {object[]} `{char, score}` best first.
+* @private
+*/
+function _ranked(scores, allowed) {
+  return [...allowed]
+    .map(char => ({char, score: scores[ALPHABET.indexOf(char)]}))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+* Best allowed character.
+*
+* @param {Float32Array} scores - Scores in `ALPHABET` order.
+* @param {string} allowed - Allowed characters.
+*
+* @returns {object} `{char, score}`.
+* @private
+*/
+function _best(scores, allowed) {
+  return _ranked(scores, allowed)[0];
+}
+
+/**
+* 3x3 box blur, so templates tolerate small misalignment.
+*
+* @param {Float32Array} values - Grid values.
+* @param {number} width - Grid width.
+* @param {number} height - Grid height.
+*
+* @returns {Float32Array} Blurred grid.
+* @private
+*/
+function _blur(values, width, height) {
+  const result = new Float32Array(values.length);
+  for(let y = 0; y < height; ++y) {
+    for(let x = 0; x < width; ++x) {
+      let sum = 0;
+      let count = 0;
+      for(let dy = -1; dy <= 1; ++dy) {
+        for(let dx = -1; dx <= 1; ++dx) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if(nx >= 0 && nx < width && ny >= 0 && ny < height) {
+            // center weighted
+            const weight = dx === 0 && dy === 0 ? 4 : 1;
+            sum += values[ny * width + nx] * weight;
+            count += weight;
+          }
+        }
+      }
+      result[y * width + x] = sum / count;
+    }
+  }
+  return result;
+}
+
+/**
+* Zero-mean, unit-length normalization so dot products are correlations.
+*
+* @param {Float32Array} values - Values.
+*
+* @returns {Float32Array} Normalized values.
+* @private
+*/
+function _normalize(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const result = values.map(value => value - mean);
+  const norm = Math.sqrt(result.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? result.map(value => value / norm) : result;
+}
+
+/**
+* Least squares line fit.
+*
+* @param {number[][]} points - `[x, y]` points.
+*
+* @returns {object} `{intercept, slope}`.
+* @private
+*/
+function _fitLine(points) {
+  const n = points.length;
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / n;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  for(const [x, y] of points) {
+    numerator += (x - meanX) * (y - meanY);
+    denominator += (x - meanX) * (x - meanX);
+  }
+  const slope = denominator > 0 ? numerator / denominator : 0;
+  return {intercept: meanY - slope * meanX, slope};
+}
+
+/**
+* Bounding box union.
+*
+* @param {object} a - Box.
+* @param {object} b - Box.
+*
+* @returns {object} Union box.
+* @private
+*/
+function _union(a, b) {
+  return {
+    minX: Math.min(a.minX, b.minX),
+    maxX: Math.max(a.maxX, b.maxX),
+    minY: Math.min(a.minY, b.minY),
+    maxY: Math.max(a.maxY, b.maxY)
+  };
+}
+
+/**
+* Median of numbers.
+*
+* @param {number[]} values - Values.
+*
+* @returns {number} Median.
+* @private
+*/
+function _median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
@@ -0,0 +1,539 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {computeAge} from './dl-normalize.js';
+
+/**
+ * ICAO 9303 Machine Readable Zone parser and check digit validator.
+ *
+ * Supports TD1 (ID cards), TD2, TD3 (passports), MRV-A and MRV-B (visas)
+ * and the French national ID card format. Independent of any OCR engine, so
+ * MRZ text from Dynamsoft, local OCR or a backend can be validated alike.
+ */
+
+const CHECK_DIGIT_WEIGHTS = [7, 3, 1];
+
+const CRITICAL_FIELDS = [
+  'documentNumber',
+  'firstName',
+  'lastName',
+  'dateOfBirth',
+  'dateOfExpiry'
+];
+const OPTIONAL_FIELDS = [
+  'nationality',
+  'issuingState',
+  'sex',
+  'age',
+  'documentType'
+];
+
+const FIELD_LABELS = {
+  documentNumber: 'Document Number',
+  firstName: 'First Name',
+  lastName: 'Last Name',
+  dateOfBirth: 'Date of Birth',
+  dateOfExpiry: 'Expiry Date',
+  nationality: 'Nationality',
+  issuingState: 'Issuing State',
+  sex: 'Gender',
+  age: 'Age',
+  documentType: 'Document Type'
+};
+
+/**
+* Line count and length of each supported MRZ format.
+*/
+export const mrzFormats = {
+  TD1: {lines: 3, length: 30},
+  TD2: {lines: 2, length: 36},
+  TD3: {lines: 2, length: 44},
+  MRVA: {lines: 2, length: 44},
+  MRVB: {lines: 2, length: 36},
+  FRENCH_ID: {lines: 2, length: 36}
+};
+
+// layout specific parsers returning `{fields, checkDigits}`
+const _parsers = {
+  TD1(lines, now) {
+    const [line1, line2, line3] = lines;
+    const {documentNumber, checkDigit, optionalData} =
+      _longDocumentNumber(line1.substring(5, 14), line1[14],
+        line1.substring(15, 30));
+    return {
+      fields: {
+        documentType: _documentType(line1.substring(0, 2)),
+        documentCode: _clean(line1.substring(0, 2)),
+        issuingState: _clean(line1.substring(2, 5)),
+        documentNumber: _clean(documentNumber),
+        optionalData: _clean(optionalData),
+        dateOfBirth: _date(line2.substring(0, 6), 'birth', now),
+        sex: _sex(line2[7]),
+        dateOfExpiry: _date(line2.substring(8, 14), 'expiry', now),
+        nationality: _clean(line2.substring(15, 18)),
+        optionalData2: _clean(line2.substring(18, 29)),
+        ..._names(line3)
+      },
+      checkDigits: {
+        documentNumber: _check(documentNumber, checkDigit),
+        dateOfBirth: _check(line2.substring(0, 6), line2[6]),
+        dateOfExpiry: _check(line2.substring(8, 14), line2[14]),
+        composite: _check(
+          line1.substring(5, 30) + line2.substring(0, 7) +
+          line2.substring(8, 15) + line2.substring(18, 29), line2[29])
+      }
+    };
+  },
+
+  TD2(lines, now) {
+    return _parseTwoLine(lines, now, {optionalEnd: 35, composite: true});
+  },
+
+  TD3(lines, now) {
+    const result = _parseTwoLine(lines, now, {optionalEnd: 42});
+    const [, line2] = lines;
+    // personal number check digit is optional when the field is empty
+    result.checkDigits.optionalData = _check(
+      line2.substring(28, 42), line2[42], {allowFiller: true});
+    result.checkDigits.composite = _check(
+      line2.substring(0, 10) + line2.substring(13, 20) +
+      line2.substring(21, 43), line2[43]);
+    return result;
+  },
+
+  MRVA(lines, now) {
+    return _parseTwoLine(lines, now, {optionalEnd: 44});
+  },
+
+  MRVB(lines, now) {
+    return _parseTwoLine(lines, now, {optionalEnd: 36});
+  },
+
+  FRENCH_ID(lines, now) {
+    const [line1, line2] = lines;
+    return {
+      fields: {
+        documentType: 'ID',
+        documentCode: 'ID',
+        issuingState: 'FRA',
+        nationality: 'FRA',
+        lastName: _clean(line1.substring(5, 30)),
+        administrationCode: _clean(line1.substring(30, 36)),
+        documentNumber: _clean(line2.substring(0, 12)),
+        firstName: _clean(line2.substring(13, 27)).replace(/\s{2,}/g, ' '),
+        dateOfBirth: _date(line2.substring(27, 33), 'birth', now),
+        sex: _sex(line2[34]),
+        // the French ID MRZ carries the issue month, not the expiry date
+        issueDate: _issueMonth(line2.substring(0, 4), now),
+        dateOfExpiry: ''
+      },
+      checkDigits: {
+        documentNumber: _check(line2.substring(0, 12), line2[12]),
+        dateOfBirth: _check(line2.substring(27, 33), line2[33]),
+        composite: _check(line1 + line2.substring(0, 35), line2[35])
+      }
+    };
+  }
+};
+
+/**
+* Compute the ICAO 9303 check digit of a string.
+*
+* @param {string} value - Characters covered by the check digit.
+*
+* @returns {number} Check digit (0-9).
+*/
+export function computeCheckDigit(value) {
+  let sum = 0;
+  for(let i = 0; i < value.length; ++i) {
+    sum += _charValue(value[i]) * CHECK_DIGIT_WEIGHTS[i % 3];
+  }
+  return sum % 10;
+}
+
+/**
+* Verify a check digit.
+*
+* ICAO 9303 only allows a filler (`<`) check digit for an empty optional
+* data field; elsewhere it is a misread and rejected.
+*
+* @param {string} value - Characters covered by the check digit.
+* @param {string} checkDigit - Check digit character from the MRZ.
+* @param {object} [options] - Options.
+* @param {boolean} [options.allowFiller=false] - Accept a filler check digit
+*   when `value` is empty (all fillers), as for the optional data field.
+*
+* @returns {boolean} True if the check digit matches.
+*/
+export function verifyCheckDigit(
+  value, checkDigit, {allowFiller = false} = {}) {
+  if(checkDigit === '<') {
+    return allowFiller && /^<*$/.test(value);
+  }
+  return computeCheckDigit(value) === parseInt(checkDigit, 10);
+}
+
+/**
+* Split and clean MRZ text into lines.
+*
+* @param {string|string[]} input - MRZ text (newline separated) or lines.
+*
+* @returns {string[]} Upper-cased lines without whitespace.
+*/
+export function normalizeMRZLines(input) {
+  const lines = Array.isArray(input) ? input : String(input).split(/\r?\n|\r/);
+  return lines
+    .map(line => line.toUpperCase().replace(/\s+/g, '').replace(/«/g, '<'))
+    .filter(line => line.length > 0);
+}
+
+/**
+* Detect the MRZ format from its lines.
+*
+* @param {string[]} lines - Normalized MRZ lines.
+*
+* @returns {string|null} Format name (see `mrzFormats`) or null.
+*/
+export function detectMRZFormat(lines) {
+  const count = lines.length;
+  const length = Math.max(...lines.map(line => line.length));
+  const code = lines[0]?.substring(0, 2) || '';
+
+  if(count === 3 && Math.abs(length - 30) <= 2) {
+    return 'TD1';
+  }
+  if(count !== 2) {
+    return null;
+  }
+  if(Math.abs(length - 44) <= 2) {
+    return code[0] === 'V' ? 'MRVA' : 'TD3';
+  }
+  if(Math.abs(length - 36) <= 2) {
+    if(code[0] === 'V') {
+      return 'MRVB';
+    }
+    return lines[0].startsWith('IDFRA') ? 'FRENCH_ID' : 'TD2';
+  }
+  return null;
+}
+
+/**
+* Parse and validate MRZ text.
+*
+* @param {string|string[]} input - MRZ text or lines.
+* @param {object} [options] - Options.
+* @param {Date} [options.now=new Date()] - Reference date for two digit year
+*   expansion and age.
+*
+* @returns {object} Parsed MRZ with `format`, `fields`, `checkDigits`,
+*   `invalidFields`, `valid` and `validation` (same shape as the `mrzPlugin`
+*   result validation).
+*/
+export function parseMRZ(input, {now = new Date()} = {}) {
+  const lines = normalizeMRZLines(input);
+  const format = detectMRZFormat(lines);
+  if(!format) {
+    throw new Error('Unrecognized MRZ format.');
+  }
+
+  const {length} = mrzFormats[format];
+  const padded = lines.map(line => line.padEnd(length, '<').slice(0, length));
+  const parsed = _parsers[format](padded, now);
+
+  const fields = {
+    ...parsed.fields,
+    age: computeAge(parsed.fields.dateOfBirth, now) ?? ''
+  };
+  // named after the check digit, e.g. 'dateOfBirth' or 'composite'
+  const invalidFields = Object.entries(parsed.checkDigits)
+    .filter(([, check]) => !check.valid)
+    .map(([name]) => name);
+
+  return {
+    format,
+    lines: padded,
+    text: padded.join('\n'),
+    fields,
+    checkDigits: parsed.checkDigits,
+    invalidFields,
+    valid: Object.values(parsed.checkDigits).every(check => check.valid),
+    validation: analyzeMRZValidation(fields, invalidFields)
+  };
+}
+
+/**
+* Analyze MRZ field completeness and validity.
+*
+* @param {object} fields - MRZ fields.
+* @param {string[]} [invalidFields=[]] - Names of invalid fields.
+*
+* @returns {object} Validation with `overallStatus`, `fieldAnalysis` and
+*   `statistics`.
+*/
+export function analyzeMRZValidation(fields, invalidFields = []) {
+  const allFields = [...CRITICAL_FIELDS, ...OPTIONAL_FIELDS];
+
+  const fieldAnalysis = allFields.map(key => {
+    const hasValue = fields[key] !== undefined && fields[key] !== null &&
+      fields[key] !== '';
+    const isInvalid = invalidFields.includes(key);
+    const isCritical = CRITICAL_FIELDS.includes(key);
+    let status = 'valid';
+    if(isInvalid) {
+      status = 'invalid';
+    } else if(!hasValue) {
+      status = isCritical ? 'missing' : 'optional_missing';
+    }
+    return {
+      key,
+      label: FIELD_LABELS[key],
+      hasValue: !!hasValue,
+      isInvalid,
+      isCritical,
+      status
+    };
+  });
+
+  const validCritical = fieldAnalysis
+    .filter(f => f.isCritical && f.status === 'valid').length;
+  const validOptional = fieldAnalysis
+    .filter(f => !f.isCritical && f.status === 'valid').length;
+
+  const criticalCompleteness = (validCritical / CRITICAL_FIELDS.length) * 100;
+  const optionalCompleteness = (validOptional / OPTIONAL_FIELDS.length) * 100;
+  const overallCompleteness =
+    ((validCritical + validOptional) / allFields.length) * 100;
+
+  let overallStatus = 'failed';
+  if(criticalCompleteness === 100 && optionalCompleteness >= 80) {
+    overallStatus = 'complete';
+  } else if(criticalCompleteness >= 80) {
+    overallStatus = 'partial';
+  } else if(criticalCompleteness >= 50) {
+    overallStatus = 'incomplete';
+  }
+
+  return {
+    overallStatus,
+    fieldAnalysis,
+    statistics: {
+      criticalCompleteness: Math.round(criticalCompleteness),
+      optionalCompleteness: Math.round(optionalCompleteness),
+      overallCompleteness: Math.round(overallCompleteness),
+      totalFields: allFields.length,
+      validFields: validCritical + validOptional,
+      invalidFields: fieldAnalysis.filter(f => f.status === 'invalid').length,
+      missingFields: fieldAnalysis.filter(f => f.status === 'missing').length
+    }
+  };
+}
+
+/**
+* Parse the common two line layout shared by TD2, TD3, MRV-A and MRV-B.
+*
+* @param {string[]} lines - Padded MRZ lines.
+* @param {Date} now - Reference date.
+* @param {object} options - Layout options.
+* @param {number} options.optionalEnd - End of the optional data field.
+* @param {boolean} [options.composite=false] - Line ends with a composite
+*   check digit (TD2).
+*
+* @returns {object} Fields and check digits.
+* @private
+*/
+function _parseTwoLine(lines, now, {optionalEnd, composite = false}) {
+  const [line1, line2] = lines;
+  const {documentNumber, checkDigit, optionalData} = _longDocumentNumber(
+    line2.substring(0, 9), line2[9], line2.substring(28, optionalEnd));
+
+  const checkDigits = {
+    documentNumber: _check(documentNumber, checkDigit),
+    dateOfBirth: _check(line2.substring(13, 19), line2[19]),
+    dateOfExpiry: _check(line2.substring(21, 27), line2[27])
+  };
+  if(composite) {
+    checkDigits.composite = _check(
+      line2.substring(0, 10) + line2.substring(13, 20) +
+      line2.substring(21, optionalEnd), line2[optionalEnd]);
+  }
+
+  return {
+    fields: {
+      documentType: _documentType(line1.substring(0, 2)),
+      documentCode: _clean(line1.substring(0, 2)),
+      issuingState: _clean(line1.substring(2, 5)),
+      ..._names(line1.substring(5)),
+      documentNumber: _clean(documentNumber),
+      nationality: _clean(line2.substring(10, 13)),
+      dateOfBirth: _date(line2.substring(13, 19), 'birth', now),
+      sex: _sex(line2[20]),
+      dateOfExpiry: _date(line2.substring(21, 27), 'expiry', now),
+      optionalData: _clean(optionalData)
+    },
+    checkDigits
+  };
+}
+
+/**
+* Handle document numbers longer than nine characters, which continue in
+* the optional data field followed by their check digit.
+*
+* @param {string} number - First nine characters of the document number.
+* @param {string} checkDigit - Character in the check digit position.
+* @param {string} optional - Optional data field.
+*
+* @returns {object} `{documentNumber, checkDigit, optionalData}`.
+* @private
+*/
+function _longDocumentNumber(number, checkDigit, optional) {
+  if(checkDigit !== '<' || optional[0] === '<') {
+    return {documentNumber: number, checkDigit, optionalData: optional};
+  }
+  const end = optional.indexOf('<');
+  const tail = end === -1 ? optional : optional.substring(0, end);
+  return {
+    documentNumber: number + tail.slice(0, -1),
+    checkDigit: tail.slice(-1),
+    optionalData: end === -1 ? '' : optional.substring(end)
+  };
+}
+
+/**
+* Build a check digit result.
+*
+* @param {string} value - Characters covered by the check digit.
+* @param {string} checkDigit - Check digit character.
+* @param {object} [options] - Options of `verifyCheckDigit`.
+*
+* @returns {object} `{value, checkDigit, expected, valid}`.
+* @private
+*/
+function _check(value, checkDigit, options) {
+  const expected = computeCheckDigit(value);
+  return {
+    value,
+    checkDigit,
+    expected,
+    valid: verifyCheckDigit(value, checkDigit, options)
+  };
+}
+
+/**
+* Split the name field into primary and secondary identifiers.
+*
+* @param {string} value - Name field.
+*
+* @returns {object} `{lastName, firstName}`.
+* @private
+*/
+function _names(value) {
+  const [primary = '', ...secondary] = value.split('<<');
+  return {
+    lastName: _clean(primary),
+    firstName: _clean(secondary.join('<<')).replace(/\s{2,}/g, ' ')
+  };
+}
+
+/**
+* Convert a YYMMDD MRZ date to an ISO date.
+*
+* @param {string} value - Six digit date.
+* @param {string} kind - 'birth' or 'expiry'; decides the century.
+* @param {Date} now - Reference date.
+*
+* @returns {string} ISO date or '' when invalid.
+* @private
+*/
+function _date(value, kind, now) {
+  if(!/^\d{6}$/.test(value)) {
+    return '';
+  }
+  const yy = parseInt(value.substring(0, 2), 10);
+  const month = parseInt(value.substring(2, 4), 10);
+  const day = parseInt(value.substring(4, 6), 10);
+  const currentYear = now.getFullYear();
+  const century = Math.floor(currentYear / 100) * 100;
+  let year = century + yy;
+  if(kind === 'birth' && year > currentYear) {
+    // nobody is born in the future
+    year -= 100;
+  } else if(kind === 'expiry' && year > currentYear + 50) {
+    year -= 100;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if(date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return '';
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+* Convert the YYMM issue prefix of a French ID number to an ISO month.
+*
+* @param {string} value - Four digits.
+* @param {Date} now - Reference date; cards are issued in the past, like
+*   birth dates.
+*
+* @returns {string} ISO year and month (YYYY-MM) or ''.
+* @private
+*/
+function _issueMonth(value, now) {
+  if(!/^\d{4}$/.test(value)) {
+    return '';
+  }
+  return _date(`${value}01`, 'birth', now).slice(0, 7);
+}
+
+/**
+* Decode the sex field.
+*
+* @param {string} value - MRZ sex character.
+*
+* @returns {string} 'M', 'F' or 'X'.
+* @private
+*/
+function _sex(value) {
+  return value === 'M' || value === 'F' ? value : 'X';
+}
+
+/**
+* Map a document code to a document type.
+*
+* @param {string} code - Two character document code.
+*
+* @returns {string} 'P' (passport), 'V' (visa), 'I' / 'A' / 'C' (ID) etc.
+* @private
+*/
+function _documentType(code) {
+  return code[0];
+}
+
+/**
+* Replace fillers with spaces and trim.
+*
+* @param {string} value - MRZ field.
+*
+* @returns {string} Cleaned value.
+* @private
+*/
+function _clean(value) {
+  return value.replace(/</g, ' ').trim();
+}
+
+/**
+* Numeric value of an MRZ character for check digit computation.
+*
+* @param {string} char - MRZ character.
+*
+* @returns {number} Value (digits as-is, A=10 ... Z=35, filler 0).
+* @private
+*/
+function _charValue(char) {
+  if(char >= '0' && char <= '9') {
+    return char.charCodeAt(0) - 48;
+  }
+  if(char >= 'A' && char <= 'Z') {
+    return char.charCodeAt(0) - 55;
+  }
+  return 0;
+}
@@ -0,0 +1,604 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {decodeCBOR} from './cbor.js';
+import {getMissingSegments} from './structured-append.js';
+
+/**
+ * Reassembly of payloads too large for one QR code, shown as an animated
+ * sequence of codes. Two part formats are recognized:
+ *
+ * - UR (Uniform Resources, BCR-2020-005): `ur:<type>/<seq>-<count>/<words>`
+ *   parts of a fountain coded message, minimal bytewords encoded. Parts
+ *   past `<count>` mix several fragments, so any large enough subset of
+ *   parts rebuilds the message. Single-part `ur:<type>/<words>` codes are
+ *   complete on their own.
+ * - Simple chunks: `<index>/<count>/<crc32 hex>:<data>` with the CRC-32 of
+ *   the whole message. Chunks without it (`<index>/<count>:<data>`) cannot
+ *   tell two messages of the same part count apart, so they are only
+ *   gathered with the `allowUnverified` option.
+ * - QR Structured Append and Macro PDF417 symbols: results with a
+ *   `sequence` (see `readSequencedSymbols()`), joined in segment order.
+ *
+ * UR messages, CRC-32 chunked messages and QR Structured Append messages
+ * (whose `sequence.id` is the XOR parity of the message bytes) are
+ * verified before they are returned; `checksumVerified` tells whether a
+ * message was.
+ */
+
+// BCR-2020-012 bytewords; minimal encoding uses first and last letters
+const BYTEWORDS =
+  'ableacidalsoapexaquaarchatomauntawayaxisbackbaldbarnbeltbetabiasblue' +
+  'bodybragbrewbulbbuzzcalmcashcatschefcityclawcodecolacookcostcruxcurl' +
+  'cuspcyandarkdatadaysdelidicedietdoordowndrawdropdrumdulldutyeacheasy' +
+  'echoedgeepicevenexamexiteyesfactfairfernfigsfilmfishfizzflapflewflux' +
+  'foxyfreefrogfuelfundgalagamegeargemsgiftgirlglowgoodgraygrimgurugush' +
+  'gyrohalfhanghardhawkheathelphighhillholyhopehornhutsicedideaidleinch' +
+  'inkyintoirisironitemjadejazzjoinjoltjowljudojugsjumpjunkjurykeepkeno' +
+  'keptkeyskickkilnkingkitekiwiknoblamblavalazyleaflegsliarlimplionlist' +
+  'logoloudloveluaulucklungmainmanymathmazememomenumeowmildmintmissmonk' +
+  'nailnavyneednewsnextnoonnotenumbobeyoboeomitonyxopenovalowlspaidpart' +
+  'peckplaypluspoempoolposepuffpumapurrquadquizraceramprealredorichroad' +
+  'rockroofrubyruinrunsrustsafesagascarsetssilkskewslotsoapsolosongstub' +
+  'surfswantacotasktaxitenttiedtimetinytoiltombtoystriptunatwinuglyundo' +
+  'uniturgeuservastveryvetovialvibeviewvisavoidvowswallwandwarmwaspwave' +
+  'waxywebswhatwhenwhizwolfworkyankyawnyellyogayurtzapszerozestzinczone' +
+  'zoom';
+const MINIMAL_BYTEWORDS = new Map(Array.from({length: 256}, (_, byte) => [
+  BYTEWORDS[byte * 4] + BYTEWORDS[byte * 4 + 3], byte
+]));
+
+const UR_PART = /^ur:([a-z0-9-]+)\/(?:(\d+)-(\d+)\/)?([a-z]+)$/;
+const CHUNK_PART = /^(\d{1,4})\/(\d{1,4})(?:\/([0-9a-f]{8}))?:([\s\S]*)$/i;
+
+const UINT64 = (1n << 64n) - 1n;
+
+let _crcTable;
+
+/**
+* Reassembles the message of one multi-part sequence at a time; parts of a
+* different message start over.
+*/
+export class MultipartAssembler {
+  /**
+  * @param {object} [options] - Options.
+  * @param {boolean} [options.allowUnverified=false] - Also gather chunks
+  *  without a CRC-32; their messages resolve with `checksumVerified: false`
+  *  and may mix parts of messages with the same part count.
+  */
+  constructor({allowUnverified = false} = {}) {
+    this.allowUnverified = allowUnverified;
+    this.reset();
+  }
+
+  /**
+  * Progress of the message being assembled.
+  *
+  * @returns {object|null} `{protocol, type, received, total, percent,
+  *  missing}`: fragments recovered out of `total` and the indexes (from 0)
+  *  of those still missing; null before the first part. Until a Macro
+  *  PDF417 segment tells the segment count, `total` and `percent` are null
+  *  and `missing` runs up to the highest segment seen.
+  */
+  get progress() {
+    if(!this._message) {
+      return null;
+    }
+    const {protocol, type = null, total} = this._message;
+    const received = this._fragments.size;
+    return {
+      protocol,
+      type,
+      received,
+      total,
+      percent: total === null ? null : Math.floor(received / total * 100),
+      missing: getMissingSegments([...this._fragments.keys()], total)
+    };
+  }
+
+  /**
+  * Add a decoded code.
+  *
+  * @param {string|object} code - Decoded text, or a scan result; results
+  *  with a `sequence` are structured append segments.
+  *
+  * @returns {Promise<object|null>} Null when the code is not a part (or
+  *  is an unverified chunk without `allowUnverified`), otherwise
+  *  `{progress, duplicate, message}`; `duplicate` is true for
+  *  parts seen before and `message` is set once the message is complete:
+  *  `{protocol, type, text, bytes, checksumVerified}`.
+  */
+  async add(code) {
+    if(code?.sequence) {
+      return this._addSegments(code);
+    }
+    const part = parseMultipartPart(code?.text ?? code);
+    if(!part ||
+      (part.checksum === null && part.protocol === 'chunks' &&
+      !this.allowUnverified)) {
+      return null;
+    }
+    if(part.protocol === 'ur' && part.single) {
+      const message = _urMessage(part.type, part.data);
+      return {progress: null, duplicate: false, message};
+    }
+
+    const key = _messageKey(part);
+    // a chunk differing from the one received at its index is another
+    // message
+    const conflicting = part.protocol === 'chunks' &&
+      this._seen.has(part.id) &&
+      this._fragments.get(part.id - 1) !== part.data;
+    if(this._message?.key !== key || conflicting) {
+      this.reset();
+      this._message = {
+        key,
+        protocol: part.protocol,
+        type: part.type,
+        total: part.total,
+        checksum: part.checksum,
+        length: part.messageLength
+      };
+    }
+    if(this._seen.has(part.id)) {
+      return {progress: this.progress, duplicate: true, message: null};
+    }
+    this._seen.add(part.id);
+
+    if(part.protocol === 'ur') {
+      this._reduce({
+        indexes: await _chooseFragments(part.id, part.total, part.checksum),
+        data: part.data
+      });
+    } else {
+      this._fragments.set(part.id - 1, part.data);
+    }
+
+    const progress = this.progress;
+    if(this._fragments.size < part.total) {
+      return {progress, duplicate: false, message: null};
+    }
+    try {
+      return {progress, duplicate: false, message: this._complete()};
+    } finally {
+      this.reset();
+    }
+  }
+
+  /**
+  * Forget the message being assembled.
+  */
+  reset() {
+    this._message = null;
+    // fragment index => data
+    this._fragments = new Map();
+    // UR parts mixing fragments not recovered yet: {indexes, data}
+    this._mixed = [];
+    // ids of the parts received
+    this._seen = new Set();
+  }
+
+  /**
+  * Add the segments of a structured append result; a result merged by
+  * `mergeSequences()` carries several.
+  *
+  * @param {object} result - Result with a `sequence`.
+  *
+  * @returns {object} `{progress, duplicate, message}`.
+  * @private
+  */
+  _addSegments(result) {
+    const {format, text, sequence} = result;
+    const key = ['structured-append', format, sequence.id].join('|');
+    if(this._message?.key !== key) {
+      this.reset();
+      this._message = {
+        key,
+        protocol: 'structured-append',
+        type: format,
+        total: null,
+        // QR parity, as zxing-wasm reports it; PDF417 file IDs are no
+        // checksum
+        checksum: format === 'qr_code' && /^\d{1,3}$/.test(sequence.id) ?
+          Number(sequence.id) : null
+      };
+    }
+    // PDF417 segment counts are optional, any segment may tell it
+    this._message.total = sequence.size ?? this._message.total;
+
+    const segments = sequence.segments || [{index: sequence.index, text}];
+    const added = segments.filter(({index}) => !this._fragments.has(index));
+    for(const {index, text} of added) {
+      this._fragments.set(index, text);
+    }
+
+    const progress = this.progress;
+    const duplicate = added.length === 0;
+    const {total} = this._message;
+    if(total === null || this._fragments.size < total) {
+      return {progress, duplicate, message: null};
+    }
+    try {
+      return {progress, duplicate, message: this._complete()};
+    } finally {
+      this.reset();
+    }
+  }
+
+  /**
+  * Concatenate the fragments and verify the checksum.
+  *
+  * @returns {object} Message.
+  * @private
+  */
+  _complete() {
+    const {protocol, type, total, checksum, length} = this._message;
+    const fragments = Array.from({length: total},
+      (_, index) => this._fragments.get(index));
+    if(protocol === 'ur') {
+      const bytes = _concat(fragments).slice(0, length);
+      if(_crc32(bytes) !== checksum) {
+        throw new Error('UR message checksum mismatch.');
+      }
+      return _urMessage(type, bytes, {checksumVerified: true});
+    }
+    const text = fragments.join('');
+    if(protocol === 'structured-append') {
+      if(checksum !== null && !_parityMatches(text, checksum)) {
+        throw new Error('Structured append parity mismatch.');
+      }
+      return {
+        protocol,
+        type,
+        text,
+        bytes: null,
+        checksumVerified: checksum !== null
+      };
+    }
+    if(checksum !== null &&
+      _crc32(new TextEncoder().encode(text)) !== checksum) {
+      throw new Error('Chunked message checksum mismatch.');
+    }
+    return {
+      protocol,
+      type: null,
+      text,
+      bytes: null,
+      checksumVerified: checksum !== null
+    };
+  }
+
+  /**
+  * Add a fountain coded part: XOR out the fragments already recovered, and
+  * when a single fragment remains, recover it and reduce the mixed parts
+  * waiting for it.
+  *
+  * @param {object} part - `{indexes, data}`.
+  * @private
+  */
+  _reduce(part) {
+    const queue = [part];
+    while(queue.length > 0) {
+      let {indexes, data} = queue.shift();
+      for(const index of indexes) {
+        if(this._fragments.has(index)) {
+          data = _xor(data, this._fragments.get(index));
+        }
+      }
+      indexes = indexes.filter(index => !this._fragments.has(index));
+      if(indexes.length > 1) {
+        this._mixed.push({indexes, data});
+      } else if(indexes.length === 1) {
+        this._fragments.set(indexes[0], data);
+        const waiting = this._mixed.filter(
+          mixed => mixed.indexes.includes(indexes[0]));
+        this._mixed = this._mixed.filter(
+          mixed => !mixed.indexes.includes(indexes[0]));
+        queue.push(...waiting);
+      }
+    }
+  }
+}
+
+/**
+* Parse one part of a multi-part message.
+*
+* @param {string} text - Decoded text.
+*
+* @returns {object|null} `{protocol, type, id, total, checksum,
+*  messageLength, data, single}`, or null for other text. Corrupt UR parts
+*  throw.
+*/
+export function parseMultipartPart(text) {
+  if(typeof text !== 'string') {
+    return null;
+  }
+  // QR alphanumeric mode carries URs upper case
+  const ur = text.toLowerCase().match(UR_PART);
+  if(ur) {
+    const [, type, seq, count, words] = ur;
+    const bytes = _decodeBytewords(words);
+    if(!seq) {
+      return {protocol: 'ur', type, single: true, data: bytes};
+    }
+    const [id, total, messageLength, checksum, data] = decodeCBOR(bytes);
+    if(id !== Number(seq) || total !== Number(count) ||
+      !(data instanceof Uint8Array)) {
+      throw new Error('Invalid UR part.');
+    }
+    return {
+      protocol: 'ur', type, id, total, checksum, messageLength, data,
+      single: false
+    };
+  }
+  const chunk = text.match(CHUNK_PART);
+  if(chunk) {
+    const [, index, count, checksum, data] = chunk;
+    const id = Number(index);
+    const total = Number(count);
+    if(id < 1 || total < 2 || id > total) {
+      return null;
+    }
+    return {
+      protocol: 'chunks', type: null, id, total,
+      checksum: checksum ? parseInt(checksum, 16) : null,
+      messageLength: null, data, single: false
+    };
+  }
+  return null;
+}
+
+/**
+* Build a complete UR message.
+*
+* @param {string} type - UR type.
+* @param {Uint8Array} bytes - CBOR message.
+* @param {object} [options] - Options.
+* @param {boolean} [options.checksumVerified=true] - Whether a checksum was
+*  verified (bytewords carry one).
+*
+* @returns {object} Message; `text` is the single-part UR.
+* @private
+*/
+function _urMessage(type, bytes, {checksumVerified = true} = {}) {
+  return {
+    protocol: 'ur',
+    type,
+    text: `ur:${type}/${_encodeBytewords(bytes)}`,
+    bytes,
+    checksumVerified
+  };
+}
+
+/**
+* Identify the message a part belongs to.
+*
+* @param {object} part - Parsed part.
+*
+* @returns {string} Key.
+* @private
+*/
+function _messageKey(part) {
+  const {protocol, type, total, checksum, messageLength} = part;
+  return [protocol, type, total, checksum, messageLength].join('|');
+}
+
+/**
+* Choose the fragments a fountain coded part mixes (BCR-2020-005): parts up
+* to the fragment count carry one fragment each, later ones a random degree
+* of fragments seeded by the part number and message checksum.
+*
+* @param {number} seqNum - Part number, from 1.
+* @param {number} seqLength - Fragment count.
+* @param {number} checksum - Message CRC-32.
+*
+* @returns {Promise<number[]>} Fragment indexes.
+* @private
+*/
+async function _chooseFragments(seqNum, seqLength, checksum) {
+  if(seqNum <= seqLength) {
+    return [seqNum - 1];
+  }
+  const seed = new Uint8Array(8);
+  const view = new DataView(seed.buffer);
+  view.setUint32(0, seqNum);
+  view.setUint32(4, checksum);
+  const random = _createRandom(new Uint8Array(
+    await globalThis.crypto.subtle.digest('SHA-256', seed)));
+
+  const degree = _sampleAlias(
+    Array.from({length: seqLength}, (_, index) => 1 / (index + 1)),
+    random) + 1;
+  const remaining = Array.from({length: seqLength}, (_, index) => index);
+  const shuffled = [];
+  while(remaining.length > 0) {
+    shuffled.push(
+      remaining.splice(random.nextInt(0, remaining.length - 1), 1)[0]);
+  }
+  return shuffled.slice(0, degree);
+}
+
+/**
+* Create the Xoshiro256** generator of the UR fountain code.
+*
+* @param {Uint8Array} digest - 32 byte seed.
+*
+* @returns {object} `{nextDouble, nextInt}`.
+* @private
+*/
+function _createRandom(digest) {
+  const view = new DataView(digest.buffer, digest.byteOffset, 32);
+  const s = [0, 1, 2, 3].map(i => view.getBigUint64(i * 8));
+  const rotl = (x, k) => ((x << k) & UINT64) | (x >> (64n - k));
+  const next = () => {
+    const result = (rotl((s[1] * 5n) & UINT64, 7n) * 9n) & UINT64;
+    const t = (s[1] << 17n) & UINT64;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 45n);
+    return result;
+  };
+  const nextDouble = () => Number(next()) / 2 ** 64;
+  return {
+    nextDouble,
+    nextInt: (low, high) => Math.floor(nextDouble() * (high - low + 1)) + low
+  };
+}
+
+/**
+* Draw from a discrete distribution with Vose's alias method, as the UR
+* reference implementation does.
+*
+* @param {number[]} weights - Weights.
+* @param {object} random - Generator.
+*
+* @returns {number} Index drawn.
+* @private
+*/
+function _sampleAlias(weights, random) {
+  const n = weights.length;
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+  const scaled = weights.map(weight => weight * n / sum);
+  const probs = new Array(n);
+  const aliases = new Array(n);
+  const small = [];
+  const large = [];
+  for(let i = n - 1; i >= 0; --i) {
+    (scaled[i] < 1 ? small : large).push(i);
+  }
+  while(small.length > 0 && large.length > 0) {
+    const less = small.pop();
+    const more = large.pop();
+    probs[less] = scaled[less];
+    aliases[less] = more;
+    scaled[more] = (scaled[more] + scaled[less]) - 1;
+    (scaled[more] < 1 ? small : large).push(more);
+  }
+  for(const index of [...large, ...small]) {
+    probs[index] = 1;
+  }
+  const column = Math.floor(random.nextDouble() * n);
+  return random.nextDouble() < probs[column] ? column : aliases[column];
+}
+
+/**
+* Decode minimal bytewords and verify their CRC-32.
+*
+* @param {string} words - Two letters per byte, CRC-32 last.
+*
+* @returns {Uint8Array} Bytes without the checksum.
+* @private
+*/
+function _decodeBytewords(words) {
+  if(words.length % 2 !== 0 || words.length < 10) {
+    throw new Error('Invalid bytewords length.');
+  }
+  const bytes = new Uint8Array(words.length / 2);
+  for(let i = 0; i < bytes.length; ++i) {
+    const byte = MINIMAL_BYTEWORDS.get(words.slice(i * 2, i * 2 + 2));
+    if(byte === undefined) {
+      throw new Error('Invalid byteword.');
+    }
+    bytes[i] = byte;
+  }
+  const data = bytes.slice(0, -4);
+  const checksum = new DataView(bytes.buffer).getUint32(bytes.length - 4);
+  if(_crc32(data) !== checksum) {
+    throw new Error('Invalid bytewords checksum.');
+  }
+  return data;
+}
+
+/**
+* Encode minimal bytewords with a CRC-32.
+*
+* @param {Uint8Array} bytes - Bytes.
+*
+* @returns {string} Bytewords.
+* @private
+*/
+function _encodeBytewords(bytes) {
+  const checksum = new Uint8Array(4);
+  new DataView(checksum.buffer).setUint32(0, _crc32(bytes));
+  return Array.from(_concat([bytes, checksum]), byte =>
+    BYTEWORDS[byte * 4] + BYTEWORDS[byte * 4 + 3]).join('');
+}
+
+/**
+* Compute a CRC-32 (ISO-HDLC, as zlib).
+*
+* @param {Uint8Array} bytes - Bytes.
+*
+* @returns {number} Unsigned CRC-32.
+* @private
+*/
+function _crc32(bytes) {
+  if(!_crcTable) {
+    _crcTable = Array.from({length: 256}, (_, n) => {
+      let c = n;
+      for(let k = 0; k < 8; ++k) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      return c >>> 0;
+    });
+  }
+  let crc = 0xffffffff;
+  for(const byte of bytes) {
+    crc = _crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+* Check the QR Structured Append parity of a message: the XOR of its bytes,
+* in UTF-8 or, as byte mode defaults to, ISO-8859-1.
+*
+* @param {string} text - Message.
+* @param {number} parity - Parity byte.
+*
+* @returns {boolean} True if either encoding matches.
+* @private
+*/
+function _parityMatches(text, parity) {
+  const xor = bytes => bytes.reduce((result, byte) => result ^ byte, 0);
+  if(xor(new TextEncoder().encode(text)) === parity) {
+    return true;
+  }
+  const latin1 = Array.from(text, char => char.charCodeAt(0));
+  return latin1.every(code => code <= 0xff) && xor(latin1) === parity;
+}
+
+/**
+* XOR two byte arrays of the same length.
+*
+* @param {Uint8Array} a - Bytes.
+* @param {Uint8Array} b - Bytes.
+*
+* @returns {Uint8Array} New bytes.
+* @private
+*/
+function _xor(a, b) {
+  return a.map((byte, index) => byte ^ b[index]);
+}
+
+/**
+* Concatenate byte arrays.
+*
+* @param {Uint8Array[]} chunks - Byte arrays.
+*
+* @returns {Uint8Array} Bytes.
+* @private
+*/
+function _concat(chunks) {
+  const bytes = new Uint8Array(
+    chunks.reduce((length, chunk) => length + chunk.length, 0));
+  let offset = 0;
+  for(const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
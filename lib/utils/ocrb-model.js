@@ -0,0 +1,137 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Bundled OCR-B glyph model for the local MRZ engine.
+ *
+ * Each glyph is one or more 12x16 bitmaps of the character in a frame as
+ * tall as the cap height and 0.72 times as wide, centered on the character.
+ * Rows are stored top to bottom as three hex digits each, most significant
+ * bit on the left. Variants were averaged from MRZ samples printed in
+ * different OCR-B renditions; J, Q and W were drawn to match.
+ */
+export const ocrbModel = {
+  width: 12,
+  height: 16,
+  glyphs: {
+    0: '3fc7fe70e606e06e07e07e07e07e07e0760670e79e3fc1f8',
+    1: [
+      '03c07c0fc1dc39c31c01c01c01c01c01c03c01c01c01c01c',
+      '07c0fc1dc19c31c01c01c01801c01801c01c01c01801c010'
+    ],
+    2: [
+      '7f87fc60e00e00e01e03c0781f01e03807007007007fe7fc',
+      '3fc7fc60e00e00600e01c0f80f03c03807006007fe7fe7fe',
+      '3fc7fe40e00600600e01e07c0f01c03807007007fe7fe442',
+      '7fc7bc41e00e00e01e01c0f81f03c07807007007907fe490'
+    ],
+    3: [
+      '7fe7fe01c0380700f01f81fc01e00e00700600e7be7fc3f0',
+      'ffe43e03c0780f01f01fc03e00e00600600e43effc7e0000'
+    ],
+    4: [
+      '0700e00e01c01c03c0380738738638ffeffe7fe038038038',
+      '0700700e00e00c01c038039039c71c71c7ff7fe01c01c01c',
+      '0700e00c00c01c018039031871c6187fefff01801c018010'
+    ],
+    5: [
+      '7fe7fc7007007007f07fc03c00e00e00e00e01c7f87f0780',
+      '7fe3007007007e07f86fc00e00e00e00e01e03c7f8780000'
+    ],
+    6: [
+      '0380700e01e03c03f87fc79e70ee07e07f0f70e3fc1f80f0',
+      '0780700e01c03807f87fcf9ef0ee06e07e0670e7fe1f8000',
+      '03c0f00e01c03e07fc7fef1e606606e0760671e7fe3fc000',
+      '03c0700e00e03c03907fc79ef0e606606e0770e79e3fc0f0'
+    ],
+    7: 'fff7ff00e01c03c0380700e00e01e01c01c01c01c01c0180',
+    8: '3fc7be70e70e39c3f80f83fc79e706e07e0770e7fe3fc0f0',
+    9: [
+      '1f87fc70e707e07e0770f79e7fe3fe03c0380700600e03c0',
+      '3fc7fe70ee06e07e0770e7fe3fe1fc03c0780700e01c0380'
+    ],
+    A: '0f00f01f81f81f81d839c39c39c7fe7fe70e70ee07e07e07',
+    B: [
+      'ff8ffce1ee0ee07e0ee1effcffee1fe07e07e07e0effeff8',
+      'ff8ffce1ee0ee0ee0effeffcffee0fe07e07e0fffeffc000'
+    ],
+    C: [
+      '0f81fc3de38e70070070070070070070070c38e3fc1fc070',
+      '0f81fc3ce38e70070070070070070070038e1de1fc0f8000'
+    ],
+    D: '7e07f07f873c61c70e70e60e60670e60e61e73c7f87f07c0',
+    E: [
+      '7fe7fe7007007007007007fc7fc7007007007007007fe7fe',
+      'ffeffef00f00f00f00ffcffeffcf00f00f00f00ffeffffff',
+      '7fe3fe7483007003003487fc3487003007003003fe7fe000'
+    ],
+    F: [
+      '3fc3fe3fc3803803803803fc3f8380380380380380380300',
+      '3fc3fc7fc7807803007f87f83f8700780300780780300000',
+      '3fc3fc7903007803007f83f8390780300780300780300000'
+    ],
+    G: [
+      '0fc3fe3ce702700600e0067ee7ee0660670678e3fe1fe040',
+      '1fe3fe7cf700700600e00e7fe7fe077077077873ff3ff0fc',
+      '1fc3fe7cf707f00f00f00e3fe3ff3ff077077873ff1ff0fe'
+    ],
+    H: [
+      '70e70e70e70e70e70e7fe7fe7fe70e70e70e70e70e70e000',
+      '70e60660670e60660674e7fe7fe70e60660670e606606606',
+      'e07606606606e0760679e7fefff606606606e07606606606'
+    ],
+    I: [
+      '3fc3fc0f00f00f00f00f00f00f00f00f00f00f00f07fe7fe',
+      '3fc1fc0700f00e00600e00600e00e00e00600f03fc3fc108'
+    ],
+    J: '01e01e00c00e00e00e00e00e00e00e00e70e70e3fc1f8000',
+    K: 'e0fe1ee3ce78ef0fc0f80f80fc0fe0ee0e78e3ce1ee0f000',
+    L: [
+      'f00f00f00f00f00f00f00f00f00f00f00f00f00f00ffffff',
+      '600600600f00600600f00600600f00600600600fff7fe000'
+    ],
+    M: 'f0ff9ff9ff9fffffffff7ef7ef7e67e67e07e07e07e07e07',
+    N: [
+      'f07f07f87f87fc7fc7ee7ef7e77e7fe3fe1fe1fe1fe0fe0f',
+      'f06f06786fc67c6fc6ee6e66676e3e63ee3ee1ee0e60e402',
+      'f077077877877c77e76e7667e7763763f63f61f61f60f60e',
+      '7067067867867c66c66e66f667663663e61e61e60e60e606'
+    ],
+    O: [
+      '1f83fc79e70ef0fe07e07e07e07e07e0ff0e70e7fc3fc1f0',
+      '0f03fc39c70e70e606e07606e0760670e70e39c3fc0f0000'
+    ],
+    P: [
+      'ffcffee1ee07e07e07e0effeffce00e00e00e00e00e00e00',
+      'ffcffee1ee07e07e0fffeffeff8e00e00e00e00e00e00e00'
+    ],
+    Q: '1f03fc39c70e706e06e07e07e0760662673c71c3fe1fb000',
+    R: 'ff8ffce3ce0ee0ee0ef3cffcff0e70e38e38e1ce1ce0e60e',
+    S: [
+      '1f83fc39e70e7047803e01f807c01e00e60e70e7fe3fc0b0',
+      '1f83fc79e70e7003c01f00f803c00e00e70e7fe3f81f0000'
+    ],
+    T: [
+      'fff7fe060060060060060060060060060060060060060000',
+      'ffffff0e00e00e00e00e00e00e00e00e00e00e00e00e00e0'
+    ],
+    U: [
+      '60660660660660660660660660660660660670e79e3fc0f0',
+      'e07e07e07e07e07e07e07e07e07e07e07e07f077fe3fe1fc'
+    ],
+    V: 'e07e07607f0f70e30e30e30c38c19c19c1d81f80f80f00f0',
+    W: 'e07e07e07e07e07e67e67ef7ef7fffffff9ff9ff0fe07c03',
+    X: '70e70e39c3dc1f80f80f00f00f00f81f83dc79e70e70e000',
+    Y: [
+      '70e79e39c3dc1f81f80f00f0060060060060060060060000',
+      'e0770e70e39c3fc1f81f80f00f00f00f00f00f00f00f00f0'
+    ],
+    Z: '7fc7fc03c0380380700700e00e01c01c03803807fe7fe000',
+    '<': [
+      '00000000100300f07f1fc7e0fc07e01f807e01f007001000',
+      '00000000100703f0fe3f8fc0fc03f00fc03f00f003000000',
+      '00000100701f07f1fc7f0fc0fe01f807e03f00f003000000'
+    ]
+  }
+};
@@ -0,0 +1,100 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  adaptiveThreshold,
+  deskew,
+  downscale,
+  equalize,
+  grayscale,
+  invert,
+  sharpen,
+  stretchContrast
+} from './image-transforms.js';
+
+/**
+ * Preprocessing pipeline for low-quality captures (glare, low contrast,
+ * tilted photos), run on the CPU before a plugin decodes the image.
+ *
+ * A pipeline is a list of steps applied in order. A step is the name of a
+ * built-in step, `{name, ...options}` to pass it options, or a function
+ * `(imageData) => {imageData, toSource}` for custom steps:
+ *
+ * - 'grayscale': luminance only.
+ * - 'threshold': adaptive (local mean) binarization; `windowSize`, `bias`.
+ * - 'contrast': stretch the luminance range; `clip`.
+ * - 'clahe': contrast limited adaptive histogram equalization; `tiles`,
+ *   `clipLimit`.
+ * - 'sharpen': unsharp mask; `amount`.
+ * - 'invert': light codes on dark backgrounds.
+ * - 'downscale': limit the image size; `maxSide`.
+ * - 'deskew': rotate skewed content upright, or warp the quadrilateral
+ *   given as `corners` upright; `maxAngle`, `minAngle`.
+ */
+
+const STEPS = new Map([
+  ['grayscale', imageData => grayscale(imageData)],
+  ['threshold', adaptiveThreshold],
+  ['contrast', stretchContrast],
+  ['clahe', equalize],
+  ['sharpen', sharpen],
+  ['invert', imageData => invert(imageData)],
+  ['downscale', downscale],
+  ['deskew', deskew]
+]);
+
+/**
+* Run a preprocessing pipeline.
+*
+* @param {ImageData} imageData - Source pixels.
+* @param {Array<string|object|Function>} steps - Pipeline steps.
+*
+* @returns {object} `{imageData, toSource}` where `toSource(point)` maps a
+*  point of the preprocessed image back to the source image.
+*/
+export function preprocessImage(imageData, steps) {
+  if(!Array.isArray(steps)) {
+    throw new TypeError('"steps" must be an array.');
+  }
+  const mappings = [];
+  let current = imageData;
+  for(const step of steps) {
+    const {imageData: next, toSource} = _getStep(step)(current);
+    mappings.push(toSource);
+    current = next;
+  }
+  return {
+    imageData: current,
+    toSource: point => mappings.reduceRight(
+      (mapped, toSource) => toSource(mapped), point)
+  };
+}
+
+/**
+* Get the names of the built-in steps.
+*
+* @returns {string[]} Step names.
+*/
+export function getPreprocessSteps() {
+  return [...STEPS.keys()];
+}
+
+/**
+* Resolve a step to a transform.
+*
+* @param {string|object|Function} step - Pipeline step.
+*
+* @returns {Function} `(imageData) => {imageData, toSource}`.
+* @private
+*/
+function _getStep(step) {
+  if(typeof step === 'function') {
+    return step;
+  }
+  const {name, ...options} = typeof step === 'string' ? {name: step} : step;
+  const transform = STEPS.get(name);
+  if(!transform) {
+    throw new TypeError(`Unknown preprocessing step: ${name}`);
+  }
+  return imageData => transform(imageData, options);
+}
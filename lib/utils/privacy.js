@@ -0,0 +1,372 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {clearCanvas} from './image.js';
+import {computeAge} from './dl-normalize.js';
+
+/**
+ * Result privacy: field-level policies that keep, mask, hash or remove the
+ * personal data in scan results (MRZ, driver license and boarding pass
+ * fields and raw payloads), optionally replacing it with derived values
+ * such as `ageOver21`, and `wipe()` to clear results and pixel buffers
+ * that are no longer needed.
+ *
+ * A policy is `{fields, elements, derive, salt}`:
+ * - `fields` maps field names, wherever they appear in a result, to an
+ *   action: 'keep', 'mask' (asterisks, keeping the last 4 characters of
+ *   longer values other than dates), 'hash' (`sha256:` hex digest of `salt`
+ *   plus the value) or 'remove'.
+ * - `elements` is the action for AAMVA element IDs, standard (`DAQ`, `DBK`,
+ *   the SSN) or not (permit `PAC`, jurisdiction-specific `ZVA`).
+ * - `derive` adds `derived: {ageOver18, ageOver21, isExpired}` computed
+ *   before any field is removed.
+ * - `salt` is prefixed to hashed values; use a per-deployment secret, since
+ *   document numbers are easy to guess.
+ */
+
+// fields identifying the holder of a document, including dates derived
+// from the date of birth (`under21Until`), values quoted from it (MRZ
+// check digit inputs and cross-check `mismatches`) and the itinerary of a
+// boarding pass (its `legs`, bag tags, airline and security data)
+export const personalFields = Object.freeze([
+  'documentNumber', 'personalNumber', 'optionalData', 'optionalData2',
+  'firstName', 'lastName', 'middleName', 'fullName', 'suffix', 'nameSuffix',
+  'dateOfBirth', 'dateOfExpiry', 'issueDate', 'expirationDate',
+  'hazmatExpirationDate', 'under18Until', 'under19Until', 'under21Until',
+  'ambiguousDates', 'age', 'sex', 'nationality', 'address', 'heightCm',
+  'height', 'weight', 'eyeColor', 'hairColor', 'documentDiscriminator',
+  'inventoryControlNumber', 'composite', 'mismatches', 'passengerName',
+  'pnr', 'frequentFlyerNumber', 'legs', 'baggageTag', 'baggageTag2',
+  'baggageTag3', 'airlineData', 'security'
+]);
+
+// decoded payloads, engine results and raw data elements holding the same
+// personal data unparsed
+export const payloadFields = Object.freeze([
+  'text', 'rawValue', 'rawData', 'rawMRZ', 'mrzText', 'barcodeText', 'raw',
+  'rawBytes', 'lines', 'characters', 'originalResult', 'elements',
+  'subfiles', 'jurisdictionFields', 'payload'
+]);
+
+export const privacyActions = Object.freeze(['keep', 'mask', 'hash', 'remove']);
+
+export const privacyPolicies = Object.freeze({
+  // results as decoded
+  full: Object.freeze({fields: {}, elements: 'keep', derive: false}),
+  // personal fields masked, raw payloads removed
+  redacted: Object.freeze({
+    fields: _actions({mask: personalFields, remove: payloadFields}),
+    elements: 'remove',
+    derive: true
+  }),
+  // derived values and a hashed document number only
+  minimal: Object.freeze({
+    fields: _actions({
+      remove: [...personalFields, ...payloadFields],
+      hash: ['documentNumber']
+    }),
+    elements: 'remove',
+    derive: true
+  })
+});
+
+// element IDs of the AAMVA CDS (`DAQ`, `PAC`) and of `ZxX` subfiles (`ZVA`)
+const AAMVA_ELEMENT = /^[A-Z]{3}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MASK_VISIBLE = 4;
+
+/**
+* Apply a privacy policy to a scan result. The result is not modified; pass
+* the original to `wipe()` once the protected copy is made.
+*
+* @param {object} result - Scan result (or any object holding results).
+* @param {string|object} [policy='full'] - Name of one of `privacyPolicies`
+*  or a policy object.
+* @param {object} [options] - Options.
+* @param {Date} [options.now=new Date()] - Reference date for derived
+*  values.
+*
+* @returns {Promise<object>} Protected copy of the result.
+*/
+export async function applyPrivacyPolicy(result, policy = 'full', {
+  now = new Date()
+} = {}) {
+  policy = resolvePrivacyPolicy(policy);
+  const derived = policy.derive ? deriveValues(result, {now}) : null;
+  const protectedResult = await _protect(result, policy);
+  if(derived && _isPlainObject(protectedResult)) {
+    protectedResult.derived = derived;
+  }
+  return protectedResult;
+}
+
+/**
+* Resolve a policy name or object to a complete policy.
+*
+* @param {string|object} policy - Name of one of `privacyPolicies` or a
+*  policy object.
+*
+* @returns {object} Policy `{fields, elements, derive, salt}`.
+*/
+export function resolvePrivacyPolicy(policy) {
+  if(typeof policy === 'string') {
+    if(!privacyPolicies[policy]) {
+      throw new Error(`Unknown privacy policy: ${policy}`);
+    }
+    policy = privacyPolicies[policy];
+  }
+  const {fields = {}, elements = 'keep', derive = false, salt = ''} =
+    policy || {};
+  for(const action of [...Object.values(fields), elements]) {
+    if(!privacyActions.includes(action)) {
+      throw new Error(`Unknown privacy action: ${action}`);
+    }
+  }
+  return {fields, elements, derive, salt};
+}
+
+/**
+* Compute values that answer common questions without revealing the
+* underlying fields, from the first date of birth and expiry date found in
+* a result.
+*
+* @param {object} result - Scan result.
+* @param {object} [options] - Options.
+* @param {Date} [options.now=new Date()] - Reference date.
+*
+* @returns {object} `{ageOver18, ageOver21, isExpired}`; null where the
+*  result has no such date.
+*/
+export function deriveValues(result, {now = new Date()} = {}) {
+  const dateOfBirth = _findDate(result, ['dateOfBirth']);
+  const expiry = _findDate(result, ['dateOfExpiry', 'expirationDate']);
+  const age = computeAge(dateOfBirth, now);
+  const today = [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, '0'),
+    String(now.getDate()).padStart(2, '0')
+  ].join('-');
+  return {
+    ageOver18: age === null ? null : age >= 18,
+    ageOver21: age === null ? null : age >= 21,
+    isExpired: expiry ? expiry < today : null
+  };
+}
+
+/**
+* Clear a value in place: objects and arrays are emptied recursively, typed
+* arrays (such as `ImageData` pixels) are zero-filled and canvases are
+* cleared. Strings cannot be overwritten in JavaScript; dropping the last
+* reference to them is all that can be done.
+*
+* @param {*} value - Value to wipe.
+*/
+export function wipe(value) {
+  _wipe(value, new Set());
+}
+
+/**
+* Check whether a result key is an AAMVA element ID, which policies handle
+* with their `elements` action.
+*
+* @param {string} key - Key.
+*
+* @returns {boolean} True for element IDs.
+*/
+export function isAamvaElement(key) {
+  return AAMVA_ELEMENT.test(key);
+}
+
+/**
+* Copy a value applying field actions.
+*
+* @param {*} value - Value.
+* @param {object} policy - Resolved policy.
+*
+* @returns {Promise<*>} Protected copy.
+* @private
+*/
+async function _protect(value, policy) {
+  if(Array.isArray(value)) {
+    return Promise.all(value.map(item => _protect(item, policy)));
+  }
+  if(!_isPlainObject(value)) {
+    return value;
+  }
+  const copy = {};
+  for(const [key, item] of Object.entries(value)) {
+    const action = policy.fields[key] ??
+      (isAamvaElement(key) ? policy.elements : 'keep');
+    switch(action) {
+      case 'remove':
+        break;
+      case 'mask':
+        copy[key] = _mask(item);
+        break;
+      case 'hash':
+        copy[key] = await _hash(item, policy.salt);
+        break;
+      default:
+        copy[key] = await _protect(item, policy);
+    }
+  }
+  return copy;
+}
+
+/**
+* Mask all but the last characters of strings, recursively. Dates are masked
+* entirely, since their last characters are the month and day.
+*
+* @param {*} value - Value.
+*
+* @returns {*} Masked value; non-string leaves become null.
+* @private
+*/
+function _mask(value) {
+  if(typeof value === 'string') {
+    const visible = value.length > MASK_VISIBLE * 2 && !ISO_DATE.test(value) ?
+      MASK_VISIBLE : 0;
+    return '*'.repeat(value.length - visible) +
+      value.slice(value.length - visible);
+  }
+  if(Array.isArray(value)) {
+    return value.map(_mask);
+  }
+  if(_isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .map(([key, item]) => [key, _mask(item)]));
+  }
+  return value === undefined ? undefined : null;
+}
+
+/**
+* Hash a value with SHA-256.
+*
+* @param {*} value - Value; non-strings are hashed as JSON.
+* @param {string} salt - Prefix.
+*
+* @returns {Promise<string|null>} `sha256:<hex>`, or null for empty
+*  values.
+* @private
+*/
+async function _hash(value, salt) {
+  if(value === undefined || value === null || value === '') {
+    return null;
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const bytes = new TextEncoder().encode(salt + text);
+  const digest = new Uint8Array(
+    await globalThis.crypto.subtle.digest('SHA-256', bytes));
+  return 'sha256:' +
+    Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+* Find the first ISO date stored under one of the given keys.
+*
+* @param {*} value - Value to search.
+* @param {string[]} keys - Field names.
+*
+* @returns {string|null} ISO date.
+* @private
+*/
+function _findDate(value, keys) {
+  if(Array.isArray(value)) {
+    for(const item of value) {
+      const date = _findDate(item, keys);
+      if(date) {
+        return date;
+      }
+    }
+    return null;
+  }
+  if(!_isPlainObject(value)) {
+    return null;
+  }
+  for(const key of keys) {
+    if(/^\d{4}-\d{2}-\d{2}$/.test(value[key])) {
+      return value[key];
+    }
+  }
+  for(const item of Object.values(value)) {
+    const date = _findDate(item, keys);
+    if(date) {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+* Wipe a value, visiting shared objects once.
+*
+* @param {*} value - Value.
+* @param {Set} seen - Visited objects.
+* @private
+*/
+function _wipe(value, seen) {
+  if(value === null || typeof value !== 'object' || seen.has(value)) {
+    return;
+  }
+  seen.add(value);
+  if(ArrayBuffer.isView(value)) {
+    // DataView has no fill()
+    value.fill?.(0);
+    return;
+  }
+  if(typeof value.getContext === 'function' && 'width' in value) {
+    clearCanvas(value);
+    return;
+  }
+  if(typeof ImageData !== 'undefined' && value instanceof ImageData) {
+    value.data.fill(0);
+    return;
+  }
+  if(Array.isArray(value)) {
+    value.forEach(item => _wipe(item, seen));
+    value.length = 0;
+    return;
+  }
+  if(!_isPlainObject(value)) {
+    return;
+  }
+  for(const key of Object.keys(value)) {
+    _wipe(value[key], seen);
+    delete value[key];
+  }
+}
+
+/**
+* Build a `fields` map from lists of field names per action; later lists
+* win.
+*
+* @param {object} lists - Field names by action.
+*
+* @returns {object} Frozen field actions.
+* @private
+*/
+function _actions(lists) {
+  const fields = {};
+  for(const [action, names] of Object.entries(lists)) {
+    for(const name of names) {
+      fields[name] = action;
+    }
+  }
+  return Object.freeze(fields);
+}
+
+/**
+* Check for an object literal.
+*
+* @param {*} value - Value.
+*
+* @returns {boolean} True for plain objects.
+* @private
+*/
+function _isPlainObject(value) {
+  if(value === null || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
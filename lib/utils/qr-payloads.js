@@ -0,0 +1,393 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {decodeCBOR} from './cbor.js';
+
+/**
+ * Registry of decoders for QR code payloads, so wallets get typed
+ * credential data instead of raw text.
+ *
+ * A decoder is `{type, decode}`: `decode(text)` returns the decoded payload
+ * (or a promise of it), or null when the text is not of its type. Decoders
+ * registered later are tried first, so apps can override the built-in ones:
+ *
+ * - 'vc-qr': `VC1-` prefixed base32 CBOR-LD (VC-QR), decoded to
+ *   `{bytes, cbor}`; expand `bytes` with a CBOR-LD library and document
+ *   loader of your choice.
+ * - 'did': DIDs and DID URLs, decoded to `{did, method, id, path, query,
+ *   fragment}`.
+ * - 'credential-offer': OpenID for Verifiable Credential Issuance offers
+ *   (`openid-credential-offer://` or https URLs with a `credential_offer` or
+ *   `credential_offer_uri` parameter), decoded to `{url, offer, offerUri}`.
+ * - 'base45': base45 text holding zlib or gzip compressed data, optionally
+ *   behind a context prefix such as `HC1:`, decoded to `{prefix,
+ *   compression, bytes, cbor}`; `cbor` is null unless the data is CBOR.
+ * - 'multibase': multibase encoded data of at least 16 bytes starting with
+ *   a recognized multicodec prefix, decoded to `{encoding, bytes, codec,
+ *   data}` where `data` follows the prefix. Other multibase looking text
+ *   (such as long words) is left as text.
+ */
+
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const BASE45 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// multibase prefixes: [encoding, alphabet pattern, decode]
+const MULTIBASES = {
+  z: ['base58btc', /^[1-9A-HJ-NP-Za-km-z]+$/, text => _decodeBase58(text)],
+  u: ['base64url', /^[A-Za-z0-9_-]+$/, text => _decodeBase64(text)],
+  m: ['base64', /^[A-Za-z0-9+/]+$/, text => _decodeBase64(text)],
+  b: ['base32', /^[a-z2-7]+$/, text => _decodeBase32(text.toUpperCase())],
+  B: ['base32upper', /^[A-Z2-7]+$/, text => _decodeBase32(text)],
+  f: ['base16', /^(?:[0-9a-f]{2})+$/, text => _decodeHex(text)],
+  F: ['base16upper', /^(?:[0-9A-F]{2})+$/, text => _decodeHex(text)]
+};
+const MIN_MULTIBASE_BYTES = 16;
+
+// DID, then optional path, query and fragment
+const DID_URL = new RegExp(
+  '^(did:([a-z0-9]+):([A-Za-z0-9._%-]+(?::[A-Za-z0-9._%-]+)*))' +
+  '([^?#]*)(?:\\?([^#]*))?(?:#(.*))?$');
+
+// multicodec prefixes of common key and data types
+const MULTICODECS = new Map([
+  [0x51, 'cbor'],
+  [0xe7, 'secp256k1-pub'],
+  [0xeb, 'bls12_381-g2-pub'],
+  [0xed, 'ed25519-pub'],
+  [0x1200, 'p256-pub'],
+  [0x1201, 'p384-pub']
+]);
+
+const _decoders = new Map();
+
+/**
+* Register a payload decoder, replacing any decoder of the same type.
+*
+* @param {object} decoder - Decoder definition.
+* @param {string} decoder.type - Payload type reported for matches.
+* @param {Function} decoder.decode - `(text) => decoded | null`, may be
+*   async; returns null when the text is not of this type.
+*/
+export function registerPayloadDecoder(decoder) {
+  const {type, decode} = decoder || {};
+  if(typeof type !== 'string' || !type) {
+    throw new TypeError('"type" must be a non-empty string.');
+  }
+  if(typeof decode !== 'function') {
+    throw new TypeError('"decode" must be a function.');
+  }
+  // re-registering moves the decoder to the front
+  _decoders.delete(type);
+  _decoders.set(type, {type, decode});
+}
+
+/**
+* Remove a payload decoder.
+*
+* @param {string} type - Payload type.
+*
+* @returns {boolean} True if a decoder was removed.
+*/
+export function unregisterPayloadDecoder(type) {
+  return _decoders.delete(type);
+}
+
+/**
+* Find the decoder of a payload type.
+*
+* @param {string} type - Payload type.
+*
+* @returns {object|null} Decoder or null.
+*/
+export function getPayloadDecoder(type) {
+  return _decoders.get(type) || null;
+}
+
+/**
+* Decode a QR payload with the first decoder that recognizes it.
+*
+* @param {string} text - Decoded QR text.
+*
+* @returns {Promise<object>} `{type, decoded}`; `type` is 'text' and
+*   `decoded` the text itself when no decoder recognizes it. When the
+*   recognizing decoder fails, `decoded` is null and `error` tells why.
+*/
+export async function decodePayload(text) {
+  for(const {type, decode} of [..._decoders.values()].reverse()) {
+    let decoded;
+    try {
+      decoded = await decode(text);
+    } catch(error) {
+      return {type, decoded: null, error: error.message};
+    }
+    if(decoded !== null && decoded !== undefined) {
+      return {type, decoded};
+    }
+  }
+  return {type: 'text', decoded: text};
+}
+
+// ===== BUILT-IN DECODERS =====
+// registered from least to most specific
+
+registerPayloadDecoder({
+  type: 'multibase',
+  decode(text) {
+    const [encoding, pattern, decode] = MULTIBASES[text[0]] || [];
+    const body = text.slice(1);
+    if(!encoding || !pattern.test(body)) {
+      return null;
+    }
+    // plain words may look like multibase; only longer data counts
+    const bytes = _tryDecode(decode, body);
+    if(!bytes || bytes.length < MIN_MULTIBASE_BYTES) {
+      return null;
+    }
+    // random tokens of the right alphabet rarely start with a codec
+    const [code, length] = _readVarint(bytes);
+    const codec = MULTICODECS.get(code);
+    if(!codec) {
+      return null;
+    }
+    return {encoding, bytes, codec, data: bytes.slice(length)};
+  }
+});
+
+registerPayloadDecoder({
+  type: 'base45',
+  async decode(text) {
+    const [, prefix = null, body] =
+      text.match(/^(?:([A-Z0-9]{1,8}):)?([0-9A-Z $%*+\-./:]+)$/) || [];
+    if(!body || body.length % 3 === 1) {
+      return null;
+    }
+    // upper case text may look like base45; only compressed data counts
+    const compressed = _tryDecode(_decodeBase45, body) || [];
+    const compression = compressed[0] === 0x78 ? 'deflate' :
+      compressed[0] === 0x1f && compressed[1] === 0x8b ? 'gzip' : null;
+    if(!compression) {
+      return null;
+    }
+    const bytes = await _decompress(compressed, compression);
+    return {prefix, compression, bytes, cbor: _tryCBOR(bytes)};
+  }
+});
+
+registerPayloadDecoder({
+  type: 'credential-offer',
+  decode(text) {
+    if(!/^(openid-credential-offer|https):\/\//.test(text) ||
+      !URL.canParse(text)) {
+      return null;
+    }
+    const url = new URL(text);
+    const offer = url.searchParams.get('credential_offer');
+    const offerUri = url.searchParams.get('credential_offer_uri');
+    if(offer === null && offerUri === null) {
+      return null;
+    }
+    return {
+      url: text,
+      offer: offer === null ? null : JSON.parse(offer),
+      offerUri
+    };
+  }
+});
+
+registerPayloadDecoder({
+  type: 'did',
+  decode(text) {
+    const match = text.match(DID_URL);
+    if(!match) {
+      return null;
+    }
+    const [, did, method, id, path, query = null, fragment = null] = match;
+    return {did, method, id, path: path || null, query, fragment};
+  }
+});
+
+registerPayloadDecoder({
+  type: 'vc-qr',
+  decode(text) {
+    const [, body] = text.match(/^VC1-([A-Z2-7]+)$/) || [];
+    if(!body) {
+      return null;
+    }
+    const bytes = _decodeBase32(body);
+    return {bytes, cbor: decodeCBOR(bytes)};
+  }
+});
+
+/**
+* Decode text, if it is valid for the decoder.
+*
+* @param {Function} decode - Decoder.
+* @param {string} text - Text.
+*
+* @returns {Uint8Array|null} Bytes, or null.
+* @private
+*/
+function _tryDecode(decode, text) {
+  try {
+    return decode(text);
+  } catch(e) {
+    return null;
+  }
+}
+
+/**
+* Decode CBOR, if the bytes are CBOR.
+*
+* @param {Uint8Array} bytes - Bytes.
+*
+* @returns {*} Decoded value, or null.
+* @private
+*/
+function _tryCBOR(bytes) {
+  try {
+    return decodeCBOR(bytes);
+  } catch(e) {
+    return null;
+  }
+}
+
+/**
+* Decompress bytes with a `DecompressionStream`.
+*
+* @param {Uint8Array} bytes - Compressed bytes.
+* @param {string} format - 'deflate' (zlib) or 'gzip'.
+*
+* @returns {Promise<Uint8Array>} Decompressed bytes.
+* @private
+*/
+async function _decompress(bytes, format) {
+  const stream = new Blob([bytes]).stream()
+    .pipeThrough(new DecompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+* Read an unsigned varint (multicodec prefix).
+*
+* @param {Uint8Array} bytes - Bytes.
+*
+* @returns {number[]} `[value, length]`.
+* @private
+*/
+function _readVarint(bytes) {
+  let value = 0;
+  for(let i = 0; i < Math.min(bytes.length, 4); ++i) {
+    value += (bytes[i] & 0x7f) * 2 ** (7 * i);
+    if(!(bytes[i] & 0x80)) {
+      return [value, i + 1];
+    }
+  }
+  return [-1, 0];
+}
+
+/**
+* Decode RFC 4648 base32 without padding.
+*
+* @param {string} text - Upper case base32.
+*
+* @returns {Uint8Array} Bytes.
+* @private
+*/
+function _decodeBase32(text) {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for(const char of text) {
+    buffer = (buffer << 5 | BASE32.indexOf(char)) & 0xfff;
+    bits += 5;
+    if(bits >= 8) {
+      bits -= 8;
+      bytes.push(buffer >> bits & 0xff);
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+* Decode RFC 9285 base45.
+*
+* @param {string} text - Base45.
+*
+* @returns {Uint8Array} Bytes.
+* @private
+*/
+function _decodeBase45(text) {
+  const bytes = [];
+  for(let i = 0; i < text.length; i += 3) {
+    const chunk = text.slice(i, i + 3);
+    const value = [...chunk].reduceRight(
+      (sum, char) => sum * 45 + BASE45.indexOf(char), 0);
+    if(chunk.length === 3) {
+      if(value > 0xffff) {
+        throw new Error('Invalid base45 data.');
+      }
+      bytes.push(value >> 8, value & 0xff);
+    } else {
+      if(value > 0xff) {
+        throw new Error('Invalid base45 data.');
+      }
+      bytes.push(value);
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+* Decode base58btc.
+*
+* @param {string} text - Base58.
+*
+* @returns {Uint8Array} Bytes.
+* @private
+*/
+function _decodeBase58(text) {
+  const bytes = [];
+  for(const char of text) {
+    let carry = BASE58.indexOf(char);
+    for(let i = 0; i < bytes.length; ++i) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    for(; carry > 0; carry >>= 8) {
+      bytes.push(carry & 0xff);
+    }
+  }
+  // leading '1's are leading zero bytes
+  for(let i = 0; text[i] === '1'; ++i) {
+    bytes.push(0);
+  }
+  return new Uint8Array(bytes.reverse());
+}
+
+/**
+* Decode base64 or base64url without padding.
+*
+* @param {string} text - Base64.
+*
+* @returns {Uint8Array} Bytes.
+* @private
+*/
+function _decodeBase64(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64.padEnd(
+    Math.ceil(base64.length / 4) * 4, '=')), char => char.charCodeAt(0));
+}
+
+/**
+* Decode hex.
+*
+* @param {string} text - Hex.
+*
+* @returns {Uint8Array} Bytes.
+* @private
+*/
+function _decodeHex(text) {
+  return Uint8Array.from(text.match(/../g), byte => parseInt(byte, 16));
+}
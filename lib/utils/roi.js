@@ -0,0 +1,241 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getImageSize} from './image.js';
+
+/**
+ * Regions of interest (ROI): the part of a frame that is decoded, so codes
+ * outside a guide box are ignored and plugins work on fewer pixels.
+ *
+ * A region is `{x, y, width, height, units, space}`:
+ *
+ * - `units`: 'px' (default), or '%' of the frame or view size.
+ * - `space`: 'video' (default) for the pixels of the frame itself, or
+ *   'display' for the CSS pixels of the element showing it, where
+ *   `object-fit` scales the video and, with 'cover', crops its edges.
+ *   Videos are assumed centered, as with the default `object-position`.
+ *
+ * `resolveRegion()` turns any region into a rectangle of frame pixels.
+ */
+
+// coordinates this close to a whole pixel are taken as that pixel
+const EPSILON = 1e-6;
+
+/**
+* Resolve a region to frame pixels.
+*
+* @param {object} region - Region (see the module documentation).
+* @param {object} frame - Frame size `{width, height}`.
+* @param {object} [view] - Display box `{width, height, fit}` of the element
+*   showing the frame (see `getDisplayBox()`); required for 'display'
+*   regions.
+*
+* @returns {object} `{x, y, width, height}` in whole frame pixels, clipped
+*   to the frame.
+*/
+export function resolveRegion(region, frame, view) {
+  const {
+    x = 0, y = 0, width, height, units = 'px', space = 'video'
+  } = region || {};
+  if(![x, y, width, height].every(Number.isFinite) ||
+    !(width > 0 && height > 0)) {
+    throw new TypeError(
+      'Region must have a finite "x" and "y" and a positive "width" and ' +
+      '"height".');
+  }
+  if(!['px', '%'].includes(units)) {
+    throw new TypeError(`Unknown region units: ${units}`);
+  }
+  if(!['video', 'display'].includes(space)) {
+    throw new TypeError(`Unknown region space: ${space}`);
+  }
+  if(space === 'display' && !(view?.width > 0 && view?.height > 0)) {
+    throw new TypeError('Display regions need the size of the view.');
+  }
+
+  const box = space === 'display' ? view : frame;
+  let rect = units === '%' ? {
+    x: x * box.width / 100,
+    y: y * box.height / 100,
+    width: width * box.width / 100,
+    height: height * box.height / 100
+  } : {x, y, width, height};
+  if(space === 'display') {
+    const {scaleX, scaleY, offsetX, offsetY} = _getFit(frame, view);
+    rect = {
+      x: (rect.x - offsetX) / scaleX,
+      y: (rect.y - offsetY) / scaleY,
+      width: rect.width / scaleX,
+      height: rect.height / scaleY
+    };
+  }
+
+  // whole pixels covering the region, tolerant of rounding errors
+  const left = _clamp(Math.floor(rect.x + EPSILON), frame.width);
+  const top = _clamp(Math.floor(rect.y + EPSILON), frame.height);
+  const right = _clamp(Math.ceil(rect.x + rect.width - EPSILON), frame.width);
+  const bottom = _clamp(
+    Math.ceil(rect.y + rect.height - EPSILON), frame.height);
+  if(right <= left || bottom <= top) {
+    throw new TypeError('Region is outside the frame.');
+  }
+  return {x: left, y: top, width: right - left, height: bottom - top};
+}
+
+/**
+* Resolve a region to the pixels of a source's current frame.
+*
+* @param {object} region - Region (see the module documentation).
+* @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|
+*   ImageData} source - Source the region applies to.
+*
+* @returns {object} `{x, y, width, height}` in frame pixels.
+*/
+export function getSourceRegion(region, source) {
+  return resolveRegion(region, getImageSize(source), getDisplayBox(source));
+}
+
+/**
+* Get the display box of an element showing a frame.
+*
+* @param {object} element - Video, image or canvas element.
+*
+* @returns {object|null} `{width, height, fit}` in CSS pixels with the
+*   computed `object-fit`, or null for sources that are not displayed.
+*/
+export function getDisplayBox(element) {
+  if(typeof element?.getBoundingClientRect !== 'function') {
+    return null;
+  }
+  const {width, height} = element.getBoundingClientRect();
+  let fit = 'fill';
+  if(typeof Element !== 'undefined' && element instanceof Element) {
+    fit = getComputedStyle(element).objectFit || fit;
+  }
+  return {width, height, fit};
+}
+
+/**
+* Turn an on-screen guide box into the region of the video it frames.
+*
+* @param {Element|object} guide - Guide overlay element, or its client rect
+*   `{left, top, width, height}`.
+* @param {HTMLVideoElement} video - Video element the guide is drawn over.
+* @param {object} [options] - Options.
+* @param {string} [options.fit] - `object-fit` of the video; read from its
+*   computed style by default.
+*
+* @returns {object} `{x, y, width, height}` in video pixels.
+*/
+export function getGuideRegion(guide, video, {fit} = {}) {
+  const guideRect = _getClientRect(guide);
+  const view = getDisplayBox(video);
+  if(!view) {
+    throw new TypeError('"video" must be a displayed element.');
+  }
+  const videoRect = video.getBoundingClientRect();
+  return resolveRegion({
+    x: guideRect.left - videoRect.left,
+    y: guideRect.top - videoRect.top,
+    width: guideRect.width,
+    height: guideRect.height,
+    space: 'display'
+  }, getImageSize(video), {...view, fit: fit ?? view.fit});
+}
+
+/**
+* Get a centered region.
+*
+* @param {object} frame - Frame size `{width, height}`.
+* @param {object} [options] - Options.
+* @param {number} [options.scale=1] - Size relative to the largest region
+*   of the aspect ratio that fits the frame.
+* @param {number} [options.aspectRatio] - Width over height; the frame's by
+*   default.
+*
+* @returns {object} `{x, y, width, height}` in frame pixels.
+*/
+export function centerRegion(frame, {scale = 1, aspectRatio} = {}) {
+  const ratio = aspectRatio ?? frame.width / frame.height;
+  const fitted = Math.min(frame.width, frame.height * ratio);
+  const width = Math.round(fitted * scale);
+  const height = Math.round(fitted * scale / ratio);
+  return {
+    x: Math.round((frame.width - width) / 2),
+    y: Math.round((frame.height - height) / 2),
+    width,
+    height
+  };
+}
+
+/**
+* Get how `object-fit` places a frame in a view.
+*
+* @param {object} frame - Frame size `{width, height}`.
+* @param {object} view - Display box `{width, height, fit}`.
+*
+* @returns {object} `{scaleX, scaleY, offsetX, offsetY}`: view coordinates
+*   are frame coordinates times the scale plus the offset.
+* @private
+*/
+function _getFit(frame, view) {
+  const scaleX = view.width / frame.width;
+  const scaleY = view.height / frame.height;
+  let scale;
+  switch(view.fit || 'fill') {
+    case 'fill':
+      return {scaleX, scaleY, offsetX: 0, offsetY: 0};
+    case 'cover':
+      scale = Math.max(scaleX, scaleY);
+      break;
+    case 'contain':
+      scale = Math.min(scaleX, scaleY);
+      break;
+    case 'none':
+      scale = 1;
+      break;
+    case 'scale-down':
+      scale = Math.min(1, scaleX, scaleY);
+      break;
+    default:
+      throw new TypeError(`Unsupported object-fit: ${view.fit}`);
+  }
+  return {
+    scaleX: scale,
+    scaleY: scale,
+    offsetX: (view.width - frame.width * scale) / 2,
+    offsetY: (view.height - frame.height * scale) / 2
+  };
+}
+
+/**
+* Get the client rect of an element or rect.
+*
+* @param {Element|object} target - Element or `{left, top, width, height}`.
+*
+* @returns {object} `{left, top, width, height}`.
+* @private
+*/
+function _getClientRect(target) {
+  const rect = typeof target?.getBoundingClientRect === 'function' ?
+    target.getBoundingClientRect() : target;
+  return {
+    left: rect?.left ?? rect?.x,
+    top: rect?.top ?? rect?.y,
+    width: rect?.width,
+    height: rect?.height
+  };
+}
+
+/**
+* Clamp a coordinate to `[0, max]`.
+*
+* @param {number} value - Coordinate.
+* @param {number} max - Largest value.
+*
+* @returns {number} Clamped coordinate.
+* @private
+*/
+function _clamp(value, max) {
+  return Math.min(max, Math.max(0, value));
+}
@@ -0,0 +1,154 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {loadEngine} from './engines.js';
+import {toImageData} from './image.js';
+
+/**
+ * QR Code Structured Append and Macro PDF417: one message split across up
+ * to 16 QR symbols (or any number of PDF417 symbols), each carrying a
+ * sequence header with the message ID (QR parity or PDF417 file ID), its
+ * segment index and the segment count (optional for PDF417).
+ *
+ * `BarcodeDetector` drops these headers, so sequenced symbols are read with
+ * zxing-wasm, which reports them as `sequence: {id, index, size}`.
+ * `mergeSequences()` joins the segments found in one image; segments seen
+ * over several frames are gathered by `MultipartAssembler`.
+ */
+
+// our formats => zxing-wasm formats
+const ZXING_FORMATS = {qr_code: 'QRCode', pdf417: 'PDF417'};
+
+/**
+* Read QR and PDF417 symbols with their structured append headers.
+*
+* @param {HTMLImageElement|HTMLVideoElement|
+*  HTMLCanvasElement|ImageData} source - Source to scan.
+* @param {object} options - Options.
+* @param {string[]} options.formats - 'qr_code' and/or 'pdf417'.
+* @param {AbortSignal} [options.signal] - Abort signal.
+*
+* @returns {Promise<object[]>} Results in the standard format; sequenced
+*  symbols have `sequence: {id, index, size}` with `size` null when
+*  unknown.
+*/
+export async function readSequencedSymbols(source, {formats, signal} = {}) {
+  signal?.throwIfAborted();
+  const {readBarcodes} = await loadEngine('zxing');
+  const imageData = await toImageData(source);
+  const symbols = await readBarcodes(imageData, {
+    formats: formats.map(format => ZXING_FORMATS[format]),
+    maxNumberOfSymbols: 255,
+    tryHarder: true
+  });
+  signal?.throwIfAborted();
+
+  return symbols.filter(symbol => symbol.isValid).map(symbol => {
+    const {topLeft, topRight, bottomRight, bottomLeft} = symbol.position;
+    const cornerPoints = [topLeft, topRight, bottomRight, bottomLeft];
+    const xs = cornerPoints.map(({x}) => x);
+    const ys = cornerPoints.map(({y}) => y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return {
+      text: symbol.text,
+      format: symbol.format.includes('PDF417') ? 'pdf417' : 'qr_code',
+      boundingBox: {
+        x,
+        y,
+        width: Math.max(...xs) - x,
+        height: Math.max(...ys) - y
+      },
+      cornerPoints,
+      sequence: symbol.sequenceSize === -1 ? null : {
+        id: symbol.sequenceId,
+        index: symbol.sequenceIndex,
+        // PDF417 segment counts are optional
+        size: symbol.sequenceSize || null
+      }
+    };
+  });
+}
+
+/**
+* Join the segments of each sequence found in one image into one result.
+* Results that are not sequenced pass through unchanged.
+*
+* @param {object[]} results - Results of `readSequencedSymbols()`.
+*
+* @returns {object[]} Results; merged ones have `text` joined from the
+*  segments found and `sequence: {id, size, complete, missing, segments}`,
+*  where `missing` lists the indexes of the segments not found (up to the
+*  highest index seen when the size is unknown) and `segments` holds
+*  `{index, text}`.
+*/
+export function mergeSequences(results) {
+  const merged = [];
+  const groups = new Map();
+  for(const result of results) {
+    if(!result.sequence) {
+      merged.push(result);
+      continue;
+    }
+    const key = `${result.format}|${result.sequence.id}`;
+    let group = groups.get(key);
+    if(!group) {
+      group = [];
+      groups.set(key, group);
+      // keep the position of the first segment
+      merged.push(group);
+    }
+    group.push(result);
+  }
+  return merged.map(entry => Array.isArray(entry) ? _merge(entry) : entry);
+}
+
+/**
+* List the segments a sequence is missing.
+*
+* @param {number[]} indexes - Indexes of the segments present.
+* @param {number|null} size - Segment count, null when unknown.
+*
+* @returns {number[]} Missing indexes.
+*/
+export function getMissingSegments(indexes, size) {
+  const count = size ?? Math.max(-1, ...indexes) + 1;
+  const present = new Set(indexes);
+  return Array.from({length: count}, (_, index) => index)
+    .filter(index => !present.has(index));
+}
+
+/**
+* Merge the segments of one sequence.
+*
+* @param {object[]} group - Results of the same sequence.
+*
+* @returns {object} Merged result.
+* @private
+*/
+function _merge(group) {
+  const [{format, boundingBox, cornerPoints, sequence: {id}}] = group;
+  const segments = new Map();
+  let size = null;
+  for(const {text, sequence} of group) {
+    segments.set(sequence.index, text);
+    size = sequence.size ?? size;
+  }
+  const sorted = [...segments.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([index, text]) => ({index, text}));
+  const missing = getMissingSegments([...segments.keys()], size);
+  return {
+    text: sorted.map(({text}) => text).join(''),
+    format,
+    boundingBox,
+    cornerPoints,
+    sequence: {
+      id,
+      size,
+      complete: size !== null && missing.length === 0,
+      missing,
+      segments: sorted
+    }
+  };
+}
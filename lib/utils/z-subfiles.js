@@ -0,0 +1,192 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Registry of decoders for jurisdiction-specific AAMVA subfiles (`ZxX`).
+ *
+ * Jurisdictions use these subfiles for data that is not part of the
+ * standard, e.g. REAL ID flags, card revisions or security payloads. A
+ * decoder maps element codes to named fields and may add derived fields via
+ * a `decode` function. Decoders are looked up by issuer IIN first and by
+ * jurisdiction code second.
+ *
+ * Z subfile layouts are not part of the CDS; a starter set for layouts
+ * confirmed against issued cards is registered below, and decoders for other
+ * issuers can be registered at runtime.
+ * The standard REAL ID compliance type (`DDA`) and card revision date
+ * (`DDB`) are read from the DL/ID subfile without a decoder.
+ */
+
+const ANY_SUBFILE = '*';
+
+const _decoders = new Map();
+
+/**
+* Register a decoder for a jurisdiction-specific subfile.
+*
+* @param {object} decoder - Decoder definition.
+* @param {string} [decoder.iin] - Issuer Identification Number to match.
+* @param {string} [decoder.jurisdiction] - Jurisdiction code to match (e.g.
+*   'CA'); used when no IIN specific decoder is registered.
+* @param {string} [decoder.subfile] - Subfile type (e.g. 'ZC'); matches any
+*   Z subfile of the issuer when omitted.
+* @param {object} [decoder.fields] - Map of element code to a field name or
+*   to `{name, description, parse}` where `parse(value)` converts the value.
+* @param {Function} [decoder.decode] - Optional
+*   `(elements, context) => object` returning extra named fields; `context`
+*   holds `iin`, `jurisdiction`, `subfile` and `version`.
+*/
+export function registerZSubfileDecoder(decoder) {
+  const {iin, jurisdiction, fields = {}, decode} = decoder || {};
+  if(!iin && !jurisdiction) {
+    throw new Error('Z subfile decoder requires "iin" or "jurisdiction".');
+  }
+  if(decode !== undefined && typeof decode !== 'function') {
+    throw new TypeError('"decode" must be a function.');
+  }
+  const normalizedFields = {};
+  for(const [code, field] of Object.entries(fields)) {
+    normalizedFields[code] = typeof field === 'string' ?
+      {name: field} : {...field};
+    if(!normalizedFields[code].name) {
+      throw new Error(`Field "${code}" requires a name.`);
+    }
+  }
+  const entry = {
+    ...decoder,
+    subfile: decoder.subfile || ANY_SUBFILE,
+    fields: normalizedFields
+  };
+  for(const key of _keys(decoder)) {
+    _decoders.set(key, entry);
+  }
+}
+
+/**
+* Remove a previously registered decoder.
+*
+* @param {object} selector - `iin` or `jurisdiction` and `subfile` used
+*   when registering; every key of the matched decoder is removed.
+*
+* @returns {boolean} True if a decoder was removed.
+*/
+export function unregisterZSubfileDecoder(selector) {
+  const entries = new Set(_keys(selector)
+    .map(key => _decoders.get(key))
+    .filter(Boolean));
+  for(const [key, entry] of _decoders) {
+    if(entries.has(entry)) {
+      _decoders.delete(key);
+    }
+  }
+  return entries.size > 0;
+}
+
+/**
+* Find the decoder for a subfile.
+*
+* @param {object} selector - Lookup selector.
+* @param {string} [selector.iin] - Issuer Identification Number.
+* @param {string} [selector.jurisdiction] - Jurisdiction code.
+* @param {string} selector.subfile - Subfile type.
+*
+* @returns {object|null} Decoder or null.
+*/
+export function getZSubfileDecoder({iin, jurisdiction, subfile}) {
+  const candidates = [];
+  if(iin) {
+    candidates.push({iin, subfile}, {iin});
+  }
+  if(jurisdiction) {
+    candidates.push({jurisdiction, subfile}, {jurisdiction});
+  }
+  for(const candidate of candidates) {
+    const [key] = _keys(candidate);
+    const decoder = _decoders.get(key);
+    if(decoder) {
+      return decoder;
+    }
+  }
+  return null;
+}
+
+/**
+* Decode every jurisdiction-specific subfile of a parsed license.
+*
+* @param {object} dlInfo - Result of `parseAAMVA` or `parseDLInfo`.
+*
+* @returns {object} Map of subfile type to `{jurisdiction, fields,
+*   unknown}`; `unknown` holds elements without a registered name.
+*/
+export function decodeZSubfiles(dlInfo) {
+  const {subfiles = [], issuer, header, version = null, elements = {}} =
+    dlInfo || {};
+  const iin = issuer?.iin || header?.iin || null;
+  const jurisdiction = issuer?.jurisdiction || elements.DAJ || null;
+  const decoded = {};
+
+  for(const {type, elements: subfileElements} of subfiles) {
+    if(!type || !type.startsWith('Z')) {
+      continue;
+    }
+    const decoder = getZSubfileDecoder({iin, jurisdiction, subfile: type});
+    const fields = {};
+    const unknown = {};
+
+    for(const [code, value] of Object.entries(subfileElements)) {
+      const field = decoder?.fields[code];
+      if(!field) {
+        unknown[code] = value;
+        continue;
+      }
+      fields[field.name] = field.parse ? field.parse(value) : value;
+    }
+    if(decoder?.decode) {
+      Object.assign(fields, decoder.decode(subfileElements, {
+        iin, jurisdiction, subfile: type, version
+      }));
+    }
+
+    decoded[type] = {jurisdiction, fields, unknown};
+  }
+
+  return decoded;
+}
+
+/**
+* Build the registry keys for a selector, one per issuer identifier given.
+*
+* @param {object} selector - Selector.
+* @param {string} [selector.iin] - Issuer Identification Number.
+* @param {string} [selector.jurisdiction] - Jurisdiction code.
+* @param {string} [selector.subfile] - Subfile type.
+*
+* @returns {string[]} Registry keys.
+* @private
+*/
+function _keys({iin, jurisdiction, subfile} = {}) {
+  const suffix = `|${subfile || ANY_SUBFILE}`;
+  const keys = [];
+  if(iin) {
+    keys.push(`iin:${iin}${suffix}`);
+  }
+  if(jurisdiction) {
+    keys.push(`jurisdiction:${jurisdiction}${suffix}`);
+  }
+  return keys;
+}
+
+// ===== STARTER SET =====
+// California: base64url encoded security payload
+registerZSubfileDecoder({
+  iin: '636014', jurisdiction: 'CA', subfile: 'ZC',
+  fields: {ZCE: {name: 'securityData', description: 'Encoded security data'}}
+});
+// Virginia: court restrictions
+registerZSubfileDecoder({
+  iin: '636000', jurisdiction: 'VA', subfile: 'ZV',
+  fields: {
+    ZVA: {name: 'courtRestrictionCode', description: 'Court Restriction Code'}
+  }
+});
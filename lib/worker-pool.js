@@ -0,0 +1,316 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+
+import {errorCodes, ScannerError} from './errors.js';
+
+/**
+ * Pool of dedicated workers running worker-safe plugins (see
+ * `scan-worker.js`), so decoding does not block the UI thread. Frames are
+ * sent as transferred `ImageBitmap`s (or cloned `ImageData`/`Blob`s), one
+ * scan per worker at a time; further scans queue. Aborting a scan rejects it
+ * right away and tells the worker to abort the plugin.
+ *
+ * Infrastructure failures (a worker that fails to load, or a format the
+ * worker does not serve) reject with an error whose `code` starts with
+ * `WORKER_`, so callers can fall back to scanning on the main thread.
+ */
+export class WorkerPool {
+  /**
+  * @param {object} [options] - Options.
+  * @param {number} [options.size] - Maximum number of workers; defaults to
+  *  one less than the number of cores, between 1 and 4.
+  * @param {Function} [options.createWorker=createScanWorker] - Creates a
+  *  worker (or any `postMessage` endpoint such as a `MessagePort`).
+  */
+  constructor({size = _defaultSize(), createWorker = createScanWorker} = {}) {
+    this.size = Math.max(1, size);
+    this.createWorker = createWorker;
+
+    this._slots = [];
+    this._queue = [];
+    this._nextId = 0;
+    this._failure = null;
+  }
+
+  /**
+  * Scan a source with the worker-side plugin for a format.
+  *
+  * @param {string} format - Plugin format.
+  * @param {*} source - Image, video, canvas, bitmap, ImageData or Blob.
+  * @param {object} [options] - Plugin options; functions are dropped.
+  * @param {AbortSignal} [options.signal] - Abort signal.
+  *
+  * @returns {Promise<object[]>} Plugin results.
+  */
+  async scan(format, source, {signal, ...options} = {}) {
+    signal?.throwIfAborted();
+    if(this._failure) {
+      throw this._failure;
+    }
+
+    const {message, transfer} = await _toTransferable(source);
+    if(signal?.aborted) {
+      transfer.forEach(bitmap => bitmap.close());
+      throw signal.reason;
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: ++this._nextId,
+        format,
+        source: message,
+        transfer,
+        options: _toCloneableOptions(options),
+        settle: null
+      };
+
+      const onAbort = () => {
+        const queued = this._queue.indexOf(task);
+        if(queued !== -1) {
+          this._queue.splice(queued, 1);
+          transfer.forEach(bitmap => bitmap.close());
+        } else if(task.slot) {
+          task.slot.worker.postMessage({type: 'abort', id: task.id});
+        }
+        task.settle(null, signal.reason);
+      };
+      task.settle = (results, error) => {
+        if(!task.settle) {
+          return;
+        }
+        task.settle = null;
+        signal?.removeEventListener('abort', onAbort);
+        error ? reject(error) : resolve(results);
+      };
+      signal?.addEventListener('abort', onAbort, {once: true});
+
+      this._queue.push(task);
+      this._dispatch();
+    });
+  }
+
+  /**
+  * Terminate all workers; pending scans reject. Workers are created again
+  * on the next scan.
+  */
+  terminate() {
+    this._shutdown(
+      _workerError('Worker pool terminated.', 'WORKER_TERMINATED'));
+    this._failure = null;
+  }
+
+  /**
+  * Start queued tasks on idle workers, creating workers up to `size`.
+  *
+  * @private
+  */
+  _dispatch() {
+    while(this._queue.length > 0) {
+      let slot = this._slots.find(slot => !slot.task);
+      if(!slot) {
+        if(this._slots.length >= this.size) {
+          return;
+        }
+        slot = this._createSlot();
+        if(!slot) {
+          return;
+        }
+      }
+      const task = this._queue.shift();
+      slot.task = task;
+      task.slot = slot;
+      slot.worker.postMessage({
+        type: 'scan',
+        id: task.id,
+        format: task.format,
+        source: task.source,
+        options: task.options
+      }, task.transfer);
+    }
+  }
+
+  /**
+  * Create a worker and its message handling.
+  *
+  * @returns {object|null} Slot `{worker, task}`, or null if the worker
+  *  could not be created (queued tasks are rejected).
+  * @private
+  */
+  _createSlot() {
+    let worker;
+    try {
+      worker = this.createWorker();
+    } catch(e) {
+      this._fail(_workerError(
+        `Could not create scan worker: ${e.message}`, 'WORKER_UNAVAILABLE'));
+      return null;
+    }
+
+    const slot = {worker, task: null};
+    worker.addEventListener('message', ({data}) => {
+      const {task} = slot;
+      if(!task || data?.id !== task.id) {
+        return;
+      }
+      slot.task = null;
+      if(data.type === 'result') {
+        task.settle?.(data.results);
+      } else {
+        task.settle?.(null, _toError(data.error));
+      }
+      this._dispatch();
+    });
+    // a worker that fails to load or crashes takes the pool down; callers
+    // fall back to the main thread
+    worker.addEventListener('error', event => {
+      event.preventDefault?.();
+      this._fail(_workerError(
+        `Scan worker failed: ${event.message || 'unknown error'}`,
+        'WORKER_UNAVAILABLE'));
+    });
+    worker.start?.();
+    this._slots.push(slot);
+    return slot;
+  }
+
+  /**
+  * Reject every pending scan and refuse new ones.
+  *
+  * @param {Error} error - Failure.
+  * @private
+  */
+  _fail(error) {
+    this._shutdown(error);
+    this._failure = error;
+  }
+
+  /**
+  * Reject every pending scan and terminate the workers.
+  *
+  * @param {Error} error - Rejection reason.
+  * @private
+  */
+  _shutdown(error) {
+    for(const task of this._queue.splice(0)) {
+      task.transfer.forEach(bitmap => bitmap.close());
+      task.settle?.(null, error);
+    }
+    for(const slot of this._slots.splice(0)) {
+      slot.task?.settle?.(null, error);
+      _terminate(slot.worker);
+    }
+  }
+}
+
+/**
+* Create the default scan worker serving the built-in worker-safe plugins.
+*
+* @returns {Worker} Module worker.
+*/
+export function createScanWorker() {
+  return new Worker(
+    new URL('./scan-worker-entry.js', import.meta.url), {type: 'module'});
+}
+
+/**
+* Prepare a source for `postMessage`: DOM sources are snapshotted into a
+* transferable `ImageBitmap`; pixel buffers, bitmaps and blobs are cloned.
+*
+* @param {*} source - Scan source.
+*
+* @returns {Promise<object>} `{message, transfer}`.
+* @private
+*/
+async function _toTransferable(source) {
+  const cloneable =
+    (typeof ImageData !== 'undefined' && source instanceof ImageData) ||
+    (typeof ImageBitmap !== 'undefined' && source instanceof ImageBitmap) ||
+    (typeof Blob !== 'undefined' && source instanceof Blob) ||
+    (source?.data?.length !== undefined && Number.isInteger(source.width));
+  if(cloneable) {
+    return {message: source, transfer: []};
+  }
+  if(typeof createImageBitmap !== 'function') {
+    throw _workerError(
+      'Source cannot be sent to a worker.', 'WORKER_UNSUPPORTED_SOURCE');
+  }
+  const bitmap = await createImageBitmap(source);
+  return {message: bitmap, transfer: [bitmap]};
+}
+
+/**
+* Drop options that cannot be cloned, such as callbacks.
+*
+* @param {object} options - Plugin options.
+*
+* @returns {object} Cloneable options.
+* @private
+*/
+function _toCloneableOptions(options) {
+  return Object.fromEntries(Object.entries(options)
+    .filter(([, value]) => typeof value !== 'function'));
+}
+
+/**
+* Rebuild an error posted by a worker.
+*
+* @param {object} data - `{name, message, code, format}`.
+*
+* @returns {Error} Error; a `ScannerError` when it has a scanner error code.
+* @private
+*/
+function _toError(data) {
+  const {name, message, code, format} = data || {};
+  let error;
+  if(Object.values(errorCodes).includes(code)) {
+    error = new ScannerError(message, {code, format});
+  } else {
+    error = new Error(message);
+    if(code) {
+      error.code = code;
+    }
+  }
+  error.name = name || 'Error';
+  return error;
+}
+
+/**
+* Create a pool infrastructure error.
+*
+* @param {string} message - Message.
+* @param {string} code - `WORKER_*` code.
+*
+* @returns {Error} Error.
+* @private
+*/
+function _workerError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+* Terminate a worker or close a port.
+*
+* @param {Worker|MessagePort} worker - Endpoint.
+* @private
+*/
+function _terminate(worker) {
+  if(typeof worker.terminate === 'function') {
+    worker.terminate();
+  } else {
+    worker.close?.();
+  }
+}
+
+/**
+* Default pool size.
+*
+* @returns {number} Workers.
+* @private
+*/
+function _defaultSize() {
+  const cores = globalThis.navigator?.hardwareConcurrency || 2;
+  return Math.min(4, Math.max(1, cores - 1));
+}
@@ -11,3 +11,14 @@ export function loadImage(src) {
     img.src = src;
   });
 }
+
+// Plugin that reports the codes of successive frames, then nothing
+export function createFramePlugin(format, frames) {
+  let frame = 0;
+  return {
+    format,
+    async scan() {
+      return frames[frame++] || [];
+    }
+  };
+}
@@ -11,6 +11,12 @@ const mockData = {
   pdf417: {
     '001.png': '@\n\u001e\rANSI 636014100002DL00410237ZC02780193DLDAQI8882569\nDCSSIXNINE\nDDEN\nDACROCHATTEST\nDDFN\nDADNONE\nDDGN\nDCANONE\nDCBNONE\nDCDNONE\nDBD01012024\nDBB06061987\nDBA06062029\nDBC9\nDAU085 in\nDAYBLK\nDAG2415 1ST AVE\nDAISACRAMENTO\nDAJCA\nDAK95818\nDCFTESTDOCDISCRIM\nDCGUSA\nDAW160\nDCK1234567890\nDDAN\rZCZCE2QacgkK-PKYBggECGJ2CGHYYpBiuoxicGKYYxEEDGMYa-W6FYxiwohicGKAYqER1_3BgGLRBARi2pRicGGwYzAEY1hjcGNhYQXqifqpUU1b1X5UxVAMPD7fr6BRoQ68EKhFtyA2CdCS7GKsZUy_jiC5piRLwgLy0MJ7Tyeae6WaJM_tXhuRdJPX0GNpBAg\r',
     '002.png': '@\n\u001e\rANSI 636059090001DL00310268DLDAQ6665979\nDCSUSER\nDDEN\nDACTEST\nDDFN\nDADEXAMPLE\nDDGN\nDCAD\nDCBNONE\nDCDNONE\nDBA12102029\nDBD2025-08-05\nDBB07032003\nDBC1\nDAYBLK\nDAZBAL\nDAU077 in\nDAG123 STREET\nDAIHOMETOWN\nDAJAK\nDAK111118837  \nDCGUSA\nDCFXT447760R7596G\nDCJLZ212639D3312C\nDCKOG789393P4343N\nDDAF\nDDB11272016\r'
+  },
+  mrz: {
+    '19_CAN.jpg': 'P<CANCANTU<<GEORGE<<<<<<<<<<<<<<<<<<<<<<<<<<\nZ1AFGLFC36CAN1409105F2512059<<<<<<<<<<<<<<04',
+    '19_CHN.jpg': 'P<CHNGRAHAM<<TAMMY<<<<<<<<<<<<<<<<<<<<<<<<<<\nSXCXOR5FE1CHN8104177M2703316<<<<<<<<<<<<<<00',
+    '19_GBR.jpg': 'P<GBRHERRMAN<<DAVID<<<<<<<<<<<<<<<<<<<<<<<<<\nICSBPANRC6GBR9609299M3103245<<<<<<<<<<<<<<04',
+    '19_USA.jpg': 'P<USACAMPBELL<<LILLIAN<<<<<<<<<<<<<<<<<<<<<<\nYTMXSKHZC8USA8706032F3412097<<<<<<<<<<<<<<00'
   }
   /* eslint-enable */
 };
@@ -44,3 +44,9 @@ config.karma.config.files.push({
   served: true,
   watched: false
 });
+config.karma.config.files.push({
+  pattern: 'images/mrz/**/*.*',
+  included: false,
+  served: true,
+  watched: false
+});
@@ -0,0 +1,324 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  decodeZSubfiles,
+  getZSubfileDecoder,
+  lookupIssuer,
+  normalizeDLInfo,
+  parseAAMVA,
+  parseAAMVADate,
+  parseDLInfo,
+  registerZSubfileDecoder,
+  unregisterZSubfileDecoder
+} from '@bedrock/web-optical-scanner';
+import mockData from '../mockData.js';
+
+describe('AAMVA Parser', function() {
+  describe('Header', function() {
+    it('should parse header and subfile directory', function() {
+      const result = parseAAMVA(mockData.pdf417['001.png']);
+
+      should.exist(result.header);
+      result.header.complianceIndicator.should.equal('@');
+      result.header.fileType.should.equal('ANSI');
+      result.header.iin.should.equal('636014');
+      result.header.version.should.equal(10);
+      result.header.jurisdictionVersion.should.equal(0);
+      result.header.numberOfEntries.should.equal(2);
+      result.subfiles.map(s => s.type).should.eql(['DL', 'ZC']);
+      result.documentType.should.equal('DL');
+    });
+
+    it('should look up issuer from IIN', function() {
+      const result = parseAAMVA(mockData.pdf417['002.png']);
+      result.issuer.should.eql({
+        iin: '636059',
+        jurisdiction: 'AK',
+        name: 'Alaska',
+        country: 'USA'
+      });
+      should.not.exist(lookupIssuer('999999'));
+    });
+
+    it('should locate subfiles with incorrect offsets', function() {
+      const result = parseAAMVA(mockData.pdf417['001.png']);
+      const zc = result.subfiles.find(s => s.type === 'ZC');
+      should.exist(zc);
+      result.warnings.should.have.length(1);
+    });
+
+    it('should parse version 1 header without jurisdiction version',
+      function() {
+        const text = '@\n\x1e\rANSI 6360000101DL00290100DLDAQ123456789\n' +
+          'DAAPUBLIC,JOHN,Q\nDBB19800115\nDAU507\r';
+        const result = parseAAMVA(text);
+
+        result.header.version.should.equal(1);
+        should.equal(result.header.jurisdictionVersion, null);
+        result.fields.lastName.should.equal('PUBLIC');
+        result.fields.firstName.should.equal('JOHN');
+        result.fields.middleName.should.equal('Q');
+        result.fields.dateOfBirth.should.equal('1980-01-15');
+        result.fields.heightCm.should.equal(170);
+      });
+  });
+
+  describe('Fields', function() {
+    it('should return typed fields', function() {
+      const {fields} = parseAAMVA(mockData.pdf417['002.png']);
+
+      fields.documentNumber.should.equal('6665979');
+      fields.firstName.should.equal('TEST');
+      fields.middleName.should.equal('EXAMPLE');
+      fields.lastName.should.equal('USER');
+      fields.dateOfBirth.should.equal('2003-07-03');
+      fields.expirationDate.should.equal('2029-12-10');
+      fields.issueDate.should.equal('2025-08-05');
+      fields.sex.should.equal('M');
+      fields.heightCm.should.equal(196);
+      fields.address.should.eql({
+        street1: '123 STREET',
+        street2: null,
+        city: 'HOMETOWN',
+        jurisdiction: 'AK',
+        postalCode: '11111-8837',
+        country: 'USA'
+      });
+    });
+
+    it('should keep every raw element code', function() {
+      const {elements} = parseAAMVA(mockData.pdf417['001.png']);
+      elements.DAQ.should.equal('I8882569');
+      elements.DDA.should.equal('N');
+      should.exist(elements.ZCE);
+    });
+
+    it('should handle carriage return separators', function() {
+      const text = '@\n\x1e\rANSI 636012080101DL00310100' +
+        'DLDAQA1234\rDCSDOE\rDACJANE\rDBB19900214\rDAU178 cm\r';
+      const {fields} = parseAAMVA(text);
+      fields.documentNumber.should.equal('A1234');
+      fields.lastName.should.equal('DOE');
+      // Canadian issuers use CCYYMMDD
+      fields.dateOfBirth.should.equal('1990-02-14');
+      fields.heightCm.should.equal(178);
+    });
+
+    it('should handle several elements on one line', function() {
+      const {elements} = parseAAMVA(
+        'DAQ123\nDBB06061987DBA06062030DBC1DCSSMITH');
+      elements.should.eql({
+        DAQ: '123',
+        DBB: '06061987',
+        DBA: '06062030',
+        DBC: '1',
+        DCS: 'SMITH'
+      });
+    });
+
+    it('should split packed elements between separated lines', function() {
+      const text = '@\n\x1e\rANSI 636014100102DL00410046ZC00870010' +
+        'DLDAQ123\nDBB06061987DCSSMITH\nDACJOHN\rZCZCAX\r';
+      const {elements} = parseAAMVA(text);
+      elements.should.include(
+        {DAQ: '123', DCS: 'SMITH', DAC: 'JOHN', DBB: '06061987'});
+    });
+
+    it('should split at the end of fixed-length elements', function() {
+      const {elements} = parseAAMVA(
+        'DAQ123\nDAK94105      DCSSMITH\nDBB06061987DAG1 MAIN ST');
+      elements.should.eql({
+        DAQ: '123',
+        DAK: '94105',
+        DCS: 'SMITH',
+        DBB: '06061987',
+        DAG: '1 MAIN ST'
+      });
+    });
+
+    it('should not split values containing element codes', function() {
+      const {elements} = parseAAMVA(
+        'DAQ123\nDAG1 DAGWOOD ST\nDAH APT DAC 4\nDCSSMITH');
+      elements.should.eql({
+        DAQ: '123',
+        DAG: '1 DAGWOOD ST',
+        DAH: 'APT DAC 4',
+        DCS: 'SMITH'
+      });
+    });
+
+    it('should not split names and places containing element codes',
+      function() {
+        const text = '@\n\x1e\rANSI 636000100001DL00310074' +
+          'DLDAQT64235789\nDCSMCDAVID\nDACDAWN\nDAGBROADAWAY ST\n' +
+          'DAIADAMSVILLE\nDAJVA\nDBB06061987\r';
+        const {elements, fields} = parseAAMVA(text);
+        elements.should.eql({
+          DAQ: 'T64235789',
+          DCS: 'MCDAVID',
+          DAC: 'DAWN',
+          DAG: 'BROADAWAY ST',
+          DAI: 'ADAMSVILLE',
+          DAJ: 'VA',
+          DBB: '06061987'
+        });
+        fields.lastName.should.equal('MCDAVID');
+        fields.address.city.should.equal('ADAMSVILLE');
+      });
+  });
+
+  describe('parseDLInfo', function() {
+    it('should expose legacy element entries', function() {
+      const dlInfo = parseDLInfo(mockData.pdf417['002.png']);
+      dlInfo.DAQ.should.eql({
+        description: 'Customer ID Number',
+        value: '6665979'
+      });
+      dlInfo.raw.should.equal(mockData.pdf417['002.png']);
+      should.exist(dlInfo.fields);
+    });
+  });
+
+  describe('Normalization', function() {
+    const now = new Date(2025, 9, 1);
+
+    it('should use version and country aware date layouts', function() {
+      parseAAMVADate('06061987', {version: 10, country: 'USA'})
+        .should.equal('1987-06-06');
+      parseAAMVADate('19870606', {version: 10, country: 'CAN'})
+        .should.equal('1987-06-06');
+      parseAAMVADate('19870606', {version: 1, country: 'USA'})
+        .should.equal('1987-06-06');
+      // the other layout is not guessed at
+      should.equal(
+        parseAAMVADate('19870606', {version: 9, country: 'USA'}), null);
+      parseAAMVADate('19870606', {version: 9, layout: 'CCYYMMDD'})
+        .should.equal('1987-06-06');
+      should.equal(parseAAMVADate('13452020', {version: 9}), null);
+    });
+
+    it('should flag dates only valid in the other layout', function() {
+      const text = '@\n\x1e\rANSI 636014090001DL00310040' +
+        'DLDAQ1\nDBB19870606\nDBA06062030\r';
+      const {dates, ambiguousDates, age} =
+        normalizeDLInfo(parseAAMVA(text), {now});
+      should.equal(dates.dateOfBirth, null);
+      dates.expirationDate.should.equal('2030-06-06');
+      ambiguousDates.should.eql({dateOfBirth: '1987-06-06'});
+      should.equal(age, null);
+    });
+
+    it('should only read feet and inches heights of version 1', function() {
+      const heightOf = (DAU, version) =>
+        normalizeDLInfo({elements: {DAU}, version}, {now}).height.inches;
+      heightOf('507', 1).should.equal(67);
+      // unit-less heights of unknown versions are inches
+      heightOf('178', null).should.equal(178);
+      heightOf('178').should.equal(178);
+    });
+
+    it('should normalize measurements and enums', function() {
+      const normalized = normalizeDLInfo(
+        parseAAMVA(mockData.pdf417['001.png']), {now});
+
+      normalized.height.should.eql({cm: 216, inches: 85, feetInches: `7'1"`});
+      normalized.weight.should.eql(
+        {kg: 73, lb: 160, range: null, source: 'DAW'});
+      normalized.sex.should.eql({code: 'X', label: 'Not specified'});
+      normalized.eyeColor.should.eql({code: 'BLK', label: 'Black'});
+    });
+
+    it('should decode weight ranges', function() {
+      const text = '@\n\x1e\rANSI 636015100001DL00310050' +
+        'DLDAQ1\nDCE4\nDAU178 cm\r';
+      const {weight, height} = normalizeDLInfo(parseAAMVA(text), {now});
+      weight.range.should.eql({code: '4', kg: [71, 86], lb: [161, 190]});
+      height.inches.should.equal(70);
+    });
+
+    it('should compute age and under 21 flags', function() {
+      const normalized = normalizeDLInfo(
+        parseAAMVA(mockData.pdf417['002.png']), {now});
+      normalized.dates.dateOfBirth.should.equal('2003-07-03');
+      normalized.age.should.equal(22);
+      normalized.isUnder21.should.equal(false);
+      normalized.isExpired.should.equal(false);
+
+      const young = normalizeDLInfo(parseAAMVA(
+        mockData.pdf417['002.png']), {now: new Date(2024, 6, 2)});
+      young.age.should.equal(20);
+      young.isUnder21.should.equal(true);
+    });
+
+    it('should attach normalized values in parseDLInfo', function() {
+      const dlInfo = parseDLInfo(mockData.pdf417['002.png']);
+      should.exist(dlInfo.normalized);
+      dlInfo.normalized.hairColor.should.eql({code: 'BAL', label: 'Bald'});
+    });
+  });
+
+  describe('Z Subfiles', function() {
+    const text = '@\n\x1e\rANSI 636015100002DL00410020ZT00610030' +
+      'DLDAQ1\nDCSDOE\rZTZTAY\nZTB0314\nZTCX\r';
+
+    afterEach(function() {
+      unregisterZSubfileDecoder({jurisdiction: 'TX', subfile: 'ZT'});
+    });
+
+    it('should decode the starter California subfile', function() {
+      const {ZC} = decodeZSubfiles(parseAAMVA(mockData.pdf417['001.png']));
+      ZC.jurisdiction.should.equal('CA');
+      ZC.fields.securityData.should.match(/^[\w-]{100,}$/);
+      ZC.unknown.should.eql({});
+    });
+
+    it('should decode the starter Virginia subfile', function() {
+      const {ZV} = decodeZSubfiles(parseAAMVA(
+        '@\n\x1e\rANSI 636000100002DL00410021ZV00620010' +
+        'DLDAQT64235789\nDAJVA\rZVZVA01\r'));
+      ZV.jurisdiction.should.equal('VA');
+      ZV.fields.should.eql({courtRestrictionCode: '01'});
+    });
+
+    it('should report unregistered elements as unknown', function() {
+      const {ZT} = decodeZSubfiles(parseAAMVA(text));
+      ZT.fields.should.eql({});
+      ZT.unknown.should.eql({ZTA: 'Y', ZTB: '0314', ZTC: 'X'});
+    });
+
+    it('should decode with registered decoders', function() {
+      registerZSubfileDecoder({
+        jurisdiction: 'TX',
+        subfile: 'ZT',
+        fields: {
+          ZTA: {name: 'realId', parse: value => value === 'Y'},
+          ZTB: 'cardRevision'
+        },
+        decode: elements => ({hasZTC: 'ZTC' in elements})
+      });
+
+      const {jurisdictionFields} = parseDLInfo(text);
+      jurisdictionFields.ZT.fields.should.eql({
+        realId: true,
+        cardRevision: '0314',
+        hasZTC: true
+      });
+      jurisdictionFields.ZT.unknown.should.eql({ZTC: 'X'});
+    });
+
+    it('should unregister every key of a decoder', function() {
+      registerZSubfileDecoder(
+        {iin: '636015', jurisdiction: 'TX', subfile: 'ZT', fields: {}});
+
+      unregisterZSubfileDecoder({jurisdiction: 'TX', subfile: 'ZT'})
+        .should.equal(true);
+      should.not.exist(getZSubfileDecoder({iin: '636015', subfile: 'ZT'}));
+    });
+
+    it('should reject decoders without issuer', function() {
+      (() => registerZSubfileDecoder({subfile: 'ZZ'}))
+        .should.throw(/iin" or "jurisdiction/);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  computeCheckDigit,
+  parseMRZ,
+  verifyCheckDigit
+} from '@bedrock/web-optical-scanner';
+
+// ICAO 9303 specimen documents
+const specimens = {
+  TD1: [
+    'I<UTOD231458907<<<<<<<<<<<<<<<',
+    '7408122F1204159UTO<<<<<<<<<<<6',
+    'ERIKSSON<<ANNA<MARIA<<<<<<<<<<'
+  ],
+  TD2: [
+    'I<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<',
+    'D231458907UTO7408122F1204159<<<<<<<6'
+  ],
+  TD3: [
+    'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+    'L898902C36UTO7408122F1204159ZE184226B<<<<<10'
+  ],
+  MRVA: [
+    'V<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+    'L8988901C4XXX4009078F96121096ZE184226B<<<<<<'
+  ],
+  MRVB: [
+    'V<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<',
+    'L8988901C4XXX4009078F9612109<<<<<<<<'
+  ],
+  FRENCH_ID: [
+    'IDFRADOUEL<<<<<<<<<<<<<<<<<<<<932013',
+    '0506932020438CHRISTIANE<<NI2906209F3'
+  ]
+};
+
+describe('MRZ Parser', function() {
+  const now = new Date(2025, 0, 1);
+
+  describe('Check digits', function() {
+    it('should compute check digits', function() {
+      computeCheckDigit('L898902C3').should.equal(6);
+      computeCheckDigit('740812').should.equal(2);
+      computeCheckDigit('<<<<<<<<<<<<<<').should.equal(0);
+    });
+
+    it('should verify check digits', function() {
+      verifyCheckDigit('120415', '9').should.equal(true);
+      verifyCheckDigit('120415', '8').should.equal(false);
+      // filler check digits only for empty optional data
+      verifyCheckDigit('<<<<<<<<<<<<<<', '<', {allowFiller: true})
+        .should.equal(true);
+      verifyCheckDigit('<<<<<<<<<<<<<<', '<').should.equal(false);
+      verifyCheckDigit('ZE184226B<<<<<', '<', {allowFiller: true})
+        .should.equal(false);
+      verifyCheckDigit('000000', '<').should.equal(false);
+    });
+
+    it('should reject filler check digits of mandatory fields', function() {
+      const [line1, line2] = specimens.TD3;
+      const misread = line2.substring(0, 19) + '<' + line2.substring(20);
+      const result = parseMRZ([line1, misread].join('\n'), {now});
+      result.checkDigits.dateOfBirth.valid.should.equal(false);
+    });
+  });
+
+  describe('Formats', function() {
+    for(const [format, lines] of Object.entries(specimens)) {
+      it(`should parse and validate ${format}`, function() {
+        const result = parseMRZ(lines.join('\n'), {now});
+        result.format.should.equal(format);
+        result.valid.should.equal(true);
+        result.invalidFields.should.eql([]);
+        result.fields.should.have.property('documentNumber');
+        result.fields.should.have.property('dateOfBirth');
+      });
+    }
+
+    it('should parse TD3 fields', function() {
+      const {fields} = parseMRZ(specimens.TD3, {now});
+      fields.should.include({
+        documentType: 'P',
+        issuingState: 'UTO',
+        lastName: 'ERIKSSON',
+        firstName: 'ANNA MARIA',
+        documentNumber: 'L898902C3',
+        nationality: 'UTO',
+        dateOfBirth: '1974-08-12',
+        sex: 'F',
+        dateOfExpiry: '2012-04-15',
+        optionalData: 'ZE184226B',
+        age: 50
+      });
+    });
+
+    it('should parse French ID fields', function() {
+      const {fields} = parseMRZ(specimens.FRENCH_ID, {now});
+      fields.should.include({
+        lastName: 'DOUEL',
+        firstName: 'CHRISTIANE NI',
+        documentNumber: '050693202043',
+        dateOfBirth: '1929-06-20',
+        issueDate: '2005-06'
+      });
+    });
+
+    it('should place French ID issue months in the past', function() {
+      const {fields, valid} = parseMRZ([
+        'IDFRABERTHIER<<<<<<<<<<<<<<<<<923025',
+        '8806923102858CORINNE<<<<<<<6512068F9'
+      ], {now});
+      valid.should.equal(true);
+      fields.issueDate.should.equal('1988-06');
+    });
+
+    it('should reject unknown formats', function() {
+      (() => parseMRZ('NOT AN MRZ')).should.throw('Unrecognized MRZ format.');
+    });
+  });
+
+  describe('Validation', function() {
+    it('should report failed check digits', function() {
+      const lines = [...specimens.TD3];
+      // corrupt date of birth
+      lines[1] = lines[1].replace('7408122', '7408132');
+      const result = parseMRZ(lines, {now});
+
+      result.valid.should.equal(false);
+      result.invalidFields.should.include('dateOfBirth');
+      result.invalidFields.should.include('composite');
+      result.checkDigits.dateOfBirth.expected.should.equal(3);
+    });
+
+    it('should return plugin validation shape', function() {
+      const {validation} = parseMRZ(specimens.TD1, {now});
+      validation.overallStatus.should.equal('complete');
+      validation.fieldAnalysis.should.have.length(10);
+      validation.statistics.should.include({
+        criticalCompleteness: 100,
+        invalidFields: 0
+      });
+    });
+
+    it('should mark invalid critical fields', function() {
+      const lines = [...specimens.TD2];
+      lines[1] = lines[1].replace('D23145890', 'D23145891');
+      const {validation} = parseMRZ(lines, {now});
+      const documentNumber = validation.fieldAnalysis
+        .find(f => f.key === 'documentNumber');
+      documentNumber.status.should.equal('invalid');
+      validation.overallStatus.should.equal('partial');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from '../helpers.js';
+import {
+  CameraScanner,
+  localMrzPlugin,
+  OpticalScanner,
+  recognizeMRZ
+} from '@bedrock/web-optical-scanner';
+import mockData from '../mockData.js';
+
+describe('Local MRZ Engine', function() {
+  const pathToImages = '/base/images/mrz/';
+  const imageNames = Object.keys(mockData.mrz);
+
+  describe('Recognition', function() {
+    for(const imageName of imageNames) {
+      it(`should read MRZ from ${imageName}`, async function() {
+        const img = await helpers.loadImage(pathToImages + imageName);
+        const scanner = new OpticalScanner({plugins: [localMrzPlugin]});
+
+        const results = await scanner.scan(img, {
+          formats: ['mrz'],
+          mode: 'first'
+        });
+
+        results.should.have.length(1);
+        const [result] = results[0].data;
+        result.text.should.equal(mockData.mrz[imageName]);
+        result.data.validation.overallStatus.should.equal('complete');
+        result.data.invalidFields.should.eql([]);
+        result.metadata.scanner.should.equal('local-mrz');
+      });
+    }
+
+    it('should return mrzPlugin result shape', async function() {
+      const img = await helpers.loadImage(pathToImages + '19_GBR.jpg');
+      const [result] = await localMrzPlugin.scan(img);
+
+      result.format.should.equal('mrz');
+      result.data.should.include({
+        documentNumber: 'ICSBPANRC',
+        firstName: 'DAVID',
+        lastName: 'HERRMAN',
+        dateOfBirth: '1996-09-29',
+        dateOfExpiry: '2031-03-24',
+        nationality: 'GBR',
+        issuingState: 'GBR',
+        sex: 'M',
+        documentType: 'P'
+      });
+      result.data.confidence.should.be.within(0, 1);
+    });
+
+    it('should return nothing without an MRZ', async function() {
+      const canvas = document.createElement('canvas');
+      canvas.width = canvas.height = 200;
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(0, 0, 200, 200);
+
+      should.equal(recognizeMRZ(ctx.getImageData(0, 0, 200, 200)), null);
+      (await localMrzPlugin.scan(canvas)).should.eql([]);
+    });
+  });
+
+  describe('CameraScanner engine selection', function() {
+    it('should use the local engine for MRZ', function() {
+      const scanner = new CameraScanner({scanType: 'mrz', mrzEngine: 'local'});
+      scanner.config.mrzMode.should.equal('element');
+      scanner._getPluginsForScanType().should.eql([localMrzPlugin]);
+    });
+
+    it('should reject Dynamsoft camera mode with the local engine',
+      function() {
+        (() => new CameraScanner({
+          scanType: 'mrz', mrzEngine: 'local', mrzMode: 'camera'
+        })).should.throw(/requires mrzEngine "dynamsoft"/);
+      });
+  });
+});
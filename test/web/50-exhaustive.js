@@ -0,0 +1,167 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {OpticalScanner} from '@bedrock/web-optical-scanner';
+
+// 8x4 image, dark except for a light pixel at (6, 1)
+function createImage() {
+  const imageData = new ImageData(8, 4);
+  for(let i = 0; i < imageData.data.length; i += 4) {
+    imageData.data[i] = imageData.data[i + 1] = imageData.data[i + 2] = 20;
+    imageData.data[i + 3] = 255;
+  }
+  const marker = (1 * 8 + 6) * 4;
+  imageData.data[marker] = imageData.data[marker + 1] =
+    imageData.data[marker + 2] = 250;
+  return imageData;
+}
+
+// finds the light pixel, but only when the image is upright and portrait
+const rotatedPlugin = {
+  format: 'fake_rotated',
+  async scan(source) {
+    if(source.width > source.height) {
+      return [];
+    }
+    for(let i = 0; i < source.data.length; i += 4) {
+      if(source.data[i] > 200) {
+        const x = (i / 4) % source.width;
+        const y = Math.floor(i / 4 / source.width);
+        return [{
+          text: 'marker',
+          format: 'fake_rotated',
+          boundingBox: {x, y, width: 0, height: 0}
+        }];
+      }
+    }
+    return [];
+  }
+};
+
+// reports the same payload at two places in every pass
+const twinPlugin = {
+  format: 'fake_twin',
+  async scan(source) {
+    if(source.width !== 8 || source.height !== 4) {
+      return [];
+    }
+    return [
+      {text: 'twin', boundingBox: {x: 0, y: 0, width: 2, height: 2}},
+      {text: 'twin', boundingBox: {x: 5, y: 2, width: 2, height: 2}}
+    ];
+  }
+};
+
+// rejects every source, as a misconfigured plugin does
+const brokenPlugin = {
+  format: 'fake_broken',
+  async scan() {
+    throw new Error('Invalid license.');
+  }
+};
+
+// only handles the original, untransformed source
+const originalOnlyPlugin = {
+  format: 'fake_original',
+  async scan(source) {
+    if(source.width !== 8 || source.height !== 4) {
+      throw new Error('Unsupported size.');
+    }
+    return [];
+  }
+};
+
+describe('Exhaustive Mode', function() {
+  let scanner;
+
+  beforeEach(function() {
+    scanner = new OpticalScanner({plugins: [
+      rotatedPlugin, twinPlugin, brokenPlugin, originalOnlyPlugin
+    ]});
+  });
+
+  it('should find codes only visible in a transformed pass', async function() {
+    const results = await scanner.scan(createImage(), {
+      formats: ['fake_rotated'],
+      mode: 'exhaustive',
+      exhaustive: {scales: [], crops: false}
+    });
+
+    results.should.have.length(1);
+    results[0].format.should.equal('fake_rotated');
+    results[0].data.should.have.length(1);
+    const [code] = results[0].data;
+    code.passes.should.eql(['rotate-90', 'rotate-270']);
+    // location is reported in source coordinates
+    code.boundingBox.should.eql({x: 6, y: 1, width: 0, height: 0});
+  });
+
+  it('should keep identical payloads at distinct locations', async function() {
+    const results = await scanner.scan(createImage(), {
+      formats: ['fake_rotated', 'fake_twin'],
+      mode: 'exhaustive'
+    });
+
+    const twin = results.find(r => r.format === 'fake_twin');
+    twin.data.should.have.length(2);
+    twin.data.map(r => r.boundingBox.x).should.eql([0, 5]);
+    // contrast and inversion keep the size, so they find the same codes
+    twin.data[0].passes.should.include.members(
+      ['original', 'contrast', 'invert']);
+  });
+
+  it('should only return formats with results', async function() {
+    const results = await scanner.scan(createImage(), {
+      formats: ['fake_rotated', 'fake_twin'],
+      mode: 'exhaustive',
+      exhaustive: {rotations: [], crops: false}
+    });
+
+    results.map(r => r.format).should.eql(['fake_twin']);
+  });
+
+  it('should report plugins failing on the original source', async function() {
+    let error;
+    try {
+      await scanner.scan(createImage(), {
+        formats: ['fake_broken', 'fake_original'],
+        mode: 'exhaustive'
+      });
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('NoResultsError');
+    // failures of transformed passes are tolerated
+    error.errors.should.have.length(1);
+    error.errors[0].format.should.equal('fake_broken');
+    error.errors[0].cause.message.should.equal('Invalid license.');
+  });
+
+  it('should return results despite failing plugins', async function() {
+    const results = await scanner.scan(createImage(), {
+      formats: ['fake_broken', 'fake_twin'],
+      mode: 'exhaustive',
+      exhaustive: {rotations: [], crops: false}
+    });
+
+    results.map(r => r.format).should.eql(['fake_twin']);
+  });
+
+  it('should abort between passes', async function() {
+    const controller = new AbortController();
+    controller.abort();
+    let error;
+    try {
+      await scanner.scan(createImage(), {
+        formats: ['fake_twin'],
+        mode: 'exhaustive',
+        signal: controller.signal
+      });
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('AbortError');
+  });
+});
@@ -0,0 +1,119 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  getPreprocessSteps,
+  OpticalScanner,
+  preprocessImage
+} from '@bedrock/web-optical-scanner';
+
+// smooth stripes, as a camera sees them, turned clockwise by `degrees`
+function createStripes(width, height, degrees = 0) {
+  const imageData = new ImageData(width, height);
+  const radians = degrees * Math.PI / 180;
+  for(let y = 0; y < height; ++y) {
+    for(let x = 0; x < width; ++x) {
+      const along = (x - width / 2) * Math.cos(radians) +
+        (y - height / 2) * Math.sin(radians);
+      const i = (y * width + x) * 4;
+      imageData.data[i] = imageData.data[i + 1] = imageData.data[i + 2] =
+        // low contrast
+        100 + 40 * Math.cos(along * Math.PI / 6);
+      imageData.data[i + 3] = 255;
+    }
+  }
+  return imageData;
+}
+
+// reports the size it was given, at the image center
+const sizePlugin = {
+  format: 'fake_size',
+  async scan(source) {
+    const {width, height} = source;
+    return [{
+      text: `${width}x${height}`,
+      boundingBox: {x: width / 2, y: height / 2, width: 0, height: 0}
+    }];
+  }
+};
+
+describe('Preprocessing', function() {
+  it('should chain steps and map points back', function() {
+    const {imageData, toSource} = preprocessImage(createStripes(400, 200), [
+      {name: 'downscale', maxSide: 100},
+      'grayscale',
+      image => ({
+        imageData: image,
+        toSource: ({x, y}) => ({x: x + 1, y})
+      })
+    ]);
+    imageData.width.should.equal(100);
+    imageData.height.should.equal(50);
+    toSource({x: 10, y: 10}).should.eql({x: 44, y: 40});
+  });
+
+  it('should binarize and stretch low contrast images', function() {
+    // few gray levels per tile: let CLAHE equalize them fully
+    const clahe = {name: 'clahe', clipLimit: 40};
+    for(const step of ['threshold', clahe, 'contrast']) {
+      const {imageData} = preprocessImage(createStripes(96, 96), [step]);
+      const values = new Set();
+      for(let i = 0; i < imageData.data.length; i += 4) {
+        values.add(imageData.data[i]);
+      }
+      // from 60-140
+      (Math.max(...values) - Math.min(...values)).should.be.above(120);
+      if(step === 'threshold') {
+        [...values].sort((a, b) => a - b).should.eql([0, 255]);
+      }
+    }
+  });
+
+  it('should deskew rotated content', function() {
+    const {imageData, toSource} = preprocessImage(
+      createStripes(120, 120, 8), ['deskew']);
+    imageData.width.should.be.above(120);
+    // the stripes run vertically again: rows repeat along columns
+    const {width, data} = imageData;
+    const center = Math.floor(imageData.height / 2);
+    for(const x of [50, 60, 70]) {
+      data[((center - 20) * width + x) * 4].should.be.closeTo(
+        data[((center + 20) * width + x) * 4], 16);
+    }
+    const {x, y} = toSource({x: width / 2, y: imageData.height / 2});
+    x.should.be.closeTo(60, 0.01);
+    y.should.be.closeTo(60, 0.01);
+  });
+
+  it('should warp a quadrilateral upright', function() {
+    const corners = [{x: 10, y: 20}, {x: 90, y: 10}, {x: 80, y: 90},
+      {x: 20, y: 80}];
+    const {imageData, toSource} = preprocessImage(createStripes(100, 100),
+      [{name: 'deskew', corners}]);
+    imageData.width.should.equal(81);
+    const {x, y} = toSource({x: imageData.width, y: imageData.height});
+    x.should.be.closeTo(80, 0.01);
+    y.should.be.closeTo(90, 0.01);
+  });
+
+  it('should reject unknown steps', function() {
+    getPreprocessSteps().should.include.members(
+      ['grayscale', 'threshold', 'clahe', 'sharpen', 'deskew']);
+    (() => preprocessImage(new ImageData(2, 2), ['blur']))
+      .should.throw('Unknown preprocessing step: blur');
+  });
+
+  it('should preprocess per format before scanning', async function() {
+    const scanner = new OpticalScanner({plugins: [sizePlugin]});
+    const [result] = await scanner.scan(createStripes(400, 200), {
+      formats: ['fake_size'],
+      pluginOptions: {
+        fake_size: {preprocess: [{name: 'downscale', maxSide: 100}]}
+      }
+    });
+    const [code] = result.data;
+    code.text.should.equal('100x50');
+    // locations are in source coordinates
+    code.boundingBox.should.eql({x: 200, y: 100, width: 0, height: 0});
+  });
+});
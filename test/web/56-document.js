@@ -0,0 +1,125 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  detectDocument,
+  localizeDocument,
+  OpticalScanner,
+  rectifyDocument
+} from '@bedrock/web-optical-scanner';
+
+// whether `point` is inside the clockwise quadrilateral `corners`
+function isInside(point, corners) {
+  return corners.every((a, i) => {
+    const b = corners[(i + 1) % 4];
+    return (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x) >= 0;
+  });
+}
+
+// a light card with text-like marks on a textured dark background
+function createPhoto(width, height, corners) {
+  const imageData = new ImageData(width, height);
+  let seed = 1;
+  const noise = () =>
+    (seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff - 0.5;
+  for(let y = 0; y < height; ++y) {
+    for(let x = 0; x < width; ++x) {
+      // supersampled, for anti-aliased edges
+      let coverage = 0;
+      for(const [dx, dy] of [[0.25, 0.25], [0.75, 0.25], [0.25, 0.75],
+        [0.75, 0.75]]) {
+        coverage += isInside({x: x + dx, y: y + dy}, corners) ? 0.25 : 0;
+      }
+      let value = 60 + 20 * Math.sin(x / 13) + coverage * 140 + noise() * 30;
+      if(coverage === 1 &&
+        (Math.floor(x / 4) + Math.floor(y / 6)) % 7 === 0) {
+        value -= 90;
+      }
+      const i = (y * width + x) * 4;
+      imageData.data[i] = imageData.data[i + 1] = imageData.data[i + 2] =
+        value;
+      imageData.data[i + 3] = 255;
+    }
+  }
+  return imageData;
+}
+
+// an ID-1 card, tilted
+const CARD = [
+  {x: 120, y: 90}, {x: 520, y: 60}, {x: 540, y: 330}, {x: 100, y: 320}
+];
+
+// reports the size it was given, at the image center
+const sizePlugin = {
+  format: 'fake_size',
+  async scan(source) {
+    const {width, height} = source;
+    return [{
+      text: `${width}x${height}`,
+      boundingBox: {x: width / 2, y: height / 2, width: 0, height: 0}
+    }];
+  }
+};
+
+describe('Document localization', function() {
+  it('should find the corners of a card', function() {
+    const found = detectDocument(createPhoto(640, 480, CARD));
+    found.confidence.should.be.above(0.5);
+    found.corners.forEach((corner, i) => {
+      corner.x.should.be.closeTo(CARD[i].x, 4);
+      corner.y.should.be.closeTo(CARD[i].y, 4);
+    });
+  });
+
+  it('should find nothing without a document', function() {
+    should.not.exist(detectDocument(createPhoto(320, 240, [
+      {x: -10, y: -10}, {x: -5, y: -10}, {x: -5, y: -5}, {x: -10, y: -5}
+    ])));
+  });
+
+  it('should warp a portrait card to landscape', function() {
+    const photo = new ImageData(200, 200);
+    const corners = [
+      {x: 50, y: 20}, {x: 150, y: 20}, {x: 150, y: 180}, {x: 50, y: 180}
+    ];
+    const {imageData, toSource, size} = rectifyDocument(photo, corners, {
+      width: 500
+    });
+    size.should.equal('id-1');
+    imageData.width.should.equal(500);
+    imageData.height.should.equal(315);
+    // the long left side goes on top
+    const {x, y} = toSource({x: 0, y: 0});
+    x.should.be.closeTo(50, 0.01);
+    y.should.be.closeTo(180, 0.01);
+    (() => rectifyDocument(photo, corners, {size: 'id-2'}))
+      .should.throw('Unknown document size: id-2');
+  });
+
+  it('should localize a document in one call', function() {
+    const localized = localizeDocument(createPhoto(640, 480, CARD), {
+      size: 'id-3', width: 600
+    });
+    localized.size.should.equal('id-3');
+    localized.imageData.width.should.equal(600);
+    localized.imageData.height.should.equal(422);
+    localized.corners.should.have.length(4);
+  });
+
+  it('should scan the rectified document', async function() {
+    const scanner = new OpticalScanner({plugins: [sizePlugin]});
+    const found = [];
+    const [result] = await scanner.scan(createPhoto(640, 480, CARD), {
+      formats: ['fake_size'],
+      pluginOptions: {fake_size: {document: {width: 800}}},
+      onDocument: localized => found.push(localized)
+    });
+    const [code] = result.data;
+    code.text.should.equal('800x504');
+    code.document.size.should.equal('id-1');
+    found.should.eql([code.document]);
+    // the card center (where its diagonals cross), in source coordinates
+    code.boundingBox.x.should.be.closeTo(303, 4);
+    code.boundingBox.y.should.be.closeTo(195, 4);
+  });
+});
@@ -0,0 +1,116 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  FrameQualityAnalyzer,
+  OpticalScanner,
+  qualityHints
+} from '@bedrock/web-optical-scanner';
+
+// a checkerboard of `dark` and `light` squares, `offset` pixels to the right
+function createBoard(width, height, {
+  dark = 40, light = 200, square = 8, offset = 0, glare = 0
+} = {}) {
+  const imageData = new ImageData(width, height);
+  for(let y = 0; y < height; ++y) {
+    for(let x = 0; x < width; ++x) {
+      const isLight =
+        (Math.floor((x + offset) / square) + Math.floor(y / square)) % 2;
+      // a saturated patch in the top left corner
+      const value = x < width * glare && y < height * glare ?
+        255 : isLight ? light : dark;
+      const i = (y * width + x) * 4;
+      imageData.data[i] = imageData.data[i + 1] = imageData.data[i + 2] =
+        value;
+      imageData.data[i + 3] = 255;
+    }
+  }
+  return imageData;
+}
+
+// counts the frames it decodes
+function createCountingPlugin() {
+  return {
+    format: 'fake_count',
+    sources: [],
+    async scan(source) {
+      this.sources.push(source);
+      return [{text: 'found'}];
+    }
+  };
+}
+
+describe('Frame quality', function() {
+  it('should accept sharp, well exposed frames', function() {
+    const report = new FrameQualityAnalyzer().analyze(createBoard(160, 120));
+    report.acceptable.should.equal(true);
+    report.score.should.equal(1);
+    report.hints.should.eql([]);
+    should.not.exist(report.metrics.motion);
+  });
+
+  it('should hint at what is wrong', function() {
+    const hintsOf = (imageData, options) =>
+      new FrameQualityAnalyzer(options).analyze(imageData).hints;
+    // no detail
+    hintsOf(createBoard(160, 120, {light: 40})).should.eql(['move-closer']);
+    hintsOf(createBoard(160, 120, {dark: 5, light: 25}))
+      .should.include('more-light');
+    hintsOf(createBoard(160, 120, {dark: 230, light: 250}))
+      .should.include('less-light');
+    hintsOf(createBoard(160, 120, {glare: 0.4})).should.eql(['reduce-glare']);
+    Object.keys(qualityHints).should.include.members(
+      ['hold-still', 'move-closer', 'reduce-glare']);
+  });
+
+  it('should measure motion between frames', function() {
+    const analyzer = new FrameQualityAnalyzer();
+    analyzer.analyze(createBoard(160, 120));
+    analyzer.analyze(createBoard(160, 120)).metrics.motion.should.equal(0);
+    const moved = analyzer.analyze(createBoard(160, 120, {offset: 4}));
+    moved.metrics.motion.should.be.above(50);
+    moved.hints.should.eql(['hold-still']);
+    analyzer.reset();
+    should.not.exist(
+      analyzer.analyze(createBoard(160, 120)).metrics.motion);
+  });
+
+  it('should not decode poor frames', async function() {
+    const plugin = createCountingPlugin();
+    const scanner = new OpticalScanner({plugins: [plugin]});
+    const reports = [];
+    let error;
+    try {
+      await scanner.scanContinuous(createBoard(160, 120, {light: 40}), {
+        formats: ['fake_count'],
+        scheduler: {targetFps: 30},
+        timeoutMs: 300,
+        quality: true,
+        onQuality: report => reports.push(report)
+      });
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    plugin.sources.should.eql([]);
+    reports.length.should.be.above(0);
+    reports[0].hints.should.eql(['move-closer']);
+  });
+
+  it('should decode the best frame of a window', async function() {
+    const plugin = createCountingPlugin();
+    const scanner = new OpticalScanner({plugins: [plugin]});
+    const captures = [];
+    const frame = createBoard(160, 120);
+    const [result] = await scanner.scanContinuous(frame, {
+      formats: ['fake_count'],
+      scheduler: {targetFps: 30},
+      quality: {windowMs: 100},
+      onCapture: capture => captures.push(capture)
+    });
+    result.data[0].text.should.equal('found');
+    captures.should.have.length(1);
+    captures[0].quality.score.should.equal(1);
+    plugin.sources.should.eql([frame]);
+  });
+});
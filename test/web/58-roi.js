@@ -0,0 +1,102 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  calculateScanRegion,
+  centerRegion,
+  getGuideRegion,
+  OpticalScanner,
+  resolveRegion
+} from '@bedrock/web-optical-scanner';
+
+// a 1280x720 video shown in a 400x400 box
+function createVideo() {
+  return {
+    videoWidth: 1280,
+    videoHeight: 720,
+    getBoundingClientRect: () => ({left: 10, top: 20, width: 400, height: 400})
+  };
+}
+
+// reports the size it was given, at the image center
+const sizePlugin = {
+  format: 'fake_size',
+  async scan(source) {
+    const {width, height} = source;
+    return [{
+      text: `${width}x${height}`,
+      boundingBox: {x: width / 2, y: height / 2, width: 0, height: 0}
+    }];
+  }
+};
+
+describe('Regions of interest', function() {
+  const frame = {width: 1280, height: 720};
+
+  it('should resolve pixel and percent regions', function() {
+    resolveRegion({x: 10.5, y: 20, width: 100, height: 50}, frame)
+      .should.eql({x: 10, y: 20, width: 101, height: 50});
+    resolveRegion({x: 25, y: 25, width: 50, height: 50, units: '%'}, frame)
+      .should.eql({x: 320, y: 180, width: 640, height: 360});
+    // clipped to the frame
+    resolveRegion({x: 1200, y: -10, width: 200, height: 100}, frame)
+      .should.eql({x: 1200, y: 0, width: 80, height: 90});
+  });
+
+  it('should map display regions through object-fit', function() {
+    const region = {x: 100, y: 100, width: 200, height: 200, space: 'display'};
+    const view = {width: 400, height: 400};
+    // the video is scaled up and its sides are cut off
+    resolveRegion(region, frame, {...view, fit: 'cover'})
+      .should.eql({x: 460, y: 180, width: 360, height: 360});
+    // the video is letterboxed
+    resolveRegion(region, frame, {...view, fit: 'contain'})
+      .should.eql({x: 320, y: 40, width: 640, height: 640});
+    resolveRegion(region, frame, {...view, fit: 'fill'})
+      .should.eql({x: 320, y: 180, width: 640, height: 360});
+  });
+
+  it('should reject invalid regions', function() {
+    (() => resolveRegion({x: 0, y: 0, width: 0, height: 10}, frame))
+      .should.throw(TypeError);
+    (() => resolveRegion({width: 10, height: 10, units: 'em'}, frame))
+      .should.throw('Unknown region units: em');
+    (() => resolveRegion({width: 10, height: 10, space: 'display'}, frame))
+      .should.throw('Display regions need the size of the view.');
+    (() => resolveRegion({x: 2000, y: 0, width: 10, height: 10}, frame))
+      .should.throw('Region is outside the frame.');
+  });
+
+  it('should turn a guide box into a video region', function() {
+    const guide = {left: 110, top: 120, width: 200, height: 200};
+    getGuideRegion(guide, createVideo(), {fit: 'cover'})
+      .should.eql({x: 460, y: 180, width: 360, height: 360});
+  });
+
+  it('should center regions', function() {
+    centerRegion(frame, {scale: 0.5})
+      .should.eql({x: 320, y: 180, width: 640, height: 360});
+    centerRegion(frame, {aspectRatio: 1})
+      .should.eql({x: 280, y: 0, width: 720, height: 720});
+    // a card-shaped box, in Dynamsoft percent
+    calculateScanRegion(new ImageData(1280, 720)).should.eql({
+      regionLeft: 14,
+      regionTop: 10,
+      regionRight: 86,
+      regionBottom: 90,
+      regionMeasuredByPercentage: 1
+    });
+  });
+
+  it('should scan the region only', async function() {
+    const scanner = new OpticalScanner({plugins: [sizePlugin]});
+    const [result] = await scanner.scan(new ImageData(400, 200), {
+      formats: ['fake_size'],
+      region: {x: 50, y: 0, width: 50, height: 100, units: '%'}
+    });
+    const [code] = result.data;
+    code.text.should.equal('200x200');
+    // in full-frame coordinates
+    code.boundingBox.should.eql({x: 300, y: 100, width: 0, height: 0});
+  });
+});
@@ -0,0 +1,131 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  CameraScanner,
+  overlayGuides,
+  ScanOverlay
+} from '@bedrock/web-optical-scanner';
+
+// a loaded 640x480 camera preview
+function createPreview() {
+  const container = document.createElement('div');
+  container.style.width = '320px';
+  container.style.height = '240px';
+  const video = document.createElement('video');
+  Object.defineProperty(video, 'videoWidth', {value: 640});
+  Object.defineProperty(video, 'videoHeight', {value: 480});
+  video.style.objectFit = 'cover';
+  container.appendChild(video);
+  document.body.appendChild(container);
+  return {container, video};
+}
+
+describe('ScanOverlay', function() {
+  let preview;
+  beforeEach(function() {
+    preview = createPreview();
+  });
+  afterEach(function() {
+    preview.container.remove();
+  });
+
+  it('should shape the guide frame', function() {
+    const overlay = new ScanOverlay(preview.container, {guide: 'id-card'});
+    overlay.guide.style.getPropertyValue('--aspect-ratio')
+      .should.equal(String(overlayGuides['id-card']));
+    overlay.setGuide(null);
+    overlay.guide.hidden.should.equal(true);
+    (() => overlay.setGuide('oval')).should.throw('Unknown overlay guide');
+    overlay.destroy();
+  });
+
+  it('should show status messages', function() {
+    const overlay = new ScanOverlay(preview.container, {
+      messages: {found: 'Got it'}
+    });
+    const status = preview.container.querySelector('[role="status"]');
+    overlay.setStatus('found');
+    status.textContent.should.equal('Got it');
+    overlay.setStatus('progress', {received: 2, total: 5});
+    status.textContent.should.equal('Scanned 2 of 5 parts');
+    overlay.setStatus('hold-still');
+    status.textContent.should.equal('Hold still');
+    overlay.setStatus(null);
+    status.textContent.should.equal('');
+    overlay.destroy();
+  });
+
+  it('should follow the progress of a CameraScanner', function() {
+    const scanner = new CameraScanner({overlay: true});
+    scanner._setupOverlay(preview.container);
+    const status = preview.container.querySelector('[role="status"]');
+    scanner.emit('progress', {received: 2, total: 5});
+    status.textContent.should.equal('Scanned 2 of 5 parts');
+    // Macro PDF417 segments may not tell the segment count
+    scanner.emit('progress', {received: 2, total: null});
+    status.textContent.should.equal('Scanned 2 parts');
+    scanner.dispose();
+  });
+
+  it('should pick guides for the scanned formats', function() {
+    const guideOf = scanType => new CameraScanner({scanType})
+      ._getDefaultGuide(scanType);
+    // barcode scans look for QR codes as well as PDF417 codes
+    guideOf('barcode').should.equal('qr');
+    guideOf('mrz').should.equal('id-card');
+    guideOf('auto').should.equal('id-card');
+  });
+
+  it('should keep QR codes inside the guide of barcode scans', function() {
+    const scanner = new CameraScanner({scanType: 'barcode', overlay: true});
+    scanner._videoElement = preview.video;
+    scanner._setupOverlay(preview.container);
+    const {guide} = scanner._overlay;
+    // lay out the preview and a guide 200px wide centered over it
+    const ratio = Number(guide.style.getPropertyValue('--aspect-ratio'));
+    const height = 200 / ratio;
+    preview.video.getBoundingClientRect =
+      () => ({left: 0, top: 0, width: 320, height: 240});
+    guide.getBoundingClientRect = () => ({
+      left: 60, top: 120 - height / 2, width: 200, height
+    });
+
+    const region = scanner._getRegion(preview.video, {region: 'guide'});
+    // a QR code as wide as the guide is not cut off
+    region.width.should.equal(400);
+    region.height.should.equal(400);
+    scanner.dispose();
+  });
+
+  it('should outline codes in frame coordinates', async function() {
+    const overlay = new ScanOverlay(preview.container, {
+      video: preview.video,
+      highlightMs: 20
+    });
+    overlay.showCodes([
+      {boundingBox: {x: 10, y: 20, width: 100, height: 50}},
+      // no location
+      {text: 'x'}
+    ]);
+    const svg = preview.container.querySelector('svg');
+    svg.getAttribute('viewBox').should.equal('0 0 640 480');
+    svg.getAttribute('preserveAspectRatio').should.equal('xMidYMid slice');
+    const outlines = svg.querySelectorAll('polygon');
+    outlines.should.have.length(1);
+    outlines[0].getAttribute('points')
+      .should.equal('10,20 110,20 110,70 10,70');
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    svg.querySelectorAll('polygon').should.have.length(0);
+    overlay.destroy();
+  });
+
+  it('should leave the container as it was', function() {
+    const overlay = new ScanOverlay(preview.container);
+    preview.container.style.position.should.equal('relative');
+    overlay.destroy();
+    preview.container.style.position.should.equal('');
+    preview.container.children.should.have.length(1);
+  });
+});
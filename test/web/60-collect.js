@@ -0,0 +1,167 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  CameraScanner,
+  CodeCollection,
+  getCodeKey,
+  OpticalScanner
+} from '@bedrock/web-optical-scanner';
+import {createFramePlugin} from '../helpers.js';
+
+function box(x, y) {
+  return {x, y, width: 10, height: 10};
+}
+
+describe('Multiple-code collection', function() {
+  describe('CodeCollection', function() {
+    it('should key codes by format and payload', function() {
+      getCodeKey('qr_code', {text: 'a'}).should.equal(
+        getCodeKey('qr_code', {text: 'a', boundingBox: box(5, 5)}));
+      getCodeKey('qr_code', {text: 'a'}).should.not.equal(
+        getCodeKey('pdf417', {text: 'a'}));
+      getCodeKey('qr_code', {text: 'a'}).should.match(/^qr_code:[0-9a-f]{8}$/);
+    });
+
+    it('should add new codes and update known ones', function() {
+      const collection = new CodeCollection();
+      const first = collection.add('qr_code',
+        {text: 'a', boundingBox: box(0, 0)});
+      first.type.should.equal('added');
+      first.code.count.should.equal(1);
+
+      const second = collection.add('qr_code',
+        {text: 'a', boundingBox: box(20, 0)});
+      second.type.should.equal('updated');
+      second.code.should.equal(first.code);
+      second.code.count.should.equal(2);
+      second.code.boundingBox.should.eql(box(20, 0));
+
+      // a sighting without a location keeps the last known one
+      collection.add('qr_code', {text: 'a'});
+      first.code.boundingBox.should.eql(box(20, 0));
+      collection.size.should.equal(1);
+    });
+
+    it('should keep payloads with colliding hashes apart', function() {
+      const collection = new CodeCollection();
+      // distinct payloads with the same FNV-1a hash
+      getCodeKey('qr_code', {text: 'costarring'}).should.equal(
+        getCodeKey('qr_code', {text: 'liquid'}));
+      const first = collection.add('qr_code', {text: 'costarring'});
+      const second = collection.add('qr_code', {text: 'liquid'});
+      second.type.should.equal('added');
+      second.code.key.should.equal(`${first.code.key}-1`);
+      collection.add('qr_code', {text: 'liquid'}).code
+        .should.equal(second.code);
+      collection.values().map(code => code.text)
+        .should.eql(['costarring', 'liquid']);
+    });
+  });
+
+  describe('OpticalScanner.scanCollect()', function() {
+    it('should collect every code seen during the window', async function() {
+      const scanner = new OpticalScanner({plugins: [
+        createFramePlugin('qr_code', [
+          [{text: 'ticket-1', boundingBox: box(0, 0)}],
+          [
+            {text: 'ticket-1', boundingBox: box(2, 0)},
+            {text: 'ticket-2', boundingBox: box(50, 0)}
+          ]
+        ]),
+        createFramePlugin('pdf417', [[], [{text: 'ticket-1'}]])
+      ]});
+      const events = [];
+
+      const codes = await scanner.scanCollect({}, {
+        formats: ['qr_code', 'pdf417'],
+        durationMs: 300,
+        scheduler: {targetFps: 30},
+        onCode: ({type, code}) => events.push(`${type} ${code.text}`)
+      });
+
+      codes.map(code => `${code.format} ${code.text}`).should.eql([
+        'qr_code ticket-1', 'qr_code ticket-2', 'pdf417 ticket-1'
+      ]);
+      codes[0].count.should.equal(2);
+      codes[0].boundingBox.should.eql(box(2, 0));
+      events.should.eql([
+        'added ticket-1',
+        'updated ticket-1',
+        'added ticket-2',
+        'added ticket-1'
+      ]);
+    });
+
+    it('should resolve early with maxCodes', async function() {
+      const scanner = new OpticalScanner({plugins: [
+        createFramePlugin('qr_code', [[{text: 'a'}, {text: 'b'}]])
+      ]});
+
+      const start = Date.now();
+      const codes = await scanner.scanCollect({}, {
+        formats: ['qr_code'],
+        durationMs: 5000,
+        maxCodes: 2
+      });
+
+      codes.should.have.length(2);
+      (Date.now() - start).should.be.below(1000);
+    });
+
+    it('should reject when aborted', async function() {
+      const scanner = new OpticalScanner({plugins: [
+        createFramePlugin('qr_code', [])
+      ]});
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 20);
+
+      let error;
+      try {
+        await scanner.scanCollect({}, {
+          formats: ['qr_code'],
+          signal: controller.signal
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('AbortError');
+    });
+  });
+
+  describe('CameraScanner collect mode', function() {
+    it('should accept the collect scan mode', function() {
+      const scanner = new CameraScanner({
+        scanMode: 'collect', collectWindowMs: 3000
+      });
+      scanner.config.scanMode.should.equal('collect');
+      scanner.config.collectWindowMs.should.equal(3000);
+    });
+
+    it('should format collected codes', function() {
+      const scanner = new CameraScanner({scanMode: 'collect'});
+      const collection = new CodeCollection();
+      collection.add('qr_code', {text: 'a', boundingBox: box(0, 0)});
+      collection.add('pdf417', {text: 'b'});
+
+      const result = scanner._formatCollectedCodes(collection.values());
+      result.success.should.equal(true);
+      result.scanMode.should.equal('collect');
+      result.codes.map(code => code.type).should.eql(['QR_CODE', 'PDF_417']);
+      result.codes[0].text.should.equal('a');
+      result.codes[0].boundingBox.should.eql(box(0, 0));
+      result.codes[0].key.should.equal(getCodeKey('qr_code', {text: 'a'}));
+    });
+
+    it('should keep every code of a multi-result scan', function() {
+      const scanner = new CameraScanner({scanMode: 'all'});
+      const result = scanner._formatScanResults([
+        {format: 'qr_code', success: true, data: [{text: 'a'}, {text: 'b'}]},
+        {format: 'pdf417', success: true, data: [{text: 'c'}]}
+      ]);
+      result.text.should.equal('a');
+      result.codes.map(code => code.text).should.eql(['a', 'b', 'c']);
+    });
+  });
+});
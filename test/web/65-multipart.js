@@ -0,0 +1,148 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  decodeCBOR,
+  MultipartAssembler,
+  OpticalScanner,
+  parseMultipartPart
+} from '@bedrock/web-optical-scanner';
+import {createFramePlugin} from '../helpers.js';
+
+// 'A presentation too large for one QR code' as UR fountain parts of 4
+// fragments; parts past 4 mix several fragments
+const UR_PARTS = [
+  'ur:bytes/1-4/lpadaacsdrcylgectyingrhddefpcxjojpihjkihjtjycegrttta',
+  'ur:bytes/2-4/lpaoaacsdrcylgectyingrhsjyinjljtcxjyjljlcxjzctditswy',
+  'ur:bytes/3-4/lpaxaacsdrcylgectyingrhsjpioihcxiyjljpcxjljtglrntlwz',
+  'ur:bytes/4-4/lpaaaacsdrcylgectyingrihcxgygmcxiajlieihaeaevlsrkslg',
+  'ur:bytes/5-4/lpahaacsdrcylgectyingrfsaybejpgdbybkchaejtjyproyladp',
+  'ur:bytes/6-4/lpamaacsdrcylgectyingrhddefpcxjojpihjkihjtjykppshgly',
+  'ur:bytes/7-4/lpataacsdrcylgectyingrfsbackksckhgbybkgwclkomkdsaetd',
+  'ur:bytes/8-4/lpayaacsdrcylgectyingrhddefpcxjojpihjkihjtjyoliahpeh',
+  'ur:bytes/9-4/lpasaacsdrcylgectyingraagmenemaeahaecmfejljteondlorp'
+];
+const UR_MESSAGE = 'ur:bytes/hddefpcxjojpihjkihjtjyhsjyinjljtcxjyjljlcxjzhs' +
+  'jpioihcxiyjljpcxjljtihcxgygmcxiajlieihlgectyin';
+
+async function addAll(assembler, texts) {
+  const states = [];
+  for(const text of texts) {
+    states.push(await assembler.add(text));
+  }
+  return states;
+}
+
+describe('Multi-part codes', function() {
+  describe('MultipartAssembler', function() {
+    it('should reassemble UR fountain codes', async function() {
+      const states = await addAll(new MultipartAssembler(), [
+        UR_PARTS[0], UR_PARTS[1], UR_PARTS[1], UR_PARTS[2], UR_PARTS[3]
+      ]);
+      states.map(({progress}) => progress.percent)
+        .should.eql([25, 50, 50, 75, 100]);
+      states[2].duplicate.should.equal(true);
+      const {message} = states[4];
+      message.should.include({
+        protocol: 'ur',
+        type: 'bytes',
+        text: UR_MESSAGE,
+        checksumVerified: true
+      });
+      new TextDecoder().decode(decodeCBOR(message.bytes))
+        .should.equal('A presentation too large for one QR code');
+    });
+
+    it('should recover fragments from mixed parts', async function() {
+      // upper case, as QR alphanumeric mode carries them
+      const states = await addAll(new MultipartAssembler(),
+        UR_PARTS.slice(4).map(part => part.toUpperCase()));
+      states.at(-1).message.text.should.equal(UR_MESSAGE);
+    });
+
+    it('should reject corrupt parts', async function() {
+      const corrupt = UR_PARTS[0].replace('lpad', 'lpae');
+      (() => parseMultipartPart(corrupt))
+        .should.throw('Invalid bytewords checksum.');
+    });
+
+    it('should join and verify chunks', async function() {
+      const states = await addAll(new MultipartAssembler(),
+        ['2/2/0d4a1185:world', '1/2/0d4a1185:hello ']);
+      states[0].progress.should.eql({
+        protocol: 'chunks',
+        type: null,
+        received: 1,
+        total: 2,
+        percent: 50,
+        missing: [0]
+      });
+      states[1].message.should.include({
+        text: 'hello world',
+        checksumVerified: true
+      });
+
+      const assembler = new MultipartAssembler();
+      await assembler.add('1/2/00000000:hello ');
+      let error;
+      try {
+        await assembler.add('2/2/00000000:world');
+      } catch(e) {
+        error = e;
+      }
+      error.message.should.equal('Chunked message checksum mismatch.');
+      should.not.exist(assembler.progress);
+    });
+
+    it('should only gather unverified chunks when allowed', async function() {
+      should.not.exist(await new MultipartAssembler().add('1/2:hello '));
+
+      const assembler = new MultipartAssembler({allowUnverified: true});
+      const states = await addAll(assembler, ['1/2:AAAA', '1/2:hello ']);
+      // a different first chunk starts another message over
+      states[1].duplicate.should.equal(false);
+      states[1].progress.received.should.equal(1);
+      const {message} = await assembler.add('2/2:world');
+      message.should.include({
+        text: 'hello world',
+        checksumVerified: false
+      });
+    });
+
+    it('should ignore other text', async function() {
+      should.not.exist(await new MultipartAssembler().add('hello'));
+      should.not.exist(parseMultipartPart('3/2:x'));
+    });
+  });
+
+  describe('OpticalScanner.scanContinuous()', function() {
+    it('should resolve with the reassembled message', async function() {
+      const scanner = new OpticalScanner({plugins: [
+        createFramePlugin('qr_code', [
+          [{text: '1/3:a'}],
+          // repeated parts and other codes keep the scan going
+          [{text: '1/3:a'}],
+          [{text: 'not a part'}],
+          [{text: '3/3:c'}],
+          [{text: '2/3:b'}]
+        ])
+      ]});
+      const progress = [];
+
+      const [result] = await scanner.scanContinuous({}, {
+        formats: ['qr_code'],
+        scheduler: {targetFps: 30},
+        multipart: {allowUnverified: true},
+        onProgress: ({percent}) => progress.push(percent)
+      });
+
+      progress.should.eql([33, 66, 100]);
+      result.format.should.equal('qr_code');
+      result.data[0].text.should.equal('abc');
+      result.data[0].multipart.should.include({
+        protocol: 'chunks',
+        checksumVerified: false
+      });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  getMissingSegments,
+  MultipartAssembler,
+  OpticalScanner,
+  pdf417Plugin,
+  qrCodePlugin,
+  registerEngine
+} from '@bedrock/web-optical-scanner';
+
+// a zxing-wasm `ReadResult`; `size` -1 outside a sequence, 0 when unknown
+function createSymbol(text, {
+  format = 'QRCode', id = '5a', index = -1, size = -1, x = 0
+} = {}) {
+  return {
+    text,
+    format,
+    isValid: true,
+    position: {
+      topLeft: {x, y: 0},
+      topRight: {x: x + 10, y: 0},
+      bottomRight: {x: x + 10, y: 10},
+      bottomLeft: {x, y: 10}
+    },
+    sequenceId: id,
+    sequenceIndex: index,
+    sequenceSize: size
+  };
+}
+
+// reads the symbols of successive frames, then nothing
+function registerFakeZxing(frames) {
+  let frame = 0;
+  registerEngine('zxing', async () => ({
+    async readBarcodes() {
+      return frames[frame++] || [];
+    }
+  }));
+}
+
+describe('Structured append', function() {
+  afterEach(function() {
+    registerEngine('zxing', () => import('zxing-wasm/reader'));
+  });
+
+  it('should join the segments of one image', async function() {
+    registerFakeZxing([[
+      createSymbol('world', {index: 1, size: 2, x: 20}),
+      createSymbol('plain'),
+      createSymbol('hello ', {index: 0, size: 2})
+    ]]);
+    const scanner = new OpticalScanner({plugins: [qrCodePlugin]});
+    const [result] = await scanner.scan(new ImageData(2, 2), {
+      formats: ['qr_code'],
+      pluginOptions: {qr_code: {structuredAppend: true}}
+    });
+
+    const [message, plain] = result.data;
+    message.text.should.equal('hello world');
+    message.payload.type.should.equal('text');
+    message.sequence.should.include({id: '5a', size: 2, complete: true});
+    message.sequence.missing.should.eql([]);
+    message.boundingBox.should.eql({x: 20, y: 0, width: 10, height: 10});
+    plain.text.should.equal('plain');
+    should.not.exist(plain.sequence);
+  });
+
+  it('should report missing segments', async function() {
+    registerFakeZxing([[
+      createSymbol('c', {format: 'PDF417', index: 2, size: 0}),
+      createSymbol('a', {format: 'PDF417', index: 0, size: 0})
+    ]]);
+    const [result] = await pdf417Plugin.scan(new ImageData(2, 2), {
+      structuredAppend: true
+    });
+    result.format.should.equal('pdf417');
+    result.text.should.equal('ac');
+    // Macro PDF417 segment counts are optional
+    result.sequence.should.include({size: null, complete: false});
+    result.sequence.missing.should.eql([1]);
+
+    getMissingSegments([0, 3], 5).should.eql([1, 2, 4]);
+  });
+
+  it('should gather segments across frames', async function() {
+    const assembler = new MultipartAssembler();
+    const segment = (text, index, size = null) => ({
+      text,
+      format: 'pdf417',
+      sequence: {id: '017053', index, size}
+    });
+    const first = await assembler.add(segment('b', 1));
+    first.progress.should.include({total: null, percent: null});
+    first.progress.missing.should.eql([0]);
+    (await assembler.add(segment('b', 1))).duplicate.should.equal(true);
+    const last = await assembler.add(segment('c', 2, 3));
+    last.progress.missing.should.eql([0]);
+    const {message} = await assembler.add(segment('a', 0));
+    message.should.eql({
+      protocol: 'structured-append',
+      type: 'pdf417',
+      text: 'abc',
+      bytes: null,
+      checksumVerified: false
+    });
+  });
+
+  it('should resolve continuous scans with the message', async function() {
+    // the QR parity of 'abc' is 0x61 ^ 0x62 ^ 0x63 = 96
+    registerFakeZxing([
+      [createSymbol('a', {id: '96', index: 0, size: 3})],
+      [createSymbol('c', {id: '96', index: 2, size: 3})],
+      [createSymbol('b', {id: '96', index: 1, size: 3})]
+    ]);
+    const scanner = new OpticalScanner({plugins: [qrCodePlugin]});
+    const missing = [];
+
+    // frames of the video, as `scan()` reads them
+    const [result] = await scanner.scanContinuous(new ImageData(2, 2), {
+      formats: ['qr_code'],
+      pluginOptions: {qr_code: {structuredAppend: true}},
+      scheduler: {targetFps: 30},
+      multipart: true,
+      onProgress: progress => missing.push(progress.missing)
+    });
+
+    missing.should.eql([[1, 2], [1], []]);
+    result.data[0].text.should.equal('abc');
+    result.data[0].multipart.should.include({
+      protocol: 'structured-append',
+      checksumVerified: true
+    });
+  });
+
+  it('should verify the QR parity', async function() {
+    const segment = (text, index, id) => ({
+      text,
+      format: 'qr_code',
+      sequence: {id, index, size: 2}
+    });
+    const assembler = new MultipartAssembler();
+    await assembler.add(segment('a', 0, '97'));
+    let error;
+    try {
+      await assembler.add(segment('b', 1, '97'));
+    } catch(e) {
+      error = e;
+    }
+    error.message.should.equal('Structured append parity mismatch.');
+    should.not.exist(assembler.progress);
+
+    // 'é' is 0xe9 in ISO-8859-1 and 0xc3 0xa9 in UTF-8
+    for(const id of ['233', String(0xc3 ^ 0xa9)]) {
+      await assembler.add(segment('', 0, id));
+      const {message} = await assembler.add(segment('é', 1, id));
+      message.checksumVerified.should.equal(true);
+    }
+  });
+});
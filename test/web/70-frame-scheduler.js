@@ -0,0 +1,126 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {FrameScheduler} from '@bedrock/web-optical-scanner';
+
+// video-like source delivering a frame every `interval` ms
+function createVideo(interval = 1000 / 60) {
+  let mediaTime = 0;
+  return {
+    requestVideoFrameCallback(callback) {
+      return setTimeout(() => {
+        mediaTime += interval / 1000;
+        callback(performance.now(), {mediaTime});
+      }, interval);
+    },
+    cancelVideoFrameCallback(handle) {
+      clearTimeout(handle);
+    }
+  };
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('FrameScheduler', function() {
+  it('should prefer requestVideoFrameCallback', function() {
+    new FrameScheduler(createVideo()).driver.should.equal('video-frame');
+    new FrameScheduler({}).driver.should.not.equal('video-frame');
+  });
+
+  it('should resolve with the first frame value', async function() {
+    const scheduler = new FrameScheduler(createVideo(), {targetFps: 60});
+    const value = await scheduler.run(async ({frame, mediaTime}) => {
+      mediaTime.should.be.above(0);
+      if(frame === 2) {
+        return 'found';
+      }
+    });
+    value.should.equal('found');
+  });
+
+  it('should skip frames while a decode is in flight', async function() {
+    const stats = [];
+    const scheduler = new FrameScheduler(createVideo(), {
+      targetFps: 60,
+      onStats: s => stats.push(s)
+    });
+    await scheduler.run(async ({frame}) => {
+      await wait(60);
+      return frame === 2 ? true : undefined;
+    });
+
+    stats.should.have.length(3);
+    should.equal(stats[0].intervalMs, null);
+    stats[0].driver.should.equal('video-frame');
+    stats[0].decodeMs.should.be.at.least(50);
+    // frames delivered during a 60ms decode are dropped
+    stats[1].skipped.should.be.at.least(2);
+    stats[1].fps.should.be.below(30);
+  });
+
+  it('should pace decodes to the target rate', async function() {
+    const stats = [];
+    const scheduler = new FrameScheduler(createVideo(), {
+      targetFps: 10,
+      onStats: s => stats.push(s)
+    });
+    await scheduler.run(async ({frame}) => frame === 3 ? true : undefined);
+
+    for(const {intervalMs} of stats.slice(1)) {
+      intervalMs.should.be.at.least(90);
+    }
+  });
+
+  it('should back off when idle and recover on wake', async function() {
+    const scheduler = new FrameScheduler(createVideo(), {
+      targetFps: 60,
+      minFps: 20,
+      idleAfterMs: 0,
+      batteryFps: null
+    });
+    const rates = [];
+    await scheduler.run(async ({frame}) => {
+      rates.push(scheduler.fps);
+      return frame === 10 ? true : undefined;
+    });
+    rates[0].should.equal(60);
+    rates[10].should.equal(20);
+    scheduler.wake();
+    scheduler.fps.should.equal(60);
+  });
+
+  it('should stop with a value', async function() {
+    const scheduler = new FrameScheduler(createVideo());
+    setTimeout(() => scheduler.stop('stopped'), 50);
+    (await scheduler.run(async () => undefined)).should.equal('stopped');
+  });
+
+  it('should reject when aborted', async function() {
+    const scheduler = new FrameScheduler(createVideo());
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    let error;
+    try {
+      await scheduler.run(async () => undefined, {signal: controller.signal});
+    } catch(e) {
+      error = e;
+    }
+    should.exist(error);
+    error.name.should.equal('AbortError');
+  });
+
+  it('should reject when a frame fails', async function() {
+    const scheduler = new FrameScheduler(createVideo());
+    let error;
+    try {
+      await scheduler.run(async () => {
+        throw new Error('decode failed');
+      });
+    } catch(e) {
+      error = e;
+    }
+    error.message.should.equal('decode failed');
+  });
+});
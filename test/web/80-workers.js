@@ -0,0 +1,161 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  OpticalScanner,
+  startScanWorker,
+  WorkerPool
+} from '@bedrock/web-optical-scanner';
+
+// reports the thread-independent facts it was given
+const echoPlugin = {
+  format: 'echo',
+  workerSafe: true,
+  async scan(source, {label}) {
+    return [{
+      text: `${label}:${source.width}x${source.height}`,
+      boundingBox: {x: 1, y: 2, width: 3, height: 4}
+    }];
+  }
+};
+
+// never finishes unless aborted
+const stuckPlugin = {
+  format: 'stuck',
+  workerSafe: true,
+  scan(source, {signal}) {
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        stuckPlugin.aborted = true;
+        reject(signal.reason);
+      });
+    });
+  }
+};
+
+// a MessagePort stands in for a dedicated worker
+function createPortWorker(plugins = [echoPlugin, stuckPlugin]) {
+  const {port1, port2} = new MessageChannel();
+  startScanWorker({plugins, scope: port2});
+  return port1;
+}
+
+describe('Worker Pool', function() {
+  let pool;
+
+  afterEach(function() {
+    pool?.terminate();
+  });
+
+  it('should scan in a worker', async function() {
+    pool = new WorkerPool({size: 1, createWorker: () => createPortWorker()});
+    const results = await pool.scan('echo', new ImageData(4, 2), {
+      label: 'worker',
+      onSomething() {}
+    });
+    results.should.eql([{
+      text: 'worker:4x2',
+      boundingBox: {x: 1, y: 2, width: 3, height: 4}
+    }]);
+  });
+
+  it('should queue scans beyond the pool size', async function() {
+    let created = 0;
+    pool = new WorkerPool({
+      size: 2,
+      createWorker: () => {
+        created++;
+        return createPortWorker();
+      }
+    });
+    const results = await Promise.all([1, 2, 3, 4].map(width =>
+      pool.scan('echo', new ImageData(width, 1), {label: 'q'})));
+    results.map(([result]) => result.text).should.eql(
+      ['q:1x1', 'q:2x1', 'q:3x1', 'q:4x1']);
+    created.should.equal(2);
+  });
+
+  it('should propagate aborts to the worker', async function() {
+    stuckPlugin.aborted = false;
+    pool = new WorkerPool({size: 1, createWorker: () => createPortWorker()});
+    const controller = new AbortController();
+    const scan = pool.scan('stuck', new ImageData(1, 1), {
+      signal: controller.signal
+    });
+    setTimeout(() => controller.abort(), 20);
+
+    let error;
+    try {
+      await scan;
+    } catch(e) {
+      error = e;
+    }
+    error.name.should.equal('AbortError');
+    // the worker is free again once the plugin aborted
+    await pool.scan('echo', new ImageData(1, 1), {label: 'next'});
+    stuckPlugin.aborted.should.equal(true);
+  });
+
+  it('should flag formats the worker does not serve', async function() {
+    pool = new WorkerPool({
+      size: 1,
+      createWorker: () => createPortWorker([stuckPlugin])
+    });
+    let error;
+    try {
+      await pool.scan('echo', new ImageData(1, 1));
+    } catch(e) {
+      error = e;
+    }
+    error.code.should.equal('WORKER_UNSUPPORTED_FORMAT');
+  });
+
+  describe('OpticalScanner integration', function() {
+    it('should run worker-safe plugins in the pool', async function() {
+      pool = new WorkerPool({size: 1, createWorker: () => createPortWorker()});
+      const mainThreadPlugin = {
+        format: 'main',
+        async scan() {
+          return [{text: 'main thread'}];
+        }
+      };
+      const scanner = new OpticalScanner({
+        plugins: [echoPlugin, mainThreadPlugin],
+        workerPool: pool
+      });
+      const scan = pool.scan.bind(pool);
+      const formats = [];
+      pool.scan = (format, ...args) => {
+        formats.push(format);
+        return scan(format, ...args);
+      };
+
+      const results = await scanner.scan(new ImageData(2, 2), {
+        formats: ['echo', 'main'],
+        mode: 'all',
+        pluginOptions: {echo: {label: 'pooled'}}
+      });
+      results.map(r => r.data[0].text).should.eql(
+        ['pooled:2x2', 'main thread']);
+      formats.should.eql(['echo']);
+    });
+
+    it('should fall back to the main thread', async function() {
+      pool = new WorkerPool({
+        createWorker() {
+          throw new Error('workers disabled');
+        }
+      });
+      const scanner = new OpticalScanner({
+        plugins: [echoPlugin],
+        workerPool: pool
+      });
+
+      const results = await scanner.scan(new ImageData(3, 3), {
+        formats: ['echo'],
+        pluginOptions: {echo: {label: 'main'}}
+      });
+      results[0].data[0].text.should.equal('main:3x3');
+    });
+  });
+});
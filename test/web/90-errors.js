@@ -0,0 +1,168 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  CameraError,
+  errorCodes,
+  isLicenseError,
+  LicenseError,
+  localMrzPlugin,
+  NoResultsError,
+  OpticalScanner,
+  PluginError,
+  ScanAbortedError,
+  ScannerError,
+  toScannerError,
+  UnsupportedSourceError
+} from '@bedrock/web-optical-scanner';
+
+function domError(name, message = name) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+const failingPlugin = {
+  format: 'fake_failing',
+  async scan() {
+    throw new Error('engine exploded');
+  }
+};
+
+const emptyPlugin = {
+  format: 'fake_empty',
+  async scan() {
+    return [];
+  }
+};
+
+const slowPlugin = {
+  format: 'fake_slow',
+  scan(source, {signal}) {
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    });
+  }
+};
+
+describe('Errors', function() {
+  describe('toScannerError()', function() {
+    it('should classify camera errors', function() {
+      const denied = toScannerError(domError('NotAllowedError'));
+      denied.should.be.instanceOf(CameraError);
+      denied.code.should.equal(errorCodes.CAMERA_PERMISSION_DENIED);
+
+      const missing = toScannerError(domError('NotFoundError'));
+      missing.should.be.instanceOf(CameraError);
+      missing.code.should.equal(errorCodes.CAMERA_NOT_FOUND);
+    });
+
+    it('should classify plugin errors', function() {
+      const cause = new Error('engine exploded');
+      const error = toScannerError(cause, {format: 'qr_code'});
+      error.should.be.instanceOf(PluginError);
+      error.code.should.equal(errorCodes.PLUGIN_FAILED);
+      error.format.should.equal('qr_code');
+      error.cause.should.equal(cause);
+
+      toScannerError(domError('InvalidStateError'), {format: 'qr_code'})
+        .code.should.equal(errorCodes.UNSUPPORTED_SOURCE);
+      toScannerError(new Error('License has expired'), {format: 'mrz'})
+        .code.should.equal(errorCodes.LICENSE_INVALID);
+    });
+
+    it('should classify aborts', function() {
+      const error = toScannerError(domError('AbortError'));
+      error.should.be.instanceOf(ScanAbortedError);
+      error.code.should.equal(errorCodes.ABORTED);
+      error.name.should.equal('AbortError');
+    });
+
+    it('should keep the class and code when rewording', function() {
+      const original = new LicenseError('no key');
+      toScannerError(original).should.equal(original);
+
+      const error = toScannerError(original, {message: 'Scanner license'});
+      error.should.be.instanceOf(LicenseError);
+      error.code.should.equal(errorCodes.LICENSE_MISSING);
+      error.message.should.equal('Scanner license');
+      error.cause.should.equal(original);
+    });
+
+    it('should tell license errors by class and code', function() {
+      isLicenseError(new LicenseError('no key')).should.equal(true);
+      isLicenseError(new ScannerError('bad key', {
+        code: errorCodes.LICENSE_INVALID
+      })).should.equal(true);
+      // errors posted across realms keep the code, not the class
+      isLicenseError(Object.assign(new Error('bad key'), {
+        code: errorCodes.LICENSE_INVALID
+      })).should.equal(true);
+      // only raw engine errors are told by their message
+      isLicenseError(new PluginError('No license plate found', {
+        format: 'qr_code'
+      })).should.equal(false);
+      isLicenseError(new Error('License has expired')).should.equal(true);
+      isLicenseError(new Error('engine exploded')).should.equal(false);
+    });
+
+    it('should default to SCAN_ERROR', function() {
+      const error = toScannerError(new Error('unknown'));
+      error.should.be.instanceOf(ScannerError);
+      error.code.should.equal(errorCodes.SCAN_ERROR);
+    });
+  });
+
+  describe('OpticalScanner', function() {
+    it('should aggregate plugin failures', async function() {
+      const scanner = new OpticalScanner({
+        plugins: [failingPlugin, emptyPlugin]
+      });
+      let error;
+      try {
+        await scanner.scan(new ImageData(4, 4), {
+          formats: ['fake_failing', 'fake_empty'],
+          mode: 'first'
+        });
+      } catch(e) {
+        error = e;
+      }
+      error.should.be.instanceOf(NoResultsError);
+      error.code.should.equal(errorCodes.NO_RESULTS);
+      error.errors.should.have.length(1);
+      error.errors[0].should.be.instanceOf(PluginError);
+      error.errors[0].format.should.equal('fake_failing');
+      error.errors[0].cause.message.should.equal('engine exploded');
+    });
+
+    it('should time out with SCAN_TIMEOUT', async function() {
+      const scanner = new OpticalScanner({plugins: [slowPlugin]});
+      let error;
+      try {
+        await scanner.scan(new ImageData(4, 4), {
+          formats: ['fake_slow'],
+          timeoutMs: 20
+        });
+      } catch(e) {
+        error = e;
+      }
+      error.should.be.instanceOf(ScannerError);
+      error.code.should.equal(errorCodes.SCAN_TIMEOUT);
+    });
+  });
+
+  describe('Plugins', function() {
+    it('should reject a missing source as UNSUPPORTED_SOURCE',
+      async function() {
+        let error;
+        try {
+          await localMrzPlugin.scan(null);
+        } catch(e) {
+          error = e;
+        }
+        error.should.be.instanceOf(UnsupportedSourceError);
+        error.code.should.equal(errorCodes.UNSUPPORTED_SOURCE);
+        error.format.should.equal('mrz');
+      });
+  });
+});
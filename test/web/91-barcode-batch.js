@@ -0,0 +1,118 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  barcodeDetectorFormats,
+  barcodeDetectorPlugin,
+  createBarcodeDetectorPlugin,
+  OpticalScanner,
+  registerEngine
+} from '@bedrock/web-optical-scanner';
+
+// batch plugin finding one code per requested format
+function createBatch() {
+  const calls = [];
+  const batch = {
+    format: 'fake_batch',
+    async scan(source, {formats}) {
+      calls.push(formats);
+      return formats.map(format => ({text: `${format} payload`, format}));
+    }
+  };
+  const plugins = ['one', 'two', 'three'].map(format => ({
+    format,
+    batch,
+    async scan() {
+      calls.push([`${format} alone`]);
+      return [{text: `${format} payload`, format}];
+    }
+  }));
+  return {batch, plugins, calls};
+}
+
+describe('Batched formats', function() {
+  it('should decode formats sharing a batch in one pass', async function() {
+    const {plugins, calls} = createBatch();
+    const scanner = new OpticalScanner({plugins});
+    const results = await scanner.scan(new ImageData(2, 2), {
+      formats: ['one', 'two'],
+      mode: 'all'
+    });
+    calls.should.eql([['one', 'two']]);
+    results.map(({format, data}) => [format, data.length]).should.eql([
+      ['one', 1],
+      ['two', 1]
+    ]);
+    results[1].data[0].text.should.equal('two payload');
+  });
+
+  it('should scan formats with plugin options separately',
+    async function() {
+      const {plugins, calls} = createBatch();
+      const scanner = new OpticalScanner({plugins});
+      await scanner.scan(new ImageData(2, 2), {
+        formats: ['one', 'two', 'three'],
+        mode: 'all',
+        pluginOptions: {three: {option: true}}
+      });
+      calls.should.eql([['one', 'two'], ['three alone']]);
+    });
+
+  it('should report a failed batch for each format', async function() {
+    const {batch, plugins} = createBatch();
+    batch.scan = async () => {
+      throw new Error('Decoder crashed');
+    };
+    const scanner = new OpticalScanner({plugins});
+    let error;
+    try {
+      await scanner.scan(new ImageData(2, 2), {formats: ['one', 'two']});
+    } catch(e) {
+      error = e;
+    }
+    error.code.should.equal('NO_RESULTS');
+    error.errors.map(({format}) => format).should.eql(['one', 'two']);
+  });
+});
+
+describe('BarcodeDetector formats', function() {
+  afterEach(async function() {
+    await barcodeDetectorPlugin.dispose();
+    registerEngine('barcode-detector',
+      () => import('barcode-detector/ponyfill'));
+  });
+
+  it('should list the BarcodeDetector formats', function() {
+    barcodeDetectorFormats.should.include.members(
+      ['aztec', 'code_128', 'data_matrix', 'ean_13', 'qr_code']);
+    (() => createBarcodeDetectorPlugin('mrz')).should.throw(
+      'Unsupported BarcodeDetector format: mrz');
+  });
+
+  it('should detect all batched formats with one detector',
+    async function() {
+      const detectors = [];
+      registerEngine('barcode-detector', async () => ({
+        BarcodeDetector: class {
+          constructor({formats}) {
+            this.formats = formats;
+            detectors.push(this);
+          }
+          async detect() {
+            return this.formats.map(format => ({rawValue: format, format}));
+          }
+        }
+      }));
+      const scanner = new OpticalScanner({
+        plugins: ['code_128', 'data_matrix'].map(createBarcodeDetectorPlugin)
+      });
+      const results = await scanner.scan(new ImageData(2, 2), {
+        formats: ['code_128', 'data_matrix'],
+        mode: 'all'
+      });
+      detectors.map(({formats}) => formats).should.eql(
+        [['code_128', 'data_matrix']]);
+      results.map(({data}) => data[0].text).should.eql(
+        ['code_128', 'data_matrix']);
+    });
+});
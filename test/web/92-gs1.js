@@ -0,0 +1,111 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  barcodeDetectorPlugin,
+  code128Plugin,
+  computeGS1CheckDigit,
+  ean13Plugin,
+  expandUPCE,
+  OpticalScanner,
+  parseEanUpc,
+  parseGS1,
+  registerEngine,
+  verifyGS1CheckDigit
+} from '@bedrock/web-optical-scanner';
+
+const now = new Date('2025-06-15T12:00:00Z');
+const FNC1 = '\x1d';
+
+describe('GS1', function() {
+  it('should parse a GS1-128 element string', function() {
+    const parsed = parseGS1(
+      `]C101095011015300031725063010ABC123${FNC1}3103000525`, {now});
+    parsed.valid.should.equal(true);
+    parsed.values.should.eql({
+      '01': '09501101530003',
+      17: '250630',
+      10: 'ABC123',
+      3103: '000525'
+    });
+    const [gtin, expiry, , weight] = parsed.elements;
+    gtin.should.include({title: 'GTIN', checkDigitValid: true});
+    expiry.date.should.equal('2025-06-30');
+    weight.should.include({title: 'NET WEIGHT (kg)', number: 0.525});
+  });
+
+  it('should parse the human readable form', function() {
+    const parsed = parseGS1('(01)09501101530003(17)261100(3922)1299', {now});
+    // day 00 is the last day of the month
+    parsed.elements[1].date.should.equal('2026-11-30');
+    parsed.elements[2].number.should.equal(12.99);
+  });
+
+  it('should report invalid data', function() {
+    const badCheck = parseGS1(`${FNC1}0109501101530004`, {now});
+    badCheck.valid.should.equal(false);
+    badCheck.elements[0].checkDigitValid.should.equal(false);
+
+    const truncated = parseGS1(`${FNC1}010950110153`, {now});
+    truncated.valid.should.equal(false);
+    truncated.warnings.should.eql(['Value of AI (01) is truncated.']);
+
+    const unknown = parseGS1(`${FNC1}0109501101530003--`, {now});
+    unknown.elements.should.have.length(1);
+    unknown.warnings.should.eql(
+      ['Unknown application identifier at position 16.']);
+  });
+
+  it('should compute GS1 check digits', function() {
+    computeGS1CheckDigit('400638133393').should.equal(1);
+    verifyGS1CheckDigit('4006381333931').should.equal(true);
+    verifyGS1CheckDigit('4006381333932').should.equal(false);
+    expandUPCE('04252614').should.equal('042100005264');
+  });
+
+  it('should validate EAN/UPC codes', function() {
+    parseEanUpc({text: '4006381333931', format: 'ean_13'}).should.eql({
+      gtin: '04006381333931',
+      checkDigitValid: true
+    });
+    parseEanUpc({text: '04252614', format: 'upc_e'}).gtin
+      .should.equal('00042100005264');
+    parseEanUpc({text: '400638133393', format: 'ean_13'}).should.eql({
+      gtin: null,
+      checkDigitValid: false
+    });
+  });
+});
+
+describe('Retail barcode plugins', function() {
+  afterEach(async function() {
+    await barcodeDetectorPlugin.dispose();
+    registerEngine('barcode-detector',
+      () => import('barcode-detector/ponyfill'));
+  });
+
+  it('should parse results found in a batched pass', async function() {
+    registerEngine('barcode-detector', async () => ({
+      BarcodeDetector: class {
+        async detect() {
+          return [
+            {rawValue: '4006381333931', format: 'ean_13'},
+            {rawValue: ']C10109501101530003', format: 'code_128'}
+          ];
+        }
+      }
+    }));
+    const scanner = new OpticalScanner({
+      plugins: [ean13Plugin, code128Plugin]
+    });
+    const [ean, code128] = await scanner.scan(new ImageData(2, 2), {
+      formats: ['ean_13', 'code_128'],
+      mode: 'all'
+    });
+    ean.data[0].should.include({
+      gtin: '04006381333931',
+      checkDigitValid: true
+    });
+    code128.data[0].gs1.values.should.eql({'01': '09501101530003'});
+  });
+});
@@ -0,0 +1,175 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  barcodeDetectorPlugin,
+  boardingPassPlugin,
+  isBCBP,
+  OpticalScanner,
+  parseBCBP,
+  qrCodePlugin,
+  registerEngine
+} from '@bedrock/web-optical-scanner';
+
+const now = new Date('2025-06-15T12:00:00Z');
+const SINGLE_LEG =
+  'M1DESMARAIS/LUC       EABC123 YULFRAAC 0834 166J001A0025 100';
+const MULTI_LEG =
+  'M2DESMARAIS/LUC       EABC123 YULFRAAC 0834 166J001A0025 14D' +
+  '>5181WW5165BAC 0014123456003' +
+  '2A0141234567890 1AC AC 1234567890123    20KYLX58Z' +
+  'DEF456 FRAGVALH 3664 167C012C0002 12C' +
+  '2A2202345678901 0LH LH 12345678901234   2PCN' +
+  '^108ABCDEFGH';
+
+describe('BCBP', function() {
+  it('should parse the mandatory items', function() {
+    const pass = parseBCBP(SINGLE_LEG, {now});
+    pass.should.include({
+      legCount: 1,
+      passengerName: 'DESMARAIS/LUC',
+      lastName: 'DESMARAIS',
+      firstName: 'LUC',
+      electronicTicket: true,
+      version: null,
+      security: null
+    });
+    pass.legs.should.have.length(1);
+    pass.legs[0].should.include({
+      pnr: 'ABC123',
+      from: 'YUL',
+      to: 'FRA',
+      carrier: 'AC',
+      flightNumber: '834',
+      julianDate: '166',
+      flightDate: '2025-06-15',
+      compartment: 'J',
+      seat: '1A',
+      sequenceNumber: '25',
+      passengerStatus: '1',
+      airlineData: null
+    });
+    pass.warnings.should.eql([]);
+  });
+
+  it('should parse multi-leg passes with conditional items', function() {
+    const pass = parseBCBP(MULTI_LEG, {now});
+    pass.should.include({
+      legCount: 2,
+      version: 5,
+      passengerDescription: '1',
+      checkInSource: 'W',
+      boardingPassIssuanceSource: 'W',
+      issueDate: '2025-06-14',
+      documentType: 'B',
+      issuerDesignator: 'AC',
+      baggageTag: '0014123456003'
+    });
+    const [first, second] = pass.legs;
+    first.should.include({
+      airlineNumericCode: '014',
+      documentNumber: '1234567890',
+      internationalDocumentVerification: '1',
+      marketingCarrier: 'AC',
+      frequentFlyerNumber: '1234567890123',
+      freeBaggageAllowance: '20K',
+      fastTrack: 'Y',
+      airlineData: 'LX58Z'
+    });
+    second.should.include({
+      pnr: 'DEF456',
+      from: 'FRA',
+      to: 'GVA',
+      carrier: 'LH',
+      flightNumber: '3664',
+      flightDate: '2025-06-16',
+      seat: '12C',
+      frequentFlyerAirline: 'LH',
+      fastTrack: 'N',
+      airlineData: null
+    });
+    pass.security.should.eql({type: '1', data: 'ABCDEFGH'});
+    pass.warnings.should.eql([]);
+  });
+
+  it('should resolve Julian dates across the year end', function() {
+    const pass = parseBCBP(
+      SINGLE_LEG.replace('166J', '002J'),
+      {now: new Date('2025-12-30T00:00:00Z')});
+    pass.legs[0].flightDate.should.equal('2026-01-02');
+  });
+
+  it('should report truncated passes', function() {
+    const pass = parseBCBP(SINGLE_LEG.replace('M1', 'M2'), {now});
+    pass.legs.should.have.length(1);
+    pass.warnings.should.eql(['Leg 2 is truncated.']);
+  });
+
+  it('should reject other data', function() {
+    isBCBP(SINGLE_LEG).should.equal(true);
+    isBCBP('https://example.com').should.equal(false);
+    (() => parseBCBP('M1SHORT')).should.throw(
+      'Unrecognized boarding pass format.');
+  });
+});
+
+describe('boardingPassPlugin', function() {
+  afterEach(async function() {
+    await barcodeDetectorPlugin.dispose();
+    registerEngine('barcode-detector',
+      () => import('barcode-detector/ponyfill'));
+  });
+
+  it('should return boarding passes only', async function() {
+    registerEngine('barcode-detector', async () => ({
+      BarcodeDetector: class {
+        async detect() {
+          return [
+            {rawValue: SINGLE_LEG, format: 'aztec'},
+            {rawValue: 'https://example.com', format: 'qr_code'}
+          ];
+        }
+      }
+    }));
+    const scanner = new OpticalScanner({plugins: [boardingPassPlugin]});
+    const [result] = await scanner.scan(new ImageData(2, 2), {
+      formats: ['boarding_pass']
+    });
+    result.data.should.have.length(1);
+    result.data[0].should.include({
+      format: 'boarding_pass',
+      symbology: 'aztec'
+    });
+    result.data[0].boardingPass.legs[0].pnr.should.equal('ABC123');
+  });
+  it('should share the pass of other barcode formats', async function() {
+    const detectors = [];
+    registerEngine('barcode-detector', async () => ({
+      BarcodeDetector: class {
+        constructor({formats}) {
+          this.formats = formats;
+          detectors.push(this);
+        }
+        async detect() {
+          return [
+            {rawValue: SINGLE_LEG, format: 'aztec'},
+            {rawValue: 'https://example.com', format: 'qr_code'}
+          ];
+        }
+      }
+    }));
+    const scanner = new OpticalScanner({
+      plugins: [boardingPassPlugin, qrCodePlugin]
+    });
+    const results = await scanner.scan(new ImageData(2, 2), {
+      formats: ['boarding_pass', 'qr_code'],
+      mode: 'all'
+    });
+    detectors.should.have.length(1);
+    detectors[0].formats.should.have.members(
+      ['pdf417', 'aztec', 'qr_code', 'data_matrix']);
+    const [pass, qr] = results;
+    pass.data.map(({symbology}) => symbology).should.eql(['aztec']);
+    qr.data.map(({text}) => text).should.eql(['https://example.com']);
+  });
+});
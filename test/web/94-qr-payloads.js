@@ -0,0 +1,132 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  barcodeDetectorPlugin,
+  decodeCBOR,
+  decodePayload,
+  OpticalScanner,
+  qrCodePlugin,
+  registerEngine,
+  registerPayloadDecoder,
+  unregisterPayloadDecoder
+} from '@bedrock/web-optical-scanner';
+
+const ED25519_KEY = 'z6MkhaXgBZDvotDkL5257faiztiGiC2QtKLGpbnnEGta2doK';
+
+describe('QR payloads', function() {
+  it('should decode VC-QR CBOR-LD payloads', async function() {
+    const {type, decoded} = await decodePayload('VC1-3EDADIQBMFQQFAQBAI');
+    type.should.equal('vc-qr');
+    decoded.bytes.should.have.length(11);
+    decoded.cbor.tag.should.equal(0x0601);
+    // CBOR-LD compresses terms to integer keys
+    decoded.cbor.value.should.be.an.instanceOf(Map);
+    decoded.cbor.value.get(1).should.equal('a');
+    decoded.cbor.value.get(2).should.eql([1, 2]);
+  });
+
+  it('should decode compressed base45 payloads', async function() {
+    const {type, decoded} = await decodePayload('HC1:6BF3QB1ABN016Q0I80');
+    type.should.equal('base45');
+    decoded.should.include({prefix: 'HC1', compression: 'deflate'});
+    decoded.cbor.should.eql({v: 1});
+  });
+
+  it('should decode DIDs and multibase data', async function() {
+    const did = await decodePayload(
+      `did:key:${ED25519_KEY}#${ED25519_KEY}`);
+    did.type.should.equal('did');
+    did.decoded.should.include({
+      did: `did:key:${ED25519_KEY}`,
+      method: 'key',
+      id: ED25519_KEY,
+      path: null,
+      fragment: ED25519_KEY
+    });
+
+    const key = await decodePayload(ED25519_KEY);
+    key.type.should.equal('multibase');
+    key.decoded.should.include({encoding: 'base58btc', codec: 'ed25519-pub'});
+    key.decoded.data.should.have.length(32);
+  });
+
+  it('should leave multibase tokens without a codec alone', async function() {
+    // base58btc and base64url alphabets, no multicodec prefix
+    for(const text of [
+      'z3yJ9Yc4n2hT5kPqL8wR6vXbA1sD7fGuE',
+      'uSessionToken_abcdefghijklmnopqrstuv'
+    ]) {
+      (await decodePayload(text)).should.eql({type: 'text', decoded: text});
+    }
+  });
+
+  it('should decode credential offers', async function() {
+    const offer = {credential_issuer: 'https://issuer.example'};
+    const url = 'openid-credential-offer://?credential_offer=' +
+      encodeURIComponent(JSON.stringify(offer));
+    const {type, decoded} = await decodePayload(url);
+    type.should.equal('credential-offer');
+    decoded.should.eql({url, offer, offerUri: null});
+
+    (await decodePayload('https://example.com/?credential_offer=%7B'))
+      .should.include({type: 'credential-offer', decoded: null});
+    (await decodePayload('https://example.com/')).type.should.equal('text');
+  });
+
+  it('should leave other text alone', async function() {
+    for(const text of ['hello world', 'mountains', 'HELLO WORLD']) {
+      (await decodePayload(text)).should.eql({type: 'text', decoded: text});
+    }
+  });
+
+  it('should try registered decoders first', async function() {
+    registerPayloadDecoder({
+      type: 'ticket',
+      decode: text => text.startsWith('TKT:') ? {id: text.slice(4)} : null
+    });
+    try {
+      (await decodePayload('TKT:42')).should.eql(
+        {type: 'ticket', decoded: {id: '42'}});
+    } finally {
+      unregisterPayloadDecoder('ticket').should.equal(true);
+    }
+    (await decodePayload('TKT:42')).type.should.equal('text');
+  });
+
+  it('should decode CBOR', function() {
+    decodeCBOR(Uint8Array.from([0x83, 0x01, 0x20, 0xf9, 0x3c, 0x00]))
+      .should.eql([1, -1, 1]);
+    (() => decodeCBOR(Uint8Array.from([0x82, 0x01])))
+      .should.throw('Invalid CBOR: unexpected end of data.');
+  });
+});
+
+describe('qrCodePlugin payloads', function() {
+  afterEach(async function() {
+    await barcodeDetectorPlugin.dispose();
+    registerEngine('barcode-detector',
+      () => import('barcode-detector/ponyfill'));
+  });
+
+  it('should add payloads to results', async function() {
+    registerEngine('barcode-detector', async () => ({
+      BarcodeDetector: class {
+        async detect() {
+          return [{rawValue: `did:key:${ED25519_KEY}`, format: 'qr_code'}];
+        }
+      }
+    }));
+    const scanner = new OpticalScanner({plugins: [qrCodePlugin]});
+    const [result] = await scanner.scan(new ImageData(2, 2), {
+      formats: ['qr_code']
+    });
+    result.data[0].payload.type.should.equal('did');
+
+    const [plain] = await scanner.scan(new ImageData(2, 2), {
+      formats: ['qr_code'],
+      pluginOptions: {qr_code: {decodePayloads: false}}
+    });
+    should.not.exist(plain.data[0].payload);
+  });
+});
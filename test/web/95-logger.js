@@ -0,0 +1,143 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  Logger,
+  OpticalScanner,
+  parseDLInfo,
+  redactLogValue
+} from '@bedrock/web-optical-scanner';
+
+// console-like sink recording every call
+function createSink() {
+  const entries = [];
+  const sink = {entries};
+  for(const level of ['debug', 'info', 'warn', 'error']) {
+    sink[level] = (message, ...details) =>
+      entries.push({level, message, details});
+  }
+  return sink;
+}
+
+const mrzResult = {
+  text: 'P<UTOERIKSSON<<ANNA<MARIA',
+  format: 'mrz',
+  data: {
+    documentNumber: 'L898902C3',
+    firstName: 'ANNA MARIA',
+    documentType: 'P',
+    validation: {overallValid: true}
+  }
+};
+
+describe('Logger', function() {
+  it('should be silent by default', function() {
+    const sink = createSink();
+    const logger = new Logger({sink});
+    logger.error('failed');
+    sink.entries.should.have.length(0);
+  });
+
+  it('should filter by level and namespace', function() {
+    const sink = createSink();
+    const root = new Logger({
+      sink,
+      level: 'info',
+      namespaces: ['camera', 'plugin:*']
+    });
+    root.child('camera').debug('hidden');
+    root.child('camera').info('shown');
+    root.child('plugin:mrz').warn('shown too');
+    root.child('scanner').error('hidden');
+    sink.entries.map(({message}) => message).should.eql([
+      '[camera] shown',
+      '[plugin:mrz] shown too'
+    ]);
+  });
+
+  it('should share configuration with children', function() {
+    const sink = createSink();
+    const root = new Logger({sink});
+    const child = root.child('scanner');
+    root.configure({level: 'debug'});
+    child.isEnabled('debug').should.equal(true);
+    child.debug('now shown');
+    sink.entries.should.have.length(1);
+  });
+
+  it('should redact personal data by default', function() {
+    const sink = createSink();
+    const logger = new Logger({sink, level: 'debug'}).child('plugin:mrz');
+    logger.debug('result:', [mrzResult], {licenseKey: 'secret', DAQ: 'X1'});
+    const [results, config] = sink.entries[0].details;
+    results[0].text.should.equal('[REDACTED]');
+    results[0].format.should.equal('mrz');
+    results[0].data.documentNumber.should.equal('[REDACTED]');
+    results[0].data.firstName.should.equal('[REDACTED]');
+    results[0].data.documentType.should.equal('P');
+    results[0].data.validation.should.eql({overallValid: true});
+    config.should.eql({licenseKey: '[REDACTED]', DAQ: '[REDACTED]'});
+    // the logged value is a copy
+    mrzResult.data.firstName.should.equal('ANNA MARIA');
+  });
+
+  it('should redact every part of parsed driver licenses', function() {
+    const dlInfo = parseDLInfo('@\n\x1e\rANSI 636000100002DL00410066' +
+      'ZV01070010DLDAQT64235789\nDCSSMITH\nDBB06061987\nDDJ06062008\n' +
+      'PACPERMIT123\rZVZVA01\r');
+    const redacted = redactLogValue({driverLicense: dlInfo, ...dlInfo});
+    redacted.driverLicense.should.equal('[REDACTED]');
+    redacted.PAC.should.equal('[REDACTED]');
+    redacted.ZVA.should.equal('[REDACTED]');
+    redacted.normalized.dates.under21Until.should.equal('[REDACTED]');
+    const json = JSON.stringify(redacted);
+    for(const value of ['T64235789', 'SMITH', '1987', '2008', 'PERMIT123']) {
+      json.should.not.include(value);
+    }
+  });
+
+  it('should log personal data only when enabled', function() {
+    const sink = createSink();
+    const logger = new Logger({sink, level: 'debug', logPii: true});
+    logger.debug('result:', mrzResult);
+    sink.entries[0].details[0].should.equal(mrzResult);
+  });
+
+  it('should use a custom redaction hook', function() {
+    const sink = createSink();
+    const logger = new Logger({
+      sink,
+      level: 'debug',
+      redact: (value, {namespace}) => `${namespace}:${typeof value}`
+    }).child('camera');
+    logger.debug('value:', 42);
+    sink.entries[0].details.should.eql(['camera:number']);
+  });
+
+  it('should keep errors intact', function() {
+    const error = new Error('boom');
+    redactLogValue(error).should.equal(error);
+    redactLogValue('text').should.equal('text');
+  });
+
+  it('should pass plugin loggers to plugins', async function() {
+    const sink = createSink();
+    let pluginLogger;
+    const scanner = new OpticalScanner({
+      plugins: [{
+        format: 'fake',
+        async scan(source, {logger}) {
+          pluginLogger = logger;
+          logger.info('scanned');
+          return [{text: 'payload'}];
+        }
+      }],
+      logger: new Logger({sink, level: 'info'})
+    });
+    await scanner.scan(new ImageData(2, 2), {formats: ['fake']});
+    pluginLogger.namespace.should.equal('plugin:fake');
+    sink.entries.map(({message}) => message).should.eql([
+      '[plugin:fake] scanned'
+    ]);
+  });
+});
@@ -0,0 +1,243 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  applyPrivacyPolicy,
+  CameraScanner,
+  deriveValues,
+  parseBCBP,
+  parseDLInfo,
+  privacyPolicies,
+  wipe
+} from '@bedrock/web-optical-scanner';
+
+const now = new Date('2025-06-15T12:00:00Z');
+
+function createMrzResult() {
+  return {
+    success: true,
+    format: 'mrz',
+    type: 'MRZ',
+    fields: {
+      documentNumber: 'L898902C3',
+      firstName: 'ANNA MARIA',
+      lastName: 'ERIKSSON',
+      dateOfBirth: '1994-08-12',
+      dateOfExpiry: '2030-04-15',
+      issuingState: 'UTO',
+      documentType: 'P',
+      rawMRZ: 'P<UTOERIKSSON<<ANNA<MARIA'
+    },
+    rawData: [{metadata: {originalResult: {}}}]
+  };
+}
+
+function createDlResult() {
+  return {
+    format: 'pdf417_enhanced',
+    type: 'DL',
+    text: '@\n\x1e\rANSI 636014...',
+    fields: {
+      DAQ: {description: 'Customer ID Number', value: 'D1234567'},
+      DBK: {description: 'SSN', value: '123456789'},
+      fields: {
+        documentNumber: 'D1234567',
+        dateOfBirth: '2006-01-01',
+        expirationDate: '2024-12-31',
+        address: {street: '1 MAIN ST', city: 'SACRAMENTO'}
+      },
+      elements: {DAQ: 'D1234567'}
+    }
+  };
+}
+
+// a Virginia license with permit elements and a jurisdiction subfile
+const DL_TEXT = '@\n\x1e\rANSI 636000100002DL00410233ZV02740010' +
+  'DLDAQT64235789\nDCSSMITH\nDACJOHN\nDBB06061987\nDBA06062030\n' +
+  'DBD06062022\nDBCM\nDAU070 in\nDAYBRO\nDAG1 MAIN ST\nDAIRICHMOND\n' +
+  'DAJVA\nDAK232190000  \nDCFDOC42\nDDH06062005\nDDI06062006\n' +
+  'DDJ06062008\nPACPERMIT123\nPAB06062026\rZVZVA01\r';
+
+// values of DL_TEXT that identify the holder, in raw and ISO form
+const DL_PERSONAL_VALUES = [
+  'T64235789', 'SMITH', 'JOHN', '06061987', '1987', 'MAIN ST', 'RICHMOND',
+  '23219', 'DOC42', '06062005', '2005-06-06', '06062006', '2006-06-06',
+  '06062008', '2008-06-06', 'PERMIT123', '06062026', '06-06'
+];
+
+describe('Result Privacy', function() {
+  it('should keep results unchanged with the full policy', async function() {
+    const result = createMrzResult();
+    const protectedResult = await applyPrivacyPolicy(result, 'full');
+    protectedResult.should.eql(result);
+    protectedResult.should.not.equal(result);
+  });
+
+  it('should mask personal fields and drop payloads', async function() {
+    const result = await applyPrivacyPolicy(createMrzResult(), 'redacted', {
+      now
+    });
+    result.fields.documentNumber.should.equal('*****02C3');
+    result.fields.lastName.should.equal('********');
+    result.fields.issuingState.should.equal('UTO');
+    should.not.exist(result.fields.rawMRZ);
+    should.not.exist(result.rawData);
+    result.derived.should.eql({
+      ageOver18: true,
+      ageOver21: true,
+      isExpired: false
+    });
+  });
+
+  it('should keep only derived and hashed values', async function() {
+    const result = await applyPrivacyPolicy(createDlResult(), 'minimal', {
+      now
+    });
+    should.not.exist(result.text);
+    should.not.exist(result.fields.DAQ);
+    should.not.exist(result.fields.DBK);
+    should.not.exist(result.fields.elements);
+    should.not.exist(result.fields.fields.address);
+    should.not.exist(result.fields.fields.dateOfBirth);
+    result.fields.fields.documentNumber.should.match(/^sha256:[0-9a-f]{64}$/);
+    result.derived.should.eql({
+      ageOver18: true,
+      ageOver21: false,
+      isExpired: true
+    });
+  });
+
+  it('should protect parsed driver licenses with every policy',
+    async function() {
+      const dlInfo = parseDLInfo(DL_TEXT);
+      dlInfo.normalized.dates.under21Until.should.equal('2008-06-06');
+      dlInfo.PAC.value.should.equal('PERMIT123');
+      dlInfo.elements.ZVA.should.equal('01');
+
+      const full = JSON.stringify(
+        await applyPrivacyPolicy(dlInfo, 'full', {now}));
+      for(const value of DL_PERSONAL_VALUES) {
+        full.should.include(value);
+      }
+      for(const policy of Object.keys(privacyPolicies)) {
+        if(policy === 'full') {
+          continue;
+        }
+        const result = await applyPrivacyPolicy(dlInfo, policy, {now});
+        const json = JSON.stringify(result);
+        for(const value of DL_PERSONAL_VALUES) {
+          json.should.not.include(value, `${policy} policy`);
+        }
+        should.not.exist(result.PAC);
+        should.not.exist(result.ZVA);
+        should.not.exist(result.DBB);
+        result.derived.should.eql(
+          {ageOver18: true, ageOver21: true, isExpired: false});
+      }
+    });
+
+  it('should protect boarding passes', async function() {
+    const pass = parseBCBP(
+      'M2DESMARAIS/LUC       EABC123 YULFRAAC 0834 166J001A0025 14D' +
+      '>5181WW5165BAC 0014123456003' +
+      '2A0141234567890 1AC AC 1234567890123    20KYLX58Z' +
+      'DEF456 FRAGVALH 3664 167C012C0002 12C' +
+      '2A2202345678901 0LH LH 12345678901234   2PCN' +
+      '^108ABCDEFGH', {now});
+    const values = [
+      'DESMARAIS', 'ABC123', 'DEF456', '834', '3664', '1A', '12C',
+      '2025-06-15', '2025-06-16', '0014123456003', '1234567890123',
+      'LX58Z', 'ABCDEFGH'
+    ];
+
+    const redacted = await applyPrivacyPolicy(pass, 'redacted', {now});
+    redacted.legs.should.have.length(2);
+    redacted.security.data.should.equal('********');
+    const minimal = await applyPrivacyPolicy(pass, 'minimal', {now});
+    for(const key of ['legs', 'baggageTag', 'security', 'passengerName']) {
+      should.not.exist(minimal[key]);
+    }
+    for(const result of [redacted, minimal]) {
+      const json = JSON.stringify(result);
+      for(const value of values) {
+        json.should.not.include(value);
+      }
+    }
+  });
+
+  it('should mask dates entirely', async function() {
+    const result = await applyPrivacyPolicy(
+      parseDLInfo(DL_TEXT), 'redacted', {now});
+    result.fields.dateOfBirth.should.equal('**********');
+    result.normalized.dates.under21Until.should.equal('**********');
+    result.fields.documentNumber.should.equal('*****5789');
+  });
+
+  it('should salt hashes', async function() {
+    const policy = {fields: {documentNumber: 'hash'}};
+    const a = await applyPrivacyPolicy(createDlResult(), policy);
+    const b = await applyPrivacyPolicy(createDlResult(), {...policy});
+    const salted = await applyPrivacyPolicy(createDlResult(), {
+      ...policy,
+      salt: 'deployment secret'
+    });
+    a.fields.fields.documentNumber.should.equal(
+      b.fields.fields.documentNumber);
+    salted.fields.fields.documentNumber.should.not.equal(
+      a.fields.fields.documentNumber);
+  });
+
+  it('should apply custom field policies', async function() {
+    const result = await applyPrivacyPolicy(createDlResult(), {
+      fields: {address: 'remove'},
+      elements: 'mask'
+    });
+    result.text.should.equal(createDlResult().text);
+    result.fields.DBK.should.eql({description: '***', value: '*****6789'});
+    should.not.exist(result.fields.fields.address);
+  });
+
+  it('should reject unknown policies', async function() {
+    let error;
+    try {
+      await applyPrivacyPolicy(createDlResult(), {fields: {text: 'shred'}});
+    } catch(e) {
+      error = e;
+    }
+    error.message.should.equal('Unknown privacy action: shred');
+  });
+
+  it('should derive nothing without dates', function() {
+    deriveValues({text: 'hello'}, {now}).should.eql({
+      ageOver18: null,
+      ageOver21: null,
+      isExpired: null
+    });
+  });
+
+  it('should only emit captured frames with the full policy', function() {
+    const redacted = new CameraScanner({autoCapture: {}, privacy: 'redacted'});
+    should.not.exist(redacted._getQualityOptions().onCapture);
+
+    const scanner = new CameraScanner({autoCapture: {}});
+    const captures = [];
+    scanner.on('capture', capture => captures.push(capture));
+    const imageData = new ImageData(2, 2);
+    imageData.data.fill(255);
+    scanner._getQualityOptions().onCapture({imageData, quality: {score: 1}});
+    captures.should.have.length(1);
+    scanner.dispose();
+    Object.keys(captures[0]).should.have.length(0);
+    imageData.data.every(value => value === 0).should.equal(true);
+  });
+
+  it('should wipe results and pixel buffers', function() {
+    const pixels = new ImageData(2, 2);
+    pixels.data.fill(255);
+    const result = createMrzResult();
+    result.frame = pixels;
+    wipe(result);
+    Object.keys(result).should.have.length(0);
+    pixels.data.every(value => value === 0).should.equal(true);
+  });
+});
@@ -0,0 +1,147 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  enhancedPdf417Plugin,
+  isEngineLoaded,
+  loadEngine,
+  OpticalScanner,
+  registerEngine
+} from '@bedrock/web-optical-scanner';
+
+// Dynamsoft engine that, like the SDK, fixes its license once a reader is
+// created
+function createFakeDynamsoft() {
+  let license = '';
+  let created = false;
+  const BarcodeReader = {
+    get license() {
+      return license;
+    },
+    set license(value) {
+      if(created) {
+        throw new Error('`license` is not allowed to change.');
+      }
+      license = value;
+    },
+    async createInstance() {
+      created = true;
+      return {
+        async getRuntimeSettings() {
+          return {};
+        },
+        async updateRuntimeSettings() {},
+        destroyContext() {}
+      };
+    }
+  };
+  return {BarcodeReader, EnumBarcodeFormat: {BF_PDF417: 1}};
+}
+
+describe('Engine loading', function() {
+  it('should load an engine once', async function() {
+    let loads = 0;
+    registerEngine('test-once', async () => {
+      loads++;
+      return {Engine: 'engine'};
+    });
+    isEngineLoaded('test-once').should.equal(false);
+    const [first, second] = await Promise.all([
+      loadEngine('test-once'),
+      loadEngine('test-once')
+    ]);
+    first.should.equal(second);
+    first.Engine.should.equal('engine');
+    loads.should.equal(1);
+    isEngineLoaded('test-once').should.equal(true);
+  });
+
+  it('should retry a failed load', async function() {
+    let loads = 0;
+    registerEngine('test-retry', async () => {
+      if(++loads === 1) {
+        throw new Error('Network error');
+      }
+      return {};
+    });
+    let error;
+    try {
+      await loadEngine('test-retry');
+    } catch(e) {
+      error = e;
+    }
+    error.message.should.equal('Network error');
+    isEngineLoaded('test-retry').should.equal(false);
+    await loadEngine('test-retry');
+    loads.should.equal(2);
+  });
+
+  it('should reject unknown engines', async function() {
+    let error;
+    try {
+      await loadEngine('test-unknown');
+    } catch(e) {
+      error = e;
+    }
+    error.message.should.equal('Unknown engine: test-unknown');
+  });
+
+  it('should preload only the requested formats', async function() {
+    registerEngine('test-used', async () => ({}));
+    registerEngine('test-unused', async () => ({}));
+    const preloaded = [];
+    const scanner = new OpticalScanner({
+      plugins: [{
+        format: 'used',
+        engines: ['test-used'],
+        async scan() {
+          return [];
+        }
+      }, {
+        format: 'unused',
+        engines: ['test-unused'],
+        async scan() {
+          return [];
+        }
+      }, {
+        format: 'custom',
+        async preload(options) {
+          preloaded.push(options);
+        },
+        async scan() {
+          return [];
+        }
+      }]
+    });
+    await scanner.preload({
+      formats: ['used', 'custom'],
+      pluginOptions: {custom: {licenseKey: 'key'}}
+    });
+    isEngineLoaded('test-used').should.equal(true);
+    isEngineLoaded('test-unused').should.equal(false);
+    preloaded.should.eql([{licenseKey: 'key'}]);
+  });
+
+  it('should reject Dynamsoft license changes', async function() {
+    registerEngine('dynamsoft-barcode', async () => createFakeDynamsoft());
+    const options = {license: 'first', fallbackToBarcodeDetector: false};
+    try {
+      await enhancedPdf417Plugin.init(options);
+      // the same key again is fine
+      await enhancedPdf417Plugin.init(options);
+      let error;
+      try {
+        await enhancedPdf417Plugin.init({...options, license: 'second'});
+      } catch(e) {
+        error = e;
+      }
+      error.name.should.equal('LicenseError');
+      error.code.should.equal('LICENSE_INVALID');
+      error.message.should.match(/cannot change/);
+    } finally {
+      await enhancedPdf417Plugin.dispose();
+      registerEngine('dynamsoft-barcode',
+        () => import('dynamsoft-javascript-barcode'));
+    }
+  });
+});
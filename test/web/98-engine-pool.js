@@ -0,0 +1,141 @@
+/*!
+ * Copyright (c) 2025 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  EnginePool,
+  OpticalScanner,
+  qrCodePlugin,
+  registerEngine
+} from '@bedrock/web-optical-scanner';
+
+// pool of fake engines recording their lifecycle
+function createPool(options) {
+  const events = [];
+  let count = 0;
+  const pool = new EnginePool({
+    async create(settings) {
+      const engine = {id: ++count, settings};
+      events.push(`create ${engine.id}`);
+      return engine;
+    },
+    async destroy(engine) {
+      events.push(`destroy ${engine.id}`);
+    },
+    ...options
+  });
+  return {pool, events};
+}
+
+describe('EnginePool', function() {
+  it('should reuse instances with equal settings', async function() {
+    const {pool, events} = createPool();
+    const first = await pool.use({formats: ['qr_code'], level: 1}, e => e);
+    const second = await pool.use({level: 1, formats: ['qr_code']}, e => e);
+    const other = await pool.use({formats: ['pdf417'], level: 1}, e => e);
+    first.should.equal(second);
+    other.should.not.equal(first);
+    events.should.eql(['create 1', 'create 2']);
+    pool.size.should.equal(2);
+  });
+
+  it('should give concurrent scans their own instances', async function() {
+    const {pool} = createPool();
+    const first = await pool.acquire({});
+    const second = await pool.acquire({});
+    first.should.not.equal(second);
+    pool.release(first);
+    pool.release(second);
+    pool.size.should.equal(2);
+  });
+
+  it('should destroy the least recently used idle instances',
+    async function() {
+      const {pool, events} = createPool({maxIdle: 1});
+      await pool.prepare({level: 1});
+      await pool.prepare({level: 2});
+      events.should.eql(['create 1', 'create 2', 'destroy 1']);
+      pool.size.should.equal(1);
+    });
+
+  it('should destroy instances in use once released', async function() {
+    const {pool, events} = createPool();
+    await pool.prepare({level: 1});
+    const busy = await pool.acquire({level: 2});
+    await pool.dispose();
+    events.should.eql(['create 1', 'create 2', 'destroy 1']);
+    pool.release(busy);
+    // destroying is not awaited by release()
+    await Promise.resolve();
+    events.should.eql(['create 1', 'create 2', 'destroy 1', 'destroy 2']);
+    pool.size.should.equal(0);
+    // still usable
+    (await pool.use({level: 2}, e => e)).id.should.equal(3);
+  });
+});
+
+describe('Plugin lifecycle', function() {
+  afterEach(async function() {
+    await qrCodePlugin.dispose();
+    registerEngine('barcode-detector',
+      () => import('barcode-detector/ponyfill'));
+  });
+
+  it('should reuse the detector across scans', async function() {
+    let created = 0;
+    registerEngine('barcode-detector', async () => ({
+      BarcodeDetector: class {
+        constructor() {
+          created++;
+        }
+        async detect() {
+          return [{rawValue: 'payload', format: 'qr_code'}];
+        }
+      }
+    }));
+    const source = new ImageData(2, 2);
+    await qrCodePlugin.scan(source);
+    const [result] = await qrCodePlugin.scan(source);
+    result.text.should.equal('payload');
+    created.should.equal(1);
+    await qrCodePlugin.dispose();
+    await qrCodePlugin.scan(source);
+    created.should.equal(2);
+  });
+
+  it('should init plugins when preloading', async function() {
+    const calls = [];
+    const scanner = new OpticalScanner({
+      plugins: [{
+        format: 'fake',
+        async init(options) {
+          calls.push(options);
+        },
+        async scan() {
+          return [];
+        }
+      }]
+    });
+    await scanner.preload({pluginOptions: {fake: {level: 1}}});
+    calls.should.eql([{level: 1}]);
+  });
+
+  it('should dispose every plugin', async function() {
+    const disposed = [];
+    const scanner = new OpticalScanner({
+      plugins: ['a', 'b'].map(format => ({
+        format,
+        async scan() {
+          return [];
+        },
+        async dispose() {
+          disposed.push(format);
+          if(format === 'a') {
+            throw new Error('Dispose failed');
+          }
+        }
+      }))
+    });
+    await scanner.dispose();
+    disposed.should.eql(['a', 'b']);
+  });
+});